@@ -0,0 +1,102 @@
+/**
+ * Authentication middleware. API requests carry a session token from
+ * /api/auth/login or /api/auth/register, or a personal API token from
+ * /api/tokens, as `Authorization: Bearer <token>`. API tokens may also come
+ * as an `X-API-Token` header or a `?token=` query parameter, so bookmarklets
+ * can embed them. requireUser checks the token with the AuthService on
+ * `req.auth` and sets `req.user`, `req.permissions`, `req.token` and either
+ * `req.session` or `req.apiToken`. Anything else gets a 401.
+ */
+
+const { isApiToken } = require('./services/auth-service');
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Session tokens are not taken from the query string, where they would end up in browser history
+function requestToken(req) {
+  const header = bearerToken(req) || (req.get('X-API-Token') || '').trim();
+  if (header) return header;
+  return isApiToken(req.query.token) ? req.query.token : null;
+}
+
+function requireUser(req, res, next) {
+  const token = requestToken(req);
+  const signedIn = req.auth.authenticate(token);
+  if (!signedIn) {
+    res.set('WWW-Authenticate', 'Bearer realm="read-later"');
+    return res.status(401).json({
+      success: false,
+      error: !token
+        ? 'Sign in required'
+        : isApiToken(token) ? 'API token invalid or revoked' : 'Session expired or invalid, sign in again'
+    });
+  }
+
+  req.user = signedIn.user;
+  req.session = signedIn.session || null;
+  req.apiToken = signedIn.apiToken || null;
+  req.permissions = signedIn.permissions;
+  req.token = token;
+  next();
+}
+
+/**
+ * What a request under /api needs from an API token's scope: 'admin' for
+ * managing tokens, storage, backups and site rules, 'save' to save an article, 'read' for other
+ * GETs and 'write' for everything else. Routes whose GETs change things
+ * require more with requirePermission().
+ */
+function requiredPermission(req) {
+  const path = req.baseUrl + req.path;
+  if (/^\/api\/(tokens|storage|backups|site-rules)(\/|$)/.test(path)) return 'admin';
+  if (req.method === 'POST' && /^\/api\/articles\/?$/.test(path)) return 'save';
+  if (req.method === 'GET' || req.method === 'HEAD') return 'read';
+  return 'write';
+}
+
+function sendScopeError(req, res) {
+  res.status(403).json({
+    success: false,
+    error: `This API token's "${req.apiToken.scope}" scope does not allow this request`
+  });
+}
+
+// After requireUser
+function authorize(req, res, next) {
+  if (!req.permissions.includes(requiredPermission(req))) {
+    return sendScopeError(req, res);
+  }
+  next();
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.permissions.includes(permission)) {
+      return sendScopeError(req, res);
+    }
+    next();
+  };
+}
+
+// After requireUser
+function requireAdmin(req, res, next) {
+  if (!req.user || !req.user.is_admin) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+  next();
+}
+
+module.exports = {
+  bearerToken,
+  requestToken,
+  requireUser,
+  authorize,
+  requirePermission,
+  requireAdmin
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDatabase } = require('./storage');
+const ImportService = require('./services/import-service');
+
+const USAGE = `Usage: node benchmark-import.js [options]
+
+Imports synthetic articles through ImportService.processImportedArticles into a
+throwaway data file and reports throughput.
+
+Options:
+  --articles <n>     Number of articles to import (default: 2000)
+  --backend <name>   json (default) or sqlite
+  --keep             Keep the temporary data directory`;
+
+function parseArgs(argv) {
+  const args = { articles: 2000, backend: 'json', keep: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--articles':
+        args.articles = Number(argv[++i]);
+        break;
+      case '--backend':
+        args.backend = argv[++i];
+        break;
+      case '--keep':
+        args.keep = true;
+        break;
+      default:
+        throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(args.articles) || args.articles < 1) {
+    throw new Error('--articles must be a positive number');
+  }
+  return args;
+}
+
+// Articles with content and excerpt, so the import never goes to the network
+function syntheticArticles(count) {
+  const topics = ['rust', 'javascript', 'databases', 'design', 'productivity', 'history'];
+  return Array.from({ length: count }, (_, i) => ({
+    url: `https://example${i % 50}.com/posts/${i}`,
+    title: `Benchmark article ${i}`,
+    content: `<p>${'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(40)}</p>`,
+    excerpt: `Excerpt for article ${i}`,
+    author: `Author ${i % 25}`,
+    domain: `example${i % 50}.com`,
+    tags: [topics[i % topics.length], topics[(i * 7) % topics.length]]
+  }));
+}
+
+function formatRate(count, ms) {
+  return `${Math.round(count / (ms / 1000))}/s`;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'read-later-benchmark-'));
+  const dataPath = path.join(dir, args.backend === 'sqlite' ? 'articles.db' : 'articles.json');
+  const articles = syntheticArticles(args.articles);
+
+  console.log(`⏱️  Importing ${args.articles} articles into ${args.backend} (${dataPath})...`);
+
+  const db = createDatabase({ backend: args.backend, path: dataPath });
+  await db.init();
+
+  try {
+    const importer = new ImportService(db);
+    let started = Date.now();
+    const results = await importer.processImportedArticles(articles, 'benchmark');
+    const importMs = Date.now() - started;
+
+    // A second pass only hits the duplicate check
+    started = Date.now();
+    const again = await new ImportService(db).processImportedArticles(articles, 'benchmark');
+    const duplicateMs = Date.now() - started;
+
+    started = Date.now();
+    db.flush();
+    const flushMs = Date.now() - started;
+
+    started = Date.now();
+    for (const article of articles) {
+      db.getArticleByUrl(article.url);
+    }
+    const lookupMs = Date.now() - started;
+
+    console.log('\n📊 Benchmark Results:');
+    console.log(`   Imported: ${results.imported}, skipped: ${results.skipped}, errors: ${results.errors}`);
+    console.log(`   Import:          ${importMs}ms (${formatRate(results.imported, importMs)})`);
+    console.log(`   Duplicate check: ${duplicateMs}ms (${formatRate(again.skipped, duplicateMs)})`);
+    console.log(`   URL lookups:     ${lookupMs}ms (${formatRate(articles.length, Math.max(lookupMs, 1))})`);
+    console.log(`   Final flush:     ${flushMs}ms`);
+    if (fs.existsSync(dataPath)) {
+      console.log(`   Data file:       ${(fs.statSync(dataPath).size / 1024 / 1024).toFixed(1)} MB`);
+    }
+  } finally {
+    db.close();
+    if (args.keep) {
+      console.log(`\n📁 Kept ${dir}`);
+    } else {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Benchmark failed:', error.message);
+  process.exit(1);
+});
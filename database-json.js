@@ -1,136 +1,1478 @@
 const fs = require('fs');
 const path = require('path');
+const {
+    StorageError, toTagEntries, insertIntoOrder, moveToFront, getRevisionChanges, checkArticleUpdates, getNotesChanges, resolveRevisionSource,
+    normalizeArticleQuery, articleSortKey, compareSortKeys, encodeCursor, projectArticle, asciiLower, sameOwner
+} = require('./storage');
+const { parseSearchQuery } = require('./search-query');
+const { SearchIndex } = require('./search-index');
+const { EncryptionKeyError, isEncrypted, seal, unseal } = require('./encryption');
+const { normalizeUrl, resolveCanonicalUrl, updatedCanonicalUrl } = require('./url-normalizer');
 
+// Collections persisted in the data file, and how records in each are keyed
+const COLLECTIONS = {
+    articles: record => record.id,
+    tags: record => record.id,
+    articleTags: record => `${record.article_id}:${record.tag_id}`,
+    highlights: record => record.id,
+    revisions: record => record.id,
+    collections: record => record.id,
+    collectionArticles: record => `${record.collection_id}:${record.article_id}`,
+    savedSearches: record => record.id,
+    savedSearchCounts: record => `${record.saved_search_id}:${record.date}`,
+    users: record => record.id,
+    sessions: record => record.id,
+    apiTokens: record => record.id,
+    activity: record => record.id
+};
+const COUNTERS = [
+    'nextId', 'nextTagId', 'nextHighlightId', 'nextRevisionId', 'nextCollectionId', 'nextSavedSearchId',
+    'nextUserId', 'nextSessionId', 'nextApiTokenId', 'nextActivityId'
+];
+
+// Secondary indexes: name -> [collection, key function]. Each maps a key to the
+// set of primary keys of the records that have it.
+const LOOKUPS = {
+    articlesByUrl: ['articles', record => normalizeUrl(record.canonical_url || record.url)],
+    tagsByName: ['tags', record => record.name],
+    tagLinksByArticle: ['articleTags', record => record.article_id],
+    highlightsByArticle: ['highlights', record => record.article_id],
+    revisionsByArticle: ['revisions', record => record.article_id],
+    collectionsByName: ['collections', record => record.name],
+    collectionLinksByCollection: ['collectionArticles', record => record.collection_id],
+    collectionLinksByArticle: ['collectionArticles', record => record.article_id],
+    savedSearchesByName: ['savedSearches', record => record.name],
+    countsBySavedSearch: ['savedSearchCounts', record => record.saved_search_id],
+    // Usernames compare case-insensitively, like SQLite's COLLATE NOCASE
+    usersByName: ['users', record => asciiLower(record.username)],
+    sessionsByToken: ['sessions', record => record.token_hash],
+    apiTokensByToken: ['apiTokens', record => record.token_hash],
+    apiTokensByUser: ['apiTokens', record => record.user_id]
+};
+
+// Records that belong to `userId`, or every record when it is null
+function ownedBy(userId) {
+    return record => userId === null || record.user_id === userId;
+}
+
+// Collections whose records have an owner, by the table name claimUnownedRecords reports them under
+const OWNED_COLLECTIONS = {
+    articles: 'articles',
+    tags: 'tags',
+    highlights: 'highlights',
+    collections: 'collections',
+    saved_searches: 'savedSearches'
+};
+
+const DEFAULT_SAVE_DELAY_MS = 500;
+
+// time: comparisons in search queries
+const COMPARATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '=': (a, b) => a === b
+};
+
+/**
+ * File-backed storage.
+ *
+ * Every mutation is first appended (and fsynced) to `<dataFile>.journal` as a
+ * list of record-level changes, then applied in memory. Snapshots are written
+ * via temp file + rename, coalesced so a burst of mutations (an import, say)
+ * costs one write per `saveDelayMs` rather than one per change; flush() writes
+ * any pending snapshot immediately and close() calls it. The previous snapshot
+ * is kept as `<dataFile>.bak`, and the journal is compacted down to the
+ * entries newer than that backup, so either file plus the journal is enough to
+ * rebuild the latest state after a crash or a corrupt main file.
+ *
+ * With a `cipher` (see encryption.js) the data file, its backup and every
+ * journal entry are sealed; an existing plaintext store is sealed on load.
+ *
+ * Records are looked up through in-memory indexes (by primary key, and the
+ * LOOKUPS above) that applyChanges keeps in step with every change. The
+ * full-text SearchIndex is built on the first search and then maintained
+ * the same way.
+ */
 class JsonDatabase {
-    constructor() {
-        this.dataFile = path.join(__dirname, 'articles.json');
-        this.articles = [];
-        this.nextId = 1;
+    constructor(options = {}) {
+        this.dataFile = options.dataFile || path.join(__dirname, 'articles.json');
+        this.journalFile = `${this.dataFile}.journal`;
+        this.backupFile = `${this.dataFile}.bak`;
+        this.journalFd = null;
+        this.lastSaveError = null;
+        this.journalSeq = 0;
+        this.backupSeq = 0;
+        this.saveDelayMs = JsonDatabase.parseSaveDelay(options.saveDelayMs ?? process.env.JSON_SAVE_DELAY_MS);
+        this.saveTimer = null;
+        this.cipher = options.cipher || null;
+        this.reset();
         this.loadData();
     }
 
+    static parseSaveDelay(value) {
+        if (value === undefined || value === null || value === '') return DEFAULT_SAVE_DELAY_MS;
+        const delay = Number(value);
+        if (!Number.isFinite(delay) || delay < 0) {
+            throw new Error(`Invalid JSON save delay "${value}": use a number of milliseconds (0 saves after every change)`);
+        }
+        return delay;
+    }
+
+    async init() {
+        // Data is loaded synchronously in the constructor
+    }
+
+    // Empty all collections in memory; call checkpoint() to persist
+    reset() {
+        for (const collection of Object.keys(COLLECTIONS)) {
+            this[collection] = [];
+        }
+        for (const counter of COUNTERS) {
+            this[counter] = 1;
+        }
+        this.rebuildIndexes();
+    }
+
+    rebuildIndexes() {
+        this.searchIndex = null;
+        this.positions = {};
+        for (const [collection, keyOf] of Object.entries(COLLECTIONS)) {
+            this.positions[collection] = new Map(this[collection].map((record, index) => [keyOf(record), index]));
+        }
+
+        this.lookups = {};
+        for (const name of Object.keys(LOOKUPS)) {
+            this.lookups[name] = new Map();
+        }
+        for (const collection of Object.keys(COLLECTIONS)) {
+            for (const record of this[collection]) {
+                this.addToLookups(collection, record);
+            }
+        }
+    }
+
+    addToLookups(collection, record) {
+        const primaryKey = COLLECTIONS[collection](record);
+        for (const [name, [lookupCollection, keyOf]] of Object.entries(LOOKUPS)) {
+            if (lookupCollection !== collection) continue;
+            const key = keyOf(record);
+            if (!this.lookups[name].has(key)) this.lookups[name].set(key, new Set());
+            this.lookups[name].get(key).add(primaryKey);
+        }
+    }
+
+    removeFromLookups(collection, record) {
+        const primaryKey = COLLECTIONS[collection](record);
+        for (const [name, [lookupCollection, keyOf]] of Object.entries(LOOKUPS)) {
+            if (lookupCollection !== collection) continue;
+            const key = keyOf(record);
+            const keys = this.lookups[name].get(key);
+            if (!keys) continue;
+            keys.delete(primaryKey);
+            if (keys.size === 0) this.lookups[name].delete(key);
+        }
+    }
+
+    findRecord(collection, key) {
+        const index = this.positions[collection].get(key);
+        return index === undefined ? undefined : this[collection][index];
+    }
+
+    // Records whose LOOKUPS[name] key equals `key`, in primary key order
+    lookup(name, key) {
+        const collection = LOOKUPS[name][0];
+        const keys = this.lookups[name].get(key);
+        if (!keys) return [];
+        return [...keys].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)).map(k => this.findRecord(collection, k));
+    }
+
     loadData() {
+        const snapshot = this.readSnapshot(this.dataFile);
+        let recovered = false;
+
+        if (snapshot.data) {
+            this.restoreSnapshot(snapshot.data);
+        } else if (snapshot.exists || fs.existsSync(this.backupFile)) {
+            // Main file is corrupt or was lost mid-save: fall back to the last good snapshot
+            if (snapshot.exists) {
+                const corruptCopy = `${this.dataFile}.corrupt-${Date.now()}`;
+                fs.copyFileSync(this.dataFile, corruptCopy);
+                console.error(`Data file is corrupt (${snapshot.error}), kept a copy at ${corruptCopy}`);
+            }
+
+            const backup = this.readSnapshot(this.backupFile);
+            if (backup.data) {
+                console.warn('Recovering from last good snapshot:', this.backupFile);
+                this.restoreSnapshot(backup.data);
+            } else {
+                console.warn('No usable snapshot found, rebuilding from the journal');
+            }
+            recovered = true;
+        }
+
+        const replayed = this.replayJournal();
+        if (recovered || replayed > 0) {
+            console.warn(`Recovered data file (${replayed} journal entries replayed)`);
+            this.checkpoint();
+        } else if (this.cipher && snapshot.exists && !snapshot.encrypted) {
+            console.log('Encrypting data file');
+            this.checkpoint();
+        }
+    }
+
+    readSnapshot(file) {
+        if (!fs.existsSync(file)) {
+            return { exists: false, data: null };
+        }
+
+        const contents = fs.readFileSync(file);
+        const encrypted = isEncrypted(contents);
         try {
-            if (fs.existsSync(this.dataFile)) {
-                const data = fs.readFileSync(this.dataFile, 'utf8');
-                const parsed = JSON.parse(data);
-                this.articles = parsed.articles || [];
-                this.nextId = parsed.nextId || 1;
+            const parsed = JSON.parse(unseal(contents, this.cipher, file).toString('utf8'));
+            if (!parsed || !Array.isArray(parsed.articles)) {
+                throw new Error('missing articles array');
             }
+            return { exists: true, encrypted, data: parsed };
         } catch (error) {
-            console.warn('Could not load existing data:', error.message);
-            this.articles = [];
-            this.nextId = 1;
+            // Not corruption: the backup needs the same key
+            if (error instanceof EncryptionKeyError) throw error;
+            return { exists: true, encrypted, data: null, error: error.message };
+        }
+    }
+
+    restoreSnapshot(parsed) {
+        for (const collection of Object.keys(COLLECTIONS)) {
+            this[collection] = parsed[collection] || [];
+        }
+        for (const counter of COUNTERS) {
+            this[counter] = parsed[counter] || 1;
+        }
+        this.rebuildIndexes();
+        this.journalSeq = parsed.journalSeq || 0;
+        this.backupSeq = this.journalSeq;
+    }
+
+    // Apply journal entries newer than the loaded snapshot, returns how many were applied
+    replayJournal() {
+        if (!fs.existsSync(this.journalFile)) {
+            return 0;
+        }
+
+        const lines = fs.readFileSync(this.journalFile, 'utf8').split('\n').filter(line => line.trim());
+        let replayed = 0;
+
+        lines.forEach((line, index) => {
+            let entry;
+            try {
+                entry = this.parseJournalLine(line);
+            } catch (error) {
+                if (error instanceof EncryptionKeyError) throw error;
+                // A torn final line is what a crash mid-append looks like
+                console.warn(`Skipping unreadable journal entry ${index + 1}: ${error.message}`);
+                return;
+            }
+
+            if (entry.seq <= this.journalSeq) return;
+
+            this.applyChanges(entry.changes);
+            this.setCounters(entry.counters);
+            this.journalSeq = entry.seq;
+            replayed++;
+        });
+
+        return replayed;
+    }
+
+    serialize() {
+        const data = {};
+        for (const collection of Object.keys(COLLECTIONS)) {
+            data[collection] = this[collection];
+        }
+        Object.assign(data, this.getCounters());
+        data.journalSeq = this.journalSeq;
+        return data;
+    }
+
+    getCounters() {
+        const counters = {};
+        for (const counter of COUNTERS) {
+            counters[counter] = this[counter];
+        }
+        return counters;
+    }
+
+    setCounters(counters) {
+        for (const counter of COUNTERS) {
+            if (counters[counter] !== undefined) this[counter] = counters[counter];
+        }
+    }
+
+    /**
+     * Run a mutation: `build` returns the record-level changes (and may allocate
+     * ids), which are journaled before they touch memory. If the journal can't be
+     * written nothing is applied and a StorageError is thrown to the caller.
+     */
+    mutate(op, build) {
+        const counters = this.getCounters();
+        let changes;
+        try {
+            changes = build();
+        } catch (error) {
+            this.setCounters(counters);
+            throw error;
+        }
+
+        if (changes.length === 0) {
+            this.setCounters(counters);
+            return changes;
+        }
+
+        try {
+            this.appendJournal({
+                seq: this.journalSeq + 1,
+                at: new Date().toISOString(),
+                op,
+                changes,
+                counters: this.getCounters()
+            });
+        } catch (error) {
+            this.setCounters(counters);
+            throw new StorageError(`Failed to write change journal: ${error.message}`, error);
+        }
+
+        this.journalSeq++;
+        this.applyChanges(changes);
+        this.scheduleSave();
+        return changes;
+    }
+
+    // Coalesce snapshot writes: the first change starts the timer, later ones ride along
+    scheduleSave() {
+        if (this.saveDelayMs === 0) {
+            this.saveData();
+            return;
+        }
+        if (this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveData();
+        }, this.saveDelayMs);
+        // Pending changes are in the journal, so this timer shouldn't keep the process alive
+        this.saveTimer.unref();
+    }
+
+    cancelScheduledSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+    }
+
+    // Write any changes not yet in the data file now
+    flush() {
+        this.cancelScheduledSave();
+        if (this.journalSeq > this.backupSeq || this.lastSaveError) {
+            this.saveData();
         }
     }
 
+    appendJournal(entry) {
+        if (this.journalFd === null) {
+            this.journalFd = fs.openSync(this.journalFile, 'a');
+        }
+        fs.writeSync(this.journalFd, seal(JSON.stringify(entry), this.cipher) + '\n');
+        fs.fsyncSync(this.journalFd);
+    }
+
+    parseJournalLine(line) {
+        return JSON.parse(unseal(line, this.cipher, this.journalFile).toString('utf8'));
+    }
+
+    applyChanges(changes) {
+        for (const { collection, action, record } of changes) {
+            const keyOf = COLLECTIONS[collection];
+            const list = this[collection];
+            const positions = this.positions[collection];
+            const key = keyOf(record);
+            const index = positions.get(key);
+            if (collection === 'articles' && this.searchIndex) {
+                this.searchIndex.update(index === undefined ? null : list[index], action === 'put' ? record : null);
+            }
+
+            if (action === 'put') {
+                if (index === undefined) {
+                    positions.set(key, list.length);
+                    list.push(record);
+                } else {
+                    this.removeFromLookups(collection, list[index]);
+                    list[index] = record;
+                }
+                this.addToLookups(collection, record);
+            } else if (action === 'delete' && index !== undefined) {
+                // Move the last record into the gap; collections are unordered on disk
+                this.removeFromLookups(collection, list[index]);
+                const last = list.pop();
+                if (index < list.length) {
+                    list[index] = last;
+                    positions.set(keyOf(last), index);
+                }
+                positions.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Write a full snapshot. The change is already safe in the journal, so a
+     * failure here is only logged (and reported through isHealthy) and the
+     * journal is kept until a later save succeeds.
+     */
     saveData() {
         try {
-            const data = {
-                articles: this.articles,
-                nextId: this.nextId
-            };
-            fs.writeFileSync(this.dataFile, JSON.stringify(data, null, 2));
+            if (fs.existsSync(this.dataFile)) {
+                fs.copyFileSync(this.dataFile, this.backupFile);
+            }
+            this.writeFileAtomic(this.dataFile, seal(JSON.stringify(this.serialize(), null, 2), this.cipher));
+
+            const previousSeq = this.backupSeq;
+            this.backupSeq = this.journalSeq;
+            this.compactJournal(previousSeq);
+            this.lastSaveError = null;
         } catch (error) {
+            this.lastSaveError = error;
             console.error('Failed to save data:', error.message);
         }
     }
 
-    getAllArticles() {
-        return this.articles;
+    /**
+     * Write the current state as both the main file and the backup and empty the
+     * journal. Used after recovery and after bulk changes made outside `mutate`.
+     * Unlike saveData, failures are thrown.
+     */
+    checkpoint() {
+        this.cancelScheduledSave();
+        try {
+            const snapshot = seal(JSON.stringify(this.serialize(), null, 2), this.cipher);
+            this.writeFileAtomic(this.dataFile, snapshot);
+            this.writeFileAtomic(this.backupFile, snapshot);
+            this.backupSeq = this.journalSeq;
+            this.compactJournal(this.journalSeq);
+            this.lastSaveError = null;
+        } catch (error) {
+            this.lastSaveError = error;
+            throw new StorageError(`Failed to save data: ${error.message}`, error);
+        }
     }
 
-    getArticleById(id) {
-        return this.articles.find(article => article.id == id);
+    writeFileAtomic(file, contents) {
+        const tempFile = `${file}.tmp`;
+        const fd = fs.openSync(tempFile, 'w');
+        try {
+            fs.writeSync(fd, contents);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempFile, file);
     }
 
-    getArticleByUrl(url) {
-        return this.articles.find(article => article.url === url);
+    // Drop journal entries already contained in the backup snapshot
+    compactJournal(uptoSeq) {
+        if (!fs.existsSync(this.journalFile)) {
+            return;
+        }
+
+        const keep = fs.readFileSync(this.journalFile, 'utf8')
+            .split('\n')
+            .filter(line => {
+                if (!line.trim()) return false;
+                try {
+                    return this.parseJournalLine(line).seq > uptoSeq;
+                } catch {
+                    return false;
+                }
+            });
+
+        this.closeJournal();
+        this.writeFileAtomic(this.journalFile, keep.map(line => line + '\n').join(''));
     }
 
-    createArticle(articleData) {
-        const now = new Date().toISOString();
-        const article = {
-            id: this.nextId++,
-            url: articleData.url,
-            title: articleData.title || 'Untitled',
-            content: articleData.content || '',
-            excerpt: articleData.excerpt || '',
-            author: articleData.author || '',
-            domain: articleData.domain || '',
-            word_count: articleData.word_count || 0,
-            reading_time: articleData.reading_time || 0,
-            publish_date: articleData.publish_date || '',
-            is_read: false,
-            is_favorite: false,
-            is_archived: false,
-            reading_progress: 0,
-            created_at: now,
-            updated_at: now,
-            last_read_at: '',
-            obsidian_path: '',
-            obsidian_synced_at: ''
+    closeJournal() {
+        if (this.journalFd !== null) {
+            fs.closeSync(this.journalFd);
+            this.journalFd = null;
+        }
+    }
+
+    // Every owner's articles unless `userId` is given; the same goes for the other lists
+    getAllArticles(userId = null) {
+        // Newest first, matching DatabaseService; trashed articles are left out
+        return this.articles
+            .filter(article => !article.deleted_at && ownedBy(userId)(article))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id);
+    }
+
+    /**
+     * One page of articles for the list endpoint; see normalizeArticleQuery
+     * for the accepted parameters. Returns { articles, total, next_cursor }.
+     */
+    listArticles(params = {}) {
+        const query = normalizeArticleQuery(params);
+        const direction = query.order === 'asc' ? 1 : -1;
+        const compare = (a, b) => direction * (compareSortKeys(a.key, b.key) || a.id - b.id);
+        const context = {
+            // Ids of every owner's tag with each name; a tag that doesn't exist matches nothing
+            tagIds: query.filters.tags.map(name => this.lookup('tagsByName', name).map(tag => tag.id)),
+            textMatches: query.filters.search && this.getSearchIndex().matchClauses(query.filters.search.clauses)
+        };
+
+        const matches = this.articles
+            .filter(article => !article.deleted_at && this.matchesArticleFilters(article, query.filters, context))
+            .map(article => ({ article, id: article.id, key: articleSortKey(article, query.sort) }))
+            .sort(compare);
+
+        let start = 0;
+        if (query.cursor) {
+            start = matches.findIndex(entry => compare(entry, query.cursor) > 0);
+            if (start === -1) start = matches.length;
+        }
+        const page = matches.slice(start, start + query.limit).map(entry => entry.article);
+        const hasMore = start + query.limit < matches.length;
+
+        return {
+            articles: page.map(article => projectArticle(article, query.fields)),
+            total: matches.length,
+            next_cursor: hasMore ? encodeCursor(query, page[page.length - 1]) : null
         };
+    }
+
+    matchesArticleFilters(article, filters, { tagIds, textMatches }) {
+        for (const field of ['is_read', 'is_favorite', 'is_archived']) {
+            if (filters[field] !== null && !!article[field] !== filters[field]) return false;
+        }
+        if (filters.user_id !== null && article.user_id !== filters.user_id) return false;
+        if (filters.domain !== null && asciiLower(article.domain) !== filters.domain) return false;
+
+        if (!tagIds.every(ids => ids.some(tagId => this.findRecord('articleTags', `${article.id}:${tagId}`)))) return false;
+        if (filters.collection !== null &&
+            !this.findRecord('collectionArticles', `${filters.collection}:${article.id}`)) return false;
+
+        const created = article.created_at || '';
+        const updated = article.updated_at || '';
+        if (filters.created_after !== null && created < filters.created_after) return false;
+        if (filters.created_before !== null && created >= filters.created_before) return false;
+        if (filters.updated_after !== null && updated < filters.updated_after) return false;
+        if (filters.updated_before !== null && updated >= filters.updated_before) return false;
+
+        const readingTime = Number(article.reading_time) || 0;
+        if (filters.min_reading_time !== null && readingTime < filters.min_reading_time) return false;
+        if (filters.max_reading_time !== null && readingTime > filters.max_reading_time) return false;
 
-        this.articles.push(article);
-        this.saveData();
+        return !filters.search || this.matchesSearch(article, filters.search.clauses, textMatches);
+    }
+
+    getArticleById(id, options = {}) {
+        const article = this.findRecord('articles', Number(id));
+        return article && (options.includeTrashed || !article.deleted_at) ? article : undefined;
+    }
+
+    // Matches on the normalized URL, so trivially different spellings find the same article.
+    // options.userId limits the match to one owner's articles.
+    getArticleByUrl(url, options = {}) {
+        // A live article wins over a trashed copy of the same URL
+        const matches = this.lookup('articlesByUrl', normalizeUrl(url)).filter(ownedBy(options.userId ?? null));
+        return matches.find(article => !article.deleted_at) ||
+            (options.includeTrashed ? matches[0] : undefined);
+    }
+
+    createArticle(articleData, options = {}) {
+        const source = resolveRevisionSource(options.source);
+        let article;
+        this.mutate('createArticle', () => {
+            const now = new Date().toISOString();
+            article = {
+                id: this.nextId++,
+                url: articleData.url,
+                canonical_url: resolveCanonicalUrl(articleData.url, articleData.canonical_url),
+                title: articleData.title || 'Untitled',
+                content: articleData.content || '',
+                excerpt: articleData.excerpt || '',
+                author: articleData.author || '',
+                domain: articleData.domain || '',
+                word_count: articleData.word_count || 0,
+                reading_time: articleData.reading_time || 0,
+                publish_date: articleData.publish_date || '',
+                is_read: !!articleData.is_read,
+                is_favorite: !!articleData.is_favorite,
+                is_archived: false,
+                reading_progress: 0,
+                created_at: now,
+                updated_at: now,
+                last_read_at: '',
+                obsidian_path: '',
+                obsidian_synced_at: '',
+                notes: articleData.notes || '',
+                notes_version: 0,
+                notes_updated_at: articleData.notes ? now : '',
+                deleted_at: null,
+                user_id: articleData.user_id ?? null
+            };
+
+            const changes = [
+                { collection: 'articles', action: 'put', record: article },
+                this.revisionChange(article.id, 1, source, getRevisionChanges(null, article), now)
+            ];
+            if (Array.isArray(articleData.tags)) {
+                changes.push(...this.linkTags(article.id, articleData.tags, article.user_id));
+            }
+            return changes;
+        });
         return article;
     }
 
-    updateArticle(id, updates) {
-        const index = this.articles.findIndex(article => article.id == id);
-        if (index === -1) {
-            return { changes: 0 };
+    // options.notesVersion: refuse with a NotesConflictError unless the notes are still at that version
+    updateArticle(id, updates, options = {}) {
+        const source = resolveRevisionSource(options.source);
+        checkArticleUpdates(updates);
+        const changes = this.mutate('updateArticle', () => {
+            const article = this.getArticleById(id);
+            if (!article) return [];
+
+            const { id: _id, ...fields } = updates;
+            if (fields.url !== undefined || fields.canonical_url !== undefined) {
+                fields.canonical_url = updatedCanonicalUrl(article, fields);
+            }
+            fields.updated_at = new Date().toISOString();
+            Object.assign(fields, getNotesChanges(article, updates, options.notesVersion, fields.updated_at));
+            const record = { ...article, ...fields };
+            return [
+                { collection: 'articles', action: 'put', record },
+                ...this.recordRevision(article, record, source)
+            ];
+        });
+        return { changes: changes.length > 0 ? 1 : 0 };
+    }
+
+    // Revision changes for an update; articles saved before history was kept get a baseline first
+    recordRevision(before, after, source) {
+        const fields = getRevisionChanges(before, after);
+        if (!fields) return [];
+
+        const changes = [];
+        let last = this.getArticleRevisions(before.id).pop();
+        if (!last) {
+            const baseline = this.revisionChange(before.id, 1, 'baseline', getRevisionChanges(null, before), before.updated_at);
+            changes.push(baseline);
+            last = baseline.record;
         }
+        changes.push(this.revisionChange(before.id, last.revision + 1, source, fields, after.updated_at));
+        return changes;
+    }
+
+    revisionChange(articleId, revision, source, fields, createdAt) {
+        return {
+            collection: 'revisions',
+            action: 'put',
+            record: {
+                id: this.nextRevisionId++,
+                article_id: articleId,
+                revision,
+                source,
+                changes: fields,
+                created_at: createdAt
+            }
+        };
+    }
 
-        updates.updated_at = new Date().toISOString();
-        Object.assign(this.articles[index], updates);
-        this.saveData();
-        return { changes: 1 };
+    getArticleRevisions(articleId) {
+        return this.lookup('revisionsByArticle', Number(articleId))
+            .sort((a, b) => a.revision - b.revision);
     }
 
+    // Permanently removes an article, trashed or not
     deleteArticle(id) {
-        const index = this.articles.findIndex(article => article.id == id);
-        if (index === -1) {
-            return { changes: 0 };
+        const changes = this.mutate('deleteArticle', () => {
+            const article = this.getArticleById(id, { includeTrashed: true });
+            return article ? this.articleDeleteChanges(article) : [];
+        });
+        return { changes: changes.length > 0 ? 1 : 0 };
+    }
+
+    // Cascade like the ON DELETE CASCADE foreign keys in SQLite
+    articleDeleteChanges(article) {
+        return [
+            { collection: 'articles', action: 'delete', record: { id: article.id } },
+            ...this.lookup('tagLinksByArticle', article.id)
+                .map(link => ({ collection: 'articleTags', action: 'delete', record: link })),
+            ...this.lookup('highlightsByArticle', article.id)
+                .map(highlight => ({ collection: 'highlights', action: 'delete', record: { id: highlight.id } })),
+            ...this.lookup('revisionsByArticle', article.id)
+                .map(revision => ({ collection: 'revisions', action: 'delete', record: { id: revision.id } })),
+            ...this.lookup('collectionLinksByArticle', article.id)
+                .map(link => ({ collection: 'collectionArticles', action: 'delete', record: link }))
+        ];
+    }
+
+    /**
+     * Folds duplicate articles into `keepId` in one write: `updates` are
+     * applied to the kept article (recorded as a 'merge' revision), their tags,
+     * collections and highlights move over, and the duplicates are deleted.
+     */
+    mergeArticles(keepId, duplicateIds, updates = {}) {
+        checkArticleUpdates(updates);
+        const changes = this.mutate('mergeArticles', () => {
+            const article = this.getArticleById(keepId);
+            if (!article) return [];
+
+            const { id: _id, ...fields } = updates;
+            const record = { ...article, ...fields, updated_at: new Date().toISOString() };
+            const result = [
+                { collection: 'articles', action: 'put', record },
+                ...this.recordRevision(article, record, 'merge')
+            ];
+
+            for (const id of duplicateIds) {
+                const duplicate = this.getArticleById(id, { includeTrashed: true });
+                if (!duplicate || duplicate.id === article.id) continue;
+
+                const tagLinks = this.lookup('tagLinksByArticle', duplicate.id)
+                    .filter(link => !this.positions.articleTags.has(`${article.id}:${link.tag_id}`))
+                    .map(link => ({ collection: 'articleTags', action: 'put', record: { article_id: article.id, tag_id: link.tag_id } }));
+                const collectionLinks = this.lookup('collectionLinksByArticle', duplicate.id)
+                    .filter(link => !this.positions.collectionArticles.has(`${link.collection_id}:${article.id}`))
+                    .map(link => ({ collection: 'collectionArticles', action: 'put', record: { ...link, article_id: article.id } }));
+                const highlights = this.lookup('highlightsByArticle', duplicate.id)
+                    .map(highlight => ({ collection: 'highlights', action: 'put', record: { ...highlight, article_id: article.id } }));
+
+                // The highlights are moved, not deleted with the duplicate
+                result.push(
+                    ...this.articleDeleteChanges(duplicate).filter(change => change.collection !== 'highlights'),
+                    ...tagLinks,
+                    ...collectionLinks,
+                    ...highlights
+                );
+            }
+            return result;
+        });
+        return { changes: changes.filter(change => change.collection === 'articles' && change.action === 'delete').length };
+    }
+
+    // Trash methods
+    trashArticle(id) {
+        const changes = this.mutate('trashArticle', () => {
+            const article = this.getArticleById(id);
+            if (!article) return [];
+            return [{ collection: 'articles', action: 'put', record: { ...article, deleted_at: new Date().toISOString() } }];
+        });
+        return { changes: changes.length };
+    }
+
+    restoreArticle(id) {
+        const changes = this.mutate('restoreArticle', () => {
+            const article = this.getArticleById(id, { includeTrashed: true });
+            if (!article || !article.deleted_at) return [];
+            return [{
+                collection: 'articles',
+                action: 'put',
+                record: { ...article, deleted_at: null, updated_at: new Date().toISOString() }
+            }];
+        });
+        return { changes: changes.length };
+    }
+
+    getTrashedArticles(userId = null) {
+        // Most recently trashed first
+        return this.articles
+            .filter(article => article.deleted_at && ownedBy(userId)(article))
+            .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at) || b.id - a.id);
+    }
+
+    // Permanently removes trashed articles deleted at or before `before` (all of them if omitted)
+    purgeTrash(before = null, userId = null) {
+        let purged = [];
+        this.mutate('purgeTrash', () => {
+            purged = this.getTrashedArticles(userId).filter(article => before === null || article.deleted_at <= before);
+            return purged.flatMap(article => this.articleDeleteChanges(article));
+        });
+        return { changes: purged.length, ids: purged.map(article => article.id) };
+    }
+
+    /**
+     * Takes a query string or an already parsed query (see search-query.js).
+     * Results carry their `tag_names`, plus a relevance `score` and a
+     * highlighted `snippet` when the query has words to match (best match
+     * first); otherwise they are newest first with score 0 and no snippet.
+     */
+    searchArticles(query, userId = null) {
+        const search = typeof query === 'string' ? parseSearchQuery(query) : query;
+        const index = this.getSearchIndex();
+        const textMatches = index.matchClauses(search.clauses);
+        const parts = index.rankingParts(search.clauses);
+        const ranked = parts.length > 0;
+
+        const results = this.getAllArticles(userId)
+            .filter(article => this.matchesSearch(article, search.clauses, textMatches))
+            .map(article => ({
+                ...article,
+                tag_names: this.getArticleTags(article.id).map(tag => tag.name),
+                score: ranked ? Math.round(index.score(article.id, parts) * 1000) / 1000 : 0,
+                snippet: ranked ? index.snippet(article, parts) : null
+            }));
+        // Stable sort, so equal scores stay newest first
+        return ranked ? results.sort((a, b) => b.score - a.score) : results;
+    }
+
+    // The index is normally kept up to date by applyChanges(); this rebuilds it from scratch
+    rebuildSearchIndex() {
+        this.searchIndex = SearchIndex.build(this.articles);
+        return { indexed: this.articles.length };
+    }
+
+    getSearchIndex() {
+        if (!this.searchIndex) {
+            this.searchIndex = SearchIndex.build(this.articles);
+        }
+        return this.searchIndex;
+    }
+
+    // textMatches: SearchIndex.matchClauses() for these clauses
+    matchesSearch(article, clauses, textMatches) {
+        return clauses.every(clause => {
+            if (clause.type === 'text') {
+                const ids = textMatches.get(clause);
+                // Stop words only: the clause is ignored
+                return ids === null || ids.has(article.id) !== clause.negated;
+            }
+            return this.matchesSearchClause(article, clause) !== clause.negated;
+        });
+    }
+
+    matchesSearchClause(article, clause) {
+        switch (clause.type) {
+            case 'tag': {
+                const name = asciiLower(clause.value);
+                return this.getArticleTags(article.id).some(tag => asciiLower(tag.name) === name);
+            }
+            case 'domain': {
+                const domain = asciiLower(article.domain);
+                return domain === clause.value || domain.endsWith(`.${clause.value}`);
+            }
+            case 'is':
+                return !!article[clause.field];
+            case 'time':
+                return COMPARATORS[clause.op](Number(article.reading_time) || 0, clause.value);
+            case 'added': {
+                const created = article.created_at || '';
+                return (clause.from === null || created >= clause.from) && (clause.to === null || created < clause.to);
+            }
+            default:
+                throw new Error(`Unknown search clause "${clause.type}"`);
+        }
+    }
+
+    getUnsyncedArticles(userId = null) {
+        return this.articles
+            .filter(article => !article.obsidian_synced_at && !article.deleted_at && ownedBy(userId)(article))
+            .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id);
+    }
+
+    markAsSynced(id) {
+        return this.updateArticle(id, { obsidian_synced_at: new Date().toISOString() });
+    }
+
+    // Tag management methods
+    getAllTags(userId = null) {
+        // Binary order, like SQLite's ORDER BY name
+        return this.tags
+            .filter(ownedBy(userId))
+            .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    }
+
+    getTagById(id) {
+        return this.findRecord('tags', Number(id));
+    }
+
+    getArticleTags(articleId) {
+        return this.lookup('tagLinksByArticle', Number(articleId))
+            .map(link => this.findRecord('tags', link.tag_id))
+            .filter(Boolean)
+            .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    }
+
+    // Tags belong to the owner of the article they are added to
+    addTagsToArticle(articleId, tagNames) {
+        this.mutate('addTagsToArticle', () => {
+            const article = this.findRecord('articles', Number(articleId));
+            return this.linkTags(Number(articleId), tagNames, article ? article.user_id : null);
+        });
+    }
+
+    removeTagsFromArticle(articleId, tagNames = null) {
+        const changes = this.mutate('removeTagsFromArticle', () => {
+            const names = tagNames === null ? null : toTagEntries(tagNames).map(entry => entry.name);
+            const tagIds = names === null
+                ? null
+                : names.flatMap(name => this.lookup('tagsByName', name)).map(tag => tag.id);
+
+            return this.lookup('tagLinksByArticle', Number(articleId))
+                .filter(link => tagIds === null || tagIds.includes(link.tag_id))
+                .map(link => ({ collection: 'articleTags', action: 'delete', record: link }));
+        });
+        return { changes: changes.length };
+    }
+
+    updateTag(id, updates) {
+        const changes = this.mutate('updateTag', () => {
+            const tag = this.findRecord('tags', Number(id));
+            if (!tag) return [];
+
+            const record = { ...tag };
+            if (updates.name !== undefined) record.name = String(updates.name).trim();
+            if (updates.color !== undefined) record.color = updates.color || null;
+
+            if (this.lookup('tagsByName', record.name).some(t => t.id !== tag.id && sameOwner(t.user_id, tag.user_id))) {
+                throw new Error(`Tag "${record.name}" already exists`);
+            }
+            return [{ collection: 'tags', action: 'put', record }];
+        });
+        return { changes: changes.length };
+    }
+
+    deleteTag(id) {
+        const changes = this.mutate('deleteTag', () => {
+            const tag = this.findRecord('tags', Number(id));
+            if (!tag) return [];
+
+            return [
+                { collection: 'tags', action: 'delete', record: { id: tag.id } },
+                ...this.articleTags
+                    .filter(link => link.tag_id === tag.id)
+                    .map(link => ({ collection: 'articleTags', action: 'delete', record: link }))
+            ];
+        });
+        return { changes: changes.length > 0 ? 1 : 0 };
+    }
+
+    // Changes that get or create each of `userId`'s tags and link it to the article, skipping existing links
+    linkTags(articleId, tagNames, userId) {
+        const changes = [];
+        for (const { name, color } of toTagEntries(tagNames)) {
+            let tag = this.lookup('tagsByName', name).find(t => sameOwner(t.user_id, userId));
+            if (!tag) {
+                tag = {
+                    id: this.nextTagId++,
+                    name,
+                    color,
+                    created_at: new Date().toISOString(),
+                    user_id: userId ?? null
+                };
+                changes.push({ collection: 'tags', action: 'put', record: tag });
+            }
+
+            if (!this.positions.articleTags.has(`${articleId}:${tag.id}`)) {
+                changes.push({ collection: 'articleTags', action: 'put', record: { article_id: articleId, tag_id: tag.id } });
+            }
+        }
+        return changes;
+    }
+
+    // Highlight management methods
+    getArticleHighlights(articleId) {
+        return this.lookup('highlightsByArticle', Number(articleId))
+            .sort((a, b) => (a.position_start || 0) - (b.position_start || 0) || a.id - b.id);
+    }
+
+    getHighlightById(id) {
+        return this.findRecord('highlights', Number(id));
+    }
+
+    // Highlights belong to the owner of their article
+    addHighlight(articleId, highlight) {
+        let record;
+        this.mutate('addHighlight', () => {
+            const article = this.findRecord('articles', Number(articleId));
+            record = {
+                id: this.nextHighlightId++,
+                article_id: Number(articleId),
+                text: highlight.text,
+                context: highlight.context ?? null,
+                position_start: highlight.position_start ?? null,
+                position_end: highlight.position_end ?? null,
+                note: highlight.note ?? null,
+                created_at: new Date().toISOString(),
+                user_id: article ? article.user_id ?? null : null
+            };
+            return [{ collection: 'highlights', action: 'put', record }];
+        });
+        return record;
+    }
+
+    deleteHighlight(highlightId) {
+        const changes = this.mutate('deleteHighlight', () => {
+            const highlight = this.findRecord('highlights', Number(highlightId));
+            return highlight ? [{ collection: 'highlights', action: 'delete', record: { id: highlight.id } }] : [];
+        });
+        return { changes: changes.length };
+    }
+
+    // Collection methods
+    // A collection with the number of articles in it, trashed ones left out
+    withArticleCount(collection) {
+        const count = this.lookup('collectionLinksByCollection', collection.id)
+            .filter(link => this.getArticleById(link.article_id)).length;
+        return { ...collection, article_count: count };
+    }
+
+    getAllCollections(userId = null) {
+        // Binary order, like SQLite's ORDER BY name
+        return this.collections
+            .filter(ownedBy(userId))
+            .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+            .map(collection => this.withArticleCount(collection));
+    }
+
+    getCollectionById(id) {
+        const collection = this.findRecord('collections', Number(id));
+        return collection && this.withArticleCount(collection);
+    }
+
+    // Names are unique per owner
+    checkCollectionName(name, userId, id = null) {
+        if (this.lookup('collectionsByName', name).some(c => c.id !== Number(id) && sameOwner(c.user_id, userId))) {
+            throw new Error(`Collection "${name}" already exists`);
         }
+    }
 
-        this.articles.splice(index, 1);
-        this.saveData();
-        return { changes: 1 };
+    createCollection({ name, description = null, user_id = null }) {
+        let record;
+        this.mutate('createCollection', () => {
+            const now = new Date().toISOString();
+            record = {
+                id: this.nextCollectionId++,
+                name: String(name).trim(),
+                description: description ?? null,
+                created_at: now,
+                updated_at: now,
+                user_id
+            };
+            this.checkCollectionName(record.name, user_id);
+            return [{ collection: 'collections', action: 'put', record }];
+        });
+        return this.withArticleCount(record);
     }
 
-    searchArticles(query) {
-        const lowerQuery = query.toLowerCase();
-        return this.articles.filter(article => 
-            article.title.toLowerCase().includes(lowerQuery) ||
-            article.content.toLowerCase().includes(lowerQuery) ||
-            article.author.toLowerCase().includes(lowerQuery) ||
-            article.domain.toLowerCase().includes(lowerQuery)
-        );
+    updateCollection(id, updates) {
+        const changes = this.mutate('updateCollection', () => {
+            const collection = this.findRecord('collections', Number(id));
+            if (!collection) return [];
+
+            const record = { ...collection, updated_at: new Date().toISOString() };
+            if (updates.name !== undefined) record.name = String(updates.name).trim();
+            if (updates.description !== undefined) record.description = updates.description ?? null;
+            this.checkCollectionName(record.name, record.user_id, record.id);
+            return [{ collection: 'collections', action: 'put', record }];
+        });
+        return { changes: changes.length };
+    }
+
+    deleteCollection(id) {
+        const changes = this.mutate('deleteCollection', () => {
+            const collection = this.findRecord('collections', Number(id));
+            if (!collection) return [];
+
+            return [
+                { collection: 'collections', action: 'delete', record: { id: collection.id } },
+                ...this.lookup('collectionLinksByCollection', collection.id)
+                    .map(link => ({ collection: 'collectionArticles', action: 'delete', record: link }))
+            ];
+        });
+        return { changes: changes.length > 0 ? 1 : 0 };
+    }
+
+    // Links of a collection in article order, trashed articles included
+    getCollectionLinks(collectionId) {
+        return this.lookup('collectionLinksByCollection', Number(collectionId))
+            .sort((a, b) => a.position - b.position || a.article_id - b.article_id);
+    }
+
+    // Articles of a collection in their order, each with the time it was added
+    getCollectionArticles(collectionId) {
+        return this.getCollectionLinks(collectionId)
+            .map(link => {
+                const article = this.getArticleById(link.article_id);
+                return article && { ...article, added_at: link.added_at };
+            })
+            .filter(Boolean);
+    }
+
+    getArticleCollections(articleId) {
+        return this.lookup('collectionLinksByArticle', Number(articleId))
+            .map(link => this.findRecord('collections', link.collection_id))
+            .filter(Boolean)
+            .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+            .map(collection => this.withArticleCount(collection));
     }
 
-    // Placeholder methods for compatibility
-    getAllTags() { return []; }
-    getArticleTags() { return []; }
-    addTagsToArticle() {}
-    getArticleHighlights() { return []; }
-    addHighlight() { return {}; }
-    deleteHighlight() { return { changes: 0 }; }
+    // Changes that store `order` as the positions of a collection's articles, adding the new ones
+    collectionOrderChanges(collection, order) {
+        const now = new Date().toISOString();
+        const changes = [];
+        order.forEach((articleId, position) => {
+            const link = this.findRecord('collectionArticles', `${collection.id}:${articleId}`);
+            if (!link) {
+                changes.push({
+                    collection: 'collectionArticles',
+                    action: 'put',
+                    record: { collection_id: collection.id, article_id: articleId, position, added_at: now }
+                });
+            } else if (link.position !== position) {
+                changes.push({ collection: 'collectionArticles', action: 'put', record: { ...link, position } });
+            }
+        });
+        changes.push({ collection: 'collections', action: 'put', record: { ...collection, updated_at: now } });
+        return changes;
+    }
+
+    // Adds the articles (skipping unknown, trashed and existing ones) at `position`, or at the end
+    addArticlesToCollection(collectionId, articleIds, position = null) {
+        let added = 0;
+        this.mutate('addArticlesToCollection', () => {
+            const collection = this.findRecord('collections', Number(collectionId));
+            if (!collection) return [];
+
+            const ids = articleIds.map(Number).filter(id => this.getArticleById(id));
+            const order = this.getCollectionLinks(collection.id).map(link => link.article_id);
+            const updated = insertIntoOrder(order, ids, position);
+            added = updated.length - order.length;
+            return added > 0 ? this.collectionOrderChanges(collection, updated) : [];
+        });
+        return { changes: added };
+    }
+
+    removeArticlesFromCollection(collectionId, articleIds) {
+        let removed = 0;
+        this.mutate('removeArticlesFromCollection', () => {
+            const collection = this.findRecord('collections', Number(collectionId));
+            if (!collection) return [];
+
+            const links = articleIds
+                .map(articleId => this.findRecord('collectionArticles', `${collection.id}:${Number(articleId)}`))
+                .filter(Boolean);
+            removed = links.length;
+            if (removed === 0) return [];
+            return [
+                ...links.map(link => ({ collection: 'collectionArticles', action: 'delete', record: link })),
+                { collection: 'collections', action: 'put', record: { ...collection, updated_at: new Date().toISOString() } }
+            ];
+        });
+        return { changes: removed };
+    }
+
+    // Moves the listed articles to the front in that order; see moveToFront in storage.js
+    reorderCollection(collectionId, articleIds) {
+        const changes = this.mutate('reorderCollection', () => {
+            const collection = this.findRecord('collections', Number(collectionId));
+            if (!collection) return [];
+
+            const order = this.getCollectionLinks(collection.id).map(link => link.article_id);
+            return this.collectionOrderChanges(collection, moveToFront(order, articleIds.map(Number)));
+        });
+        return { changes: changes.length > 0 ? 1 : 0 };
+    }
+
+    // Saved search methods
+    getAllSavedSearches(userId = null) {
+        // Binary order, like SQLite's ORDER BY name
+        return this.savedSearches
+            .filter(ownedBy(userId))
+            .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    }
+
+    getSavedSearchById(id) {
+        return this.findRecord('savedSearches', Number(id));
+    }
+
+    // Names are unique per owner
+    checkSavedSearchName(name, userId, id = null) {
+        if (this.lookup('savedSearchesByName', name).some(s => s.id !== Number(id) && sameOwner(s.user_id, userId))) {
+            throw new Error(`Saved search "${name}" already exists`);
+        }
+    }
+
+    createSavedSearch({ name, query, user_id = null }) {
+        let record;
+        this.mutate('createSavedSearch', () => {
+            const now = new Date().toISOString();
+            record = { id: this.nextSavedSearchId++, name: String(name).trim(), query, created_at: now, updated_at: now, user_id };
+            this.checkSavedSearchName(record.name, user_id);
+            return [{ collection: 'savedSearches', action: 'put', record }];
+        });
+        return record;
+    }
+
+    updateSavedSearch(id, updates) {
+        const changes = this.mutate('updateSavedSearch', () => {
+            const search = this.getSavedSearchById(id);
+            if (!search) return [];
+
+            const record = { ...search, updated_at: new Date().toISOString() };
+            if (updates.name !== undefined) record.name = String(updates.name).trim();
+            if (updates.query !== undefined) record.query = updates.query;
+            this.checkSavedSearchName(record.name, record.user_id, record.id);
+            return [{ collection: 'savedSearches', action: 'put', record }];
+        });
+        return { changes: changes.length };
+    }
+
+    deleteSavedSearch(id) {
+        const changes = this.mutate('deleteSavedSearch', () => {
+            const search = this.getSavedSearchById(id);
+            if (!search) return [];
+
+            return [
+                { collection: 'savedSearches', action: 'delete', record: { id: search.id } },
+                ...this.lookup('countsBySavedSearch', search.id)
+                    .map(entry => ({ collection: 'savedSearchCounts', action: 'delete', record: entry }))
+            ];
+        });
+        return { changes: changes.length > 0 ? 1 : 0 };
+    }
+
+    // Daily sizes of a saved search, oldest first
+    getSavedSearchCounts(id) {
+        return this.lookup('countsBySavedSearch', Number(id))
+            .map(({ date, count }) => ({ date, count }))
+            .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    }
+
+    // Records the size of a saved search on `date` (YYYY-MM-DD), replacing an earlier count for that day
+    recordSavedSearchCount(id, date, count) {
+        const changes = this.mutate('recordSavedSearchCount', () => {
+            const search = this.getSavedSearchById(id);
+            if (!search) return [];
+            return [{ collection: 'savedSearchCounts', action: 'put', record: { saved_search_id: search.id, date, count } }];
+        });
+        return { changes: changes.length };
+    }
+
+    // Activity log methods
+    recordActivity({ user_id = null, type, source, article_id = null, details = null, created_at = new Date().toISOString() }) {
+        let record;
+        this.mutate('recordActivity', () => {
+            record = { id: this.nextActivityId++, user_id, type, source, article_id, details, created_at };
+            return [{ collection: 'activity', action: 'put', record }];
+        });
+        return record;
+    }
+
+    /**
+     * Activity entries, newest first. Filters: types and sources (lists),
+     * article_id, since and until (ISO dates), before (only entries with a
+     * lower id) and limit.
+     */
+    getActivity(filters = {}, userId = null) {
+        const { types, sources, article_id: articleId, since, until, before, limit } = filters;
+        const entries = this.activity
+            .filter(ownedBy(userId))
+            .filter(entry => !types || types.length === 0 || types.includes(entry.type))
+            .filter(entry => !sources || sources.length === 0 || sources.includes(entry.source))
+            .filter(entry => (articleId ?? null) === null || entry.article_id === articleId)
+            .filter(entry => !since || entry.created_at >= since)
+            .filter(entry => !until || entry.created_at < until)
+            .filter(entry => !before || entry.id < before)
+            .sort((a, b) => b.id - a.id);
+        return limit ? entries.slice(0, limit) : entries;
+    }
+
+    // Removes entries logged before `before` (an ISO date)
+    purgeActivity(before) {
+        const changes = this.mutate('purgeActivity', () => this.activity
+            .filter(entry => entry.created_at < before)
+            .map(entry => ({ collection: 'activity', action: 'delete', record: { id: entry.id } })));
+        return { changes: changes.length };
+    }
+
+    // User methods
+    createUser({ username, password_hash, is_admin = false }) {
+        let record;
+        this.mutate('createUser', () => {
+            record = {
+                id: this.nextUserId++,
+                username: String(username).trim(),
+                password_hash,
+                is_admin: !!is_admin,
+                created_at: new Date().toISOString()
+            };
+            if (this.getUserByUsername(record.username)) {
+                throw new Error(`User "${record.username}" already exists`);
+            }
+            return [{ collection: 'users', action: 'put', record }];
+        });
+        return record;
+    }
+
+    getUserById(id) {
+        return this.findRecord('users', Number(id));
+    }
+
+    getUserByUsername(username) {
+        return this.lookup('usersByName', asciiLower(String(username).trim()))[0];
+    }
+
+    getAllUsers() {
+        return [...this.users].sort((a, b) => a.id - b.id);
+    }
+
+    // Gives `userId` everything saved before accounts existed; returns the count per kind of record
+    claimUnownedRecords(userId) {
+        const counts = {};
+        this.mutate('claimUnownedRecords', () => {
+            const changes = [];
+            for (const [table, collection] of Object.entries(OWNED_COLLECTIONS)) {
+                const unowned = this[collection].filter(record => (record.user_id ?? null) === null);
+                counts[table] = unowned.length;
+                changes.push(...unowned.map(record => ({ collection, action: 'put', record: { ...record, user_id: userId } })));
+            }
+            return changes;
+        });
+        return counts;
+    }
+
+    // Session methods
+    // Only a hash of the session token is stored
+    createSession({ user_id, token_hash, expires_at }) {
+        let record;
+        this.mutate('createSession', () => {
+            record = { id: this.nextSessionId++, user_id, token_hash, created_at: new Date().toISOString(), expires_at };
+            return [{ collection: 'sessions', action: 'put', record }];
+        });
+        return record;
+    }
+
+    getSessionByTokenHash(tokenHash) {
+        return this.lookup('sessionsByToken', tokenHash)[0];
+    }
+
+    deleteSession(tokenHash) {
+        const changes = this.mutate('deleteSession', () => this.lookup('sessionsByToken', tokenHash)
+            .map(session => ({ collection: 'sessions', action: 'delete', record: { id: session.id } })));
+        return { changes: changes.length };
+    }
+
+    purgeExpiredSessions(now = new Date().toISOString()) {
+        const changes = this.mutate('purgeExpiredSessions', () => this.sessions
+            .filter(session => session.expires_at <= now)
+            .map(session => ({ collection: 'sessions', action: 'delete', record: { id: session.id } })));
+        return { changes: changes.length };
+    }
+
+    // API token methods
+    // Only a hash of the token is stored, like sessions
+    createApiToken({ user_id, name, scope, token_hash }) {
+        let record;
+        this.mutate('createApiToken', () => {
+            record = {
+                id: this.nextApiTokenId++,
+                user_id,
+                name,
+                scope,
+                token_hash,
+                created_at: new Date().toISOString(),
+                last_used_at: null
+            };
+            return [{ collection: 'apiTokens', action: 'put', record }];
+        });
+        return record;
+    }
+
+    // A user's tokens, oldest first
+    getApiTokens(userId) {
+        return this.lookup('apiTokensByUser', userId);
+    }
+
+    getApiTokenByHash(tokenHash) {
+        return this.lookup('apiTokensByToken', tokenHash)[0];
+    }
+
+    touchApiToken(id, usedAt = new Date().toISOString()) {
+        const changes = this.mutate('touchApiToken', () => {
+            const token = this.findRecord('apiTokens', Number(id));
+            return token ? [{ collection: 'apiTokens', action: 'put', record: { ...token, last_used_at: usedAt } }] : [];
+        });
+        return { changes: changes.length };
+    }
+
+    // Revokes token `id` if it belongs to `userId`
+    deleteApiToken(id, userId) {
+        const changes = this.mutate('deleteApiToken', () => {
+            const token = this.findRecord('apiTokens', Number(id));
+            return token && token.user_id === userId ? [{ collection: 'apiTokens', action: 'delete', record: { id: token.id } }] : [];
+        });
+        return { changes: changes.length };
+    }
+
+    // Progress tracking
     updateReadingProgress(id, progress) {
-        return this.updateArticle(id, { 
+        return this.updateArticle(id, {
             reading_progress: progress,
             last_read_at: new Date().toISOString()
         });
     }
 
+    // Every change is journaled before it is applied, and refused when the journal can't be written
+    checkWritable() {}
+
     isHealthy() {
-        return true;
+        // The journal still holds the data, but snapshots are failing (e.g. disk full)
+        return this.lastSaveError === null;
+    }
+
+    // The whole store as JSON, as it would be written to the data file
+    exportSnapshot() {
+        return Buffer.from(JSON.stringify(this.serialize()));
+    }
+
+    /**
+     * Replaces the whole store with a snapshot from exportSnapshot. Writing the
+     * data file is the commit point: the snapshot takes the current journal
+     * sequence, so nothing in the journal is replayed over it, and a failed
+     * write leaves the current data as it was.
+     */
+    importSnapshot(contents) {
+        let parsed;
+        try {
+            parsed = JSON.parse(Buffer.from(contents).toString('utf8'));
+            if (!parsed || !Array.isArray(parsed.articles)) {
+                throw new Error('missing articles array');
+            }
+        } catch (error) {
+            throw new Error(`Not a usable JSON snapshot: ${error.message}`);
+        }
+
+        const data = { ...parsed, journalSeq: this.journalSeq };
+        this.cancelScheduledSave();
+        try {
+            this.writeFileAtomic(this.dataFile, seal(JSON.stringify(data, null, 2), this.cipher));
+        } catch (error) {
+            throw new StorageError(`Failed to save data: ${error.message}`, error);
+        }
+        this.restoreSnapshot(data);
+        this.checkpoint();
+    }
+
+    // Rewrites the data file and its backup with `cipher` (null for plaintext) and empties the journal
+    reencrypt(cipher) {
+        this.cipher = cipher;
+        this.checkpoint();
     }
 
     close() {
-        // Nothing to close for file-based storage
+        this.flush();
+        this.closeJournal();
     }
 }
 
-module.exports = JsonDatabase;
\ No newline at end of file
+module.exports = JsonDatabase;
@@ -1,152 +1,498 @@
 const Database = require('better-sqlite3');
+const fs = require('fs');
 const path = require('path');
+const { SchemaMigrator } = require('./migrations');
+const {
+  toTagEntries, insertIntoOrder, moveToFront, getRevisionChanges, checkArticleUpdates, getNotesChanges, resolveRevisionSource,
+  normalizeArticleQuery, encodeCursor, projectArticle, asciiLower, StorageError
+} = require('./storage');
+const { SEARCH_FIELDS, parseSearchQuery } = require('./search-query');
+const { normalizeUrl, resolveCanonicalUrl, updatedCanonicalUrl } = require('./url-normalizer');
+const { FIELD_BOOSTS, textSnippet } = require('./search-index');
+const { EncryptionKeyError, isEncrypted, unseal } = require('./encryption');
 
 const DB_PATH = path.join(__dirname, 'articles.db');
 
+// How often an encrypted database writes its changes back to disk
+const ENCRYPTED_SAVE_INTERVAL_MS = 1000;
+
+// SQLite hands booleans back as 0/1; the storage contract uses true/false
+const BOOLEAN_FIELDS = ['is_read', 'is_favorite', 'is_archived', 'obsidian_synced'];
+
+// listArticles sort keys; must order the same way as articleSortKey in storage.js
+const SORT_EXPRESSIONS = {
+  created_at: "COALESCE(created_at, '')",
+  updated_at: "COALESCE(updated_at, '')",
+  reading_time: 'COALESCE(reading_time, 0)',
+  title: "LOWER(COALESCE(title, ''))"
+};
+
+function writeFileAtomic(file, contents) {
+  const tempFile = `${file}.tmp`;
+  const fd = fs.openSync(tempFile, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, file);
+}
+
+// The first bytes of a file, enough to tell a sealed one (see encryption.js) from SQLite's own format
+function readFileStart(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const start = Buffer.alloc(16);
+    return start.subarray(0, fs.readSync(fd, start, 0, start.length, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function normalizeArticle(row) {
+  if (!row) return row;
+  for (const field of BOOLEAN_FIELDS) {
+    if (field in row) row[field] = !!row[field];
+  }
+  // Lookup key only, not part of the article
+  delete row.url_key;
+  return row;
+}
+
+/**
+ * SQLite storage. better-sqlite3 can't encrypt database files, so with a
+ * `cipher` (see encryption.js) the database is loaded into memory and written
+ * back to disk sealed: on startup, within ENCRYPTED_SAVE_INTERVAL_MS of each
+ * change, and on flush() and close(). An existing plaintext file is sealed
+ * on first open. While a save keeps failing, isHealthy() is false and
+ * checkWritable() refuses further changes.
+ */
 class DatabaseService {
-  constructor() {
+  constructor(options = {}) {
+    this.dbPath = options.dbPath || DB_PATH;
     this.db = null;
+    this.cipher = options.cipher || null;
+    // Called with the pending migrations before they change an existing database (see BackupService)
+    this.beforeSchemaMigration = options.beforeSchemaMigration || null;
+    this.saveTimer = null;
+    this.savedChanges = 0;
+    this.lastSaveError = null;
   }
 
   async init() {
     try {
-      this.db = new Database(DB_PATH);
-      console.log('Connected to SQLite database:', DB_PATH);
-      
-      // Enable WAL mode for better concurrent access
-      this.db.pragma('journal_mode = WAL');
-      
-      this.createTables();
+      this.db = this.cipher ? this.openEncrypted() : this.openFile();
+      console.log('Connected to SQLite database:', this.dbPath);
+
+      // Deleting an article or tag cascades to article_tags and highlights
+      this.db.pragma('foreign_keys = ON');
+
+      this.migrator = new SchemaMigrator(this.db);
+      this.migrateSchema();
+      if (this.cipher) {
+        this.saveEncrypted(true);
+        this.saveTimer = setInterval(() => this.saveEncrypted(), ENCRYPTED_SAVE_INTERVAL_MS);
+        this.saveTimer.unref();
+      }
       return Promise.resolve();
     } catch (err) {
-      console.error('Error opening database:', err);
+      console.error('Error opening database:', err instanceof EncryptionKeyError ? err.message : err);
+      this.close();
       throw err;
     }
   }
 
-  createTables() {
-    const createArticlesTable = `
-      CREATE TABLE IF NOT EXISTS articles (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        url TEXT UNIQUE NOT NULL,
-        title TEXT NOT NULL,
-        content TEXT,
-        excerpt TEXT,
-        author TEXT,
-        domain TEXT,
-        word_count INTEGER,
-        reading_time INTEGER,
-        publish_date TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        last_read_at DATETIME,
-        reading_progress REAL DEFAULT 0.0,
-        is_read BOOLEAN DEFAULT FALSE,
-        is_favorite BOOLEAN DEFAULT FALSE,
-        is_archived BOOLEAN DEFAULT FALSE,
-        obsidian_path TEXT,
-        obsidian_synced_at DATETIME
-      )
-    `;
+  openFile() {
+    if (fs.existsSync(this.dbPath)) {
+      // Fails with a clear error when the file is sealed and no key is configured
+      unseal(readFileStart(this.dbPath), null, this.dbPath);
+    }
+    const db = new Database(this.dbPath);
+    // Enable WAL mode for better concurrent access
+    db.pragma('journal_mode = WAL');
+    return db;
+  }
 
-    const createTagsTable = `
-      CREATE TABLE IF NOT EXISTS tags (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT UNIQUE NOT NULL,
-        color TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
+  // An in-memory copy of the sealed file (or of a plaintext one, to be sealed on the first save)
+  openEncrypted() {
+    if (!fs.existsSync(this.dbPath)) {
+      return new Database(':memory:');
+    }
 
-    const createArticleTagsTable = `
-      CREATE TABLE IF NOT EXISTS article_tags (
-        article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
-        tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
-        PRIMARY KEY (article_id, tag_id)
-      )
-    `;
+    const contents = fs.readFileSync(this.dbPath);
+    if (isEncrypted(contents)) {
+      return new Database(this.cipher.decrypt(contents, this.dbPath));
+    }
 
-    const createHighlightsTable = `
-      CREATE TABLE IF NOT EXISTS highlights (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
-        text TEXT NOT NULL,
-        context TEXT,
-        position_start INTEGER,
-        position_end INTEGER,
-        note TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
+    console.log('Encrypting SQLite database');
+    const plain = new Database(this.dbPath);
+    try {
+      // A WAL-mode image can't be opened in memory
+      plain.pragma('journal_mode = DELETE');
+      return new Database(plain.serialize());
+    } finally {
+      plain.close();
+    }
+  }
 
-    const createArticlesFTS = `
-      CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
-        title, content, author, excerpt,
-        content='articles', content_rowid='id'
-      )
-    `;
+  // Writes an encrypted database back to disk if it changed since the last save or that save failed
+  saveEncrypted(force = false) {
+    const changes = this.db.prepare('SELECT total_changes() AS changes').get().changes;
+    if (!force && changes === this.savedChanges && !this.lastSaveError) {
+      return;
+    }
+    try {
+      writeFileAtomic(this.dbPath, this.cipher.encrypt(this.db.serialize()));
+      this.removeWalFiles();
+      this.savedChanges = changes;
+      this.lastSaveError = null;
+    } catch (err) {
+      this.lastSaveError = err;
+      console.error('Failed to save encrypted database:', err.message);
+    }
+  }
+
+  removeWalFiles() {
+    for (const suffix of ['-wal', '-shm']) {
+      fs.rmSync(`${this.dbPath}${suffix}`, { force: true });
+    }
+  }
+
+  stopSaving() {
+    if (this.saveTimer) {
+      clearInterval(this.saveTimer);
+      this.saveTimer = null;
+    }
+  }
+
+  /**
+   * Rewrites the database file with `cipher` (null for a plain SQLite file)
+   * and closes the database. Used by storage-encryption.js to rotate keys.
+   */
+  reencrypt(cipher) {
+    const data = this.db.serialize();
+    this.stopSaving();
+    this.db.close();
+    this.db = null;
+    this.cipher = cipher;
+    writeFileAtomic(this.dbPath, cipher ? cipher.encrypt(data) : data);
+    this.removeWalFiles();
+  }
 
+  /**
+   * The whole database as a SQLite file image. Images of a WAL-mode database
+   * are marked as rollback-journal ones (header bytes 18 and 19), as the
+   * image has no WAL beside it and could not be opened otherwise.
+   */
+  exportSnapshot() {
+    const image = this.db.serialize();
+    image[18] = 1;
+    image[19] = 1;
+    return image;
+  }
+
+  /**
+   * Replaces the whole database with an image from exportSnapshot. The image
+   * is opened and checked in memory first and the file is swapped with a
+   * rename, so a bad image or a failed write leaves the current data as it
+   * was. An image from an older schema is migrated.
+   */
+  importSnapshot(image) {
+    let candidate;
     try {
-      this.db.exec(createArticlesTable);
-      this.db.exec(createTagsTable);
-      this.db.exec(createArticleTagsTable);
-      this.db.exec(createHighlightsTable);
-      this.db.exec(createArticlesFTS);
-      console.log('Database tables ready');
+      candidate = new Database(Buffer.from(image));
+      const check = candidate.pragma('quick_check', { simple: true });
+      if (check !== 'ok') {
+        throw new Error(check);
+      }
+      new SchemaMigrator(candidate).checkCompatibility();
     } catch (err) {
-      console.error('Error creating database tables:', err);
-      throw err;
+      if (candidate) candidate.close();
+      throw new Error(`Not a usable SQLite snapshot: ${err.message}`);
     }
+
+    if (this.cipher) {
+      try {
+        writeFileAtomic(this.dbPath, this.cipher.encrypt(candidate.serialize()));
+      } catch (err) {
+        candidate.close();
+        throw new StorageError(`Failed to write database: ${err.message}`, err);
+      }
+      this.db.close();
+      this.db = candidate;
+      this.savedChanges = 0;
+    } else {
+      candidate.close();
+      this.db.close();
+      try {
+        // Left over, a WAL would be applied to the new file
+        this.removeWalFiles();
+        writeFileAtomic(this.dbPath, image);
+      } catch (err) {
+        throw new StorageError(`Failed to write database: ${err.message}`, err);
+      } finally {
+        this.db = this.openFile();
+      }
+    }
+
+    this.db.pragma('foreign_keys = ON');
+    this.migrator = new SchemaMigrator(this.db);
+    this.migrateSchema();
+  }
+
+  // Bring the schema up to date; refuses databases newer than this code
+  migrateSchema(options = {}) {
+    // Also for databases from before schema versions, which every migration runs on
+    if (this.beforeSchemaMigration && !options.dryRun && !this.migrator.isEmpty()) {
+      const pending = this.migrator.getPendingMigrations();
+      if (pending.length > 0) {
+        this.beforeSchemaMigration(pending);
+      }
+    }
+    const result = this.migrator.migrate(options);
+    if (result.applied.length > 0 && !result.dry_run) {
+      console.log(`Applied ${result.applied.length} schema migration(s), now at version ${result.to_version}`);
+    }
+    console.log('Database tables ready');
+    return result;
   }
 
-  getAllArticles() {
+  // Every owner's articles unless `userId` is given; the same goes for the other lists
+  getAllArticles(userId = null) {
     try {
-      const stmt = this.db.prepare('SELECT * FROM articles ORDER BY created_at DESC');
-      return stmt.all();
+      const stmt = this.db.prepare(`
+        SELECT * FROM articles WHERE deleted_at IS NULL AND (? IS NULL OR user_id = ?)
+        ORDER BY created_at DESC, id DESC
+      `);
+      return stmt.all(userId, userId).map(normalizeArticle);
     } catch (err) {
       console.error('Error getting all articles:', err);
       throw err;
     }
   }
 
-  getArticleById(id) {
+  /**
+   * One page of articles for the list endpoint; see normalizeArticleQuery
+   * for the accepted parameters. Returns { articles, total, next_cursor }.
+   */
+  listArticles(params = {}) {
+    const query = normalizeArticleQuery(params);
     try {
-      const stmt = this.db.prepare('SELECT * FROM articles WHERE id = ?');
-      return stmt.get(id);
+      const { where, values } = this.buildArticleFilters(query.filters);
+      const total = this.db.prepare(`SELECT COUNT(*) AS count FROM articles WHERE ${where}`).get(...values).count;
+
+      const sortKey = SORT_EXPRESSIONS[query.sort];
+      const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+      const pageWhere = [where];
+      const pageValues = [...values];
+      if (query.cursor) {
+        const after = query.order === 'asc' ? '>' : '<';
+        pageWhere.push(`(${sortKey} ${after} ? OR (${sortKey} = ? AND id ${after} ?))`);
+        pageValues.push(query.cursor.key, query.cursor.key, query.cursor.id);
+      }
+
+      // The cursor needs id and the sort column even when the projection leaves them out
+      const columns = query.fields
+        ? [...new Set([...query.fields, 'id', query.sort])].join(', ')
+        : '*';
+      const rows = this.db.prepare(`
+        SELECT ${columns} FROM articles
+        WHERE ${pageWhere.join(' AND ')}
+        ORDER BY ${sortKey} ${direction}, id ${direction}
+        LIMIT ?
+      `).all(...pageValues, query.limit + 1).map(normalizeArticle);
+
+      const page = rows.slice(0, query.limit);
+      return {
+        articles: page.map(article => projectArticle(article, query.fields)),
+        total,
+        next_cursor: rows.length > query.limit ? encodeCursor(query, page[page.length - 1]) : null
+      };
+    } catch (err) {
+      console.error('Error listing articles:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Compiles parsed search clauses (see search-query.js) to SQL conditions on
+   * `articles`. Positive text clauses are combined into one FTS5 expression,
+   * `match`, which the caller applies to articles_fts; everything else ends
+   * up in `where`.
+   */
+  buildSearchFilters(clauses) {
+    const where = [];
+    const values = [];
+    const match = [];
+
+    for (const clause of clauses) {
+      let condition;
+      const params = [];
+      switch (clause.type) {
+        case 'text': {
+          // Tokens are letters and digits only, so they are safe inside an FTS5 string
+          const phrase = `"${clause.tokens.join(' ')}"${clause.phrase ? '' : '*'}`;
+          if (!clause.negated) {
+            match.push(phrase);
+            continue;
+          }
+          condition = 'articles.id IN (SELECT rowid FROM articles_fts WHERE articles_fts MATCH ?)';
+          params.push(phrase);
+          break;
+        }
+        case 'tag':
+          condition = `EXISTS (
+            SELECT 1 FROM article_tags at JOIN tags t ON t.id = at.tag_id
+            WHERE at.article_id = articles.id AND LOWER(t.name) = ?
+          )`;
+          params.push(asciiLower(clause.value));
+          break;
+        case 'domain':
+          condition = "(LOWER(COALESCE(articles.domain, '')) = ? OR LOWER(COALESCE(articles.domain, '')) LIKE ? ESCAPE '\\')";
+          params.push(clause.value, `%.${clause.value.replace(/[\\%_]/g, '\\$&')}`);
+          break;
+        case 'is':
+          condition = `COALESCE(articles.${clause.field}, 0) = 1`;
+          break;
+        case 'time':
+          condition = `COALESCE(articles.reading_time, 0) ${clause.op} ?`;
+          params.push(clause.value);
+          break;
+        case 'added': {
+          const bounds = [];
+          if (clause.from !== null) {
+            bounds.push("COALESCE(articles.created_at, '') >= ?");
+            params.push(clause.from);
+          }
+          if (clause.to !== null) {
+            bounds.push("COALESCE(articles.created_at, '') < ?");
+            params.push(clause.to);
+          }
+          condition = `(${bounds.join(' AND ')})`;
+          break;
+        }
+        default:
+          throw new Error(`Unknown search clause "${clause.type}"`);
+      }
+
+      where.push(clause.negated ? `NOT ${condition}` : condition);
+      values.push(...params);
+    }
+
+    return { where, values, match: match.length > 0 ? match.join(' AND ') : null };
+  }
+
+  buildArticleFilters(filters) {
+    const where = ['deleted_at IS NULL'];
+    const values = [];
+
+    for (const field of ['is_read', 'is_favorite', 'is_archived']) {
+      if (filters[field] !== null) {
+        where.push(`COALESCE(${field}, 0) = ?`);
+        values.push(filters[field] ? 1 : 0);
+      }
+    }
+    if (filters.user_id !== null) {
+      where.push('user_id = ?');
+      values.push(filters.user_id);
+    }
+    if (filters.domain !== null) {
+      where.push("LOWER(COALESCE(domain, '')) = ?");
+      values.push(filters.domain);
+    }
+    for (const tag of filters.tags) {
+      where.push(`EXISTS (
+        SELECT 1 FROM article_tags at JOIN tags t ON t.id = at.tag_id
+        WHERE at.article_id = articles.id AND t.name = ?
+      )`);
+      values.push(tag);
+    }
+    if (filters.collection !== null) {
+      where.push('EXISTS (SELECT 1 FROM collection_articles ca WHERE ca.article_id = articles.id AND ca.collection_id = ?)');
+      values.push(filters.collection);
+    }
+
+    const ranges = [
+      ['created_after', "COALESCE(created_at, '') >= ?"],
+      ['created_before', "COALESCE(created_at, '') < ?"],
+      ['updated_after', "COALESCE(updated_at, '') >= ?"],
+      ['updated_before', "COALESCE(updated_at, '') < ?"],
+      ['min_reading_time', 'COALESCE(reading_time, 0) >= ?'],
+      ['max_reading_time', 'COALESCE(reading_time, 0) <= ?']
+    ];
+    for (const [filter, condition] of ranges) {
+      if (filters[filter] !== null) {
+        where.push(condition);
+        values.push(filters[filter]);
+      }
+    }
+
+    if (filters.search) {
+      const search = this.buildSearchFilters(filters.search.clauses);
+      where.push(...search.where);
+      values.push(...search.values);
+      if (search.match) {
+        where.push('articles.id IN (SELECT rowid FROM articles_fts WHERE articles_fts MATCH ?)');
+        values.push(search.match);
+      }
+    }
+
+    return { where: where.join(' AND '), values };
+  }
+
+  getArticleById(id, options = {}) {
+    try {
+      const trashFilter = options.includeTrashed ? '' : ' AND deleted_at IS NULL';
+      const stmt = this.db.prepare(`SELECT * FROM articles WHERE id = ?${trashFilter}`);
+      return normalizeArticle(stmt.get(id));
     } catch (err) {
       console.error('Error getting article by id:', err);
       throw err;
     }
   }
 
-  getArticleByUrl(url) {
+  // Matches on the normalized URL, so trivially different spellings find the same article.
+  // options.userId limits the match to one owner's articles.
+  getArticleByUrl(url, options = {}) {
     try {
-      const stmt = this.db.prepare('SELECT * FROM articles WHERE url = ?');
-      return stmt.get(url);
+      const trashFilter = options.includeTrashed ? '' : ' AND deleted_at IS NULL';
+      const userId = options.userId ?? null;
+      // A live article wins over a trashed copy of the same URL
+      const stmt = this.db.prepare(`
+        SELECT * FROM articles WHERE url_key = ? AND (? IS NULL OR user_id = ?)${trashFilter}
+        ORDER BY deleted_at IS NOT NULL, id LIMIT 1
+      `);
+      return normalizeArticle(stmt.get(normalizeUrl(url), userId, userId));
     } catch (err) {
       console.error('Error getting article by URL:', err);
       throw err;
     }
   }
 
-  createArticle(article) {
+  createArticle(article, options = {}) {
+    const source = resolveRevisionSource(options.source);
     const {
-      url, title, content, excerpt, author, domain,
+      url, content, excerpt, author, domain, notes,
       word_count, reading_time, publish_date, is_read = false, is_favorite = false
     } = article;
+    const title = article.title || 'Untitled';
+    const canonicalUrl = resolveCanonicalUrl(url, article.canonical_url);
+    const now = new Date().toISOString();
 
     const transaction = this.db.transaction(() => {
       const stmt = this.db.prepare(`
         INSERT INTO articles (
-          url, title, content, excerpt, author, domain,
-          word_count, reading_time, publish_date, is_read, is_favorite, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+          url, canonical_url, url_key, title, content, excerpt, author, domain, notes, notes_updated_at,
+          word_count, reading_time, publish_date, is_read, is_favorite, created_at, updated_at, user_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const info = stmt.run(
-        url, title, content, excerpt, author, domain,
+        url, canonicalUrl, normalizeUrl(canonicalUrl), title, content, excerpt, author, domain,
+        notes || null, notes ? now : null,
         word_count || null, reading_time || null, publish_date || null,
-        is_read ? 1 : 0, is_favorite ? 1 : 0
+        is_read ? 1 : 0, is_favorite ? 1 : 0, now, now, article.user_id ?? null
       );
 
       const articleId = info.lastInsertRowid;
@@ -156,14 +502,9 @@ class DatabaseService {
         this.addTagsToArticle(articleId, article.tags);
       }
 
-      // Update FTS table
-      const ftsStmt = this.db.prepare(`
-        INSERT INTO articles_fts (rowid, title, content, author, excerpt)
-        VALUES (?, ?, ?, ?, ?)
-      `);
-      ftsStmt.run(articleId, title, content, author, excerpt);
-
-      return { id: articleId, ...article };
+      const created = this.getArticleById(articleId);
+      this.insertRevision(articleId, 1, source, getRevisionChanges(null, created), now);
+      return created;
     });
 
     try {
@@ -174,41 +515,74 @@ class DatabaseService {
     }
   }
 
-  updateArticle(id, updates) {
-    const fields = [];
-    const values = [];
+  // options.notesVersion: refuse with a NotesConflictError unless the notes are still at that version
+  updateArticle(id, updates, options = {}) {
+    const source = resolveRevisionSource(options.source);
+    checkArticleUpdates(updates);
+    if (Object.keys(updates).every(key => key === 'id')) {
+      throw new Error('No valid fields to update');
+    }
+    const now = new Date().toISOString();
 
-    Object.entries(updates).forEach(([key, value]) => {
-      if (key !== 'id') {
-        fields.push(`${key} = ?`);
-        if (key === 'tags') {
-          values.push(JSON.stringify(value));
-        } else if (typeof value === 'boolean') {
-          values.push(value ? 1 : 0);
-        } else {
-          values.push(value);
-        }
+    const transaction = this.db.transaction(() => {
+      const before = this.getArticleById(id);
+      if (!before) {
+        return { changes: 0 };
       }
-    });
 
-    if (fields.length === 0) {
-      throw new Error('No valid fields to update');
-    }
+      const { id: _id, ...changes } = updates;
+      if (changes.url !== undefined || changes.canonical_url !== undefined) {
+        changes.canonical_url = updatedCanonicalUrl(before, changes);
+        changes.url_key = normalizeUrl(changes.canonical_url);
+      }
+      Object.assign(changes, getNotesChanges(before, updates, options.notesVersion, now), { updated_at: now });
 
-    fields.push('updated_at = CURRENT_TIMESTAMP');
-    values.push(id);
+      const fields = Object.keys(changes).map(key => `${key} = ?`);
+      const values = Object.values(changes).map(value => (typeof value === 'boolean' ? (value ? 1 : 0) : value));
+      values.push(id);
+      const query = `UPDATE articles SET ${fields.join(', ')} WHERE id = ? AND deleted_at IS NULL`;
+      const info = this.db.prepare(query).run(...values);
+      if (info.changes > 0) {
+        this.recordRevision(before, this.getArticleById(id), source);
+      }
+      return { changes: info.changes };
+    });
 
     try {
-      const query = `UPDATE articles SET ${fields.join(', ')} WHERE id = ?`;
-      const stmt = this.db.prepare(query);
-      const info = stmt.run(...values);
-      return { changes: info.changes };
+      return transaction();
     } catch (err) {
       console.error('Error updating article:', err);
       throw err;
     }
   }
 
+  // Revision for an update; articles saved before history was kept get a baseline first
+  recordRevision(before, after, source) {
+    const changes = getRevisionChanges(before, after);
+    if (!changes) return;
+
+    const last = this.db.prepare('SELECT MAX(revision) AS revision FROM article_revisions WHERE article_id = ?')
+      .get(before.id).revision;
+    let revision = last || 0;
+    if (!last) {
+      this.insertRevision(before.id, ++revision, 'baseline', getRevisionChanges(null, before), before.updated_at);
+    }
+    this.insertRevision(before.id, revision + 1, source, changes, after.updated_at);
+  }
+
+  insertRevision(articleId, revision, source, changes, createdAt) {
+    this.db.prepare(`
+      INSERT INTO article_revisions (article_id, revision, source, changes, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(articleId, revision, source, JSON.stringify(changes), createdAt);
+  }
+
+  getArticleRevisions(articleId) {
+    const stmt = this.db.prepare('SELECT * FROM article_revisions WHERE article_id = ? ORDER BY revision');
+    return stmt.all(articleId).map(row => ({ ...row, changes: JSON.parse(row.changes) }));
+  }
+
+  // Permanently removes an article, trashed or not
   deleteArticle(id) {
     try {
       const stmt = this.db.prepare('DELETE FROM articles WHERE id = ?');
@@ -220,10 +594,102 @@ class DatabaseService {
     }
   }
 
-  getUnsyncedArticles() {
+  /**
+   * Folds duplicate articles into `keepId` in one transaction: `updates` are
+   * applied to the kept article (recorded as a 'merge' revision), their tags,
+   * collections and highlights move over, and the duplicates are deleted.
+   */
+  mergeArticles(keepId, duplicateIds, updates = {}) {
+    checkArticleUpdates(updates);
+    const transaction = this.db.transaction(() => {
+      const before = this.getArticleById(keepId);
+      if (!before) return { changes: 0 };
+
+      const fields = Object.keys(updates).filter(field => field !== 'id');
+      const now = new Date().toISOString();
+      this.db.prepare(`UPDATE articles SET ${[...fields, 'updated_at'].map(f => `${f} = ?`).join(', ')} WHERE id = ?`)
+        .run(...fields.map(f => (typeof updates[f] === 'boolean' ? (updates[f] ? 1 : 0) : updates[f])), now, keepId);
+      this.recordRevision(before, this.getArticleById(keepId), 'merge');
+
+      const copyTags = this.db.prepare(`
+        INSERT OR IGNORE INTO article_tags (article_id, tag_id)
+        SELECT ?, tag_id FROM article_tags WHERE article_id = ?
+      `);
+      const copyCollections = this.db.prepare(`
+        INSERT OR IGNORE INTO collection_articles (collection_id, article_id, position, added_at)
+        SELECT collection_id, ?, position, added_at FROM collection_articles WHERE article_id = ?
+      `);
+      const moveHighlights = this.db.prepare('UPDATE highlights SET article_id = ? WHERE article_id = ?');
+      const remove = this.db.prepare('DELETE FROM articles WHERE id = ? AND id != ?');
+      let changes = 0;
+      for (const id of duplicateIds) {
+        copyTags.run(keepId, id);
+        copyCollections.run(keepId, id);
+        moveHighlights.run(keepId, id);
+        changes += remove.run(id, keepId).changes;
+      }
+      return { changes };
+    });
+
+    try {
+      return transaction();
+    } catch (err) {
+      console.error('Error merging articles:', err);
+      throw err;
+    }
+  }
+
+  // Trash methods
+  trashArticle(id) {
+    const stmt = this.db.prepare('UPDATE articles SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL');
+    return { changes: stmt.run(new Date().toISOString(), id).changes };
+  }
+
+  restoreArticle(id) {
+    const stmt = this.db.prepare('UPDATE articles SET deleted_at = NULL, updated_at = ? WHERE id = ? AND deleted_at IS NOT NULL');
+    return { changes: stmt.run(new Date().toISOString(), id).changes };
+  }
+
+  getTrashedArticles(userId = null) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM articles WHERE deleted_at IS NOT NULL AND (? IS NULL OR user_id = ?)
+      ORDER BY deleted_at DESC, id DESC
+    `);
+    return stmt.all(userId, userId).map(normalizeArticle);
+  }
+
+  // Permanently removes trashed articles deleted at or before `before` (all of them if omitted)
+  purgeTrash(before = null, userId = null) {
+    const transaction = this.db.transaction(() => {
+      const ids = this.db.prepare(`
+        SELECT id FROM articles
+        WHERE deleted_at IS NOT NULL AND (? IS NULL OR deleted_at <= ?) AND (? IS NULL OR user_id = ?)
+        ORDER BY deleted_at DESC, id DESC
+      `).all(before, before, userId, userId).map(row => row.id);
+
+      const remove = this.db.prepare('DELETE FROM articles WHERE id = ?');
+      for (const id of ids) {
+        remove.run(id);
+      }
+      return { changes: ids.length, ids };
+    });
+
+    try {
+      return transaction();
+    } catch (err) {
+      console.error('Error purging trash:', err);
+      throw err;
+    }
+  }
+
+  getUnsyncedArticles(userId = null) {
     try {
-      const stmt = this.db.prepare('SELECT * FROM articles WHERE obsidian_synced = FALSE ORDER BY created_at ASC');
-      return stmt.all();
+      const stmt = this.db.prepare(`
+        SELECT * FROM articles
+        WHERE obsidian_synced_at IS NULL AND deleted_at IS NULL AND (? IS NULL OR user_id = ?)
+        ORDER BY created_at ASC, id ASC
+      `);
+      return stmt.all(userId, userId).map(normalizeArticle);
     } catch (err) {
       console.error('Error getting unsynced articles:', err);
       throw err;
@@ -231,12 +697,23 @@ class DatabaseService {
   }
 
   markAsSynced(id) {
-    return this.updateArticle(id, { obsidian_synced: true });
+    const now = new Date().toISOString();
+    const stmt = this.db.prepare(`
+      UPDATE articles SET obsidian_synced = 1, obsidian_synced_at = ?, updated_at = ?
+      WHERE id = ? AND deleted_at IS NULL
+    `);
+    return { changes: stmt.run(now, now, id).changes };
   }
 
   close() {
+    // Only a fully opened database is saved; one that failed to open leaves the file as it was
+    const saving = this.saveTimer !== null;
+    this.stopSaving();
     if (this.db) {
       try {
+        if (saving && this.db.open) {
+          this.saveEncrypted();
+        }
         this.db.close();
         console.log('Database connection closed');
       } catch (err) {
@@ -246,17 +723,21 @@ class DatabaseService {
   }
 
   // Tag management methods
+  // Tags belong to the owner of the article they are added to
   addTagsToArticle(articleId, tagNames) {
     const transaction = this.db.transaction(() => {
-      for (const tagName of tagNames) {
+      const owner = this.db.prepare('SELECT user_id FROM articles WHERE id = ?').get(articleId);
+      const userId = owner ? owner.user_id : null;
+      for (const { name, color } of toTagEntries(tagNames)) {
         let tagId;
         
         // Get or create tag
-        const existingTag = this.db.prepare('SELECT id FROM tags WHERE name = ?').get(tagName);
+        const existingTag = this.db.prepare('SELECT id FROM tags WHERE name = ? AND user_id IS ?').get(name, userId);
         if (existingTag) {
           tagId = existingTag.id;
         } else {
-          const tagInfo = this.db.prepare('INSERT INTO tags (name) VALUES (?)').run(tagName);
+          const tagInfo = this.db.prepare('INSERT INTO tags (name, color, created_at, user_id) VALUES (?, ?, ?, ?)')
+            .run(name, color, new Date().toISOString(), userId);
           tagId = tagInfo.lastInsertRowid;
         }
         
@@ -279,68 +760,479 @@ class DatabaseService {
     if (tagNames === null) {
       // Remove all tags
       const stmt = this.db.prepare('DELETE FROM article_tags WHERE article_id = ?');
-      return stmt.run(articleId);
+      return { changes: stmt.run(articleId).changes };
     } else {
       // Remove specific tags
       const transaction = this.db.transaction(() => {
-        for (const tagName of tagNames) {
+        let changes = 0;
+        for (const { name: tagName } of toTagEntries(tagNames)) {
           const stmt = this.db.prepare(`
             DELETE FROM article_tags 
             WHERE article_id = ? AND tag_id IN (
               SELECT id FROM tags WHERE name = ?
             )
           `);
-          stmt.run(articleId, tagName);
+          changes += stmt.run(articleId, tagName).changes;
         }
+        return { changes };
       });
       return transaction();
     }
   }
 
+  updateTag(id, updates) {
+    const fields = {};
+    if (updates.name !== undefined) fields.name = String(updates.name).trim();
+    if (updates.color !== undefined) fields.color = updates.color || null;
+
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      const exists = this.db.prepare('SELECT 1 FROM tags WHERE id = ?').get(id);
+      return { changes: exists ? 1 : 0 };
+    }
+
+    const setClause = columns.map(column => `${column} = ?`).join(', ');
+    const stmt = this.db.prepare(`UPDATE tags SET ${setClause} WHERE id = ?`);
+    return { changes: stmt.run(...Object.values(fields), id).changes };
+  }
+
+  deleteTag(id) {
+    const stmt = this.db.prepare('DELETE FROM tags WHERE id = ?');
+    return { changes: stmt.run(id).changes };
+  }
+
   getArticleTags(articleId) {
     const stmt = this.db.prepare(`
       SELECT t.* FROM tags t
       JOIN article_tags at ON t.id = at.tag_id
       WHERE at.article_id = ?
+      ORDER BY t.name
+    `);
+    return stmt.all(articleId);
+  }
+
+  getAllTags(userId = null) {
+    const stmt = this.db.prepare('SELECT * FROM tags WHERE (? IS NULL OR user_id = ?) ORDER BY name');
+    return stmt.all(userId, userId);
+  }
+
+  getTagById(id) {
+    return this.db.prepare('SELECT * FROM tags WHERE id = ?').get(id);
+  }
+
+  // Collection methods
+  // Collections come with the number of articles in them, trashed ones left out
+  collectionQuery(where = '') {
+    return `
+      SELECT c.*, (
+        SELECT COUNT(*) FROM collection_articles ca JOIN articles a ON a.id = ca.article_id
+        WHERE ca.collection_id = c.id AND a.deleted_at IS NULL
+      ) AS article_count
+      FROM collections c ${where}
+    `;
+  }
+
+  getAllCollections(userId = null) {
+    return this.db.prepare(`${this.collectionQuery('WHERE (? IS NULL OR c.user_id = ?)')} ORDER BY c.name`).all(userId, userId);
+  }
+
+  getCollectionById(id) {
+    return this.db.prepare(this.collectionQuery('WHERE c.id = ?')).get(id);
+  }
+
+  // Names are unique per owner
+  checkCollectionName(name, userId, id = null) {
+    const existing = this.db.prepare('SELECT id FROM collections WHERE name = ? AND user_id IS ?').get(name, userId);
+    if (existing && existing.id !== Number(id)) {
+      throw new Error(`Collection "${name}" already exists`);
+    }
+  }
+
+  createCollection({ name, description = null, user_id = null }) {
+    const trimmed = String(name).trim();
+    this.checkCollectionName(trimmed, user_id);
+    const now = new Date().toISOString();
+    const info = this.db.prepare('INSERT INTO collections (name, description, created_at, updated_at, user_id) VALUES (?, ?, ?, ?, ?)')
+      .run(trimmed, description ?? null, now, now, user_id);
+    return this.getCollectionById(info.lastInsertRowid);
+  }
+
+  updateCollection(id, updates) {
+    const fields = {};
+    if (updates.name !== undefined) fields.name = String(updates.name).trim();
+    if (updates.description !== undefined) fields.description = updates.description ?? null;
+    if (fields.name !== undefined) {
+      const collection = this.db.prepare('SELECT user_id FROM collections WHERE id = ?').get(id);
+      if (collection) this.checkCollectionName(fields.name, collection.user_id, id);
+    }
+
+    const setClause = [...Object.keys(fields), 'updated_at'].map(column => `${column} = ?`).join(', ');
+    const stmt = this.db.prepare(`UPDATE collections SET ${setClause} WHERE id = ?`);
+    return { changes: stmt.run(...Object.values(fields), new Date().toISOString(), id).changes };
+  }
+
+  deleteCollection(id) {
+    const stmt = this.db.prepare('DELETE FROM collections WHERE id = ?');
+    return { changes: stmt.run(id).changes };
+  }
+
+  // Articles of a collection in their order, each with the time it was added
+  getCollectionArticles(collectionId) {
+    const stmt = this.db.prepare(`
+      SELECT a.*, ca.added_at FROM collection_articles ca
+      JOIN articles a ON a.id = ca.article_id
+      WHERE ca.collection_id = ? AND a.deleted_at IS NULL
+      ORDER BY ca.position, ca.article_id
+    `);
+    return stmt.all(collectionId).map(normalizeArticle);
+  }
+
+  getArticleCollections(articleId) {
+    const stmt = this.db.prepare(`
+      ${this.collectionQuery('JOIN collection_articles member ON member.collection_id = c.id')}
+      WHERE member.article_id = ?
+      ORDER BY c.name
     `);
     return stmt.all(articleId);
   }
 
-  getAllTags() {
-    const stmt = this.db.prepare('SELECT * FROM tags ORDER BY name');
-    return stmt.all();
+  // Article ids of a collection in order, trashed articles included
+  getCollectionOrder(collectionId) {
+    return this.db.prepare('SELECT article_id FROM collection_articles WHERE collection_id = ? ORDER BY position, article_id')
+      .all(collectionId)
+      .map(row => row.article_id);
+  }
+
+  // Stores `order` as the positions of a collection's articles, adding the new ones
+  writeCollectionOrder(collectionId, order) {
+    const now = new Date().toISOString();
+    const upsert = this.db.prepare(`
+      INSERT INTO collection_articles (collection_id, article_id, position, added_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection_id, article_id) DO UPDATE SET position = excluded.position
+    `);
+    order.forEach((articleId, position) => upsert.run(collectionId, articleId, position, now));
+    this.db.prepare('UPDATE collections SET updated_at = ? WHERE id = ?').run(now, collectionId);
+  }
+
+  // Adds the articles (skipping unknown, trashed and existing ones) at `position`, or at the end
+  addArticlesToCollection(collectionId, articleIds, position = null) {
+    const transaction = this.db.transaction(() => {
+      if (!this.getCollectionById(collectionId)) return { changes: 0 };
+
+      const ids = articleIds.map(Number).filter(id => this.getArticleById(id));
+      const order = this.getCollectionOrder(collectionId);
+      const updated = insertIntoOrder(order, ids, position);
+      if (updated.length === order.length) return { changes: 0 };
+
+      this.writeCollectionOrder(collectionId, updated);
+      return { changes: updated.length - order.length };
+    });
+    return transaction();
+  }
+
+  removeArticlesFromCollection(collectionId, articleIds) {
+    const transaction = this.db.transaction(() => {
+      const remove = this.db.prepare('DELETE FROM collection_articles WHERE collection_id = ? AND article_id = ?');
+      const changes = articleIds.reduce((sum, articleId) => sum + remove.run(collectionId, articleId).changes, 0);
+      if (changes > 0) {
+        this.db.prepare('UPDATE collections SET updated_at = ? WHERE id = ?').run(new Date().toISOString(), collectionId);
+      }
+      return { changes };
+    });
+    return transaction();
+  }
+
+  // Moves the listed articles to the front in that order; see moveToFront in storage.js
+  reorderCollection(collectionId, articleIds) {
+    const transaction = this.db.transaction(() => {
+      if (!this.getCollectionById(collectionId)) return { changes: 0 };
+      this.writeCollectionOrder(collectionId, moveToFront(this.getCollectionOrder(collectionId), articleIds.map(Number)));
+      return { changes: 1 };
+    });
+    return transaction();
+  }
+
+  // Saved search methods
+  // The query is stored as JSON
+  toSavedSearch(row) {
+    return row && { ...row, query: JSON.parse(row.query) };
+  }
+
+  getAllSavedSearches(userId = null) {
+    return this.db.prepare('SELECT * FROM saved_searches WHERE (? IS NULL OR user_id = ?) ORDER BY name')
+      .all(userId, userId)
+      .map(row => this.toSavedSearch(row));
+  }
+
+  getSavedSearchById(id) {
+    return this.toSavedSearch(this.db.prepare('SELECT * FROM saved_searches WHERE id = ?').get(id));
+  }
+
+  // Names are unique per owner
+  checkSavedSearchName(name, userId, id = null) {
+    const existing = this.db.prepare('SELECT id FROM saved_searches WHERE name = ? AND user_id IS ?').get(name, userId);
+    if (existing && existing.id !== Number(id)) {
+      throw new Error(`Saved search "${name}" already exists`);
+    }
+  }
+
+  createSavedSearch({ name, query, user_id = null }) {
+    const trimmed = String(name).trim();
+    this.checkSavedSearchName(trimmed, user_id);
+    const now = new Date().toISOString();
+    const info = this.db.prepare('INSERT INTO saved_searches (name, query, created_at, updated_at, user_id) VALUES (?, ?, ?, ?, ?)')
+      .run(trimmed, JSON.stringify(query), now, now, user_id);
+    return this.getSavedSearchById(info.lastInsertRowid);
+  }
+
+  updateSavedSearch(id, updates) {
+    const fields = {};
+    if (updates.name !== undefined) fields.name = String(updates.name).trim();
+    if (updates.query !== undefined) fields.query = JSON.stringify(updates.query);
+    if (fields.name !== undefined) {
+      const search = this.db.prepare('SELECT user_id FROM saved_searches WHERE id = ?').get(id);
+      if (search) this.checkSavedSearchName(fields.name, search.user_id, id);
+    }
+
+    const setClause = [...Object.keys(fields), 'updated_at'].map(column => `${column} = ?`).join(', ');
+    const stmt = this.db.prepare(`UPDATE saved_searches SET ${setClause} WHERE id = ?`);
+    return { changes: stmt.run(...Object.values(fields), new Date().toISOString(), id).changes };
+  }
+
+  deleteSavedSearch(id) {
+    const stmt = this.db.prepare('DELETE FROM saved_searches WHERE id = ?');
+    return { changes: stmt.run(id).changes };
+  }
+
+  // Daily sizes of a saved search, oldest first
+  getSavedSearchCounts(id) {
+    const stmt = this.db.prepare('SELECT date, count FROM saved_search_counts WHERE saved_search_id = ? ORDER BY date');
+    return stmt.all(id);
+  }
+
+  // Records the size of a saved search on `date` (YYYY-MM-DD), replacing an earlier count for that day
+  recordSavedSearchCount(id, date, count) {
+    const stmt = this.db.prepare(`
+      INSERT INTO saved_search_counts (saved_search_id, date, count)
+      SELECT id, ?, ? FROM saved_searches WHERE id = ?
+      ON CONFLICT (saved_search_id, date) DO UPDATE SET count = excluded.count
+    `);
+    return { changes: stmt.run(date, count, id).changes };
+  }
+
+  // Activity log methods
+  toActivity(row) {
+    return row && { ...row, details: row.details ? JSON.parse(row.details) : null };
+  }
+
+  recordActivity({ user_id = null, type, source, article_id = null, details = null, created_at = new Date().toISOString() }) {
+    const info = this.db.prepare(`
+      INSERT INTO activity (user_id, type, source, article_id, details, created_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(user_id, type, source, article_id, details ? JSON.stringify(details) : null, created_at);
+    return this.toActivity(this.db.prepare('SELECT * FROM activity WHERE id = ?').get(info.lastInsertRowid));
+  }
+
+  /**
+   * Activity entries, newest first. Filters: types and sources (lists),
+   * article_id, since and until (ISO dates), before (only entries with a
+   * lower id) and limit.
+   */
+  getActivity(filters = {}, userId = null) {
+    const where = ['(? IS NULL OR user_id = ?)'];
+    const values = [userId, userId];
+    if (filters.types && filters.types.length > 0) {
+      where.push(`type IN (${filters.types.map(() => '?').join(', ')})`);
+      values.push(...filters.types);
+    }
+    if (filters.sources && filters.sources.length > 0) {
+      where.push(`source IN (${filters.sources.map(() => '?').join(', ')})`);
+      values.push(...filters.sources);
+    }
+    for (const [filter, condition] of [
+      ['article_id', 'article_id = ?'], ['since', 'created_at >= ?'], ['until', 'created_at < ?'], ['before', 'id < ?']
+    ]) {
+      if (filters[filter] !== undefined && filters[filter] !== null) {
+        where.push(condition);
+        values.push(filters[filter]);
+      }
+    }
+
+    const limit = filters.limit ? 'LIMIT ?' : '';
+    if (filters.limit) values.push(filters.limit);
+    return this.db.prepare(`SELECT * FROM activity WHERE ${where.join(' AND ')} ORDER BY id DESC ${limit}`)
+      .all(...values).map(row => this.toActivity(row));
+  }
+
+  // Removes entries logged before `before` (an ISO date)
+  purgeActivity(before) {
+    const stmt = this.db.prepare('DELETE FROM activity WHERE created_at < ?');
+    return { changes: stmt.run(before).changes };
+  }
+
+  // User methods
+  toUser(row) {
+    return row && { ...row, is_admin: !!row.is_admin };
+  }
+
+  checkUsername(username) {
+    if (this.db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) {
+      throw new Error(`User "${username}" already exists`);
+    }
+  }
+
+  createUser({ username, password_hash, is_admin = false }) {
+    const trimmed = String(username).trim();
+    this.checkUsername(trimmed);
+    const info = this.db.prepare('INSERT INTO users (username, password_hash, is_admin, created_at) VALUES (?, ?, ?, ?)')
+      .run(trimmed, password_hash, is_admin ? 1 : 0, new Date().toISOString());
+    return this.getUserById(info.lastInsertRowid);
+  }
+
+  getUserById(id) {
+    return this.toUser(this.db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  }
+
+  // Usernames compare case-insensitively (COLLATE NOCASE)
+  getUserByUsername(username) {
+    return this.toUser(this.db.prepare('SELECT * FROM users WHERE username = ?').get(String(username).trim()));
+  }
+
+  getAllUsers() {
+    return this.db.prepare('SELECT * FROM users ORDER BY id').all().map(row => this.toUser(row));
+  }
+
+  // Gives `userId` everything saved before accounts existed; returns the count per kind of record
+  claimUnownedRecords(userId) {
+    const transaction = this.db.transaction(() => {
+      const counts = {};
+      for (const table of ['articles', 'tags', 'highlights', 'collections', 'saved_searches']) {
+        counts[table] = this.db.prepare(`UPDATE ${table} SET user_id = ? WHERE user_id IS NULL`).run(userId).changes;
+      }
+      return counts;
+    });
+    return transaction();
+  }
+
+  // Session methods
+  // Only a hash of the session token is stored
+  createSession({ user_id, token_hash, expires_at }) {
+    const info = this.db.prepare('INSERT INTO sessions (user_id, token_hash, created_at, expires_at) VALUES (?, ?, ?, ?)')
+      .run(user_id, token_hash, new Date().toISOString(), expires_at);
+    return this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(info.lastInsertRowid);
+  }
+
+  getSessionByTokenHash(tokenHash) {
+    return this.db.prepare('SELECT * FROM sessions WHERE token_hash = ?').get(tokenHash);
+  }
+
+  deleteSession(tokenHash) {
+    const stmt = this.db.prepare('DELETE FROM sessions WHERE token_hash = ?');
+    return { changes: stmt.run(tokenHash).changes };
+  }
+
+  purgeExpiredSessions(now = new Date().toISOString()) {
+    const stmt = this.db.prepare('DELETE FROM sessions WHERE expires_at <= ?');
+    return { changes: stmt.run(now).changes };
+  }
+
+  // API token methods
+  // Only a hash of the token is stored, like sessions
+  createApiToken({ user_id, name, scope, token_hash }) {
+    const info = this.db.prepare('INSERT INTO api_tokens (user_id, name, scope, token_hash, created_at) VALUES (?, ?, ?, ?, ?)')
+      .run(user_id, name, scope, token_hash, new Date().toISOString());
+    return this.db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(info.lastInsertRowid);
+  }
+
+  // A user's tokens, oldest first
+  getApiTokens(userId) {
+    return this.db.prepare('SELECT * FROM api_tokens WHERE user_id = ? ORDER BY id').all(userId);
+  }
+
+  getApiTokenByHash(tokenHash) {
+    return this.db.prepare('SELECT * FROM api_tokens WHERE token_hash = ?').get(tokenHash);
+  }
+
+  touchApiToken(id, usedAt = new Date().toISOString()) {
+    const stmt = this.db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?');
+    return { changes: stmt.run(usedAt, id).changes };
+  }
+
+  // Revokes token `id` if it belongs to `userId`
+  deleteApiToken(id, userId) {
+    const stmt = this.db.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?');
+    return { changes: stmt.run(id, userId).changes };
   }
 
   // Full-text search method
-  searchArticles(query) {
+  // Takes a query string or an already parsed query (see search-query.js).
+  // Results are ranked when the query has words to match, newest first otherwise;
+  // each carries its tag names, a relevance score and a highlighted snippet.
+  searchArticles(query, userId = null) {
+    const search = typeof query === 'string' ? parseSearchQuery(query) : query;
     try {
+      const { where, values, match } = this.buildSearchFilters(search.clauses);
+      const conditions = ['articles.deleted_at IS NULL', ...where];
+      if (userId !== null) {
+        conditions.push('articles.user_id = ?');
+        values.push(userId);
+      }
+      if (match) {
+        conditions.push('articles_fts MATCH ?');
+        values.push(match);
+      }
+
+      // bm25() takes a weight per articles_fts column, in SEARCH_FIELDS order
+      const weights = SEARCH_FIELDS.map(field => FIELD_BOOSTS[field]).join(', ');
       const stmt = this.db.prepare(`
-        SELECT a.*, GROUP_CONCAT(t.name) as tag_names
-        FROM articles_fts fts
-        JOIN articles a ON a.id = fts.rowid
-        LEFT JOIN article_tags at ON a.id = at.article_id
-        LEFT JOIN tags t ON at.tag_id = t.id
-        WHERE articles_fts MATCH ?
-        GROUP BY a.id
-        ORDER BY rank
+        SELECT articles.*${match ? `, bm25(articles_fts, ${weights}) AS rank` : ''}
+        FROM articles
+        ${match ? 'JOIN articles_fts ON articles_fts.rowid = articles.id' : ''}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${match ? 'rank, ' : ''}articles.created_at DESC, articles.id DESC
       `);
-      return stmt.all(query);
+
+      return stmt.all(...values).map(({ rank, ...row }) => {
+        const article = normalizeArticle(row);
+        return {
+          ...article,
+          tag_names: this.getArticleTags(article.id).map(tag => tag.name),
+          // bm25() is lower for better matches
+          score: match ? Math.round(-rank * 1000) / 1000 : 0,
+          snippet: match ? textSnippet(article, search.clauses) : null
+        };
+      });
     } catch (err) {
       console.error('Error searching articles:', err);
       throw err;
     }
   }
 
+  // Re-indexes every article in articles_fts, for databases whose index has
+  // drifted from the articles table
+  rebuildSearchIndex() {
+    try {
+      this.db.prepare("INSERT INTO articles_fts (articles_fts) VALUES ('rebuild')").run();
+      return { indexed: this.db.prepare('SELECT COUNT(*) AS count FROM articles').get().count };
+    } catch (err) {
+      console.error('Error rebuilding search index:', err);
+      throw err;
+    }
+  }
+
   // Highlight management methods
+  // Highlights belong to the owner of their article
   addHighlight(articleId, highlight) {
     const { text, context, position_start, position_end, note } = highlight;
     try {
       const stmt = this.db.prepare(`
-        INSERT INTO highlights (article_id, text, context, position_start, position_end, note)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO highlights (article_id, text, context, position_start, position_end, note, created_at, user_id)
+        SELECT ?, ?, ?, ?, ?, ?, ?, (SELECT user_id FROM articles WHERE id = ?)
       `);
-      const info = stmt.run(articleId, text, context, position_start, position_end, note);
-      return { id: info.lastInsertRowid, ...highlight };
+      const info = stmt.run(
+        articleId, text, context ?? null, position_start ?? null, position_end ?? null, note ?? null,
+        new Date().toISOString(), articleId
+      );
+      return this.db.prepare('SELECT * FROM highlights WHERE id = ?').get(info.lastInsertRowid);
     } catch (err) {
       console.error('Error adding highlight:', err);
       throw err;
@@ -348,19 +1240,52 @@ class DatabaseService {
   }
 
   getArticleHighlights(articleId) {
-    const stmt = this.db.prepare('SELECT * FROM highlights WHERE article_id = ? ORDER BY position_start');
+    const stmt = this.db.prepare('SELECT * FROM highlights WHERE article_id = ? ORDER BY position_start, id');
     return stmt.all(articleId);
   }
 
+  getHighlightById(id) {
+    return this.db.prepare('SELECT * FROM highlights WHERE id = ?').get(id);
+  }
+
   deleteHighlight(highlightId) {
     const stmt = this.db.prepare('DELETE FROM highlights WHERE id = ?');
-    return stmt.run(highlightId);
+    return { changes: stmt.run(highlightId).changes };
   }
 
   // Progress tracking
   updateReadingProgress(articleId, progress) {
-    const stmt = this.db.prepare('UPDATE articles SET reading_progress = ?, last_read_at = CURRENT_TIMESTAMP WHERE id = ?');
-    return stmt.run(progress, articleId);
+    const now = new Date().toISOString();
+    const stmt = this.db.prepare(`
+      UPDATE articles SET reading_progress = ?, last_read_at = ?, updated_at = ?
+      WHERE id = ? AND deleted_at IS NULL
+    `);
+    return { changes: stmt.run(progress, now, now, articleId).changes };
+  }
+
+  // Writes go straight to the database; fold the WAL back into the main file
+  flush() {
+    if (this.db && this.db.open) {
+      if (this.cipher) {
+        this.saveEncrypted();
+      } else {
+        this.db.pragma('wal_checkpoint(TRUNCATE)');
+      }
+    }
+  }
+
+  /**
+   * Throws a StorageError while an encrypted database can't be written to
+   * disk (e.g. the disk is full), after trying once more, so that a change
+   * isn't reported as made when it would be lost on restart.
+   */
+  checkWritable() {
+    if (this.cipher && this.lastSaveError && this.db && this.db.open) {
+      this.saveEncrypted();
+    }
+    if (this.lastSaveError) {
+      throw new StorageError(`Failed to save database: ${this.lastSaveError.message}`, this.lastSaveError);
+    }
   }
 
   // Health check method
@@ -368,7 +1293,8 @@ class DatabaseService {
     try {
       const stmt = this.db.prepare('SELECT 1');
       stmt.get();
-      return true;
+      // An encrypted database only reaches the disk through saveEncrypted
+      return this.lastSaveError === null;
     } catch (err) {
       console.error('Database health check failed:', err);
       return false;
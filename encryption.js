@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Opt-in encryption at rest for the article store and its backups.
+ *
+ * Data is sealed with AES-256-GCM, so a wrong key or a modified file fails
+ * to open instead of decrypting to garbage. The key is derived from a
+ * passphrase (scrypt) or from a key file (HKDF-SHA256), with a random salt
+ * stored alongside. A sealed value is a single line of text, which lets the
+ * same format serve whole files and individual journal entries:
+ *
+ *   rlenc1.<salt>.<key check>.<iv>.<tag>.<ciphertext>      (base64url)
+ *
+ * The key check is derived from the key, so a wrong key is told apart from
+ * damaged data (EncryptionKeyError) before anything is decrypted.
+ *
+ * Encryption is on when ENCRYPTION_PASSPHRASE or ENCRYPTION_KEY_FILE is set
+ * (see loadCipher); storage-encryption.js rotates keys and decrypts files.
+ */
+
+const PREFIX = 'rlenc1';
+const KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const CHECK_BYTES = 8;
+const MIN_KEY_FILE_BYTES = 32;
+
+// scrypt cost: about 32 MB and a tenth of a second, paid once per salt
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+const KEY_SOURCE_HINT = 'set ENCRYPTION_PASSPHRASE or ENCRYPTION_KEY_FILE';
+
+// The key is missing or is not the one the data was sealed with
+class EncryptionKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionKeyError';
+  }
+}
+
+// Whether a file's contents (string or Buffer) are sealed
+function isEncrypted(contents) {
+  const start = Buffer.isBuffer(contents) ? contents.subarray(0, PREFIX.length + 1).toString() : String(contents).slice(0, PREFIX.length + 1);
+  return start === `${PREFIX}.`;
+}
+
+// Trailing newlines and spaces are not part of a key, so editors can't change it
+function trimKey(contents) {
+  let end = contents.length;
+  while (end > 0 && [0x0a, 0x0d, 0x20, 0x09].includes(contents[end - 1])) end--;
+  return contents.subarray(0, end);
+}
+
+class DataCipher {
+  /**
+   * @param {Buffer|string} secret - passphrase or key file contents
+   * @param {'passphrase'|'key file'} source
+   */
+  constructor(secret, source) {
+    this.secret = Buffer.from(secret);
+    this.source = source;
+    this.keys = new Map(); // salt (base64url) -> { key, check }
+    this.salt = crypto.randomBytes(SALT_BYTES);
+  }
+
+  static fromPassphrase(passphrase) {
+    if (!passphrase) {
+      throw new EncryptionKeyError('The encryption passphrase is empty');
+    }
+    return new DataCipher(passphrase, 'passphrase');
+  }
+
+  static fromKeyFile(file) {
+    let contents;
+    try {
+      contents = trimKey(fs.readFileSync(file));
+    } catch (error) {
+      throw new EncryptionKeyError(`Cannot read encryption key file ${file}: ${error.message}`);
+    }
+    if (contents.length < MIN_KEY_FILE_BYTES) {
+      throw new EncryptionKeyError(`Encryption key file ${file} is too short: use at least ${MIN_KEY_FILE_BYTES} random bytes (see "npm run encryption -- keygen")`);
+    }
+    return new DataCipher(contents, 'key file');
+  }
+
+  deriveKey(salt) {
+    const id = salt.toString('base64url');
+    let entry = this.keys.get(id);
+    if (!entry) {
+      const key = this.source === 'passphrase'
+        ? crypto.scryptSync(this.secret, salt, KEY_BYTES, SCRYPT_OPTIONS)
+        : Buffer.from(crypto.hkdfSync('sha256', this.secret, salt, 'read-later encryption at rest', KEY_BYTES));
+      const check = crypto.createHmac('sha256', key).update('key check').digest().subarray(0, CHECK_BYTES);
+      entry = { key, check };
+      this.keys.set(id, entry);
+    }
+    return entry;
+  }
+
+  // Seals a string or Buffer into one line of text
+  encrypt(data) {
+    const { key, check } = this.deriveKey(this.salt);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const header = [PREFIX, this.salt.toString('base64url'), check.toString('base64url')].join('.');
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(header));
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    return [header, iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), ciphertext.toString('base64url')].join('.');
+  }
+
+  /**
+   * Opens a sealed value. Throws EncryptionKeyError for a different key and
+   * a plain Error for damaged data; `label` names the data in both.
+   */
+  decrypt(sealed, label = 'data') {
+    const parts = String(sealed).trim().split('.');
+    if (parts.length !== 6 || parts[0] !== PREFIX) {
+      throw new Error(`Cannot decrypt ${label}: not encrypted data, or it is truncated`);
+    }
+
+    const [, salt, check, iv, tag, ciphertext] = parts;
+    const { key, check: expected } = this.deriveKey(Buffer.from(salt, 'base64url'));
+    const given = Buffer.from(check, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new EncryptionKeyError(`Cannot decrypt ${label}: it was encrypted with a different key (check the ${this.source})`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+      decipher.setAAD(Buffer.from(parts.slice(0, 3).join('.')));
+      decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+      return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+    } catch {
+      throw new Error(`Cannot decrypt ${label}: the data is damaged or was modified`);
+    }
+  }
+}
+
+/**
+ * The cipher configured in the environment, or null when encryption is off.
+ * A passphrase wins over a key file.
+ */
+function loadCipher(env = process.env) {
+  if (env.ENCRYPTION_PASSPHRASE) {
+    return DataCipher.fromPassphrase(env.ENCRYPTION_PASSPHRASE);
+  }
+  if (env.ENCRYPTION_KEY_FILE) {
+    return DataCipher.fromKeyFile(env.ENCRYPTION_KEY_FILE);
+  }
+  return null;
+}
+
+// `contents` as stored (sealed or not) as a Buffer; sealed data needs `cipher`
+function unseal(contents, cipher, label) {
+  if (!isEncrypted(contents)) {
+    return Buffer.from(contents);
+  }
+  if (!cipher) {
+    throw new EncryptionKeyError(`${label} is encrypted: ${KEY_SOURCE_HINT} to open it`);
+  }
+  return cipher.decrypt(contents, label);
+}
+
+// `data` sealed with `cipher`, or unchanged without one
+function seal(data, cipher) {
+  return cipher ? cipher.encrypt(data) : data;
+}
+
+// 32 random bytes, base64 encoded, for ENCRYPTION_KEY_FILE
+function generateKey() {
+  return `${crypto.randomBytes(KEY_BYTES).toString('base64')}\n`;
+}
+
+module.exports = {
+  DataCipher,
+  EncryptionKeyError,
+  isEncrypted,
+  loadCipher,
+  unseal,
+  seal,
+  generateKey
+};
@@ -0,0 +1,85 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { isEncrypted } = require('./encryption');
+const { SchemaMigrator } = require('./migrations');
+
+const USAGE = `Usage: node migrate-schema.js [status|up] [options]
+
+Commands:
+  status             Show the current schema version and pending migrations (default)
+  up                 Apply pending migrations
+
+Options:
+  --dry-run          Run pending migrations in a transaction that is rolled back
+  --sqlite <path>    SQLite database (default: $SQLITE_DB_PATH or articles.db)`;
+
+function parseArgs(argv) {
+  const args = { command: 'status', dryRun: false, dbPath: process.env.SQLITE_DB_PATH || path.join(__dirname, 'articles.db') };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--sqlite') {
+      args.dbPath = argv[++i];
+    } else if (arg === 'status' || arg === 'up') {
+      args.command = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (fs.existsSync(args.dbPath) && isEncrypted(fs.readFileSync(args.dbPath))) {
+    throw new Error(`${args.dbPath} is encrypted; its schema is migrated when the server starts with the encryption key`);
+  }
+
+  const db = new Database(args.dbPath);
+  try {
+    const migrator = new SchemaMigrator(db);
+    const status = migrator.getStatus();
+    console.log(`📚 ${args.dbPath}`);
+    console.log(`   Schema version: ${status.current_version} (latest: ${status.latest_version})`);
+
+    if (args.command === 'status' && !args.dryRun) {
+      for (const migration of status.pending) {
+        console.log(`   ⏳ ${migration.name} - ${migration.description}`);
+      }
+      if (status.pending.length === 0) {
+        console.log('✅ Schema is up to date');
+      }
+      return;
+    }
+
+    const result = migrator.migrate({ dryRun: args.dryRun });
+    for (const migration of result.applied) {
+      console.log(`   ✅ ${migration.name} - ${migration.description}`);
+    }
+    if (args.dryRun) {
+      console.log(`\n✅ Dry run: ${result.applied.length} migration(s) would apply cleanly, nothing was changed`);
+    } else {
+      console.log(`\n✅ Schema now at version ${result.to_version}`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('❌ Schema migration failed:', error.message);
+  process.exit(1);
+}
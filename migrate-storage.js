@@ -0,0 +1,88 @@
+const StorageMigration = require('./services/storage-migration');
+
+const USAGE = `Usage: node migrate-storage.js <json-to-sqlite|sqlite-to-json> [options]
+
+Options:
+  --dry-run          Migrate into a temporary copy and only print the report
+  --overwrite        Replace any articles already in the target backend
+  --json <path>      JSON data file (default: $JSON_DB_PATH or articles.json)
+  --sqlite <path>    SQLite database (default: $SQLITE_DB_PATH or articles.db)
+
+Stop the server first: the target backend must not be in use.`;
+
+function parseArgs(argv) {
+  const args = { direction: null, dryRun: false, overwrite: false, paths: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--overwrite':
+        args.overwrite = true;
+        break;
+      case '--json':
+      case '--sqlite':
+        args.paths[arg.slice(2)] = argv[++i];
+        break;
+      default:
+        if (arg.startsWith('--') || args.direction) {
+          throw new Error(`Unexpected argument: ${arg}`);
+        }
+        args.direction = arg;
+    }
+  }
+
+  if (!args.direction) {
+    throw new Error('Migration direction is required');
+  }
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  console.log(`🔄 Migrating ${args.direction}${args.dryRun ? ' (dry run)' : ''}...`);
+
+  const migration = new StorageMigration({ paths: args.paths });
+  const report = await migration.migrate(args.direction, {
+    dryRun: args.dryRun,
+    overwrite: args.overwrite
+  });
+
+  console.log('\n📊 Migration Report:');
+  console.log(`   Source: ${report.source.backend} (${report.source.path})`);
+  console.log(`   Target: ${report.target.backend}${report.target.path ? ` (${report.target.path})` : ''}`);
+  for (const key of ['articles', 'tags', 'article_tags', 'highlights', 'revisions']) {
+    console.log(`   ${key}: ${report.counts.source[key]} -> ${report.counts.target[key]}`);
+  }
+  console.log(`   next id: ${report.counts.next_id.source} -> ${report.counts.next_id.target}`);
+  console.log(`   Checksums ${report.checksums.match ? 'match' : 'DIFFER'}: ${report.checksums.source}`);
+
+  for (const failure of report.failed) {
+    console.log(`❌ ${failure.type} ${failure.id}: ${failure.error}`);
+  }
+  for (const mismatch of report.mismatches) {
+    console.log(`⚠️  article ${mismatch.id} (${mismatch.url}): ${mismatch.reason}`);
+  }
+
+  if (report.success) {
+    console.log(`\n✅ Migration ${args.dryRun ? 'dry run ' : ''}completed without errors`);
+  } else {
+    console.log('\n⚠️  Migration finished with errors, see the report above');
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
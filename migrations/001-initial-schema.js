@@ -0,0 +1,60 @@
+// Baseline schema. Uses IF NOT EXISTS so databases created before migrations
+// existed (by the old createTables()) are adopted as version 1 unchanged.
+module.exports = {
+  description: 'Create articles, tags, article_tags, highlights and articles_fts',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT UNIQUE NOT NULL,
+        title TEXT NOT NULL,
+        content TEXT,
+        excerpt TEXT,
+        author TEXT,
+        domain TEXT,
+        word_count INTEGER,
+        reading_time INTEGER,
+        publish_date TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_read_at DATETIME,
+        reading_progress REAL DEFAULT 0.0,
+        is_read BOOLEAN DEFAULT FALSE,
+        is_favorite BOOLEAN DEFAULT FALSE,
+        is_archived BOOLEAN DEFAULT FALSE,
+        obsidian_path TEXT,
+        obsidian_synced_at DATETIME
+      );
+
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        color TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS article_tags (
+        article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
+        tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (article_id, tag_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS highlights (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
+        text TEXT NOT NULL,
+        context TEXT,
+        position_start INTEGER,
+        position_end INTEGER,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
+        title, content, author, excerpt,
+        content='articles', content_rowid='id'
+      );
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+const { addColumn } = require('./helpers');
+
+// Columns ObsidianSync and updateArticle already write to
+module.exports = {
+  description: 'Add obsidian_synced, notes and tags columns to articles',
+
+  up(db) {
+    addColumn(db, 'articles', 'obsidian_synced', 'BOOLEAN DEFAULT FALSE');
+    addColumn(db, 'articles', 'notes', 'TEXT');
+    addColumn(db, 'articles', 'tags', 'TEXT');
+
+    db.exec('UPDATE articles SET obsidian_synced = TRUE WHERE obsidian_synced_at IS NOT NULL');
+  }
+};
@@ -0,0 +1,17 @@
+// Foreign keys were never switched on before, so deleting an article left its
+// tag links and highlights behind. DatabaseService now enables them; clear out
+// what earlier deletes missed so the cascade starts from a clean slate.
+module.exports = {
+  description: 'Remove tag links and highlights of deleted articles',
+
+  up(db) {
+    db.exec(`
+      DELETE FROM article_tags
+      WHERE article_id NOT IN (SELECT id FROM articles)
+         OR tag_id NOT IN (SELECT id FROM tags);
+
+      DELETE FROM highlights
+      WHERE article_id NOT IN (SELECT id FROM articles);
+    `);
+  }
+};
@@ -0,0 +1,11 @@
+const { addColumn } = require('./helpers');
+
+// Soft delete: trashed articles keep their row until the trash is purged
+module.exports = {
+  description: 'Add deleted_at to articles for the trash',
+
+  up(db) {
+    addColumn(db, 'articles', 'deleted_at', 'DATETIME');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_articles_deleted_at ON articles(deleted_at)');
+  }
+};
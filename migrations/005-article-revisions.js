@@ -0,0 +1,19 @@
+// Revision history. Each row holds only the fields that changed (as JSON);
+// revision 1 of an article holds all of them.
+module.exports = {
+  description: 'Create article_revisions',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS article_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        created_at DATETIME NOT NULL,
+        UNIQUE (article_id, revision)
+      );
+    `);
+  }
+};
@@ -0,0 +1,38 @@
+const { addColumn } = require('./helpers');
+
+/**
+ * The key this migration shipped with, kept here so it computes what it always
+ * has: scheme and host lowercased, default port, fragment and trailing slash
+ * dropped. Strings that don't parse as URLs are only trimmed. 008 re-keys
+ * articles with url-normalizer.
+ */
+function normalizeUrl(url) {
+  const trimmed = String(url ?? '').trim();
+  try {
+    const parsed = new URL(trimmed);
+    parsed.hash = '';
+    if (parsed.pathname.length > 1) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    }
+    return parsed.toString();
+  } catch {
+    return trimmed;
+  }
+}
+
+// getArticleByUrl matches on the normalized URL in both backends. Not unique:
+// older libraries may already hold two spellings of the same URL.
+module.exports = {
+  description: 'Add normalized url_key to articles',
+
+  up(db) {
+    addColumn(db, 'articles', 'url_key', 'TEXT');
+
+    const setKey = db.prepare('UPDATE articles SET url_key = ? WHERE id = ?');
+    for (const row of db.prepare('SELECT id, url FROM articles').all()) {
+      setKey.run(normalizeUrl(row.url), row.id);
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_articles_url_key ON articles(url_key)');
+  }
+};
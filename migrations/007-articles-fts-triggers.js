@@ -0,0 +1,30 @@
+// articles_fts indexes the articles table (external content), so it has to be
+// told about every change. Until now only createArticle did that, which left
+// edits unsearchable and deleted articles in the index; the triggers cover
+// every write and the index is rebuilt once from the current articles.
+module.exports = {
+  description: 'Keep articles_fts in sync with triggers and rebuild it',
+
+  up(db) {
+    db.exec(`
+      CREATE TRIGGER IF NOT EXISTS articles_fts_insert AFTER INSERT ON articles BEGIN
+        INSERT INTO articles_fts (rowid, title, content, author, excerpt)
+        VALUES (new.id, new.title, new.content, new.author, new.excerpt);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS articles_fts_delete AFTER DELETE ON articles BEGIN
+        INSERT INTO articles_fts (articles_fts, rowid, title, content, author, excerpt)
+        VALUES ('delete', old.id, old.title, old.content, old.author, old.excerpt);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS articles_fts_update AFTER UPDATE OF title, content, author, excerpt ON articles BEGIN
+        INSERT INTO articles_fts (articles_fts, rowid, title, content, author, excerpt)
+        VALUES ('delete', old.id, old.title, old.content, old.author, old.excerpt);
+        INSERT INTO articles_fts (rowid, title, content, author, excerpt)
+        VALUES (new.id, new.title, new.content, new.author, new.excerpt);
+      END;
+
+      INSERT INTO articles_fts (articles_fts) VALUES ('rebuild');
+    `);
+  }
+};
@@ -0,0 +1,21 @@
+const { addColumn } = require('./helpers');
+const { canonicalizeUrl, normalizeUrl } = require('../url-normalizer');
+
+// Articles keep the URL they were saved from and their canonical URL; url_key
+// is now derived from the canonical one and ignores tracking parameters, AMP
+// and mobile variants, http vs https and www, so every key set by 006 is
+// recomputed. Existing duplicates this uncovers are left for the duplicate
+// merge to resolve.
+module.exports = {
+  description: 'Add canonical_url to articles and re-key them on it',
+
+  up(db) {
+    addColumn(db, 'articles', 'canonical_url', 'TEXT');
+
+    const setUrls = db.prepare('UPDATE articles SET canonical_url = ?, url_key = ? WHERE id = ?');
+    for (const row of db.prepare('SELECT id, url FROM articles').all()) {
+      const canonical = canonicalizeUrl(row.url);
+      setUrls.run(canonical, normalizeUrl(canonical), row.id);
+    }
+  }
+};
@@ -0,0 +1,27 @@
+// Collections: named, ordered reading lists. An article can be in any number
+// of them; `position` orders the articles within one collection.
+module.exports = {
+  description: 'Create collections and collection_articles',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS collections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS collection_articles (
+        collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+        article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        added_at DATETIME NOT NULL,
+        PRIMARY KEY (collection_id, article_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_collection_articles_article ON collection_articles(article_id);
+    `);
+  }
+};
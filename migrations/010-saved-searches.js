@@ -0,0 +1,24 @@
+// Saved searches: a named set of list parameters (stored as JSON), plus one
+// row per day with the number of articles it matched, for trends.
+module.exports = {
+  description: 'Create saved_searches and saved_search_counts',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        query TEXT NOT NULL,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS saved_search_counts (
+        saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+        date TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        PRIMARY KEY (saved_search_id, date)
+      );
+    `);
+  }
+};
@@ -0,0 +1,44 @@
+const { addColumn } = require('./helpers');
+
+// Notes get a version for optimistic concurrency (see updateArticle's
+// notesVersion option) and become searchable: articles_fts is recreated with
+// a notes column, its triggers with it, and rebuilt from the articles.
+module.exports = {
+  description: 'Add notes_version and notes_updated_at, index notes in articles_fts',
+
+  up(db) {
+    addColumn(db, 'articles', 'notes_version', 'INTEGER NOT NULL DEFAULT 0');
+    addColumn(db, 'articles', 'notes_updated_at', 'DATETIME');
+
+    db.exec(`
+      DROP TRIGGER IF EXISTS articles_fts_insert;
+      DROP TRIGGER IF EXISTS articles_fts_delete;
+      DROP TRIGGER IF EXISTS articles_fts_update;
+      DROP TABLE IF EXISTS articles_fts;
+
+      CREATE VIRTUAL TABLE articles_fts USING fts5(
+        title, content, author, excerpt, notes,
+        content='articles', content_rowid='id'
+      );
+
+      CREATE TRIGGER articles_fts_insert AFTER INSERT ON articles BEGIN
+        INSERT INTO articles_fts (rowid, title, content, author, excerpt, notes)
+        VALUES (new.id, new.title, new.content, new.author, new.excerpt, new.notes);
+      END;
+
+      CREATE TRIGGER articles_fts_delete AFTER DELETE ON articles BEGIN
+        INSERT INTO articles_fts (articles_fts, rowid, title, content, author, excerpt, notes)
+        VALUES ('delete', old.id, old.title, old.content, old.author, old.excerpt, old.notes);
+      END;
+
+      CREATE TRIGGER articles_fts_update AFTER UPDATE OF title, content, author, excerpt, notes ON articles BEGIN
+        INSERT INTO articles_fts (articles_fts, rowid, title, content, author, excerpt, notes)
+        VALUES ('delete', old.id, old.title, old.content, old.author, old.excerpt, old.notes);
+        INSERT INTO articles_fts (rowid, title, content, author, excerpt, notes)
+        VALUES (new.id, new.title, new.content, new.author, new.excerpt, new.notes);
+      END;
+
+      INSERT INTO articles_fts (articles_fts) VALUES ('rebuild');
+    `);
+  }
+};
@@ -0,0 +1,58 @@
+const { addColumn, rebuildTable } = require('./helpers');
+
+// Drops the column-level UNIQUE of `column`; per-owner unique indexes replace it
+function withoutUnique(column) {
+  return sql => sql.replace(new RegExp(`\\b${column} TEXT UNIQUE NOT NULL`), `${column} TEXT NOT NULL`);
+}
+
+const OWNED_TABLES = ['articles', 'tags', 'highlights', 'collections', 'saved_searches'];
+
+// Accounts: users sign in for a session, and every record gets an owner.
+// Existing rows keep a null user_id until the first account claims them
+// (see claimUnownedRecords). URLs and tag, collection and saved search names
+// become unique per owner, which means rebuilding the tables that declared
+// them UNIQUE.
+module.exports = {
+  description: 'Add users and sessions, an owner on every record, unique names and URLs per owner',
+  foreignKeys: false,
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at DATETIME NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+    `);
+
+    rebuildTable(db, 'articles', withoutUnique('url'));
+    rebuildTable(db, 'tags', withoutUnique('name'));
+    rebuildTable(db, 'collections', withoutUnique('name'));
+    rebuildTable(db, 'saved_searches', withoutUnique('name'));
+
+    for (const table of OWNED_TABLES) {
+      addColumn(db, table, 'user_id', 'INTEGER REFERENCES users(id) ON DELETE CASCADE');
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_user ON ${table}(user_id)`);
+    }
+
+    // COALESCE so unowned rows are unique among themselves too
+    db.exec(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_articles_owner_url ON articles(COALESCE(user_id, 0), url);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_owner_name ON tags(COALESCE(user_id, 0), name);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_collections_owner_name ON collections(COALESCE(user_id, 0), name);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_searches_owner_name ON saved_searches(COALESCE(user_id, 0), name);
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+// Personal API tokens for the bookmarklet, floating saver and extension.
+// Like sessions only a hash of the token is stored; `scope` limits what the
+// token may do (see AuthService.SCOPES).
+module.exports = {
+  description: 'Add api_tokens',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at DATETIME NOT NULL,
+        last_used_at DATETIME
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+// The activity log: one row per library change, newest read first. Entries
+// keep their article_id after the article is purged, so it has no foreign key.
+module.exports = {
+  description: 'Add the activity log',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS activity (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        source TEXT NOT NULL,
+        article_id INTEGER,
+        details TEXT,
+        created_at DATETIME NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_activity_user ON activity(user_id, id);
+      CREATE INDEX IF NOT EXISTS idx_activity_article ON activity(article_id);
+      CREATE INDEX IF NOT EXISTS idx_activity_created_at ON activity(created_at);
+    `);
+  }
+};
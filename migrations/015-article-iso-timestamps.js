@@ -0,0 +1,19 @@
+// Articles saved before the app set their timestamps got SQLite's
+// CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS", UTC). List filters and cursors
+// compare timestamps as ISO strings, which sorts those before every ISO one
+// of the same day, so they are rewritten as ISO.
+const TIMESTAMP_COLUMNS = ['created_at', 'updated_at', 'last_read_at', 'obsidian_synced_at'];
+const SQLITE_TIMESTAMP = "'[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9] [0-9][0-9]:[0-9][0-9]:[0-9][0-9]*'";
+
+module.exports = {
+  description: 'Store article timestamps from before the app set them as ISO 8601',
+
+  up(db) {
+    for (const column of TIMESTAMP_COLUMNS) {
+      db.exec(`
+        UPDATE articles SET ${column} = strftime('%Y-%m-%dT%H:%M:%fZ', ${column})
+        WHERE ${column} GLOB ${SQLITE_TIMESTAMP}
+      `);
+    }
+  }
+};
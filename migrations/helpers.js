@@ -0,0 +1,47 @@
+// Shared helpers for migration files
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+}
+
+// ALTER TABLE ADD COLUMN, skipped if a hand-patched database already has it
+function addColumn(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Recreates `table` from its CREATE statement as changed by `edit`, keeping
+ * its rows, its indexes and triggers and its AUTOINCREMENT counter: the way
+ * SQLite changes what ALTER TABLE can't (https://sqlite.org/lang_altertable.html).
+ * Dropping the old table would cascade to its children, so the migration has
+ * to run with foreign keys off (`foreignKeys: false`, see SchemaMigrator).
+ */
+function rebuildTable(db, table, edit) {
+  const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  const rebuilt = `${table}_rebuild`;
+  const created = edit(sql).replace(/^CREATE TABLE(?: IF NOT EXISTS)?\s+["`]?\w+["`]?/i, `CREATE TABLE ${rebuilt}`);
+  const dependents = db.prepare(
+    "SELECT sql FROM sqlite_master WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL"
+  ).all(table);
+  const sequence = db.prepare('SELECT seq FROM sqlite_sequence WHERE name = ?').get(table);
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(info => info.name).join(', ');
+
+  db.exec(created);
+  db.exec(`INSERT INTO ${rebuilt} (${columns}) SELECT ${columns} FROM ${table}`);
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${rebuilt} RENAME TO ${table}`);
+  for (const dependent of dependents) {
+    db.exec(dependent.sql);
+  }
+  if (sequence) {
+    db.prepare('UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = ?').run(sequence.seq, table);
+  }
+}
+
+module.exports = {
+  hasColumn,
+  addColumn,
+  rebuildTable
+};
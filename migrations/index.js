@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migration files are named NNN-description.js and export { description, up(db) }
+const MIGRATION_FILE = /^(\d+)-[\w-]+\.js$/;
+
+function loadMigrations(dir = __dirname) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: Number(match[1]),
+      name: path.basename(file, '.js'),
+      ...require(path.join(dir, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate schema migration version ${migration.version}`);
+    }
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Schema migration ${migration.name} does not export up()`);
+    }
+  });
+
+  return migrations;
+}
+
+// Thrown inside a dry-run transaction to roll it back
+class DryRunRollback extends Error {}
+
+/**
+ * Applies the numbered files in migrations/ to a better-sqlite3 database,
+ * recording each one in schema_version. Every migration runs in its own
+ * transaction, so a failing step leaves the database at the previous version.
+ *
+ * A migration that rebuilds tables exports `foreignKeys: false`: foreign keys
+ * are switched off while it runs (they can't be inside a transaction) and
+ * checked before it commits.
+ */
+class SchemaMigrator {
+  constructor(db, migrations = loadMigrations()) {
+    this.db = db;
+    this.migrations = migrations;
+  }
+
+  getLatestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  getCurrentVersion() {
+    const table = this.db.prepare(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'"
+    ).get();
+    if (!table) return 0;
+
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_version').get();
+    return row.version || 0;
+  }
+
+  // Whether the database has no tables yet, i.e. nothing a migration could lose
+  isEmpty() {
+    return !this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").get();
+  }
+
+  getAppliedMigrations() {
+    if (this.getCurrentVersion() === 0) return [];
+    return this.db.prepare('SELECT * FROM schema_version ORDER BY version').all();
+  }
+
+  getPendingMigrations() {
+    const current = this.getCurrentVersion();
+    return this.migrations.filter(migration => migration.version > current);
+  }
+
+  // Refuse to touch a database written by a newer version of the app
+  checkCompatibility() {
+    const current = this.getCurrentVersion();
+    const latest = this.getLatestVersion();
+    if (current > latest) {
+      throw new Error(
+        `Database schema version ${current} is newer than this code supports (${latest}). ` +
+        'Upgrade the app or restore a backup made with this version.'
+      );
+    }
+    return { current, latest };
+  }
+
+  // Throws if a migration run with foreign keys off left rows pointing nowhere
+  checkForeignKeys() {
+    const violations = this.db.pragma('foreign_key_check');
+    if (violations.length > 0) {
+      const tables = [...new Set(violations.map(violation => violation.table))];
+      throw new Error(`${violations.length} row(s) in ${tables.join(', ')} refer to missing records`);
+    }
+  }
+
+  getStatus() {
+    const { current, latest } = this.checkCompatibility();
+    return {
+      current_version: current,
+      latest_version: latest,
+      applied: this.getAppliedMigrations(),
+      pending: this.getPendingMigrations().map(({ version, name, description }) => ({ version, name, description }))
+    };
+  }
+
+  /**
+   * Apply all pending migrations. With dryRun every step still runs, but inside
+   * a single transaction that is rolled back at the end.
+   */
+  migrate({ dryRun = false } = {}) {
+    const { current } = this.checkCompatibility();
+    const pending = this.getPendingMigrations();
+    const applied = [];
+
+    const applyAll = () => {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          description TEXT,
+          applied_at DATETIME NOT NULL
+        )
+      `);
+      const record = this.db.prepare(
+        'INSERT INTO schema_version (version, name, description, applied_at) VALUES (?, ?, ?, ?)'
+      );
+
+      for (const migration of pending) {
+        const step = this.db.transaction(() => {
+          migration.up(this.db);
+          if (migration.foreignKeys === false) {
+            this.checkForeignKeys();
+          }
+          record.run(migration.version, migration.name, migration.description || null, new Date().toISOString());
+        });
+
+        try {
+          step();
+        } catch (err) {
+          throw new Error(`Schema migration ${migration.name} failed: ${err.message}`);
+        }
+        applied.push({ version: migration.version, name: migration.name, description: migration.description });
+      }
+    };
+
+    const pauseForeignKeys = pending.some(migration => migration.foreignKeys === false) &&
+      this.db.pragma('foreign_keys', { simple: true }) === 1;
+    if (pauseForeignKeys) {
+      this.db.pragma('foreign_keys = OFF');
+    }
+    try {
+      if (dryRun) {
+        try {
+          this.db.transaction(() => {
+            applyAll();
+            throw new DryRunRollback();
+          })();
+        } catch (err) {
+          if (!(err instanceof DryRunRollback)) throw err;
+        }
+      } else if (pending.length > 0) {
+        applyAll();
+      }
+    } finally {
+      if (pauseForeignKeys) {
+        this.db.pragma('foreign_keys = ON');
+      }
+    }
+
+    return {
+      dry_run: dryRun,
+      from_version: current,
+      to_version: applied.length > 0 ? applied[applied.length - 1].version : current,
+      applied
+    };
+  }
+}
+
+module.exports = {
+  SchemaMigrator,
+  loadMigrations
+};
@@ -0,0 +1,76 @@
+// Signs the app's pages in to the API. The session token from /api/auth is
+// kept in localStorage and added to every same-origin /api request; when the
+// API answers 401 the user is asked to sign in (or create an account) and
+// the request is sent once more.
+(function() {
+    'use strict';
+
+    const TOKEN_KEY = 'readLaterSession';
+    const originalFetch = window.fetch.bind(window);
+
+    function isApiRequest(input) {
+        const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+        return url.origin === window.location.origin &&
+            url.pathname.startsWith('/api/') &&
+            !url.pathname.startsWith('/api/auth/');
+    }
+
+    function withToken(headers) {
+        const result = new Headers(headers || {});
+        const token = localStorage.getItem(TOKEN_KEY);
+        if (token) {
+            result.set('Authorization', `Bearer ${token}`);
+        }
+        return result;
+    }
+
+    async function sendCredentials(path, credentials) {
+        const response = await originalFetch(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(credentials)
+        });
+        return { status: response.status, result: await response.json() };
+    }
+
+    // Returns true once signed in, false if the user gave up
+    async function signIn() {
+        const username = window.prompt('Sign in to Read Later\n\nUsername:');
+        if (!username) return false;
+        const password = window.prompt(`Password for ${username}:`);
+        if (!password) return false;
+
+        const credentials = { username, password };
+        let { status, result } = await sendCredentials('/api/auth/login', credentials);
+        if (status === 401 && window.confirm(`No account matches "${username}" and that password. Create a new account?`)) {
+            ({ result } = await sendCredentials('/api/auth/register', credentials));
+        }
+        if (!result.success) {
+            window.alert(result.error);
+            return false;
+        }
+
+        localStorage.setItem(TOKEN_KEY, result.data.token);
+        return true;
+    }
+
+    window.fetch = async function(input, init = {}) {
+        if (!isApiRequest(input)) {
+            return originalFetch(input, init);
+        }
+
+        const send = () => originalFetch(input, { ...init, headers: withToken(init.headers) });
+        const response = await send();
+        if (response.status === 401 && await signIn()) {
+            return send();
+        }
+        return response;
+    };
+
+    window.readLaterAuth = {
+        async signOut() {
+            await originalFetch('/api/auth/logout', { method: 'POST', headers: withToken() });
+            localStorage.removeItem(TOKEN_KEY);
+        }
+    };
+})();
@@ -4,6 +4,8 @@
     
     // Configuration
     const API_URL = 'https://read-later-backend.onrender.com/api/articles';
+    // A save-only API token from /api/tokens, given as <script src="floating-saver.js" data-token="rl_...">
+    const API_TOKEN = (document.currentScript && document.currentScript.dataset.token) || '';
     const SCROLL_THRESHOLD = 100; // Show after scrolling 100px
     
     // Check if already loaded
@@ -103,6 +105,7 @@
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${API_TOKEN}`
                 },
                 body: JSON.stringify({
                     url: url,
@@ -1,6 +1,7 @@
-const CACHE_NAME = 'read-later-v1';
+const CACHE_NAME = 'read-later-v2';
 const urlsToCache = [
   '/',
+  '/auth.js',
   '/manifest.json'
 ];
 
@@ -11,6 +12,15 @@ self.addEventListener('install', (event) => {
   );
 });
 
+// Drop older caches, whose pages predate sign-in
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((names) => Promise.all(
+      names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name))
+    ))
+  );
+});
+
 self.addEventListener('fetch', (event) => {
   event.respondWith(
     caches.match(event.request)
@@ -0,0 +1,199 @@
+/**
+ * Rate limiting. Every request under /api counts against one budget, a number
+ * of requests per window:
+ *
+ *   read     anything not below                          RATE_LIMIT_READ     300/60
+ *   extract  saving or extracting an article, or         RATE_LIMIT_EXTRACT  30/60
+ *            testing a site rule, which may fetch the page
+ *   import   uploading a file to import or preview       RATE_LIMIT_IMPORT   10/3600
+ *   auth     signing in and registering, and requests     RATE_LIMIT_AUTH     10/60
+ *            refused for a bad or missing token
+ *
+ * Budgets are written as `<requests>/<seconds>`, or `off`. They are counted
+ * per API token, per user for sessions, and per client IP for auth. A client
+ * out of its auth budget gets 429 before its token is even checked, so
+ * sessions and API tokens can't be guessed any faster than passwords.
+ * Windows are fixed: a key's window starts with its first request and its
+ * count resets when the window ends.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ * RateLimit-Policy headers; a request over its budget gets a 429 with
+ * Retry-After.
+ */
+
+const DEFAULT_BUDGETS = {
+  read: '300/60',
+  extract: '30/60',
+  import: '10/3600',
+  auth: '10/60'
+};
+
+// Expired windows are dropped at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// `<requests>/<seconds>` -> { limit, windowMs }, or null for 'off'
+function parseBudget(name, value) {
+  const text = String(value).trim();
+  if (text === 'off') return null;
+  const match = /^(\d+)\/(\d+)$/.exec(text);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(`Invalid rate limit for "${name}": "${value}". Use <requests>/<seconds>, e.g. 300/60, or off`);
+  }
+  return { limit: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+// The budget a request under /api counts against (after requireUser)
+function rateLimitBudget(req) {
+  const path = req.baseUrl + req.path;
+  if (req.method === 'POST' && /^\/api\/(articles(\/extract)?|site-rules\/test)\/?$/.test(path)) return 'extract';
+  if (req.method === 'POST' && /^\/api\/import-export\/(import|preview)\/?$/.test(path)) return 'import';
+  return 'read';
+}
+
+// Who a request is counted for
+function rateLimitKey(req) {
+  if (req.apiToken) return `token:${req.apiToken.id}`;
+  if (req.user) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+}
+
+class RateLimiter {
+  constructor(config = {}) {
+    this.budgets = {};
+    this.stats = {};
+    for (const name of Object.keys(DEFAULT_BUDGETS)) {
+      const envName = `RATE_LIMIT_${name.toUpperCase()}`;
+      this.budgets[name] = parseBudget(name, config[name] ?? process.env[envName] ?? DEFAULT_BUDGETS[name]);
+      this.stats[name] = { allowed: 0, limited: 0 };
+    }
+    // budget -> key -> { count, resetAt }
+    this.windows = new Map(Object.keys(this.budgets).map(name => [name, new Map()]));
+    this.nextSweep = 0;
+  }
+
+  /**
+   * Counts a request by `key` against `budget`. Returns null when the budget
+   * is off, otherwise { allowed, limit, remaining, resetAt }.
+   */
+  consume(budget, key, now = Date.now()) {
+    const config = this.budgets[budget];
+    if (config === undefined) {
+      throw new Error(`Unknown rate limit budget "${budget}"`);
+    }
+    if (!config) return null;
+    this.sweep(now);
+
+    const windows = this.windows.get(budget);
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + config.windowMs };
+      windows.set(key, window);
+    }
+
+    const allowed = window.count < config.limit;
+    if (allowed) window.count++;
+    this.stats[budget][allowed ? 'allowed' : 'limited']++;
+    return { allowed, limit: config.limit, remaining: config.limit - window.count, resetAt: window.resetAt };
+  }
+
+  sweep(now) {
+    if (now < this.nextSweep) return;
+    for (const windows of this.windows.values()) {
+      for (const [key, window] of windows) {
+        if (window.resetAt <= now) windows.delete(key);
+      }
+    }
+    this.nextSweep = now + SWEEP_INTERVAL_MS;
+  }
+
+  // Middleware counting each request against `budget`, a budget name or a function of the request
+  limit(budget) {
+    return (req, res, next) => {
+      const name = typeof budget === 'function' ? budget(req) : budget;
+      const result = this.consume(name, rateLimitKey(req));
+      if (!result) return next();
+
+      if (this.respond(res, name, result)) next();
+    };
+  }
+
+  /**
+   * Middleware for before authentication: every response of 401 counts
+   * against `budget` for the client's IP, and a client with nothing left is
+   * refused without its token being checked.
+   */
+  limitFailures(budget) {
+    return (req, res, next) => {
+      const key = `ip:${req.ip}`;
+      const result = this.check(budget, key);
+      if (result && !result.allowed) {
+        this.respond(res, budget, result);
+        return;
+      }
+      res.on('finish', () => {
+        if (res.statusCode === 401) this.consume(budget, key);
+      });
+      next();
+    };
+  }
+
+  // What consume() would answer for `key` without counting a request; null when the budget is off
+  check(budget, key, now = Date.now()) {
+    const config = this.budgets[budget];
+    if (config === undefined) {
+      throw new Error(`Unknown rate limit budget "${budget}"`);
+    }
+    if (!config) return null;
+
+    const window = this.windows.get(budget).get(key);
+    const count = window && window.resetAt > now ? window.count : 0;
+    return {
+      allowed: count < config.limit,
+      limit: config.limit,
+      remaining: config.limit - count,
+      resetAt: window && window.resetAt > now ? window.resetAt : now + config.windowMs
+    };
+  }
+
+  // Sets the RateLimit headers and, when `result` is over budget, answers 429; returns whether the request may go on
+  respond(res, budget, result) {
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${result.limit};w=${this.budgets[budget].windowMs / 1000}`
+    });
+    if (result.allowed) return true;
+
+    res.set('Retry-After', String(resetSeconds));
+    res.status(429).json({
+      success: false,
+      error: `Too many requests, try again in ${resetSeconds} seconds`,
+      budget
+    });
+    return false;
+  }
+
+  // Per budget: its limit and window, the requests allowed and refused so far, and who is being counted now
+  getStats(now = Date.now()) {
+    const stats = {};
+    for (const [name, config] of Object.entries(this.budgets)) {
+      const active = [...this.windows.get(name).values()].filter(window => window.resetAt > now).length;
+      stats[name] = {
+        limit: config ? config.limit : null,
+        window_seconds: config ? config.windowMs / 1000 : null,
+        ...this.stats[name],
+        active_clients: active
+      };
+    }
+    return stats;
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  parseBudget,
+  rateLimitBudget,
+  rateLimitKey
+};
@@ -0,0 +1,27 @@
+const express = require('express');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+
+const router = express.Router();
+
+// The signed-in user's activity, newest first:
+// ?type=&source=&article_id=&since=&until=&limit=&cursor= (type and source may repeat)
+router.get('/', validate(schemas.activity), (req, res) => {
+    try {
+        const { entries, next_cursor } = req.activity.list(req.user.id, req.query);
+        res.json({
+            success: true,
+            data: entries,
+            count: entries.length,
+            next_cursor
+        });
+    } catch (error) {
+        console.error('Error fetching activity:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch activity'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const AnalyticsService = require('../services/analytics-service');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
 
 const router = express.Router();
 
@@ -23,9 +25,9 @@ router.get('/stats', (req, res) => {
 });
 
 // Get reading trends
-router.get('/trends', (req, res) => {
+router.get('/trends', validate(schemas.analyticsTrends), (req, res) => {
     try {
-        const days = parseInt(req.query.days) || 30;
+        const { days } = req.query;
         const analytics = new AnalyticsService(req.db);
         const trends = analytics.getReadingTrends(days);
         
@@ -43,9 +45,9 @@ router.get('/trends', (req, res) => {
 });
 
 // Get top domains
-router.get('/domains', (req, res) => {
+router.get('/domains', validate(schemas.analyticsDomains), (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 10;
+        const { limit } = req.query;
         const analytics = new AnalyticsService(req.db);
         const domains = analytics.getTopDomains(limit);
         
@@ -63,9 +65,9 @@ router.get('/domains', (req, res) => {
 });
 
 // Get top tags
-router.get('/tags', (req, res) => {
+router.get('/tags', validate(schemas.analyticsTags), (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 15;
+        const { limit } = req.query;
         const analytics = new AnalyticsService(req.db);
         const tags = analytics.getTopTags(limit);
         
@@ -158,10 +160,29 @@ router.get('/highlights', (req, res) => {
     }
 });
 
+// Get notes analysis
+router.get('/notes', (req, res) => {
+    try {
+        const analytics = new AnalyticsService(req.db);
+        const analysis = analytics.getNotesAnalysis();
+        
+        res.json({
+            success: true,
+            data: analysis
+        });
+    } catch (error) {
+        console.error('Error getting notes analysis:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // Generate comprehensive report
-router.get('/report', (req, res) => {
+router.get('/report', validate(schemas.analyticsReport), (req, res) => {
     try {
-        const type = req.query.type || 'comprehensive';
+        const { type } = req.query;
         const analytics = new AnalyticsService(req.db);
         const report = analytics.generateReport(type);
         
@@ -179,9 +200,9 @@ router.get('/report', (req, res) => {
 });
 
 // Export report as JSON
-router.get('/report/export', (req, res) => {
+router.get('/report/export', validate(schemas.analyticsReport), (req, res) => {
     try {
-        const type = req.query.type || 'comprehensive';
+        const { type } = req.query;
         const analytics = new AnalyticsService(req.db);
         const report = analytics.generateReport(type);
         
@@ -208,7 +229,8 @@ router.get('/dashboard', (req, res) => {
             recent_trends: analytics.getReadingTrends(7), // Last 7 days
             top_domains: analytics.getTopDomains(5),
             top_tags: analytics.getTopTags(8),
-            productivity: analytics.getProductivityMetrics()
+            productivity: analytics.getProductivityMetrics(),
+            saved_searches: req.savedSearches.getDashboard() // Size over the last 30 days
         };
         
         res.json({
@@ -1,17 +1,94 @@
 const express = require('express');
 const ContentExtractor = require('../services/simple-extractor');
+const RevisionService = require('../services/revision-service');
+const DuplicateService = require('../services/duplicate-service');
+const { StorageError, QueryError, NotesConflictError } = require('../storage');
+const { SearchSyntaxError } = require('../search-query');
+const { resolveCanonicalUrl } = require('../url-normalizer');
+const { validate, sendValidationError } = require('../validation');
+const schemas = require('../schemas');
 
 const router = express.Router();
 
+// Storage write failures are passed on so the client knows the change was not saved
+function sendWriteError(res, error, message) {
+  if (error instanceof StorageError) {
+    return res.status(503).json({
+      success: false,
+      error: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+}
+
+// Saving a URL that is already saved is a conflict, unless the article is in
+// the trash: then saving it again brings it back. A caller that may only save
+// (a save-only token) gets just the id and can't bring anything back
+function sendExistingArticle(req, res, existing) {
+  if (!req.permissions.includes('read')) {
+    return res.status(409).json({
+      success: false,
+      error: 'Article already exists',
+      data: { id: existing.id }
+    });
+  }
+  if (existing.deleted_at) {
+    req.db.restoreArticle(existing.id);
+    return res.json({
+      success: true,
+      data: req.db.getArticleById(existing.id),
+      message: 'Article restored from trash'
+    });
+  }
+  res.status(409).json({
+    success: false,
+    error: 'Article already exists',
+    data: existing
+  });
+}
+
+// Bad list parameters and malformed search queries are the caller's to fix
+function isQueryError(error) {
+  return error instanceof QueryError || error instanceof SearchSyntaxError;
+}
+
+// Reported like validate() failures; `source` names the parameter a search query came from
+function sendQueryError(res, error, source = { field: 'q', location: 'query' }) {
+  sendValidationError(res, [{
+    field: error.field || source.field,
+    location: source.location,
+    message: error.message,
+    ...(error.position !== undefined && { position: error.position })
+  }]);
+}
+
+// Paginated list: ?limit=&cursor=&sort=&order=&fields=&q= plus the filters in normalizeArticleQuery,
+// or ?saved_search=<id> for the results of a saved search
 router.get('/', (req, res) => {
   try {
-    const articles = req.db.getAllArticles();
+    const params = req.savedSearches.resolveListParams(req.query);
+    if (!params) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    const { articles, total, next_cursor } = req.db.listArticles(params);
     res.json({
       success: true,
       data: articles,
-      count: articles.length
+      count: articles.length,
+      total,
+      next_cursor
     });
   } catch (error) {
+    if (isQueryError(error)) {
+      return sendQueryError(res, error);
+    }
     console.error('Error fetching articles:', error);
     res.status(500).json({
       success: false,
@@ -20,7 +97,174 @@ router.get('/', (req, res) => {
   }
 });
 
-router.get('/:id', (req, res) => {
+// Trash routes
+router.get('/trash', (req, res) => {
+  try {
+    const articles = req.trash.getTrash(req.db);
+    res.json({
+      success: true,
+      data: articles,
+      count: articles.length,
+      retention_days: req.trash.retentionDays
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash'
+    });
+  }
+});
+
+// Empty the trash now instead of waiting for the retention window
+router.delete('/trash', (req, res) => {
+  try {
+    const result = req.db.purgeTrash();
+    res.json({
+      success: true,
+      data: result,
+      message: `Permanently deleted ${result.changes} article(s)`
+    });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    sendWriteError(res, error, 'Failed to empty trash');
+  }
+});
+
+router.delete('/trash/:id', validate(schemas.articleId), (req, res) => {
+  try {
+    const article = req.db.getArticleById(req.params.id, { includeTrashed: true });
+    if (!article || !article.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found in trash'
+      });
+    }
+
+    req.db.deleteArticle(article.id);
+    res.json({
+      success: true,
+      message: 'Article permanently deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting article from trash:', error);
+    sendWriteError(res, error, 'Failed to delete article');
+  }
+});
+
+// Duplicate routes: articles saved under different spellings of the same URL
+function summarizeDuplicate(article) {
+  const { id, url, canonical_url, title, created_at } = article;
+  return { id, url, canonical_url, title, created_at };
+}
+
+router.get('/duplicates', (req, res) => {
+  try {
+    const groups = new DuplicateService(req.db).findDuplicates().map(({ url_key, keep, duplicates }) => ({
+      url_key,
+      keep: summarizeDuplicate(keep),
+      duplicates: duplicates.map(summarizeDuplicate)
+    }));
+    res.json({
+      success: true,
+      data: groups,
+      count: groups.length
+    });
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find duplicates'
+    });
+  }
+});
+
+// Merge every group into its oldest article; { "dry_run": true } only reports
+router.post('/duplicates/merge', validate(schemas.mergeDuplicates), (req, res) => {
+  try {
+    const report = new DuplicateService(req.db).merge({ dryRun: req.body.dry_run });
+    res.json({
+      success: true,
+      data: report,
+      message: report.dry_run
+        ? `Would merge ${report.merged} duplicate(s) in ${report.groups} group(s)`
+        : `Merged ${report.merged} duplicate(s) in ${report.groups} group(s)`
+    });
+  } catch (error) {
+    console.error('Error merging duplicates:', error);
+    sendWriteError(res, error, 'Failed to merge duplicates');
+  }
+});
+
+// Tag management routes
+router.get('/tags', (req, res) => {
+  try {
+    const tags = req.db.getAllTags();
+    res.json({
+      success: true,
+      data: tags,
+      count: tags.length
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tags'
+    });
+  }
+});
+
+router.put('/tags/:tagId', validate(schemas.updateTag), (req, res) => {
+  try {
+    const { name, color } = req.body;
+    const tags = req.db.getAllTags();
+    const tag = tags.find(t => t.id == req.params.tagId);
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      });
+    }
+    if (name !== undefined && tags.some(t => t.id !== tag.id && t.name === name)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A tag with that name already exists'
+      });
+    }
+
+    req.db.updateTag(tag.id, { name, color });
+    res.json({
+      success: true,
+      data: req.db.getAllTags().find(t => t.id === tag.id),
+      message: 'Tag updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    sendWriteError(res, error, 'Failed to update tag');
+  }
+});
+
+router.delete('/tags/:tagId', validate(schemas.tagId), (req, res) => {
+  try {
+    const result = req.db.deleteTag(req.params.tagId);
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    sendWriteError(res, error, 'Failed to delete tag');
+  }
+});
+
+router.get('/:id', validate(schemas.articleId), (req, res) => {
   try {
     const article = req.db.getArticleById(req.params.id);
     if (!article) {
@@ -42,40 +286,40 @@ router.get('/:id', (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.createArticle), async (req, res) => {
   try {
     const { url } = req.body;
 
-    if (!url) {
-      return res.status(400).json({
-        success: false,
-        error: 'URL is required'
-      });
-    }
-
-    const existingArticle = req.db.getArticleByUrl(url);
+    const existingArticle = req.db.getArticleByUrl(url, { includeTrashed: true });
     if (existingArticle) {
-      return res.status(409).json({
-        success: false,
-        error: 'Article already exists',
-        data: existingArticle
-      });
+      return sendExistingArticle(req, res, existingArticle);
     }
 
     let articleData;
     if (req.body.title && req.body.content) {
       articleData = req.body;
     } else {
-      const extractor = new ContentExtractor();
+      const extractor = new ContentExtractor({ siteRules: req.siteRules });
       try {
         articleData = await extractor.extractFromUrl(url);
         await extractor.close();
+        req.db.logActivity('extracted', null, { url });
       } catch (extractError) {
         await extractor.close();
         throw extractError;
       }
     }
 
+    // The page may declare a canonical URL that is already saved
+    if (articleData.canonical_url) {
+      const canonicalArticle = req.db.getArticleByUrl(
+        resolveCanonicalUrl(url, articleData.canonical_url), { includeTrashed: true }
+      );
+      if (canonicalArticle) {
+        return sendExistingArticle(req, res, canonicalArticle);
+      }
+    }
+
     const article = req.db.createArticle(articleData);
     res.status(201).json({
       success: true,
@@ -85,28 +329,19 @@ router.post('/', async (req, res) => {
 
   } catch (error) {
     console.error('Error creating article:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to save article'
-    });
+    sendWriteError(res, error, error.message || 'Failed to save article');
   }
 });
 
-router.post('/extract', async (req, res) => {
+router.post('/extract', validate(schemas.extractArticle), async (req, res) => {
   try {
     const { url } = req.body;
 
-    if (!url) {
-      return res.status(400).json({
-        success: false,
-        error: 'URL is required'
-      });
-    }
-
-    const extractor = new ContentExtractor();
+    const extractor = new ContentExtractor({ siteRules: req.siteRules });
     try {
       const articleData = await extractor.extractFromUrl(url);
       await extractor.close();
+      req.db.logActivity('extracted', null, { url, title: articleData.title });
 
       res.json({
         success: true,
@@ -127,22 +362,14 @@ router.post('/extract', async (req, res) => {
   }
 });
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(schemas.updateArticle), async (req, res) => {
   try {
+    // Only writable fields are left after validation
     const { id } = req.params;
-    const updates = req.body;
-
-    delete updates.id;
-    delete updates.created_at;
+    const { notes_version, ...updates } = req.body;
 
-    if (Object.keys(updates).length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No valid fields to update'
-      });
-    }
-
-    const result = req.db.updateArticle(id, updates);
+    // Notes are saved only if nobody changed them since notes_version, as with PUT /:id/notes
+    const result = req.db.updateArticle(id, updates, updates.notes !== undefined ? { notesVersion: notes_version } : {});
     
     if (result.changes === 0) {
       return res.status(404).json({
@@ -159,18 +386,24 @@ router.put('/:id', async (req, res) => {
     });
 
   } catch (error) {
+    const current = error instanceof NotesConflictError && req.db.getArticleById(req.params.id);
+    if (current) {
+      return res.status(409).json({
+        success: false,
+        error: `The notes were changed since version ${req.body.notes_version}; merge with the current notes and save again`,
+        data: articleNotes(current)
+      });
+    }
     console.error('Error updating article:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update article'
-    });
+    sendWriteError(res, error, 'Failed to update article');
   }
 });
 
-router.delete('/:id', (req, res) => {
+// Moves the article to the trash; it is purged after the retention window
+router.delete('/:id', validate(schemas.articleId), (req, res) => {
   try {
     const { id } = req.params;
-    const result = req.db.deleteArticle(id);
+    const result = req.db.trashArticle(id);
     
     if (result.changes === 0) {
       return res.status(404).json({
@@ -179,21 +412,45 @@ router.delete('/:id', (req, res) => {
       });
     }
 
+    const article = req.db.getArticleById(id, { includeTrashed: true });
     res.json({
       success: true,
-      message: 'Article deleted successfully'
+      data: {
+        id: article.id,
+        deleted_at: article.deleted_at,
+        purge_at: req.trash.getPurgeDate(article)
+      },
+      message: 'Article moved to trash'
     });
 
   } catch (error) {
     console.error('Error deleting article:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete article'
+    sendWriteError(res, error, 'Failed to delete article');
+  }
+});
+
+router.post('/:id/restore', validate(schemas.articleId), (req, res) => {
+  try {
+    const result = req.db.restoreArticle(req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: req.db.getArticleById(req.params.id),
+      message: 'Article restored'
     });
+  } catch (error) {
+    console.error('Error restoring article:', error);
+    sendWriteError(res, error, 'Failed to restore article');
   }
 });
 
-router.get('/search/:query', (req, res) => {
+router.get('/search/:query', validate(schemas.searchArticles), (req, res) => {
   try {
     const { query } = req.params;
     const results = req.db.searchArticles(query);
@@ -206,6 +463,9 @@ router.get('/search/:query', (req, res) => {
     });
 
   } catch (error) {
+    if (isQueryError(error)) {
+      return sendQueryError(res, error, { field: 'query', location: 'params' });
+    }
     console.error('Error searching articles:', error);
     res.status(500).json({
       success: false,
@@ -214,25 +474,7 @@ router.get('/search/:query', (req, res) => {
   }
 });
 
-// Tag management routes
-router.get('/tags', (req, res) => {
-  try {
-    const tags = req.db.getAllTags();
-    res.json({
-      success: true,
-      data: tags,
-      count: tags.length
-    });
-  } catch (error) {
-    console.error('Error fetching tags:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch tags'
-    });
-  }
-});
-
-router.get('/:id/tags', (req, res) => {
+router.get('/:id/tags', validate(schemas.articleId), (req, res) => {
   try {
     const tags = req.db.getArticleTags(req.params.id);
     res.json({
@@ -249,17 +491,18 @@ router.get('/:id/tags', (req, res) => {
   }
 });
 
-router.post('/:id/tags', (req, res) => {
+router.post('/:id/tags', validate(schemas.addTags), (req, res) => {
   try {
     const { tags } = req.body;
-    if (!Array.isArray(tags)) {
-      return res.status(400).json({
+    const article = req.db.getArticleById(req.params.id);
+    if (!article) {
+      return res.status(404).json({
         success: false,
-        error: 'Tags must be an array'
+        error: 'Article not found'
       });
     }
 
-    req.db.addTagsToArticle(req.params.id, tags);
+    req.db.addTagsToArticle(article.id, tags);
     const updatedTags = req.db.getArticleTags(req.params.id);
     
     res.json({
@@ -269,15 +512,55 @@ router.post('/:id/tags', (req, res) => {
     });
   } catch (error) {
     console.error('Error adding tags:', error);
+    sendWriteError(res, error, 'Failed to add tags');
+  }
+});
+
+// Remove the given tags, or every tag when no list is sent
+router.delete('/:id/tags', validate(schemas.removeTags), (req, res) => {
+  try {
+    const { tags } = req.body;
+    const article = req.db.getArticleById(req.params.id);
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    const result = req.db.removeTagsFromArticle(article.id, tags === undefined ? null : tags);
+    res.json({
+      success: true,
+      data: req.db.getArticleTags(article.id),
+      removed: result.changes,
+      message: 'Tags removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing tags:', error);
+    sendWriteError(res, error, 'Failed to remove tags');
+  }
+});
+
+// Collections the article is in
+router.get('/:id/collections', validate(schemas.articleId), (req, res) => {
+  try {
+    const collections = req.db.getArticleCollections(req.params.id);
+    res.json({
+      success: true,
+      data: collections,
+      count: collections.length
+    });
+  } catch (error) {
+    console.error('Error fetching article collections:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to add tags'
+      error: 'Failed to fetch article collections'
     });
   }
 });
 
 // Highlights routes
-router.get('/:id/highlights', (req, res) => {
+router.get('/:id/highlights', validate(schemas.articleId), (req, res) => {
   try {
     const highlights = req.db.getArticleHighlights(req.params.id);
     res.json({
@@ -294,9 +577,17 @@ router.get('/:id/highlights', (req, res) => {
   }
 });
 
-router.post('/:id/highlights', (req, res) => {
+router.post('/:id/highlights', validate(schemas.addHighlight), (req, res) => {
   try {
-    const highlight = req.db.addHighlight(req.params.id, req.body);
+    const article = req.db.getArticleById(req.params.id);
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    const highlight = req.db.addHighlight(article.id, req.body);
     res.status(201).json({
       success: true,
       data: highlight,
@@ -304,14 +595,11 @@ router.post('/:id/highlights', (req, res) => {
     });
   } catch (error) {
     console.error('Error adding highlight:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to add highlight'
-    });
+    sendWriteError(res, error, 'Failed to add highlight');
   }
 });
 
-router.delete('/highlights/:id', (req, res) => {
+router.delete('/highlights/:id', validate(schemas.highlightId), (req, res) => {
   try {
     const result = req.db.deleteHighlight(req.params.id);
     if (result.changes === 0) {
@@ -327,36 +615,214 @@ router.delete('/highlights/:id', (req, res) => {
     });
   } catch (error) {
     console.error('Error deleting highlight:', error);
+    sendWriteError(res, error, 'Failed to delete highlight');
+  }
+});
+
+// Revision history routes
+router.get('/:id/revisions', validate(schemas.articleId), (req, res) => {
+  try {
+    const article = req.db.getArticleById(req.params.id);
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    const revisions = new RevisionService(req.db).listRevisions(article.id);
+    res.json({
+      success: true,
+      data: revisions,
+      count: revisions.length
+    });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete highlight'
+      error: 'Failed to fetch revisions'
     });
   }
 });
 
-// Reading progress route
-router.put('/:id/progress', (req, res) => {
+// Compare two revisions: ?from=1&to=3 (to defaults to the latest revision)
+router.get('/:id/revisions/diff', validate(schemas.revisionDiff), (req, res) => {
   try {
-    const { progress } = req.body;
-    if (typeof progress !== 'number' || progress < 0 || progress > 1) {
-      return res.status(400).json({
+    const article = req.db.getArticleById(req.params.id);
+    if (!article) {
+      return res.status(404).json({
         success: false,
-        error: 'Progress must be a number between 0 and 1'
+        error: 'Article not found'
+      });
+    }
+
+    const revisions = new RevisionService(req.db);
+    const { from, to = revisions.getLatestRevision(article.id) } = req.query;
+    const diff = revisions.diff(article.id, from, to);
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
       });
     }
 
-    req.db.updateReadingProgress(req.params.id, progress);
     res.json({
       success: true,
-      message: 'Reading progress updated'
+      data: diff
     });
   } catch (error) {
-    console.error('Error updating progress:', error);
+    console.error('Error comparing revisions:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update progress'
+      error: 'Failed to compare revisions'
     });
   }
 });
 
+router.get('/:id/revisions/:revision', validate(schemas.revision), (req, res) => {
+  try {
+    const article = req.db.getArticleById(req.params.id);
+    const revision = article && new RevisionService(req.db).getRevision(article.id, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: article ? 'Revision not found' : 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch revision'
+    });
+  }
+});
+
+router.post('/:id/revisions/:revision/revert', validate(schemas.revision), (req, res) => {
+  try {
+    const article = req.db.getArticleById(req.params.id);
+    const result = article && new RevisionService(req.db).revert(article.id, req.params.revision);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: article ? 'Revision not found' : 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: req.db.getArticleById(article.id),
+      revision: result,
+      message: result.changed
+        ? `Article reverted to revision ${result.reverted_to}`
+        : `Article already matches revision ${result.reverted_to}`
+    });
+  } catch (error) {
+    console.error('Error reverting article:', error);
+    sendWriteError(res, error, 'Failed to revert article');
+  }
+});
+
+// The notes of an article and the version a PUT has to name
+function articleNotes(article) {
+  return {
+    article_id: article.id,
+    notes: article.notes || '',
+    version: article.notes_version || 0,
+    updated_at: article.notes_updated_at || null
+  };
+}
+
+router.get('/:id/notes', validate(schemas.articleId), (req, res) => {
+  try {
+    const article = req.db.getArticleById(req.params.id);
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: articleNotes(article)
+    });
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notes'
+    });
+  }
+});
+
+// Saves the notes only if they are still at `version`, the one the client last
+// read; otherwise answers 409 with the current notes to merge with and retry
+router.put('/:id/notes', validate(schemas.updateNotes), (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes, version } = req.body;
+    // A trashed article's notes can't be saved, nor those of one trashed or deleted meanwhile
+    const result = req.db.getArticleById(id)
+      ? req.db.updateArticle(id, { notes }, { notesVersion: version })
+      : { changes: 0 };
+    const saved = result.changes > 0 && req.db.getArticleById(id);
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: articleNotes(saved),
+      message: 'Notes saved'
+    });
+  } catch (error) {
+    if (error instanceof NotesConflictError) {
+      const current = req.db.getArticleById(req.params.id);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        error: `The notes were changed since version ${req.body.version}; merge with the current notes and save again`,
+        data: articleNotes(current)
+      });
+    }
+    console.error('Error saving notes:', error);
+    sendWriteError(res, error, 'Failed to save notes');
+  }
+});
+
+// Reading progress route
+router.put('/:id/progress', validate(schemas.updateProgress), (req, res) => {
+  try {
+    const { progress } = req.body;
+    const result = req.db.updateReadingProgress(req.params.id, progress);
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Reading progress updated'
+    });
+  } catch (error) {
+    console.error('Error updating progress:', error);
+    sendWriteError(res, error, 'Failed to update progress');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,89 @@
+const express = require('express');
+const AuthService = require('../services/auth-service');
+const { requireUser } = require('../authentication');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+
+const { AuthError, toPublicUser, toPublicApiToken } = AuthService;
+
+const router = express.Router();
+
+function sendAuthError(res, error, fallback) {
+    if (error instanceof AuthError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message
+        });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({
+        success: false,
+        error: fallback
+    });
+}
+
+// Create an account and sign it in; the first account becomes the admin
+router.post('/register', validate(schemas.register), async (req, res) => {
+    try {
+        const result = await req.auth.register(req.body);
+        res.status(201).json({
+            success: true,
+            data: result,
+            message: result.user.is_admin
+                ? 'Account created. As the first account it is the admin and owns the existing library'
+                : 'Account created'
+        });
+    } catch (error) {
+        sendAuthError(res, error, 'Failed to register');
+    }
+});
+
+router.post('/login', validate(schemas.login), async (req, res) => {
+    try {
+        const result = await req.auth.login(req.body);
+        if (!result) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid username or password'
+            });
+        }
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        sendAuthError(res, error, 'Failed to sign in');
+    }
+});
+
+// Ends the session the request was made with
+router.post('/logout', requireUser, (req, res) => {
+    try {
+        if (!req.session) {
+            return res.status(400).json({
+                success: false,
+                error: 'API tokens are revoked through /api/tokens, not signed out'
+            });
+        }
+        req.auth.logout(req.token);
+        res.json({
+            success: true,
+            message: 'Signed out'
+        });
+    } catch (error) {
+        sendAuthError(res, error, 'Failed to sign out');
+    }
+});
+
+router.get('/me', requireUser, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            user: toPublicUser(req.user),
+            expires_at: req.session ? req.session.expires_at : null,
+            api_token: req.apiToken ? toPublicApiToken(req.apiToken) : null
+        }
+    });
+});
+
+module.exports = router;
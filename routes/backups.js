@@ -0,0 +1,77 @@
+const express = require('express');
+const BackupService = require('../services/backup-service');
+const { StorageError } = require('../storage');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+
+const { BackupError, toPublicSnapshot } = BackupService;
+
+// Mounted behind requireAdmin: snapshots hold every user's data
+const router = express.Router();
+
+function sendBackupError(res, error, fallback) {
+    if (error instanceof BackupError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message
+        });
+    }
+    if (error instanceof StorageError) {
+        return res.status(503).json({
+            success: false,
+            error: error.message
+        });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({
+        success: false,
+        error: fallback
+    });
+}
+
+// Snapshots, newest first, and the schedule and retention they are kept by
+router.get('/', (req, res) => {
+    try {
+        const snapshots = req.backups.listSnapshots().map(toPublicSnapshot);
+        res.json({
+            success: true,
+            data: snapshots,
+            count: snapshots.length,
+            config: req.backups.getConfig()
+        });
+    } catch (error) {
+        sendBackupError(res, error, 'Failed to list snapshots');
+    }
+});
+
+router.post('/', (req, res) => {
+    try {
+        const snapshot = req.backups.createSnapshot('manual');
+        res.status(201).json({
+            success: true,
+            data: toPublicSnapshot(snapshot),
+            message: `Snapshot ${snapshot.id} created`
+        });
+    } catch (error) {
+        sendBackupError(res, error, 'Failed to create snapshot');
+    }
+});
+
+// Replaces the whole store; the data it replaces is kept as a pre-restore snapshot
+router.post('/:id/restore', validate(schemas.snapshotId), (req, res) => {
+    try {
+        const result = req.backups.restoreSnapshot(req.params.id);
+        res.json({
+            success: true,
+            data: {
+                restored: toPublicSnapshot(result.restored),
+                pre_restore: toPublicSnapshot(result.pre_restore)
+            },
+            message: `Restored snapshot ${result.restored.id}. To undo, restore ${result.pre_restore.id}`
+        });
+    } catch (error) {
+        sendBackupError(res, error, 'Failed to restore snapshot');
+    }
+});
+
+module.exports = router;
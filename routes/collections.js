@@ -0,0 +1,223 @@
+const express = require('express');
+const { StorageError } = require('../storage');
+const { validate, sendValidationError } = require('../validation');
+const schemas = require('../schemas');
+
+const router = express.Router();
+
+// Storage write failures are passed on so the client knows the change was not saved
+function sendWriteError(res, error, message) {
+    if (error instanceof StorageError) {
+        return res.status(503).json({
+            success: false,
+            error: error.message
+        });
+    }
+    res.status(500).json({
+        success: false,
+        error: message
+    });
+}
+
+function sendCollectionNotFound(res) {
+    res.status(404).json({
+        success: false,
+        error: 'Collection not found'
+    });
+}
+
+function nameTaken(db, name, id = null) {
+    return db.getAllCollections().some(collection => collection.name === name && collection.id !== id);
+}
+
+function sendNameTaken(res) {
+    res.status(409).json({
+        success: false,
+        error: 'A collection with that name already exists'
+    });
+}
+
+// A collection with its articles in order
+function collectionWithArticles(db, id) {
+    const collection = db.getCollectionById(id);
+    return collection && { ...collection, articles: db.getCollectionArticles(id) };
+}
+
+router.get('/', (req, res) => {
+    try {
+        const collections = req.db.getAllCollections();
+        res.json({
+            success: true,
+            data: collections,
+            count: collections.length
+        });
+    } catch (error) {
+        console.error('Error fetching collections:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch collections'
+        });
+    }
+});
+
+router.post('/', validate(schemas.createCollection), (req, res) => {
+    try {
+        const { name, description } = req.body;
+        if (nameTaken(req.db, name)) {
+            return sendNameTaken(res);
+        }
+
+        const collection = req.db.createCollection({ name, description });
+        res.status(201).json({
+            success: true,
+            data: collection,
+            message: 'Collection created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating collection:', error);
+        sendWriteError(res, error, 'Failed to create collection');
+    }
+});
+
+router.get('/:id', validate(schemas.collectionId), (req, res) => {
+    try {
+        const collection = collectionWithArticles(req.db, req.params.id);
+        if (!collection) {
+            return sendCollectionNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: collection
+        });
+    } catch (error) {
+        console.error('Error fetching collection:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch collection'
+        });
+    }
+});
+
+router.put('/:id', validate(schemas.updateCollection), (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!req.db.getCollectionById(id)) {
+            return sendCollectionNotFound(res);
+        }
+        if (req.body.name !== undefined && nameTaken(req.db, req.body.name, id)) {
+            return sendNameTaken(res);
+        }
+
+        req.db.updateCollection(id, req.body);
+        res.json({
+            success: true,
+            data: req.db.getCollectionById(id),
+            message: 'Collection updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating collection:', error);
+        sendWriteError(res, error, 'Failed to update collection');
+    }
+});
+
+// Deleting a collection leaves its articles alone
+router.delete('/:id', validate(schemas.collectionId), (req, res) => {
+    try {
+        const result = req.db.deleteCollection(req.params.id);
+        if (result.changes === 0) {
+            return sendCollectionNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Collection deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+        sendWriteError(res, error, 'Failed to delete collection');
+    }
+});
+
+// Add articles at `position` (from 0), or at the end; articles already in the collection stay put
+router.post('/:id/articles', validate(schemas.addToCollection), (req, res) => {
+    try {
+        const { id } = req.params;
+        const { article_ids, position = null } = req.body;
+        if (!req.db.getCollectionById(id)) {
+            return sendCollectionNotFound(res);
+        }
+
+        const missing = article_ids.filter(articleId => !req.db.getArticleById(articleId));
+        if (missing.length > 0) {
+            return res.status(404).json({
+                success: false,
+                error: `Article(s) not found: ${missing.join(', ')}`
+            });
+        }
+
+        const result = req.db.addArticlesToCollection(id, article_ids, position);
+        res.json({
+            success: true,
+            data: collectionWithArticles(req.db, id),
+            added: result.changes,
+            message: 'Articles added to collection'
+        });
+    } catch (error) {
+        console.error('Error adding articles to collection:', error);
+        sendWriteError(res, error, 'Failed to add articles to collection');
+    }
+});
+
+router.delete('/:id/articles', validate(schemas.removeFromCollection), (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!req.db.getCollectionById(id)) {
+            return sendCollectionNotFound(res);
+        }
+
+        const result = req.db.removeArticlesFromCollection(id, req.body.article_ids);
+        res.json({
+            success: true,
+            data: collectionWithArticles(req.db, id),
+            removed: result.changes,
+            message: 'Articles removed from collection'
+        });
+    } catch (error) {
+        console.error('Error removing articles from collection:', error);
+        sendWriteError(res, error, 'Failed to remove articles from collection');
+    }
+});
+
+// The listed articles move to the front in the given order; the rest keep their order after them
+router.put('/:id/order', validate(schemas.reorderCollection), (req, res) => {
+    try {
+        const { id } = req.params;
+        const { article_ids } = req.body;
+        if (!req.db.getCollectionById(id)) {
+            return sendCollectionNotFound(res);
+        }
+
+        const members = new Set(req.db.getCollectionArticles(id).map(article => article.id));
+        const strangers = article_ids.filter(articleId => !members.has(articleId));
+        if (strangers.length > 0) {
+            return sendValidationError(res, [{
+                field: 'article_ids',
+                location: 'body',
+                message: `article_ids are not in this collection: ${strangers.join(', ')}`
+            }]);
+        }
+
+        req.db.reorderCollection(id, article_ids);
+        res.json({
+            success: true,
+            data: collectionWithArticles(req.db, id),
+            message: 'Collection reordered'
+        });
+    } catch (error) {
+        console.error('Error reordering collection:', error);
+        sendWriteError(res, error, 'Failed to reorder collection');
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const ImportService = require('../services/import-service');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
 
 const router = express.Router();
 
@@ -37,6 +39,16 @@ const upload = multer({
     }
 });
 
+// Uploads are only needed while the request runs; a rejected request leaves nothing behind
+function discardRejectedUpload(req, res, next) {
+    res.on('finish', () => {
+        if (req.file && res.statusCode >= 400) {
+            fs.unlink(req.file.path).catch(() => {});
+        }
+    });
+    next();
+}
+
 // Get supported import formats
 router.get('/formats', (req, res) => {
     try {
@@ -57,7 +69,7 @@ router.get('/formats', (req, res) => {
 });
 
 // Import articles from file
-router.post('/import', upload.single('file'), async (req, res) => {
+router.post('/import', upload.single('file'), discardRejectedUpload, validate(schemas.importFile), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -67,18 +79,20 @@ router.post('/import', upload.single('file'), async (req, res) => {
         }
 
         const { format } = req.body;
-        if (!format) {
-            return res.status(400).json({
-                success: false,
-                error: 'Import format is required'
-            });
+        // An import can add thousands of articles: snapshot the store first. Snapshots hold every
+        // user's data and push older ones out, so other users' imports only take one when the
+        // schedule would anyway
+        if (req.user.is_admin && req.permissions.includes('admin')) {
+            req.backups.createSnapshot('pre-import');
+        } else {
+            req.backups.createSnapshotIfDue('pre-import');
         }
-
-        const importService = new ImportService(req.db);
+        // Articles and tags it adds are logged as coming from the import
+        const importService = new ImportService(req.db.withSource('import'), { siteRules: req.siteRules });
         const filePath = req.file.path;
 
         let result;
-        switch (format.toLowerCase()) {
+        switch (format) {
             case 'pocket':
                 result = await importService.importFromPocket(filePath);
                 break;
@@ -97,6 +111,13 @@ router.post('/import', upload.single('file'), async (req, res) => {
             default:
                 throw new Error('Unsupported import format');
         }
+        req.db.logActivity('imported', null, {
+            format,
+            filename: req.file.originalname,
+            imported: result.imported,
+            skipped: result.skipped,
+            errors: result.errors
+        });
 
         // Clean up uploaded file
         try {
@@ -131,7 +152,7 @@ router.post('/import', upload.single('file'), async (req, res) => {
 });
 
 // Preview import (analyze file without importing)
-router.post('/preview', upload.single('file'), async (req, res) => {
+router.post('/preview', upload.single('file'), discardRejectedUpload, validate(schemas.previewImport), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -157,7 +178,7 @@ router.post('/preview', upload.single('file'), async (req, res) => {
             let articles = [];
 
             // Parse articles based on format
-            switch (format?.toLowerCase()) {
+            switch (format) {
                 case 'pocket':
                     const pocketData = await fs.readFile(filePath, 'utf8');
                     articles = importService.parsePocketHTML(pocketData);
@@ -192,7 +213,7 @@ router.post('/preview', upload.single('file'), async (req, res) => {
 
             // Check for duplicates
             const existingUrls = articles.filter(article => {
-                return req.db.getArticleByUrl(article.url);
+                return req.db.getArticleByUrl(article.url, { includeTrashed: true });
             }).length;
 
             preview.duplicate_count = existingUrls;
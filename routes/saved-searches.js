@@ -0,0 +1,168 @@
+const express = require('express');
+const { StorageError, QueryError } = require('../storage');
+const { SearchSyntaxError } = require('../search-query');
+const { validate, sendValidationError } = require('../validation');
+const schemas = require('../schemas');
+
+const router = express.Router();
+
+// Storage write failures are passed on so the client knows the change was not saved
+function sendWriteError(res, error, message) {
+    if (error instanceof StorageError) {
+        return res.status(503).json({
+            success: false,
+            error: error.message
+        });
+    }
+    res.status(500).json({
+        success: false,
+        error: message
+    });
+}
+
+function sendSavedSearchNotFound(res) {
+    res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+    });
+}
+
+function nameTaken(db, name, id = null) {
+    return db.getAllSavedSearches().some(search => search.name === name && search.id !== id);
+}
+
+function sendNameTaken(res) {
+    res.status(409).json({
+        success: false,
+        error: 'A saved search with that name already exists'
+    });
+}
+
+// The stored list parameters, or null after answering 400 for ones the article list would refuse
+function checkQuery(req, res) {
+    try {
+        return req.savedSearches.checkQuery(req.body.query);
+    } catch (error) {
+        if (!(error instanceof QueryError || error instanceof SearchSyntaxError)) throw error;
+        sendValidationError(res, [{
+            field: `query.${error.field || 'q'}`,
+            location: 'body',
+            message: error.message,
+            ...(error.position !== undefined && { position: error.position })
+        }]);
+        return null;
+    }
+}
+
+// Every saved search with its current number of results
+router.get('/', (req, res) => {
+    try {
+        const searches = req.savedSearches.list();
+        res.json({
+            success: true,
+            data: searches,
+            count: searches.length
+        });
+    } catch (error) {
+        console.error('Error fetching saved searches:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch saved searches'
+        });
+    }
+});
+
+// query holds article list parameters, e.g. { "q": "tag:ai is:unread", "sort": "reading_time" }
+router.post('/', validate(schemas.createSavedSearch), (req, res) => {
+    try {
+        const { name } = req.body;
+        if (nameTaken(req.db, name)) {
+            return sendNameTaken(res);
+        }
+        const query = checkQuery(req, res);
+        if (!query) {
+            return;
+        }
+
+        const search = req.db.createSavedSearch({ name, query });
+        res.status(201).json({
+            success: true,
+            data: req.savedSearches.get(search.id),
+            message: 'Saved search created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating saved search:', error);
+        sendWriteError(res, error, 'Failed to create saved search');
+    }
+});
+
+// One saved search with its count and its size on each of the last 30 days
+router.get('/:id', validate(schemas.savedSearchId), (req, res) => {
+    try {
+        const search = req.savedSearches.get(req.params.id);
+        if (!search) {
+            return sendSavedSearchNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: { ...search, trend: req.savedSearches.getTrend(search) }
+        });
+    } catch (error) {
+        console.error('Error fetching saved search:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch saved search'
+        });
+    }
+});
+
+// A new query replaces the old one as a whole
+router.put('/:id', validate(schemas.updateSavedSearch), (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!req.db.getSavedSearchById(id)) {
+            return sendSavedSearchNotFound(res);
+        }
+        if (req.body.name !== undefined && nameTaken(req.db, req.body.name, id)) {
+            return sendNameTaken(res);
+        }
+
+        const updates = { name: req.body.name };
+        if (req.body.query !== undefined) {
+            updates.query = checkQuery(req, res);
+            if (!updates.query) {
+                return;
+            }
+        }
+
+        req.db.updateSavedSearch(id, updates);
+        res.json({
+            success: true,
+            data: req.savedSearches.get(id),
+            message: 'Saved search updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating saved search:', error);
+        sendWriteError(res, error, 'Failed to update saved search');
+    }
+});
+
+router.delete('/:id', validate(schemas.savedSearchId), (req, res) => {
+    try {
+        const result = req.db.deleteSavedSearch(req.params.id);
+        if (result.changes === 0) {
+            return sendSavedSearchNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Saved search deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting saved search:', error);
+        sendWriteError(res, error, 'Failed to delete saved search');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const ContentExtractor = require('../services/simple-extractor');
+const SiteRuleRegistry = require('../services/site-rules');
+const { validate, sendValidationError } = require('../validation');
+const schemas = require('../schemas');
+
+const { SiteRuleError, normalizeRule, countMatches } = SiteRuleRegistry;
+
+// Mounted behind requireAdmin: rules apply to every user's saves
+const router = express.Router();
+
+// Pages to test a rule against are only needed while the request runs
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase();
+        if (['.html', '.htm'].includes(ext)) {
+            cb(null, true);
+        } else {
+            cb(new SiteRuleError('Invalid file type. Upload the page as .html'));
+        }
+    }
+});
+
+function sendSiteRuleError(res, error, fallback) {
+    if (error instanceof SiteRuleError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message
+        });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({
+        success: false,
+        error: fallback
+    });
+}
+
+function uploadPage(req, res, next) {
+    upload.single('file')(req, res, error => {
+        if (error instanceof multer.MulterError || error instanceof SiteRuleError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        next(error);
+    });
+}
+
+// A multipart form carries the rule to try as JSON text
+function parseRuleField(req, res, next) {
+    if (typeof req.body.rule === 'string') {
+        try {
+            req.body.rule = JSON.parse(req.body.rule);
+        } catch {
+            return sendValidationError(res, [{ field: 'rule', location: 'body', message: 'rule must be JSON' }]);
+        }
+    }
+    next();
+}
+
+// Every rule in effect, built-in or from the rules directory
+router.get('/', (req, res) => {
+    try {
+        const rules = req.siteRules.list();
+        res.json({
+            success: true,
+            data: rules,
+            count: rules.length,
+            config: req.siteRules.getConfig()
+        });
+    } catch (error) {
+        sendSiteRuleError(res, error, 'Failed to list site rules');
+    }
+});
+
+// Re-reads the rules directory, e.g. after editing its files
+router.post('/reload', (req, res) => {
+    try {
+        const { count, errors } = req.siteRules.load();
+        res.json({
+            success: true,
+            data: { count, errors },
+            message: `Loaded ${count} site rule(s)${errors.length > 0 ? `; ${errors.length} file(s) skipped` : ''}`
+        });
+    } catch (error) {
+        sendSiteRuleError(res, error, 'Failed to reload site rules');
+    }
+});
+
+/**
+ * Extracts a page the way a save would, with the rule matching `url` or the
+ * unsaved `rule` given, and reports how many elements each of the rule's
+ * selectors matches. The page is fetched unless it comes as `html` or an
+ * uploaded `file`.
+ */
+router.post('/test', uploadPage, parseRuleField, validate(schemas.testSiteRule), async (req, res) => {
+    try {
+        const { url } = req.body;
+        let rule = req.siteRules.match(url);
+        if (req.body.rule) {
+            // A rule copied from GET /api/site-rules still says where it came from
+            const { source, file, ...candidate } = req.body.rule;
+            rule = normalizeRule({ domain: new URL(url).hostname, ...candidate });
+        }
+
+        const extractor = new ContentExtractor({ siteRules: req.siteRules });
+        const html = req.file ? req.file.buffer.toString('utf8') : req.body.html;
+        let page = { html, fetchedUrl: null, finalUrl: url };
+        if (!html) {
+            try {
+                page = await extractor.fetchPage(url, rule);
+            } catch (fetchError) {
+                return res.status(502).json({
+                    success: false,
+                    error: `Failed to fetch ${SiteRuleRegistry.rewriteUrl(rule, url)}: ${fetchError.message}`
+                });
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                rule,
+                fetched_url: page.fetchedUrl,
+                matches: rule ? countMatches(rule, page.html) : null,
+                article: extractor.extractFromHtml(page.html, url, { finalUrl: page.finalUrl, rule })
+            }
+        });
+    } catch (error) {
+        sendSiteRuleError(res, error, 'Failed to test site rule');
+    }
+});
+
+router.get('/:domain', validate(schemas.siteRuleDomain), (req, res) => {
+    const rule = req.siteRules.get(req.params.domain);
+    if (!rule) {
+        return res.status(404).json({
+            success: false,
+            error: `No site rule for ${req.params.domain}`
+        });
+    }
+    res.json({
+        success: true,
+        data: rule
+    });
+});
+
+// Adds or replaces the rule for a domain; it is written to the rules directory and used from the next save
+router.put('/:domain', validate(schemas.setSiteRule), (req, res) => {
+    try {
+        const rule = req.siteRules.set(req.params.domain, req.body);
+        res.json({
+            success: true,
+            data: rule,
+            message: `Site rule for ${rule.domain} saved`
+        });
+    } catch (error) {
+        sendSiteRuleError(res, error, 'Failed to save site rule');
+    }
+});
+
+// Removes a rule set for a domain; a built-in rule for it applies again
+router.delete('/:domain', validate(schemas.siteRuleDomain), (req, res) => {
+    try {
+        const rule = req.siteRules.remove(req.params.domain);
+        res.json({
+            success: true,
+            data: rule,
+            message: rule
+                ? `Site rule for ${req.params.domain} removed; the built-in rule applies again`
+                : `Site rule for ${req.params.domain} removed`
+        });
+    } catch (error) {
+        sendSiteRuleError(res, error, 'Failed to remove site rule');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const StorageMigration = require('../services/storage-migration');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+
+// Mounted behind requireAdmin: these work on the whole database (req.storage), every user's data included
+const router = express.Router();
+
+// Get the active storage backend
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            backend: req.storage.backend,
+            migrations: Object.keys(StorageMigration.DIRECTIONS)
+        }
+    });
+});
+
+// Copy the library into the other backend and return a verification report
+router.post('/migrate', validate(schemas.migrateStorage), async (req, res) => {
+    try {
+        const { direction, dry_run, overwrite } = req.body;
+        if (!dry_run) {
+            req.backups.createSnapshot('pre-migration');
+        }
+        const migration = new StorageMigration({ activeDb: req.storage });
+        const report = await migration.migrate(direction, {
+            dryRun: dry_run,
+            overwrite
+        });
+
+        res.json({
+            success: true,
+            data: report,
+            message: report.success
+                ? 'Migration completed and verified'
+                : `Migration finished with ${report.failed.length} failed rows and ${report.mismatches.length} mismatches`
+        });
+    } catch (error) {
+        console.error('Storage migration error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Re-index every article for full-text search
+router.post('/search-index/rebuild', (req, res) => {
+    try {
+        const result = req.storage.rebuildSearchIndex();
+        res.json({
+            success: true,
+            data: result,
+            message: `Search index rebuilt (${result.indexed} articles)`
+        });
+    } catch (error) {
+        console.error('Search index rebuild error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
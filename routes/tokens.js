@@ -0,0 +1,73 @@
+const express = require('express');
+const { StorageError } = require('../storage');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+
+const router = express.Router();
+
+// Storage write failures are passed on so the client knows the change was not saved
+function sendWriteError(res, error, message) {
+    if (error instanceof StorageError) {
+        return res.status(503).json({
+            success: false,
+            error: error.message
+        });
+    }
+    res.status(500).json({
+        success: false,
+        error: message
+    });
+}
+
+// The signed-in user's API tokens, without the tokens themselves
+router.get('/', (req, res) => {
+    try {
+        const tokens = req.auth.listApiTokens(req.user);
+        res.json({
+            success: true,
+            data: tokens,
+            count: tokens.length
+        });
+    } catch (error) {
+        console.error('Error fetching API tokens:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch API tokens'
+        });
+    }
+});
+
+router.post('/', validate(schemas.createApiToken), (req, res) => {
+    try {
+        const apiToken = req.auth.createApiToken(req.user, req.body);
+        res.status(201).json({
+            success: true,
+            data: apiToken,
+            message: 'API token created. Copy it now: it is not shown again'
+        });
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        sendWriteError(res, error, 'Failed to create API token');
+    }
+});
+
+router.delete('/:id', validate(schemas.apiTokenId), (req, res) => {
+    try {
+        if (!req.auth.revokeApiToken(req.user, req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'API token not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'API token revoked'
+        });
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        sendWriteError(res, error, 'Failed to revoke API token');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,372 @@
+/**
+ * Request schemas for every route that takes input, checked by validate()
+ * from validation.js. The article list query is the exception: its
+ * parameters are parsed by normalizeArticleQuery in storage.js, which
+ * reports problems in the same 400 shape.
+ */
+
+const StorageMigration = require('./services/storage-migration');
+const AuthService = require('./services/auth-service');
+const ActivityService = require('./services/activity-service');
+
+const ID = { type: 'integer', min: 1, required: true };
+
+const TAG_LIST = { type: 'array', items: { type: 'tag' }, max: 100 };
+
+const ARTICLE_ID_LIST = { type: 'array', items: { type: 'integer', min: 1 }, min: 1, max: 1000, required: true };
+
+const COLLECTION_FIELDS = {
+  name: { type: 'string', nonEmpty: true, trim: true, max: 200 },
+  description: { type: 'string', nullable: true, max: 5000 }
+};
+
+// Article fields a client may write. Sync bookkeeping, timestamps and the
+// trash state have routes of their own (or are never written by clients).
+// SQLite gives null for optional fields an article was saved without.
+const ARTICLE_WRITABLE_FIELDS = {
+  url: { type: 'url' },
+  canonical_url: { type: 'url', nullable: true },
+  title: { type: 'string', nonEmpty: true, max: 1000 },
+  content: { type: 'string' },
+  excerpt: { type: 'string', nullable: true, max: 5000 },
+  author: { type: 'string', nullable: true, max: 500 },
+  domain: { type: 'string', nullable: true, max: 255 },
+  word_count: { type: 'integer', nullable: true, min: 0 },
+  reading_time: { type: 'number', nullable: true, min: 0 },
+  publish_date: { type: 'date', nullable: true },
+  is_read: { type: 'boolean' },
+  is_favorite: { type: 'boolean' },
+  is_archived: { type: 'boolean' },
+  reading_progress: { type: 'number', min: 0, max: 1 },
+  last_read_at: { type: 'date', nullable: true },
+  notes: { type: 'string', nullable: true }
+};
+
+// Read-only fields of a fetched article, so one can be sent back as an update
+const ARTICLE_READ_ONLY_FIELDS = [
+  'id', 'user_id', 'created_at', 'updated_at', 'deleted_at',
+  'obsidian_path', 'obsidian_synced_at', 'obsidian_synced', 'notes_version', 'notes_updated_at',
+  'tags', 'tag_names', 'score', 'snippet'
+];
+
+const IMPORT_FORMATS = ['pocket', 'instapaper', 'readwise', 'csv', 'json'];
+
+// The list parameters are checked by SavedSearchService.checkQuery
+const SAVED_SEARCH_FIELDS = {
+  name: { type: 'string', nonEmpty: true, trim: true, max: 200 },
+  query: { type: 'object' }
+};
+
+// Passwords are checked as given: no trimming
+const CREDENTIALS = {
+  body: {
+    fields: {
+      username: { type: 'username', required: true },
+      password: { type: 'string', min: 8, max: 1024, required: true }
+    }
+  }
+};
+
+const articleId = { params: { fields: { id: ID } } };
+const collectionId = { params: { fields: { id: ID } } };
+const savedSearchId = { params: { fields: { id: ID } } };
+const apiTokenId = { params: { fields: { id: ID } } };
+const snapshotId = { params: { fields: { id: { type: 'snapshotId', required: true } } } };
+const siteRuleDomain = { params: { fields: { domain: { type: 'domain', required: true } } } };
+
+// What a site rule may set; SiteRuleRegistry checks the selectors and patterns themselves
+const SELECTOR = { type: 'string', nonEmpty: true, trim: true, max: 500 };
+const SITE_RULE_FIELDS = {
+  path: { type: 'string', nonEmpty: true, max: 500 },
+  content: SELECTOR,
+  title: SELECTOR,
+  author: SELECTOR,
+  date: SELECTOR,
+  strip: { type: 'array', items: SELECTOR, max: 50 },
+  rewrites: { type: 'array', items: { type: 'object' }, max: 10 }
+};
+
+const schemas = {
+  articleId,
+
+  createArticle: {
+    body: {
+      fields: {
+        ...ARTICLE_WRITABLE_FIELDS,
+        url: { type: 'url', required: true },
+        tags: TAG_LIST
+      }
+    }
+  },
+
+  extractArticle: {
+    body: { fields: { url: { type: 'url', required: true } } }
+  },
+
+  // notes only with the notes_version they were read at, as PUT /:id/notes takes it
+  updateArticle: {
+    ...articleId,
+    body: {
+      fields: { ...ARTICLE_WRITABLE_FIELDS, notes_version: { type: 'integer', min: 0 } },
+      ignore: ARTICLE_READ_ONLY_FIELDS.filter(field => field !== 'notes_version'),
+      minFields: 1,
+      check: ({ notes, notes_version }) => (notes !== undefined && notes_version === undefined
+        ? [{ field: 'notes_version', message: 'is required with notes: send the one the notes were read at' }]
+        : [])
+    }
+  },
+
+  searchArticles: {
+    params: { fields: { query: { type: 'string', nonEmpty: true, max: 1000, required: true } } }
+  },
+
+  mergeDuplicates: {
+    body: { fields: { dry_run: { type: 'boolean', default: false } } }
+  },
+
+  tagId: {
+    params: { fields: { tagId: ID } }
+  },
+
+  updateTag: {
+    params: { fields: { tagId: ID } },
+    body: {
+      fields: {
+        name: { type: 'string', nonEmpty: true, trim: true, max: 100 },
+        color: { type: 'color', nullable: true }
+      },
+      minFields: 1
+    }
+  },
+
+  addTags: {
+    ...articleId,
+    body: { fields: { tags: { ...TAG_LIST, required: true } } }
+  },
+
+  // No list removes every tag
+  removeTags: {
+    ...articleId,
+    body: { fields: { tags: TAG_LIST } }
+  },
+
+  addHighlight: {
+    ...articleId,
+    body: {
+      fields: {
+        text: { type: 'string', nonEmpty: true, max: 10000, required: true },
+        context: { type: 'string', nullable: true, max: 20000 },
+        position_start: { type: 'integer', min: 0, nullable: true },
+        position_end: { type: 'integer', min: 0, nullable: true },
+        note: { type: 'string', nullable: true, max: 10000 }
+      },
+      check: ({ position_start: start, position_end: end }) =>
+        (start != null && end != null && end < start
+          ? [{ field: 'position_end', message: 'must not be before position_start' }]
+          : [])
+    }
+  },
+
+  highlightId: {
+    params: { fields: { id: ID } }
+  },
+
+  revision: {
+    params: { fields: { id: ID, revision: ID } }
+  },
+
+  revisionDiff: {
+    ...articleId,
+    query: {
+      fields: {
+        from: ID,
+        to: { type: 'integer', min: 1 }
+      }
+    }
+  },
+
+  // version is the notes version the client last read (GET /api/articles/:id/notes)
+  updateNotes: {
+    ...articleId,
+    body: {
+      fields: {
+        notes: { ...ARTICLE_WRITABLE_FIELDS.notes, required: true },
+        version: { type: 'integer', min: 0, required: true }
+      }
+    }
+  },
+
+  updateProgress: {
+    ...articleId,
+    body: { fields: { progress: { type: 'number', min: 0, max: 1, required: true } } }
+  },
+
+  importFile: {
+    body: { fields: { format: { type: 'enum', values: IMPORT_FORMATS, required: true } } }
+  },
+
+  previewImport: {
+    body: { fields: { format: { type: 'enum', values: IMPORT_FORMATS.filter(f => f !== 'readwise'), required: true } } }
+  },
+
+  migrateStorage: {
+    body: {
+      fields: {
+        direction: { type: 'enum', values: Object.keys(StorageMigration.DIRECTIONS), required: true },
+        dry_run: { type: 'boolean', default: false },
+        overwrite: { type: 'boolean', default: false }
+      }
+    }
+  },
+
+  collectionId,
+
+  createCollection: {
+    body: { fields: { ...COLLECTION_FIELDS, name: { ...COLLECTION_FIELDS.name, required: true } } }
+  },
+
+  updateCollection: {
+    ...collectionId,
+    body: { fields: COLLECTION_FIELDS, minFields: 1 }
+  },
+
+  // position counts from 0; without one the articles are appended
+  addToCollection: {
+    ...collectionId,
+    body: {
+      fields: {
+        article_ids: ARTICLE_ID_LIST,
+        position: { type: 'integer', min: 0, nullable: true }
+      }
+    }
+  },
+
+  removeFromCollection: {
+    ...collectionId,
+    body: { fields: { article_ids: ARTICLE_ID_LIST } }
+  },
+
+  reorderCollection: {
+    ...collectionId,
+    body: { fields: { article_ids: ARTICLE_ID_LIST } }
+  },
+
+  savedSearchId,
+
+  createSavedSearch: {
+    body: {
+      fields: {
+        name: { ...SAVED_SEARCH_FIELDS.name, required: true },
+        query: { ...SAVED_SEARCH_FIELDS.query, required: true }
+      }
+    }
+  },
+
+  updateSavedSearch: {
+    ...savedSearchId,
+    body: { fields: SAVED_SEARCH_FIELDS, minFields: 1 }
+  },
+
+  analyticsTrends: {
+    query: { fields: { days: { type: 'integer', min: 1, max: 3650, default: 30 } } }
+  },
+
+  analyticsDomains: {
+    query: { fields: { limit: { type: 'integer', min: 1, max: 100, default: 10 } } }
+  },
+
+  analyticsTags: {
+    query: { fields: { limit: { type: 'integer', min: 1, max: 100, default: 15 } } }
+  },
+
+  analyticsReport: {
+    query: { fields: { type: { type: 'enum', values: ['summary', 'comprehensive', 'detailed'], default: 'comprehensive' } } }
+  },
+
+  runSync: {
+    query: { fields: { type: { type: 'enum', values: ['export', 'import', 'full'], default: 'export' } } }
+  },
+
+  resolveConflicts: {
+    body: {
+      fields: {
+        resolution_strategy: { type: 'enum', values: ['obsidian_wins', 'app_wins', 'merge', 'ask'] }
+      }
+    }
+  },
+
+  configureSync: {
+    body: {
+      fields: {
+        vaultPath: { type: 'string', nonEmpty: true, trim: true, required: true },
+        folderPath: { type: 'string', nonEmpty: true, trim: true },
+        subfolderStructure: { type: 'enum', values: ['date', 'domain', 'none'] },
+        template: { type: 'string', nonEmpty: true },
+        enabled: { type: 'boolean' },
+        autoArchive: { type: 'boolean' },
+        syncDirection: { type: 'enum', values: ['import', 'export', 'both'] },
+        conflictResolution: { type: 'enum', values: ['obsidian_wins', 'app_wins', 'merge', 'ask'] },
+        backupBeforeSync: { type: 'boolean' },
+        collectionNotes: { type: 'boolean' },
+        collectionsFolder: { type: 'string', nonEmpty: true, trim: true }
+      }
+    }
+  },
+
+  register: CREDENTIALS,
+
+  // Any wrong username or password gets the same 401, so only their presence is checked here
+  login: {
+    body: {
+      fields: {
+        username: { type: 'string', nonEmpty: true, trim: true, max: 200, required: true },
+        password: { type: 'string', nonEmpty: true, max: 1024, required: true }
+      }
+    }
+  },
+
+  apiTokenId,
+  snapshotId,
+  siteRuleDomain,
+
+  setSiteRule: {
+    ...siteRuleDomain,
+    body: { fields: SITE_RULE_FIELDS, ignore: ['domain', 'source', 'file'] }
+  },
+
+  // `rule` tries a rule without saving it; otherwise the one matching the URL is used
+  testSiteRule: {
+    body: {
+      fields: {
+        url: { type: 'url', required: true },
+        html: { type: 'string', nonEmpty: true, max: 5 * 1024 * 1024 },
+        rule: { type: 'object' }
+      }
+    }
+  },
+
+  activity: {
+    query: {
+      fields: {
+        type: { type: 'array', items: { type: 'enum', values: ActivityService.TYPES }, max: 20 },
+        source: { type: 'array', items: { type: 'enum', values: ActivityService.SOURCES }, max: 20 },
+        article_id: { type: 'integer', min: 1 },
+        since: { type: 'date' },
+        until: { type: 'date' },
+        limit: { type: 'integer', min: 1, max: 200 },
+        cursor: { type: 'integer', min: 1 }
+      }
+    }
+  },
+
+  createApiToken: {
+    body: {
+      fields: {
+        name: { type: 'string', nonEmpty: true, trim: true, max: 100, required: true },
+        scope: { type: 'enum', values: Object.keys(AuthService.SCOPES), required: true }
+      }
+    }
+  }
+};
+
+module.exports = schemas;
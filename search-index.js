@@ -0,0 +1,512 @@
+const { SEARCH_FIELDS, tokenize } = require('./search-query');
+
+/**
+ * In-memory inverted index for JsonDatabase's full-text search.
+ *
+ * Articles are indexed on the plain text of SEARCH_FIELDS (HTML stripped):
+ * words are tokenized like the query parser does, stop words are skipped and
+ * the rest are Porter-stemmed, so "running" finds "runs". Postings keep word
+ * positions per field for phrase queries. Results are ranked with BM25 over
+ * boosted term frequencies, so a match in the title counts for more than one
+ * deep in the body.
+ *
+ * The index is kept up to date one article at a time (see update()), so a
+ * save never re-indexes the whole library.
+ */
+
+// Field weights for ranking; every SEARCH_FIELDS entry needs one
+const FIELD_BOOSTS = { title: 3, excerpt: 1.5, notes: 1.5, author: 1, content: 1 };
+
+// BM25 parameters: term frequency saturation and document length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// A prefix's other completions count for less than the word itself
+const PREFIX_WEIGHT = 0.5;
+
+// Snippet length in words, and how many of them lead up to the first match
+const SNIPPET_WORDS = 24;
+const SNIPPET_CONTEXT = 4;
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'did', 'do',
+    'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is',
+    'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 's', 'she', 'so', 'such', 't',
+    'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'too',
+    'very', 'was', 'we', 'were', 'will', 'with', 'you', 'your'
+]);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”' };
+
+function htmlToText(html) {
+    return String(html ?? '')
+        .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] !== '#') return ENTITIES[name.toLowerCase()] ?? entity;
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Porter (1980) stemmer, with the bli/logi refinements from the reference implementation
+
+function isConsonant(word, i) {
+    const c = word[i];
+    if ('aeiou'.includes(c)) return false;
+    if (c === 'y') return i === 0 || !isConsonant(word, i - 1);
+    return true;
+}
+
+// Number of vowel-consonant sequences in the stem: [C](VC){m}[V]
+function measure(stem) {
+    let m = 0;
+    let i = 0;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+    while (i < stem.length) {
+        while (i < stem.length && !isConsonant(stem, i)) i++;
+        if (i >= stem.length) break;
+        while (i < stem.length && isConsonant(stem, i)) i++;
+        m++;
+    }
+    return m;
+}
+
+function hasVowel(stem) {
+    for (let i = 0; i < stem.length; i++) {
+        if (!isConsonant(stem, i)) return true;
+    }
+    return false;
+}
+
+function endsWithDoubleConsonant(word) {
+    const n = word.length;
+    return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+// consonant-vowel-consonant, where the last consonant is not w, x or y
+function endsWithCvc(word) {
+    const n = word.length;
+    return n >= 3 && isConsonant(word, n - 3) && !isConsonant(word, n - 2) &&
+        isConsonant(word, n - 1) && !'wxy'.includes(word[n - 1]);
+}
+
+const byLength = suffixes => suffixes.sort((a, b) => b[0].length - a[0].length);
+
+const STEP2 = byLength(Object.entries({
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+    alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate',
+    alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive',
+    biliti: 'ble', logi: 'log'
+}));
+
+const STEP3 = byLength(Object.entries({
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+}));
+
+const STEP4 = byLength([
+    'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+    'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].map(suffix => [suffix, '']));
+
+// Only the longest matching suffix is considered; it is replaced if the rest passes `accept`
+function replaceSuffix(word, suffixes, accept) {
+    for (const [suffix, replacement] of suffixes) {
+        if (word.endsWith(suffix)) {
+            const stem = word.slice(0, -suffix.length);
+            return accept(stem, suffix) ? stem + replacement : word;
+        }
+    }
+    return word;
+}
+
+function stem(word) {
+    if (word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+
+    // Step 1a: plurals
+    if (word.endsWith('sses') || word.endsWith('ies')) word = word.slice(0, -2);
+    else if (word.endsWith('s') && !word.endsWith('ss')) word = word.slice(0, -1);
+
+    // Step 1b: -ed and -ing
+    if (word.endsWith('eed')) {
+        if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+    } else {
+        const suffix = ['ed', 'ing'].find(s => word.endsWith(s) && hasVowel(word.slice(0, -s.length)));
+        if (suffix) {
+            word = word.slice(0, -suffix.length);
+            if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) word += 'e';
+            else if (endsWithDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) word = word.slice(0, -1);
+            else if (measure(word) === 1 && endsWithCvc(word)) word += 'e';
+        }
+    }
+
+    // Step 1c: y -> i
+    if (word.endsWith('y') && hasVowel(word.slice(0, -1))) word = word.slice(0, -1) + 'i';
+
+    // Steps 2-4: derivational suffixes
+    word = replaceSuffix(word, STEP2, stemmed => measure(stemmed) > 0);
+    word = replaceSuffix(word, STEP3, stemmed => measure(stemmed) > 0);
+    word = replaceSuffix(word, STEP4, (stemmed, suffix) =>
+        measure(stemmed) > 1 && (suffix !== 'ion' || /[st]$/.test(stemmed)));
+
+    // Step 5: final -e and -ll
+    if (word.endsWith('e')) {
+        const stemmed = word.slice(0, -1);
+        const m = measure(stemmed);
+        if (m > 1 || (m === 1 && !endsWithCvc(stemmed))) word = stemmed;
+    }
+    if (word.endsWith('ll') && measure(word) > 1) word = word.slice(0, -1);
+
+    return word;
+}
+
+// Stemming is the slow part of indexing and vocabularies are small, so stems are memoized
+const stemCache = new Map();
+const STEM_CACHE_SIZE = 50000;
+
+// The index term for a token, or null for stop words
+function toTerm(token) {
+    if (STOP_WORDS.has(token)) return null;
+    let term = stemCache.get(token);
+    if (term === undefined) {
+        if (stemCache.size >= STEM_CACHE_SIZE) stemCache.clear();
+        term = stem(token);
+        stemCache.set(token, term);
+    }
+    return term;
+}
+
+function articleText(article, field) {
+    return htmlToText(article[field]);
+}
+
+class SearchIndex {
+    constructor() {
+        this.docs = new Map();       // article id -> { length, terms }
+        this.postings = new Map();   // term -> Map(article id -> { field: [positions] })
+        this.totalLength = 0;
+        this.vocabulary = null;      // sorted terms for prefix queries, rebuilt on demand
+    }
+
+    static build(articles) {
+        const index = new SearchIndex();
+        for (const article of articles) {
+            index.add(article);
+        }
+        return index;
+    }
+
+    add(article) {
+        const terms = new Set();
+        let length = 0;
+
+        for (const field of SEARCH_FIELDS) {
+            const tokens = tokenize(articleText(article, field));
+            length += FIELD_BOOSTS[field] * tokens.length;
+
+            tokens.forEach((token, position) => {
+                const term = toTerm(token);
+                if (term === null) return;
+
+                let docs = this.postings.get(term);
+                if (!docs) {
+                    docs = new Map();
+                    this.postings.set(term, docs);
+                    this.vocabulary = null;
+                }
+                let entry = docs.get(article.id);
+                if (!entry) {
+                    entry = {};
+                    docs.set(article.id, entry);
+                    terms.add(term);
+                }
+                (entry[field] ||= []).push(position);
+            });
+        }
+
+        this.docs.set(article.id, { length, terms: [...terms] });
+        this.totalLength += length;
+    }
+
+    remove(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+
+        for (const term of doc.terms) {
+            const docs = this.postings.get(term);
+            docs.delete(id);
+            if (docs.size === 0) {
+                this.postings.delete(term);
+                this.vocabulary = null;
+            }
+        }
+        this.docs.delete(id);
+        this.totalLength -= doc.length;
+    }
+
+    // Re-index an article after a change; either side may be null (created / deleted)
+    update(before, after) {
+        if (before && after && SEARCH_FIELDS.every(field => before[field] === after[field])) {
+            return;
+        }
+        if (before) this.remove(before.id);
+        if (after) this.add(after);
+    }
+
+    // Index terms starting with `prefix`, found by binary search over the sorted vocabulary
+    termsWithPrefix(prefix) {
+        if (!this.vocabulary) {
+            this.vocabulary = [...this.postings.keys()].sort();
+        }
+        let low = 0;
+        let high = this.vocabulary.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.vocabulary[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const terms = [];
+        for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(prefix); i++) {
+            terms.push(this.vocabulary[i]);
+        }
+        return terms;
+    }
+
+    /**
+     * The indexable words of a text clause with their offsets in the clause.
+     * The last word of an unquoted clause matches as a prefix, like SQLite's
+     * FTS5 queries. Each part lists the index terms it can match.
+     */
+    clauseParts(clause) {
+        const last = clause.tokens.length - 1;
+        const parts = [];
+        clause.tokens.forEach((token, offset) => {
+            const term = toTerm(token);
+            if (term === null) return;
+            const prefix = !clause.phrase && offset === last;
+            parts.push({
+                term,
+                offset,
+                prefix,
+                terms: prefix ? this.termsWithPrefix(term) : this.postings.has(term) ? [term] : []
+            });
+        });
+        return parts;
+    }
+
+    /**
+     * Ids of the articles a text clause matches, ignoring negation, or null
+     * when the clause is only stop words and should be ignored.
+     */
+    matchClause(clause) {
+        const parts = this.clauseParts(clause);
+        if (parts.length === 0) return null;
+
+        const docsFor = part => {
+            const ids = new Set();
+            for (const term of part.terms) {
+                for (const id of this.postings.get(term).keys()) ids.add(id);
+            }
+            return ids;
+        };
+
+        let candidates = docsFor(parts[0]);
+        for (const part of parts.slice(1)) {
+            const ids = docsFor(part);
+            candidates = new Set([...candidates].filter(id => ids.has(id)));
+        }
+        if (parts.length === 1) return candidates;
+
+        return new Set([...candidates].filter(id => this.hasSequence(id, parts)));
+    }
+
+    // Whether the parts occur in one field of the article at their relative offsets
+    hasSequence(id, parts) {
+        const positionsOf = (part, field) => {
+            const positions = new Set();
+            for (const term of part.terms) {
+                const entry = this.postings.get(term).get(id);
+                for (const position of entry?.[field] || []) positions.add(position);
+            }
+            return positions;
+        };
+
+        return SEARCH_FIELDS.some(field => {
+            const [first, ...rest] = parts.map(part => positionsOf(part, field));
+            return [...first].some(start =>
+                rest.every((positions, i) => positions.has(start - parts[0].offset + parts[i + 1].offset))
+            );
+        });
+    }
+
+    // Match ids for every text clause of a parsed query (see matchClause)
+    matchClauses(clauses) {
+        const matches = new Map();
+        for (const clause of clauses) {
+            if (clause.type === 'text') matches.set(clause, this.matchClause(clause));
+        }
+        return matches;
+    }
+
+    bm25(term, id) {
+        const docs = this.postings.get(term);
+        const entry = docs?.get(id);
+        if (!entry) return 0;
+
+        let frequency = 0;
+        for (const [field, positions] of Object.entries(entry)) {
+            frequency += FIELD_BOOSTS[field] * positions.length;
+        }
+        const count = this.docs.size;
+        const idf = Math.log(1 + (count - docs.size + 0.5) / (docs.size + 0.5));
+        const averageLength = this.totalLength / count || 1;
+        const length = this.docs.get(id).length;
+        return idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+    }
+
+    // The parts of a query's positive text clauses, which score() and snippet() work from
+    rankingParts(clauses) {
+        return clauses
+            .filter(clause => clause.type === 'text' && !clause.negated)
+            .flatMap(clause => this.clauseParts(clause));
+    }
+
+    // Relevance of an article to rankingParts(); 0 if there are none
+    score(id, parts) {
+        let score = 0;
+        for (const part of parts) {
+            // A prefix counts once, for its best-scoring completion
+            score += Math.max(0, ...part.terms.map(term =>
+                this.bm25(term, id) * (term === part.term ? 1 : PREFIX_WEIGHT)));
+        }
+        return score;
+    }
+
+    /**
+     * A short extract of the article around the best cluster of words
+     * matching rankingParts(), HTML-escaped with matches wrapped in <mark>.
+     * Falls back to the start of the text when nothing matches; null if there
+     * is no text at all.
+     */
+    snippet(article, parts) {
+        const terms = new Set(parts.flatMap(part => part.terms));
+
+        // Matching word positions come straight from the postings
+        return buildSnippet(article, (field) => {
+            const matched = new Set();
+            for (const term of terms) {
+                for (const position of this.postings.get(term).get(article.id)?.[field] || []) {
+                    matched.add(position);
+                }
+            }
+            return matched;
+        });
+    }
+}
+
+/**
+ * Snippet for a backend without a SearchIndex (SQLite). Words match the way
+ * FTS5 matches them: unstemmed, with the last word of an unquoted clause as
+ * a prefix.
+ */
+function textSnippet(article, clauses) {
+    const words = new Set();
+    const prefixes = [];
+    for (const clause of clauses) {
+        if (clause.type !== 'text' || clause.negated) continue;
+        clause.tokens.forEach((token, i) => {
+            if (!clause.phrase && i === clause.tokens.length - 1) prefixes.push(token);
+            else words.add(token);
+        });
+    }
+
+    return buildSnippet(article, (field, text) => {
+        const matched = new Set();
+        tokenize(text).forEach((token, position) => {
+            if (words.has(token) || prefixes.some(prefix => token.startsWith(prefix))) {
+                matched.add(position);
+            }
+        });
+        return matched;
+    });
+}
+
+// Snippet from the first of content, notes, excerpt and title where
+// findMatches(field, text) returns any matching word positions
+function buildSnippet(article, findMatches) {
+    let fallback = null;
+
+    for (const field of ['content', 'notes', 'excerpt', 'title']) {
+        const text = articleText(article, field);
+        if (!text) continue;
+
+        const matched = findMatches(field, text);
+        if (matched.size > 0) {
+            return renderSnippet(text, bestWindow([...matched].sort((a, b) => a - b)), matched);
+        }
+        fallback = fallback || text;
+    }
+    return fallback && renderSnippet(fallback, 0, new Set());
+}
+
+// First word of the snippet window holding the most of the (sorted) positions
+function bestWindow(positions) {
+    const span = SNIPPET_WORDS - SNIPPET_CONTEXT;
+    let best = positions[0];
+    let bestCount = 0;
+    let end = 0;
+    for (let i = 0; i < positions.length; i++) {
+        while (end < positions.length && positions[end] < positions[i] + span) end++;
+        if (end - i > bestCount) {
+            bestCount = end - i;
+            best = positions[i];
+        }
+    }
+    return Math.max(0, best - SNIPPET_CONTEXT);
+}
+
+/**
+ * Renders SNIPPET_WORDS words of `text` from word `start` on. Words are
+ * counted the way tokenize() counts them, so positions line up with the
+ * index; only the text up to the end of the window is scanned.
+ */
+function renderSnippet(text, start, matched) {
+    let html = start > 0 ? '…' : '';
+    let cursor = 0;
+    let position = 0;
+
+    for (const match of text.matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+        const word = match[0];
+        const count = /^[a-z0-9]+$/i.test(word) ? 1 : tokenize(word).length;
+        if (count === 0) continue;
+
+        if (position >= start + SNIPPET_WORDS) {
+            return `${html}${escapeHtml(text.slice(cursor, match.index)).trimEnd()}…`;
+        }
+        if (position + count > start) {
+            const before = position > start || start === 0 ? text.slice(cursor, match.index) : '';
+            let isMatch = false;
+            for (let i = position; i < position + count && !isMatch; i++) isMatch = matched.has(i);
+            html += escapeHtml(before) + (isMatch ? `<mark>${escapeHtml(word)}</mark>` : escapeHtml(word));
+            cursor = match.index + word.length;
+        }
+        position += count;
+    }
+    return html + escapeHtml(text.slice(cursor));
+}
+
+module.exports = {
+    FIELD_BOOSTS,
+    SearchIndex,
+    htmlToText,
+    stem,
+    textSnippet
+};
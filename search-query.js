@@ -0,0 +1,240 @@
+/**
+ * The search query language used by the search endpoint and the `q` list
+ * parameter. A query is a list of clauses that must all match:
+ *
+ *   rust ownership            words (prefix match: "own" finds "ownership"), in the
+ *                             title, content, author, excerpt or your notes
+ *   "exact phrase"            consecutive words
+ *   tag:rust  tag:"deep learning"
+ *   domain:lwn.net            also matches subdomains (www.lwn.net)
+ *   is:read  is:unread  is:favorite  is:archived
+ *   time:<10  time:>=5  time:7    reading time in minutes
+ *   added:>2025-01-01  added:2025-03  added:<=2024
+ *   added:today  added:this-month  added:>=last-week  added:7d (the last 7 days)
+ *   -anything                 excludes articles matching that clause
+ *
+ * parseSearchQuery() only produces clauses; each backend compiles them
+ * (JsonDatabase.matchesSearch with its SearchIndex,
+ * DatabaseService.buildSearchFilters).
+ */
+
+/**
+ * The query can't be parsed. `position` is the 0-based offset of the
+ * offending clause or value in the query string.
+ */
+class SearchSyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} (at position ${position})`);
+    this.name = 'SearchSyntaxError';
+    this.position = position;
+  }
+}
+
+const IS_VALUES = {
+  read: { field: 'is_read', invert: false },
+  unread: { field: 'is_read', invert: true },
+  favorite: { field: 'is_favorite', invert: false },
+  archived: { field: 'is_archived', invert: false }
+};
+
+// Free text is matched against the columns SQLite indexes in articles_fts
+const SEARCH_FIELDS = ['title', 'content', 'author', 'excerpt', 'notes'];
+
+const COMPARISON = /^(<=|>=|<|>|=)?(.*)$/;
+
+/**
+ * Splits text into lowercase words with accents removed, close to SQLite
+ * FTS5's unicode61 tokenizer, so both backends agree on what a word is.
+ */
+function tokenize(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Periods relative to `now` (UTC; weeks start on Monday), so saved queries stay current
+const RELATIVE_PERIODS = {
+  today: now => [startOfDay(now), 1],
+  yesterday: now => [new Date(startOfDay(now).getTime() - DAY_MS), 1],
+  'this-week': now => [new Date(startOfDay(now).getTime() - ((now.getUTCDay() + 6) % 7) * DAY_MS), 7],
+  'last-week': now => [new Date(startOfDay(now).getTime() - (((now.getUTCDay() + 6) % 7) + 7) * DAY_MS), 7],
+  'this-month': now => [new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)), 'month'],
+  'last-month': now => [new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)), 'month'],
+  'this-year': now => [new Date(Date.UTC(now.getUTCFullYear(), 0, 1)), 'year'],
+  'last-year': now => [new Date(Date.UTC(now.getUTCFullYear() - 1, 0, 1)), 'year']
+};
+
+// [from, to) for a named period or Nd (the last N days, today included)
+function parseRelativePeriod(value, now) {
+  const days = /^([1-9]\d{0,4})d$/.exec(value);
+  const resolve = days
+    ? () => [new Date(startOfDay(now).getTime() - (Number(days[1]) - 1) * DAY_MS), Number(days[1])]
+    : Object.hasOwn(RELATIVE_PERIODS, value) && RELATIVE_PERIODS[value];
+  if (!resolve) return null;
+
+  const [start, length] = resolve(now);
+  const end = new Date(start);
+  if (length === 'month') end.setUTCMonth(end.getUTCMonth() + 1);
+  else if (length === 'year') end.setUTCFullYear(end.getUTCFullYear() + 1);
+  else end.setUTCDate(end.getUTCDate() + length);
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+// [from, to) covering a YYYY, YYYY-MM or YYYY-MM-DD period, as ISO strings
+function parsePeriod(value, now = new Date()) {
+  const relative = parseRelativePeriod(value.toLowerCase(), now);
+  if (relative) return relative;
+
+  const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value);
+  if (!match) return null;
+
+  const [year, month, day] = [Number(match[1]), match[2] && Number(match[2]), match[3] && Number(match[3])];
+  const start = new Date(Date.UTC(year, (month || 1) - 1, day || 1));
+  if (start.getUTCFullYear() !== year || (month && start.getUTCMonth() !== month - 1) ||
+      (day && start.getUTCDate() !== day)) {
+    return null;
+  }
+
+  const end = new Date(start);
+  if (day) end.setUTCDate(end.getUTCDate() + 1);
+  else if (month) end.setUTCMonth(end.getUTCMonth() + 1);
+  else end.setUTCFullYear(end.getUTCFullYear() + 1);
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+const OPERATORS = {
+  tag(value) {
+    return { type: 'tag', value: value.trim() };
+  },
+
+  domain(value) {
+    return { type: 'domain', value: value.trim().toLowerCase().replace(/^\.+|[./]+$/g, '') };
+  },
+
+  is(value, position) {
+    const entry = IS_VALUES[value.toLowerCase()];
+    if (!entry) {
+      throw new SearchSyntaxError(`Unknown is: value "${value}". Use one of: ${Object.keys(IS_VALUES).join(', ')}`, position);
+    }
+    return { type: 'is', field: entry.field, invert: entry.invert };
+  },
+
+  time(value, position) {
+    const [, op = '=', minutes] = COMPARISON.exec(value);
+    if (!/^\d+(\.\d+)?$/.test(minutes)) {
+      throw new SearchSyntaxError(`time: expects minutes, e.g. time:<10 or time:>=5, not "${value}"`, position);
+    }
+    return { type: 'time', op, value: Number(minutes) };
+  },
+
+  added(value, position, now) {
+    const [, op = '=', date] = COMPARISON.exec(value);
+    const period = parsePeriod(date, now);
+    if (!period) {
+      throw new SearchSyntaxError(
+        `added: expects a date like 2025-01-31, 2025-01 or 2025, a period like this-month or 7d, not "${value}"`,
+        position
+      );
+    }
+
+    // Comparisons are against the whole period: >2025-01 means from February on
+    const ranges = {
+      '=': [period.start, period.end],
+      '>': [period.end, null],
+      '>=': [period.start, null],
+      '<': [null, period.start],
+      '<=': [null, period.end]
+    };
+    const [from, to] = ranges[op];
+    return { type: 'added', from, to };
+  }
+};
+
+const OPERATOR_PREFIX = new RegExp(`(${Object.keys(OPERATORS).join('|')}):`, 'iy');
+
+/**
+ * Parse a search query into { input, clauses }. Every clause has `type`,
+ * `negated` and `position`; text clauses carry `tokens` and `phrase`.
+ * Relative periods (added:this-month) are resolved against `options.now`.
+ * Throws SearchSyntaxError for malformed queries.
+ */
+function parseSearchQuery(input, options = {}) {
+  const now = options.now || new Date();
+  const source = String(input ?? '');
+  const clauses = [];
+  let i = 0;
+
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    let negated = false;
+    if (source[i] === '-' && i + 1 < source.length && !/\s/.test(source[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    let operator = null;
+    OPERATOR_PREFIX.lastIndex = i;
+    const prefix = OPERATOR_PREFIX.exec(source);
+    if (prefix) {
+      operator = prefix[1].toLowerCase();
+      i += prefix[0].length;
+    }
+
+    const valuePosition = i;
+    let value;
+    let quoted = false;
+    if (source[i] === '"') {
+      const end = source.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new SearchSyntaxError('Unterminated quote', i);
+      }
+      value = source.slice(i + 1, end);
+      quoted = true;
+      i = end + 1;
+    } else {
+      while (i < source.length && !/\s/.test(source[i])) i++;
+      value = source.slice(valuePosition, i);
+    }
+
+    if (operator) {
+      if (!value.trim()) {
+        throw new SearchSyntaxError(`${operator}: needs a value`, position);
+      }
+      // is:unread comes back as an inverted is:read
+      const { invert = false, ...clause } = OPERATORS[operator](value, valuePosition, now);
+      clauses.push({ ...clause, negated: negated !== invert, position });
+      continue;
+    }
+
+    // Punctuation-only words can't match anything and are dropped
+    const tokens = tokenize(value);
+    if (tokens.length > 0) {
+      clauses.push({ type: 'text', tokens, phrase: quoted, negated, position });
+    }
+  }
+
+  if (clauses.length === 0) {
+    throw new SearchSyntaxError('Search query has nothing to search for', 0);
+  }
+  return { input: source, clauses };
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  SearchSyntaxError,
+  parseSearchQuery,
+  tokenize
+};
@@ -2,18 +2,65 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
-const Database = require('./database-json');
+const { createDatabase, getBackendLabel, StorageError } = require('./storage');
 const ObsidianSync = require('./services/obsidian-sync');
+const TrashService = require('./services/trash-service');
+const SavedSearchService = require('./services/saved-search-service');
+const ActivityService = require('./services/activity-service');
+const BackupService = require('./services/backup-service');
+const SiteRuleRegistry = require('./services/site-rules');
+const AuthService = require('./services/auth-service');
+const UserStorage = require('./user-storage');
+const { requireUser, authorize, requirePermission, requireAdmin } = require('./authentication');
+const { RateLimiter, rateLimitBudget } = require('./rate-limit');
+const authRouter = require('./routes/auth');
+const tokensRouter = require('./routes/tokens');
+const activityRouter = require('./routes/activity');
 const articlesRouter = require('./routes/articles');
 const importExportRouter = require('./routes/import-export');
 const analyticsRouter = require('./routes/analytics');
+const storageRouter = require('./routes/storage');
+const backupsRouter = require('./routes/backups');
+const siteRulesRouter = require('./routes/site-rules');
+const collectionsRouter = require('./routes/collections');
+const savedSearchesRouter = require('./routes/saved-searches');
+const { validate } = require('./validation');
+const schemas = require('./schemas');
 const logger = require('./logger');
+const { EncryptionKeyError } = require('./encryption');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const db = new Database();
-let obsidianSync = null;
+// Behind a proxy (Render, nginx) the client IP, which sign-ins are rate limited by, comes from
+// X-Forwarded-For. TRUST_PROXY is 'true', a number of proxy hops, or addresses as Express takes them.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// A missing or unreadable encryption key file stops the server before it starts.
+// Pending schema migrations are applied after a snapshot of the database as it was.
+function openDatabase() {
+  try {
+    return createDatabase({ beforeSchemaMigration: () => backups.createSnapshot('pre-schema-migration') });
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const db = openDatabase();
+const auth = new AuthService(db);
+const activity = new ActivityService(db);
+const trash = new TrashService(db, { activity });
+const savedSearches = new SavedSearchService(db);
+const backups = new BackupService(db);
+const siteRules = new SiteRuleRegistry();
+const rateLimiter = new RateLimiter();
+// Each user configures their own vault: user id -> ObsidianSync
+const obsidianSyncs = new Map();
 
 app.use(helmet({
   contentSecurityPolicy: {
@@ -40,8 +87,8 @@ app.use((req, res, next) => {
     ip: req.ip, 
     userAgent: req.get('User-Agent') 
   });
-  req.db = db;
-  req.obsidianSync = obsidianSync;
+  req.auth = auth;
+  req.trash = trash;
   next();
 });
 
@@ -55,42 +102,129 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     status: 'running',
     endpoints: {
+      auth: '/api/auth',
+      tokens: '/api/tokens',
+      activity: '/api/activity',
       articles: '/api/articles',
+      collections: '/api/collections',
+      savedSearches: '/api/saved-searches',
+      storage: '/api/storage',
+      backups: '/api/backups',
+      siteRules: '/api/site-rules',
       sync: '/api/sync'
     }
   });
 });
 
+app.get('/api/health', (req, res) => {
+  try {
+    const isDbHealthy = db.isHealthy();
+    if (!isDbHealthy) {
+      // e.g. the data can't be written to disk
+      throw new Error(db.lastSaveError ? `Failed to save data: ${db.lastSaveError.message}` : 'Database not responding');
+    }
+    
+    res.json({
+      success: true,
+      status: 'healthy',
+      database: 'connected',
+      storage: db.backend,
+      encryption: db.cipher ? 'on' : 'off',
+      obsidian: obsidianSyncs.size > 0 ? 'configured' : 'not configured',
+      rate_limits: rateLimiter.getStats(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      status: 'unhealthy',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Changes are refused (503) while the storage can't save them, rather than lost on restart
+app.use('/api', (req, res, next) => {
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    db.checkWritable();
+  }
+  next();
+});
+
+app.post(['/api/auth/login', '/api/auth/register'], rateLimiter.limit('auth'));
+// Their token is checked; each refusal counts against the client's auth budget, as below
+app.use(['/api/auth/logout', '/api/auth/me'], rateLimiter.limitFailures('auth'));
+app.use('/api/auth', authRouter);
+
+// Everything below needs a signed-in user, or an API token whose scope allows
+// the request, counts against a rate limit and only sees that user's library.
+// Requests refused for their token count against the client IP's auth budget
+app.use('/api', rateLimiter.limitFailures('auth'), requireUser, authorize, rateLimiter.limit(rateLimitBudget), (req, res, next) => {
+  req.db = new UserStorage(db, req.user, {
+    activity,
+    source: req.apiToken ? 'api-token' : 'app',
+    sourceDetails: req.apiToken ? { api_token: req.apiToken.name } : null
+  });
+  req.activity = activity;
+  // The whole database, for admin-only routes
+  req.storage = db;
+  req.backups = backups;
+  req.siteRules = siteRules;
+  req.savedSearches = new SavedSearchService(req.db);
+  req.obsidianSync = obsidianSyncs.get(req.user.id) || null;
+  next();
+});
+
+app.use('/api/tokens', tokensRouter);
+app.use('/api/activity', activityRouter);
 app.use('/api/articles', articlesRouter);
 app.use('/api/import-export', importExportRouter);
 app.use('/api/analytics', analyticsRouter);
+app.use('/api/storage', requireAdmin, storageRouter);
+app.use('/api/backups', requireAdmin, backupsRouter);
+app.use('/api/site-rules', requireAdmin, siteRulesRouter);
+app.use('/api/collections', collectionsRouter);
+app.use('/api/saved-searches', savedSearchesRouter);
+
+// The counts of a sync run, for its activity entry
+function syncSummary(result) {
+  const counts = part => part && { synced: part.synced, failed: part.failed };
+  if (!result.results) return counts(result);
+  return {
+    export: counts(result.results.export),
+    import: counts(result.results.import),
+    conflicts: result.total_conflicts
+  };
+}
 
-app.get('/api/sync/obsidian', async (req, res) => {
+// Runs a sync, so a read-only token may not
+app.get('/api/sync/obsidian', requirePermission('write'), validate(schemas.runSync), async (req, res) => {
   try {
-    if (!obsidianSync) {
+    if (!req.obsidianSync) {
       return res.status(400).json({
         success: false,
         error: 'Obsidian sync not configured'
       });
     }
 
-    const syncType = req.query.type || 'export'; // export, import, full
+    const syncType = req.query.type;
     let result;
 
     switch (syncType) {
       case 'export':
-        result = await obsidianSync.syncToObsidian();
+        result = await req.obsidianSync.syncToObsidian();
         break;
       case 'import':
-        result = await obsidianSync.syncFromObsidian();
+        result = await req.obsidianSync.syncFromObsidian();
         break;
       case 'full':
-        result = await obsidianSync.performFullSync();
+        result = await req.obsidianSync.performFullSync();
         break;
-      default:
-        throw new Error('Invalid sync type. Use: export, import, or full');
     }
 
+    req.db.logActivity('synced', null, { sync_type: syncType, ...syncSummary(result) }, 'obsidian');
+
     res.json({
       success: true,
       sync_type: syncType,
@@ -108,7 +242,7 @@ app.get('/api/sync/obsidian', async (req, res) => {
 
 app.get('/api/sync/status', (req, res) => {
   try {
-    if (!obsidianSync) {
+    if (!req.obsidianSync) {
       return res.json({
         success: true,
         configured: false,
@@ -116,8 +250,8 @@ app.get('/api/sync/status', (req, res) => {
       });
     }
 
-    const status = obsidianSync.getSyncStatus();
-    const conflicts = obsidianSync.getConflicts();
+    const status = req.obsidianSync.getSyncStatus();
+    const conflicts = req.obsidianSync.getConflicts();
 
     res.json({
       success: true,
@@ -138,9 +272,9 @@ app.get('/api/sync/status', (req, res) => {
   }
 });
 
-app.post('/api/sync/resolve-conflicts', async (req, res) => {
+app.post('/api/sync/resolve-conflicts', validate(schemas.resolveConflicts), async (req, res) => {
   try {
-    if (!obsidianSync) {
+    if (!req.obsidianSync) {
       return res.status(400).json({
         success: false,
         error: 'Obsidian sync not configured'
@@ -149,10 +283,13 @@ app.post('/api/sync/resolve-conflicts', async (req, res) => {
 
     const { resolution_strategy } = req.body;
     if (resolution_strategy) {
-      obsidianSync.updateConfig({ conflictResolution: resolution_strategy });
+      req.obsidianSync.updateConfig({ conflictResolution: resolution_strategy });
+    }
+    if (req.obsidianSync.getConflicts().length > 0) {
+      backups.createSnapshot('pre-conflict-resolution');
     }
 
-    const results = await obsidianSync.resolveConflicts();
+    const results = await req.obsidianSync.resolveConflicts();
     
     res.json({
       success: true,
@@ -170,18 +307,13 @@ app.post('/api/sync/resolve-conflicts', async (req, res) => {
   }
 });
 
-app.post('/api/sync/obsidian', (req, res) => {
+app.post('/api/sync/obsidian', validate(schemas.configureSync), (req, res) => {
   try {
-    const config = req.body;
-    
-    if (!config.vaultPath) {
-      return res.status(400).json({
-        success: false,
-        error: 'Vault path is required'
-      });
-    }
-
-    obsidianSync = new ObsidianSync(db, config);
+    const config = ObsidianSync.resolveVaultConfig(req.body, req.user, {
+      unrestricted: req.user.is_admin && req.permissions.includes('admin')
+    });
+    const obsidianSync = new ObsidianSync(req.db.withSource('obsidian'), config, backups);
+    obsidianSyncs.set(req.user.id, obsidianSync);
     
     res.json({
       success: true,
@@ -190,6 +322,12 @@ app.post('/api/sync/obsidian', (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ObsidianSync.VaultPathError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
     logger.error('Sync configuration error:', error);
     res.status(500).json({
       success: false,
@@ -199,7 +337,7 @@ app.post('/api/sync/obsidian', (req, res) => {
 });
 
 app.get('/api/sync/config', (req, res) => {
-  if (!obsidianSync) {
+  if (!req.obsidianSync) {
     return res.json({
       success: true,
       configured: false,
@@ -210,34 +348,10 @@ app.get('/api/sync/config', (req, res) => {
   res.json({
     success: true,
     configured: true,
-    config: obsidianSync.getConfig()
+    config: req.obsidianSync.getConfig()
   });
 });
 
-app.get('/api/health', (req, res) => {
-  try {
-    const isDbHealthy = db.isHealthy();
-    if (!isDbHealthy) {
-      throw new Error('Database not responding');
-    }
-    
-    res.json({
-      success: true,
-      status: 'healthy',
-      database: 'connected',
-      obsidian: obsidianSync ? 'configured' : 'not configured',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      status: 'unhealthy',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
 app.use((req, res) => {
   res.status(404).json({
     success: false,
@@ -247,6 +361,12 @@ app.use((req, res) => {
 
 app.use((error, req, res, next) => {
   logger.error('Unhandled error:', error);
+  if (error instanceof StorageError) {
+    return res.status(503).json({
+      success: false,
+      error: error.message
+    });
+  }
   res.status(500).json({
     success: false,
     error: 'Internal server error'
@@ -255,14 +375,22 @@ app.use((error, req, res, next) => {
 
 async function startServer() {
   try {
-    
+    await db.init();
+    const storageLabel = getBackendLabel(db.backend);
+    trash.start();
+    savedSearches.start();
+    activity.start();
+    backups.start();
+
     const server = app.listen(PORT, () => {
       logger.info(`🚀 Read Later API server running on http://localhost:${PORT}`);
-      logger.info(`📚 Database: JSON file storage ready`);
-      logger.info(`🔗 Obsidian sync: ${obsidianSync ? 'Configured' : 'Not configured'}`);
+      logger.info(`📚 Database: ${storageLabel} storage ready`);
+      logger.info(`🔒 Encryption at rest: ${db.cipher ? `on (${db.cipher.source})` : 'off'}`);
+      logger.info(`👤 Accounts: ${db.getAllUsers().length}, registration ${auth.registrationOpen() ? 'open' : 'closed'}`);
       console.log(`🚀 Read Later API server running on http://localhost:${PORT}`);
-      console.log(`📚 Database: JSON file storage ready`);
-      console.log(`🔗 Obsidian sync: ${obsidianSync ? 'Configured' : 'Not configured'}`);
+      console.log(`📚 Database: ${storageLabel} storage ready`);
+      console.log(`🔒 Encryption at rest: ${db.cipher ? `on (${db.cipher.source})` : 'off'}`);
+      console.log(`👤 Accounts: ${db.getAllUsers().length}, registration ${auth.registrationOpen() ? 'open' : 'closed'}`);
     });
 
     const gracefulShutdown = (signal) => {
@@ -284,6 +412,11 @@ async function startServer() {
           console.log('❌ Error during server shutdown:', err);
         }
         
+        trash.stop();
+        savedSearches.stop();
+        activity.stop();
+        backups.stop();
+        db.flush();
         db.close();
         logger.info('✅ Server closed gracefully');
         console.log('✅ Server closed gracefully');
@@ -311,6 +444,12 @@ async function startServer() {
     });
 
   } catch (error) {
+    // A wrong or missing key needs no stack trace to be understood
+    if (error instanceof EncryptionKeyError) {
+      logger.error(`❌ Failed to start server: ${error.message}`);
+      console.error(`❌ Failed to start server: ${error.message}`);
+      process.exit(1);
+    }
     logger.error('❌ Failed to start server:', error);
     console.error('❌ Failed to start server:', error);
     process.exit(1);
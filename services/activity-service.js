@@ -0,0 +1,135 @@
+const logger = require('../logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 180;
+const DEFAULT_PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+const DEFAULT_PAGE_SIZE = 50;
+
+// What happened; each entry's `details` says more
+const TYPES = [
+    'saved', 'extracted', 'updated', 'tagged', 'untagged', 'highlighted', 'read', 'archived',
+    'deleted', 'restored', 'created', 'imported', 'synced'
+];
+
+// Where a change came from: the web app (a session), an API token, an import,
+// an Obsidian sync, or the server itself (trash retention)
+const SOURCES = ['app', 'api-token', 'import', 'obsidian', 'system'];
+
+/**
+ * The activity log: a persisted record of every change to a user's library,
+ * with where it came from. Entries older than the retention window are
+ * purged hourly; a retention of 0 keeps them forever.
+ */
+class ActivityService {
+    constructor(db, config = {}) {
+        this.db = db;
+        this.retentionDays = ActivityService.parseRetentionDays(
+            config.retentionDays ?? process.env.ACTIVITY_RETENTION_DAYS
+        );
+        this.purgeIntervalMs = config.purgeIntervalMs || DEFAULT_PURGE_INTERVAL_MS;
+        this.timer = null;
+        this.lastPurge = null;
+    }
+
+    static parseRetentionDays(value) {
+        if (value === undefined || value === null || value === '') return DEFAULT_RETENTION_DAYS;
+        const days = Number(value);
+        if (!Number.isFinite(days) || days < 0) {
+            throw new Error(`Invalid activity retention "${value}": use a number of days (0 keeps the log forever)`);
+        }
+        return days;
+    }
+
+    /**
+     * Logs an entry for `userId`. A storage failure is logged rather than
+     * thrown, since the change the entry describes has already been made.
+     */
+    record(userId, { type, source, article_id = null, details = null }) {
+        if (!TYPES.includes(type)) {
+            throw new Error(`Unknown activity type "${type}". Use one of: ${TYPES.join(', ')}`);
+        }
+        if (!SOURCES.includes(source)) {
+            throw new Error(`Unknown activity source "${source}". Use one of: ${SOURCES.join(', ')}`);
+        }
+
+        try {
+            return this.db.recordActivity({ user_id: userId, type, source, article_id, details });
+        } catch (error) {
+            logger.error(`Failed to record "${type}" activity:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * One page of a user's activity, newest first: { entries, next_cursor }.
+     * `query` takes the filters of GET /api/activity (see schemas.activity);
+     * pass next_cursor back as `cursor` for the next page.
+     */
+    list(userId, query = {}) {
+        const limit = query.limit || DEFAULT_PAGE_SIZE;
+        const entries = this.db.getActivity({
+            types: query.type,
+            sources: query.source,
+            article_id: query.article_id,
+            since: query.since,
+            until: query.until,
+            before: query.cursor,
+            limit: limit + 1
+        }, userId);
+
+        const page = entries.slice(0, limit);
+        return {
+            entries: page,
+            next_cursor: entries.length > limit ? page[page.length - 1].id : null
+        };
+    }
+
+    purgeExpired(now = new Date()) {
+        if (this.retentionDays === 0) {
+            return { changes: 0 };
+        }
+
+        const cutoff = new Date(now.getTime() - this.retentionDays * DAY_MS).toISOString();
+        const result = this.db.purgeActivity(cutoff);
+        this.lastPurge = { at: now.toISOString(), purged: result.changes };
+        if (result.changes > 0) {
+            logger.info(`🧾 Purged ${result.changes} activity entries logged before ${cutoff}`);
+        }
+        return result;
+    }
+
+    start() {
+        this.stop();
+        const run = () => {
+            try {
+                this.purgeExpired();
+            } catch (error) {
+                logger.error('Activity purge failed:', error);
+            }
+        };
+
+        run();
+        this.timer = setInterval(run, this.purgeIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getConfig() {
+        return {
+            retention_days: this.retentionDays,
+            purge_interval_ms: this.purgeIntervalMs,
+            last_purge: this.lastPurge
+        };
+    }
+}
+
+ActivityService.TYPES = TYPES;
+ActivityService.SOURCES = SOURCES;
+
+module.exports = ActivityService;
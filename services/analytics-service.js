@@ -49,6 +49,7 @@ class AnalyticsService {
                 favorite_articles: favoriteArticles,
                 archived_articles: archivedArticles,
                 in_progress_articles: inProgressArticles,
+                articles_with_notes: articles.filter(a => (a.notes || '').trim()).length,
                 total_tags: tags.length,
                 
                 time_stats: {
@@ -377,6 +378,33 @@ class AnalyticsService {
         }
     }
 
+    getNotesAnalysis() {
+        try {
+            const articles = this.db.getAllArticles();
+            const withNotes = articles.filter(a => (a.notes || '').trim());
+            const noteWords = withNotes.map(a => a.notes.trim().split(/\s+/).length);
+            const totalNoteWords = noteWords.reduce((sum, words) => sum + words, 0);
+
+            const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+            const editedThisWeek = withNotes.filter(a => a.notes_updated_at && new Date(a.notes_updated_at) >= weekAgo).length;
+
+            // Notes taken on articles that were finished, as a share of all read articles
+            const readArticles = articles.filter(a => a.is_read);
+            const readWithNotes = readArticles.filter(a => (a.notes || '').trim()).length;
+
+            return {
+                articles_with_notes: withNotes.length,
+                notes_rate: articles.length > 0 ? Math.round((withNotes.length / articles.length) * 100) : 0,
+                read_articles_with_notes_rate: readArticles.length > 0 ? Math.round((readWithNotes / readArticles.length) * 100) : 0,
+                total_note_words: totalNoteWords,
+                avg_note_words: withNotes.length > 0 ? Math.round(totalNoteWords / withNotes.length) : 0,
+                edited_this_week: editedThisWeek
+            };
+        } catch (error) {
+            throw new Error(`Failed to get notes analysis: ${error.message}`);
+        }
+    }
+
     generateReport(type = 'comprehensive') {
         try {
             const report = {
@@ -393,6 +421,7 @@ class AnalyticsService {
                 report.productivity_metrics = this.getProductivityMetrics();
                 report.content_analysis = this.getContentAnalysis();
                 report.highlight_analysis = this.getHighlightAnalysis();
+                report.notes_analysis = this.getNotesAnalysis();
             }
 
             return report;
@@ -401,13 +430,16 @@ class AnalyticsService {
         }
     }
 
+    // Linked tags plus any left in the legacy `tags` column
     parseArticleTags(article) {
+        const linked = this.db.getArticleTags(article.id).map(tag => tag.name);
+        let legacy;
         try {
-            if (Array.isArray(article.tags)) return article.tags;
-            return JSON.parse(article.tags || '[]');
+            legacy = Array.isArray(article.tags) ? article.tags : JSON.parse(article.tags || '[]');
         } catch {
-            return [];
+            legacy = [];
         }
+        return [...new Set([...linked, ...legacy])];
     }
 }
 
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const logger = require('../logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SESSION_TTL_DAYS = 30;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// API tokens start with this, which is how they are told apart from session tokens
+const API_TOKEN_PREFIX = 'rl_';
+// last_used_at is written at most this often per token, not on every request
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// What an API token of each scope may do (see requiredPermission in authentication.js)
+const SCOPES = {
+    'save-only': ['save'],
+    read: ['read'],
+    write: ['save', 'read', 'write'],
+    admin: ['save', 'read', 'write', 'admin']
+};
+// A signed-in session may do everything
+const SESSION_PERMISSIONS = SCOPES.admin;
+
+// Refused registration or sign-in; `status` is the HTTP status to answer with
+class AuthError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+// A user as the API shows it, without the password hash
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        is_admin: !!user.is_admin,
+        created_at: user.created_at
+    };
+}
+
+// An API token as the API lists it; the token itself is only shown when it is created
+function toPublicApiToken(apiToken) {
+    return {
+        id: apiToken.id,
+        name: apiToken.name,
+        scope: apiToken.scope,
+        created_at: apiToken.created_at,
+        last_used_at: apiToken.last_used_at ?? null
+    };
+}
+
+// Sessions and API tokens are looked up by a hash of the token, so a copy of the data doesn't sign anyone in
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * Accounts and sign-in sessions. Passwords are stored as salted scrypt
+ * hashes; a session is a random bearer token that expires after
+ * SESSION_TTL_DAYS. The first account to register becomes the admin and
+ * takes over everything saved before accounts existed. After that, anyone
+ * may register unless ALLOW_REGISTRATION is false.
+ *
+ * API tokens are the long-lived alternative for the bookmarklet, floating
+ * saver and extension: created and revoked by their user, limited to a
+ * scope, and kept until revoked.
+ */
+class AuthService {
+    constructor(db, config = {}) {
+        this.db = db;
+        this.sessionTtlDays = AuthService.parseSessionTtl(config.sessionTtlDays ?? process.env.SESSION_TTL_DAYS);
+        this.allowRegistration = String(config.allowRegistration ?? process.env.ALLOW_REGISTRATION ?? 'true') !== 'false';
+        this.dummyHash = null;
+    }
+
+    static parseSessionTtl(value) {
+        if (value === undefined || value === null || value === '') return DEFAULT_SESSION_TTL_DAYS;
+        const days = Number(value);
+        if (!Number.isFinite(days) || days <= 0) {
+            throw new Error(`Invalid session lifetime "${value}": use a number of days greater than 0`);
+        }
+        return days;
+    }
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+        const { N, r, p } = SCRYPT_PARAMS;
+        return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, N, r, p, salt, expected] = String(stored).split('$');
+        if (scheme !== 'scrypt' || !expected) return false;
+
+        const expectedHash = Buffer.from(expected, 'base64');
+        const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length, {
+            N: Number(N), r: Number(r), p: Number(p)
+        });
+        return crypto.timingSafeEqual(hash, expectedHash);
+    }
+
+    registrationOpen() {
+        return this.allowRegistration || this.db.getAllUsers().length === 0;
+    }
+
+    // Creates the account and signs it in: { user, token, expires_at }
+    async register({ username, password }) {
+        if (!this.registrationOpen()) {
+            throw new AuthError('Registration is closed', 403);
+        }
+        const passwordHash = await this.hashPassword(password);
+
+        // No awaits from here on, so two registrations can't both be first or take the same name
+        if (!this.registrationOpen()) {
+            throw new AuthError('Registration is closed', 403);
+        }
+        if (this.db.getUserByUsername(username)) {
+            throw new AuthError('That username is taken', 409);
+        }
+        const first = this.db.getAllUsers().length === 0;
+        const user = this.db.createUser({ username, password_hash: passwordHash, is_admin: first });
+
+        if (first) {
+            const claimed = this.db.claimUnownedRecords(user.id);
+            logger.info(`👤 First account "${user.username}" is the admin and owns the existing library`, claimed);
+        }
+        return { user: toPublicUser(user), ...this.createSession(user) };
+    }
+
+    // Signs in with a username and password: { user, token, expires_at }, or null if they don't match
+    async login({ username, password }) {
+        const user = this.db.getUserByUsername(username);
+        if (!user) {
+            // Spend the same time as a real check, so response times don't reveal which usernames exist
+            this.dummyHash = this.dummyHash || await this.hashPassword(crypto.randomBytes(16).toString('hex'));
+            await this.verifyPassword(password, this.dummyHash);
+            return null;
+        }
+        if (!await this.verifyPassword(password, user.password_hash)) {
+            return null;
+        }
+
+        this.db.purgeExpiredSessions();
+        return { user: toPublicUser(user), ...this.createSession(user) };
+    }
+
+    createSession(user, now = new Date()) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(now.getTime() + this.sessionTtlDays * DAY_MS).toISOString();
+        this.db.createSession({ user_id: user.id, token_hash: hashToken(token), expires_at: expiresAt });
+        return { token, expires_at: expiresAt };
+    }
+
+    /**
+     * Who a session or API token signs in: { user, session, permissions } or
+     * { user, apiToken, permissions }, or null if the token is unknown,
+     * expired or revoked.
+     */
+    authenticate(token, now = new Date()) {
+        if (!token) return null;
+        if (isApiToken(token)) return this.authenticateApiToken(token, now);
+
+        const session = this.db.getSessionByTokenHash(hashToken(token));
+        if (!session) return null;
+        if (session.expires_at <= now.toISOString()) {
+            this.db.deleteSession(session.token_hash);
+            return null;
+        }
+
+        const user = this.db.getUserById(session.user_id);
+        return user ? { user, session, permissions: SESSION_PERMISSIONS } : null;
+    }
+
+    authenticateApiToken(token, now) {
+        const apiToken = this.db.getApiTokenByHash(hashToken(token));
+        const user = apiToken && this.db.getUserById(apiToken.user_id);
+        if (!user) return null;
+
+        if (!apiToken.last_used_at || now - new Date(apiToken.last_used_at) >= TOKEN_TOUCH_INTERVAL_MS) {
+            this.db.touchApiToken(apiToken.id, now.toISOString());
+        }
+        return { user, apiToken, permissions: SCOPES[apiToken.scope] || [] };
+    }
+
+    logout(token) {
+        return this.db.deleteSession(hashToken(token));
+    }
+
+    // Creates an API token: the listed fields plus `token`, which is shown this once
+    createApiToken(user, { name, scope }) {
+        if (!SCOPES[scope]) {
+            throw new AuthError(`Unknown scope "${scope}". Use one of: ${Object.keys(SCOPES).join(', ')}`, 400);
+        }
+        const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const apiToken = this.db.createApiToken({ user_id: user.id, name, scope, token_hash: hashToken(token) });
+        return { ...toPublicApiToken(apiToken), token };
+    }
+
+    listApiTokens(user) {
+        return this.db.getApiTokens(user.id).map(toPublicApiToken);
+    }
+
+    // False if the user has no token `id`
+    revokeApiToken(user, id) {
+        return this.db.deleteApiToken(id, user.id).changes > 0;
+    }
+
+    getConfig() {
+        return {
+            session_ttl_days: this.sessionTtlDays,
+            registration_open: this.registrationOpen()
+        };
+    }
+}
+
+AuthService.AuthError = AuthError;
+AuthService.toPublicUser = toPublicUser;
+AuthService.toPublicApiToken = toPublicApiToken;
+AuthService.hashToken = hashToken;
+AuthService.isApiToken = isApiToken;
+AuthService.SCOPES = SCOPES;
+
+module.exports = AuthService;
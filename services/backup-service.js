@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { StorageError, getBackendLabel } = require('../storage');
+const { seal, unseal } = require('../encryption');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'backups');
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_KEEP = { latest: 10, hourly: 24, daily: 7, weekly: 4 };
+// How often the schedule checks whether a snapshot is due
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Why a snapshot was taken: on the schedule, on request, or before an operation that rewrites the library
+const REASONS = [
+    'scheduled', 'manual', 'pre-import', 'pre-migration', 'pre-schema-migration',
+    'pre-conflict-resolution', 'pre-sync', 'pre-restore'
+];
+
+const EXTENSIONS = { json: 'json', sqlite: 'db' };
+
+// <timestamp>-<reason>.<json|db>, plus .enc when sealed; the name without extensions is the snapshot id
+const SNAPSHOT_FILE = /^(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-([a-z-]+)\.(json|db)(\.enc)?$/;
+const SNAPSHOT_ID = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[a-z-]+$/;
+
+// A snapshot is kept for a tier when it is the newest in one of the tier's N latest buckets:
+// the snapshot itself for `latest`, otherwise the hour, day or week (from Monday) it was taken in
+const BUCKETS = {
+    latest: snapshot => snapshot.id,
+    hourly: snapshot => snapshot.created_at.slice(0, 13),
+    daily: snapshot => snapshot.created_at.slice(0, 10),
+    weekly: snapshot => {
+        const day = new Date(snapshot.created_at.slice(0, 10));
+        day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+        return day.toISOString().slice(0, 10);
+    }
+};
+
+class BackupError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'BackupError';
+        this.status = status;
+    }
+}
+
+function toStamp(date) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function fromStamp(stamp) {
+    return stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+}
+
+// A snapshot as the API shows it, without its file name
+function toPublicSnapshot(snapshot) {
+    const { file, ...rest } = snapshot;
+    return rest;
+}
+
+/**
+ * Snapshots of the whole store (every user's data) in BACKUP_DIR: taken on a
+ * schedule, on request, and before imports (those of users other than admins
+ * only when one is due), storage and schema migrations, conflict resolution
+ * and Obsidian syncs. After each snapshot the directory
+ * is pruned to the BACKUP_KEEP_LATEST newest snapshots plus the newest one of
+ * each of the last BACKUP_KEEP_HOURLY hours, BACKUP_KEEP_DAILY days and
+ * BACKUP_KEEP_WEEKLY weeks that have one.
+ * Snapshots are sealed like the store when encryption at rest is on.
+ *
+ * A restore takes a 'pre-restore' snapshot first and replaces the store in
+ * one step (see importSnapshot in each backend), so it can be undone by
+ * restoring that snapshot.
+ */
+class BackupService {
+    constructor(db, config = {}) {
+        this.db = db;
+        this.dir = config.dir || process.env.BACKUP_DIR || DEFAULT_DIR;
+        this.intervalMinutes = BackupService.parseCount(
+            'backup interval', config.intervalMinutes ?? process.env.BACKUP_INTERVAL_MINUTES, DEFAULT_INTERVAL_MINUTES
+        );
+        const keep = config.keep || {};
+        this.keep = {};
+        for (const tier of Object.keys(DEFAULT_KEEP)) {
+            this.keep[tier] = BackupService.parseCount(
+                `${tier} backup retention`, keep[tier] ?? process.env[`BACKUP_KEEP_${tier.toUpperCase()}`], DEFAULT_KEEP[tier]
+            );
+        }
+        this.timer = null;
+        this.lastSnapshot = null;
+    }
+
+    static parseCount(name, value, fallback) {
+        if (value === undefined || value === null || value === '') return fallback;
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error(`Invalid ${name} "${value}": use a whole number (0 turns it off)`);
+        }
+        return count;
+    }
+
+    // Every snapshot in the directory, newest first
+    listSnapshots() {
+        if (!fs.existsSync(this.dir)) return [];
+
+        const snapshots = [];
+        for (const name of fs.readdirSync(this.dir)) {
+            const match = SNAPSHOT_FILE.exec(name);
+            if (!match) continue;
+            const [, stamp, reason, extension, sealed] = match;
+            snapshots.push({
+                id: `${stamp}-${reason}`,
+                backend: extension === 'db' ? 'sqlite' : 'json',
+                reason,
+                created_at: fromStamp(stamp),
+                size: fs.statSync(path.join(this.dir, name)).size,
+                encrypted: Boolean(sealed),
+                file: name
+            });
+        }
+        return snapshots.sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id));
+    }
+
+    getSnapshot(id) {
+        if (!SNAPSHOT_ID.test(String(id))) return null;
+        return this.listSnapshots().find(snapshot => snapshot.id === id) || null;
+    }
+
+    createSnapshot(reason, now = new Date()) {
+        if (!REASONS.includes(reason)) {
+            throw new Error(`Unknown snapshot reason "${reason}". Use one of: ${REASONS.join(', ')}`);
+        }
+
+        const extension = `${EXTENSIONS[this.db.backend]}${this.db.cipher ? '.enc' : ''}`;
+        let at = now;
+        let file;
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            // Two snapshots for the same reason in one millisecond get neighbouring timestamps
+            while (fs.existsSync(file = path.join(this.dir, `${toStamp(at)}-${reason}.${extension}`))) {
+                at = new Date(at.getTime() + 1);
+            }
+            fs.writeFileSync(`${file}.tmp`, seal(this.db.exportSnapshot(), this.db.cipher), { mode: 0o600 });
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (error) {
+            throw new StorageError(`Failed to write snapshot: ${error.message}`, error);
+        }
+
+        const snapshot = this.listSnapshots().find(candidate => candidate.file === path.basename(file));
+        this.lastSnapshot = snapshot;
+        logger.info(`💾 Snapshot ${snapshot.id} written (${snapshot.size} bytes)`);
+
+        try {
+            this.prune();
+        } catch (error) {
+            logger.error('Snapshot pruning failed:', error);
+        }
+        return snapshot;
+    }
+
+    // Ids of the snapshots the retention keeps; each backend's snapshots are counted on their own
+    retainedIds(snapshots) {
+        const kept = new Set();
+        for (const backend of Object.keys(EXTENSIONS)) {
+            const own = snapshots.filter(snapshot => snapshot.backend === backend);
+            if (own.length === 0) continue;
+            kept.add(own[0].id);
+
+            for (const [tier, count] of Object.entries(this.keep)) {
+                const buckets = new Set();
+                for (const snapshot of own) {
+                    const bucket = BUCKETS[tier](snapshot);
+                    if (buckets.has(bucket)) continue;
+                    if (buckets.size === count) break;
+                    buckets.add(bucket);
+                    kept.add(snapshot.id);
+                }
+            }
+        }
+        return kept;
+    }
+
+    // Deletes the snapshots the retention no longer keeps; returns their ids
+    prune() {
+        const snapshots = this.listSnapshots();
+        const kept = this.retainedIds(snapshots);
+        const removed = [];
+        for (const snapshot of snapshots.filter(candidate => !kept.has(candidate.id))) {
+            fs.rmSync(path.join(this.dir, snapshot.file));
+            removed.push(snapshot.id);
+        }
+        if (removed.length > 0) {
+            logger.info(`💾 Pruned ${removed.length} snapshot(s)`);
+        }
+        return removed;
+    }
+
+    /**
+     * Replaces the store with snapshot `id`, after taking a 'pre-restore'
+     * snapshot of the current data. Returns { restored, pre_restore }.
+     */
+    restoreSnapshot(id) {
+        const snapshot = this.getSnapshot(id);
+        if (!snapshot) {
+            throw new BackupError(`Snapshot ${id} not found`, 404);
+        }
+        if (snapshot.backend !== this.db.backend) {
+            throw new BackupError(
+                `Snapshot ${id} is of the ${getBackendLabel(snapshot.backend)} backend, but the server runs on ` +
+                `${getBackendLabel(this.db.backend)}. Restore it there, then migrate the storage`,
+                409
+            );
+        }
+
+        const file = path.join(this.dir, snapshot.file);
+        let data;
+        try {
+            data = unseal(fs.readFileSync(file), this.db.cipher, `Snapshot ${id}`);
+        } catch (error) {
+            throw new BackupError(error.message, 422);
+        }
+
+        const preRestore = this.createSnapshot('pre-restore');
+        try {
+            this.db.importSnapshot(data);
+        } catch (error) {
+            if (error instanceof StorageError) throw error;
+            throw new BackupError(error.message, 422);
+        }
+        logger.info(`💾 Restored snapshot ${id}; the data it replaced is in ${preRestore.id}`);
+        return { restored: snapshot, pre_restore: preRestore };
+    }
+
+    // Whether the newest snapshot of the running backend is older than the interval
+    isDue(now = new Date()) {
+        if (this.intervalMinutes === 0) return false;
+        const latest = this.listSnapshots().find(snapshot => snapshot.backend === this.db.backend);
+        return !latest || now.getTime() - new Date(latest.created_at).getTime() >= this.intervalMinutes * 60 * 1000;
+    }
+
+    // A snapshot for `reason` unless one of the running backend was taken within the interval; null then
+    createSnapshotIfDue(reason, now = new Date()) {
+        return this.isDue(now) ? this.createSnapshot(reason, now) : null;
+    }
+
+    start() {
+        this.stop();
+        if (this.intervalMinutes === 0) return;
+
+        const run = () => {
+            try {
+                this.createSnapshotIfDue('scheduled');
+            } catch (error) {
+                logger.error('Scheduled snapshot failed:', error);
+            }
+        };
+
+        run();
+        this.timer = setInterval(run, Math.min(this.intervalMinutes * 60 * 1000, CHECK_INTERVAL_MS));
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getConfig() {
+        return {
+            dir: this.dir,
+            interval_minutes: this.intervalMinutes,
+            keep: { ...this.keep },
+            last_snapshot: this.lastSnapshot && toPublicSnapshot(this.lastSnapshot)
+        };
+    }
+}
+
+BackupService.BackupError = BackupError;
+BackupService.REASONS = REASONS;
+BackupService.SNAPSHOT_FILE = SNAPSHOT_FILE;
+BackupService.toPublicSnapshot = toPublicSnapshot;
+
+module.exports = BackupService;
@@ -0,0 +1,271 @@
+const cheerio = require('cheerio');
+
+// Class and id patterns of page furniture, removed before scoring unless MAYBE also matches
+const UNLIKELY = /-ad-|ad-break|banner|breadcrumb|combx|comment|community|consent|cookie|discussion|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|taboola|tool|widget/i;
+const MAYBE = /article|body|column|content|main|shadow/i;
+
+// Class and id patterns that make an element more (POSITIVE) or less (NEGATIVE) likely to be the article
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|cookie|consent|discussion|foot|footnote|gdpr|masthead|media|meta|modal|newsletter|outbrain|popup|promo|related|scroll|share|shoutbox|sidebar|skyscraper|social|sponsor|shopping|subscribe|tags|tool|widget/i;
+
+// Never part of an article, removed before anything else
+const STRIPPED = [
+    'script', 'style', 'noscript', 'template', 'link', 'meta', 'svg', 'canvas',
+    'button', 'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'dialog',
+    '[hidden]', '[aria-hidden="true"]', '[aria-modal="true"]',
+    '[role="navigation"]', '[role="complementary"]', '[role="banner"]', '[role="contentinfo"]',
+    '[role="dialog"]', '[role="alertdialog"]'
+].join(', ');
+
+// Elements whose text is scored; a div counts too when nothing block-level is inside it
+const SCORED = 'section, h2, h3, h4, h5, h6, p, td, pre, div';
+const BLOCK_TAGS = new Set(['blockquote', 'dl', 'div', 'img', 'ol', 'p', 'pre', 'table', 'ul']);
+
+// What an element starts with before its paragraphs' scores are added
+const TAG_SCORES = {
+    div: 5, article: 5, section: 5, main: 5,
+    pre: 3, td: 3, blockquote: 3,
+    address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3,
+    h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5
+};
+
+// Paragraph text shorter than this is ignored
+const MIN_PARAGRAPH_LENGTH = 25;
+// How many ancestors a paragraph's score is shared with
+const ANCESTOR_LEVELS = 5;
+// A result shorter than this is retried with fewer heuristics
+const MIN_ARTICLE_LENGTH = 500;
+
+// Each attempt turns one more heuristic off, for pages the stricter ones cut too much from
+const ATTEMPTS = [
+    { stripUnlikely: true, weightClasses: true, cleanConditionally: true },
+    { stripUnlikely: false, weightClasses: true, cleanConditionally: true },
+    { stripUnlikely: false, weightClasses: false, cleanConditionally: true },
+    { stripUnlikely: false, weightClasses: false, cleanConditionally: false }
+];
+
+function textOf($, element) {
+    return $(element).text().replace(/\s+/g, ' ').trim();
+}
+
+// Share of the text that is link text; in-page (#) links count for less
+function linkDensity($, element) {
+    const length = textOf($, element).length;
+    if (length === 0) return 0;
+
+    let linkLength = 0;
+    $(element).find('a').each((i, link) => {
+        const weight = ($(link).attr('href') || '').startsWith('#') ? 0.3 : 1;
+        linkLength += textOf($, link).length * weight;
+    });
+    return linkLength / length;
+}
+
+function classWeight(element) {
+    let weight = 0;
+    for (const value of [element.attribs.class, element.attribs.id]) {
+        if (!value) continue;
+        if (NEGATIVE.test(value)) weight -= 25;
+        if (POSITIVE.test(value)) weight += 25;
+    }
+    return weight;
+}
+
+function hasBlockChild(element) {
+    return (element.children || []).some(child =>
+        child.type === 'tag' && (BLOCK_TAGS.has(child.name) || hasBlockChild(child))
+    );
+}
+
+// Removes what can't be content and, with stripUnlikely, elements whose class or id say they are furniture
+function prepare($, flags) {
+    $(STRIPPED).remove();
+    $('[style]').filter((i, element) => /display\s*:\s*none|visibility\s*:\s*hidden/i.test(element.attribs.style)).remove();
+    if (!flags.stripUnlikely) return;
+
+    $('body *').each((i, element) => {
+        if (['a', 'article', 'main', 'body'].includes(element.name)) return;
+        const match = `${element.attribs.class || ''} ${element.attribs.id || ''}`;
+        if (UNLIKELY.test(match) && !MAYBE.test(match) && $(element).closest('table, code, pre').length === 0) {
+            $(element).remove();
+        }
+    });
+}
+
+/**
+ * Scores every element holding paragraphs: each paragraph adds 1, plus 1 per
+ * comma and 1 per 100 characters (up to 3), to its parent, half of that to its
+ * grandparent and a third per level to the ancestors above. Each element
+ * starts from its tag's score and, with weightClasses, its class and id
+ * weight; the totals are then reduced by the element's link density.
+ */
+function scoreCandidates($, flags) {
+    const scores = new Map();
+    const initialize = element => {
+        if (!scores.has(element)) {
+            scores.set(element, (TAG_SCORES[element.name] || 0) + (flags.weightClasses ? classWeight(element) : 0));
+        }
+    };
+
+    $('body').find(SCORED).each((i, element) => {
+        if (element.name === 'div' && hasBlockChild(element)) return;
+        const text = textOf($, element);
+        if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+        const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+        let ancestor = element.parent;
+        for (let level = 0; level < ANCESTOR_LEVELS && ancestor && ancestor.type === 'tag' && ancestor.name !== 'html'; level++) {
+            initialize(ancestor);
+            const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+            scores.set(ancestor, scores.get(ancestor) + score / divider);
+            ancestor = ancestor.parent;
+        }
+    });
+
+    for (const [element, score] of scores) {
+        scores.set(element, score * (1 - linkDensity($, element)));
+    }
+    return scores;
+}
+
+// The best-scoring element, moved up to the ancestor that holds the whole article when it is split up
+function pickTopCandidate($, scores) {
+    const ranked = [...scores].sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0 || ranked[0][0].name === 'body') return null;
+    let [top, topScore] = ranked[0];
+
+    // Several strong candidates inside one ancestor: the article is probably split across them
+    const alternatives = ranked.slice(1, 5).filter(([, score]) => score / topScore >= 0.75).map(([element]) => element);
+    if (alternatives.length >= 3) {
+        for (let parent = top.parent; parent && parent.type === 'tag' && parent.name !== 'body'; parent = parent.parent) {
+            if (alternatives.filter(element => cheerio.contains(parent, element)).length >= 3) {
+                top = parent;
+                break;
+            }
+        }
+    }
+
+    // A parent that scores better than its best child is the better pick
+    let lastScore = scores.get(top);
+    for (let parent = top.parent; parent && parent.type === 'tag' && parent.name !== 'body'; parent = parent.parent) {
+        if (!scores.has(parent)) continue;
+        const parentScore = scores.get(parent);
+        if (parentScore < lastScore / 3) break;
+        if (parentScore > lastScore) {
+            top = parent;
+            break;
+        }
+        lastScore = parentScore;
+    }
+
+    // An only child says nothing its parent doesn't
+    while (top.parent && top.parent.type === 'tag' && top.parent.name !== 'body' &&
+        top.parent.children.filter(child => child.type === 'tag').length === 1) {
+        top = top.parent;
+    }
+    return top;
+}
+
+// The top candidate plus the siblings that look like they belong to the same article
+function mergeSiblings($, scores, top) {
+    const topScore = scores.get(top) || 0;
+    const threshold = Math.max(10, topScore * 0.2);
+    const container = $('<div></div>');
+
+    for (const sibling of $(top).parent().children().toArray()) {
+        let append = sibling === top;
+        if (!append) {
+            const sameClass = sibling.attribs.class && sibling.attribs.class === top.attribs.class;
+            append = (scores.get(sibling) || 0) + (sameClass ? topScore * 0.2 : 0) >= threshold;
+        }
+        if (!append && sibling.name === 'p') {
+            const text = textOf($, sibling);
+            const density = linkDensity($, sibling);
+            append = (text.length > 80 && density < 0.25) ||
+                (text.length > 0 && text.length <= 80 && density === 0 && /\.( |$)/.test(text));
+        }
+        if (append) {
+            container.append(sibling);
+        }
+    }
+    return container;
+}
+
+// Drops lists, tables and blocks that look like link lists, forms or image galleries rather than text
+function cleanConditionally($, scores, container, flags) {
+    const blocks = container.find('form, fieldset, table, ul, ol, div, section').toArray().reverse();
+    for (const element of blocks) {
+        const block = $(element);
+        if (element.name === 'table' && block.find('th, caption').length > 0) continue;
+        if (block.parents('pre, code').length > 0) continue;
+
+        const weight = flags.weightClasses ? classWeight(element) : 0;
+        if (weight + (scores.get(element) || 0) < 0) {
+            block.remove();
+            continue;
+        }
+
+        const text = textOf($, element);
+        if (text.split(',').length > 10) continue;
+
+        const paragraphs = block.find('p').length;
+        const images = block.find('img').length;
+        const items = block.find('li').length - 100;
+        const inputs = block.find('input').length;
+        const isList = element.name === 'ul' || element.name === 'ol';
+        const density = linkDensity($, element);
+
+        const remove = (images > 1 && paragraphs / images < 0.5 && block.closest('figure').length === 0) ||
+            (!isList && items > paragraphs) ||
+            inputs > Math.floor(paragraphs / 3) ||
+            (!isList && text.length < MIN_PARAGRAPH_LENGTH && (images === 0 || images > 2) && density > 0) ||
+            (!isList && weight < 25 && density > 0.2) ||
+            (weight >= 25 && density > 0.5);
+        if (remove) {
+            block.remove();
+        }
+    }
+}
+
+function grabArticle(html, flags) {
+    const $ = cheerio.load(html);
+    prepare($, flags);
+
+    const scores = scoreCandidates($, flags);
+    const top = pickTopCandidate($, scores);
+    const container = top ? mergeSiblings($, scores, top) : $('<div></div>').append($('body').contents());
+    if (flags.cleanConditionally) {
+        cleanConditionally($, scores, container, flags);
+    }
+
+    return {
+        content: container.html() || '',
+        textLength: textOf($, container).length
+    };
+}
+
+/**
+ * Finds the main content of a page the way Readability does: page furniture
+ * is stripped, elements are scored by the paragraphs inside them (see
+ * scoreCandidates), the best one is merged with siblings that look like part
+ * of the same article, and link lists, forms and galleries are cleaned out
+ * of the result. When that leaves less than MIN_ARTICLE_LENGTH characters the
+ * page is tried again with fewer heuristics, keeping the longest result.
+ *
+ * Returns { content, textLength }; content is '' for a page without text.
+ */
+function extractMainContent(html) {
+    let best = { content: '', textLength: 0 };
+    for (const flags of ATTEMPTS) {
+        const attempt = grabArticle(html, flags);
+        if (attempt.textLength >= MIN_ARTICLE_LENGTH) return attempt;
+        if (attempt.textLength > best.textLength) best = attempt;
+    }
+    return best;
+}
+
+module.exports = {
+    extractMainContent,
+    linkDensity,
+    classWeight
+};
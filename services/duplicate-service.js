@@ -0,0 +1,85 @@
+const { normalizeUrl } = require('../url-normalizer');
+
+// Filled in from a duplicate when the kept article has no value of its own
+const FILL_FIELDS = [
+    'title', 'content', 'excerpt', 'author', 'domain',
+    'publish_date', 'word_count', 'reading_time', 'obsidian_path'
+];
+const FLAG_FIELDS = ['is_read', 'is_favorite', 'is_archived'];
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || value === 0 || value === 'Untitled';
+}
+
+/**
+ * Finds articles saved more than once under different spellings of the same
+ * URL (the same normalizeUrl key) and merges each group into its oldest
+ * article, keeping tags, highlights, notes and reading progress.
+ */
+class DuplicateService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Groups of articles sharing a URL key, each split into the oldest and the rest
+    findDuplicates() {
+        const groups = new Map();
+        for (const article of this.db.getAllArticles()) {
+            const key = normalizeUrl(article.canonical_url || article.url);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(article);
+        }
+
+        return [...groups.entries()]
+            .filter(([, articles]) => articles.length > 1)
+            .map(([key, articles]) => {
+                const [keep, ...duplicates] = articles.sort((a, b) => a.id - b.id);
+                return { url_key: key, keep, duplicates };
+            });
+    }
+
+    // Changes to the kept article so nothing the duplicates hold is lost
+    mergedFields(keep, duplicates) {
+        const all = [keep, ...duplicates];
+        const updates = {};
+
+        for (const field of FILL_FIELDS) {
+            const source = isEmpty(keep[field]) && duplicates.find(article => !isEmpty(article[field]));
+            if (source) updates[field] = source[field];
+        }
+        for (const field of FLAG_FIELDS) {
+            if (!keep[field] && duplicates.some(article => article[field])) updates[field] = true;
+        }
+
+        const progress = Math.max(...all.map(article => article.reading_progress || 0));
+        if (progress > (keep.reading_progress || 0)) updates.reading_progress = progress;
+
+        const lastRead = all.map(article => article.last_read_at).filter(Boolean).sort().pop();
+        if (lastRead && lastRead !== keep.last_read_at) updates.last_read_at = lastRead;
+
+        const notes = [...new Set(all.map(article => (article.notes || '').trim()).filter(Boolean))].join('\n\n');
+        if (notes && notes !== (keep.notes || '').trim()) updates.notes = notes;
+
+        return updates;
+    }
+
+    merge({ dryRun = false } = {}) {
+        const details = this.findDuplicates().map(({ url_key, keep, duplicates }) => {
+            const updates = this.mergedFields(keep, duplicates);
+            const mergedIds = duplicates.map(article => article.id);
+            if (!dryRun) {
+                this.db.mergeArticles(keep.id, mergedIds, updates);
+            }
+            return { url_key, kept_id: keep.id, merged_ids: mergedIds, updated_fields: Object.keys(updates) };
+        });
+
+        return {
+            dry_run: dryRun,
+            groups: details.length,
+            merged: details.reduce((sum, group) => sum + group.merged_ids.length, 0),
+            details
+        };
+    }
+}
+
+module.exports = DuplicateService;
@@ -59,6 +59,10 @@ class ContentExtractor {
                           document.querySelector('[property="og:description"]')?.content ||
                           '';
 
+        const canonical = document.querySelector('link[rel="canonical"]')?.href ||
+                         document.querySelector('[property="og:url"]')?.content ||
+                         location.href;
+
         const articleSelectors = [
           'article',
           '[role="main"]',
@@ -86,6 +90,7 @@ class ContentExtractor {
           title: title.trim(),
           author: author.trim(),
           description: description.trim(),
+          canonical: canonical.trim(),
           textContent: textContent.trim(),
           htmlContent: htmlContent.trim()
         };
@@ -129,6 +134,7 @@ class ContentExtractor {
         word_count: wordCount,
         reading_time: readingTime,
         publish_date: this.parseDate(publishDate),
+        canonical_url: content.canonical,
         tags: this.extractTags(content.textContent, content.title, domain)
       };
 
@@ -170,6 +176,10 @@ class ContentExtractor {
                        $('[property="og:description"]').attr('content') || 
                        '';
 
+    const declaredCanonical = $('link[rel="canonical"]').attr('href') ||
+                             $('[property="og:url"]').attr('content') ||
+                             '';
+
     let content = $('article').html() || 
                  $('[role="main"]').html() || 
                  $('.content').html() || 
@@ -204,6 +214,7 @@ class ContentExtractor {
       word_count: wordCount,
       reading_time: readingTime,
       publish_date: this.parseDate(publishDate),
+      canonical_url: this.resolveUrl(declaredCanonical, response.request?.res?.responseUrl || url),
       tags: this.extractTags(textContent, title, domain)
     };
   }
@@ -224,6 +235,15 @@ class ContentExtractor {
     return excerpt.trim() || cleaned.substring(0, 300).trim() + '...';
   }
 
+  // `href` resolved against the page URL; the page URL itself when there is none
+  resolveUrl(href, pageUrl) {
+    try {
+      return new URL(href.trim() || pageUrl, pageUrl).toString();
+    } catch {
+      return '';
+    }
+  }
+
   parseDate(dateString) {
     if (!dateString) return null;
     
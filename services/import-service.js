@@ -1,11 +1,13 @@
 const fs = require('fs').promises;
 const csv = require('csv-parse');
 const ContentExtractor = require('./simple-extractor');
+const { resolveCanonicalUrl } = require('../url-normalizer');
 
 class ImportService {
-    constructor(database) {
+    // `siteRules` is passed on to the extractor for articles imported without content
+    constructor(database, options = {}) {
         this.db = database;
-        this.extractor = new ContentExtractor();
+        this.extractor = new ContentExtractor({ siteRules: options.siteRules });
     }
 
     async importFromPocket(filePath) {
@@ -145,6 +147,7 @@ class ImportService {
                         is_favorite: (record.favorite || record.starred) === '1' || (record.favorite || record.starred) === 'true',
                         is_read: (record.read || record.is_read) === '1' || (record.read || record.is_read) === 'true',
                         tags: record.tags ? record.tags.split(',').map(t => t.trim()).filter(t => t) : [],
+                        notes: (record.notes || record.Notes || '').trim(),
                         source: 'csv'
                     });
                 }
@@ -162,17 +165,18 @@ class ImportService {
             errors: 0,
             details: []
         };
+        let fetched = 0;
 
         for (const article of articles) {
             try {
                 // Check if article already exists
-                const existing = this.db.getArticleByUrl(article.url);
+                const existing = this.db.getArticleByUrl(article.url, { includeTrashed: true });
                 if (existing) {
                     results.skipped++;
                     results.details.push({
                         url: article.url,
                         status: 'skipped',
-                        reason: 'Already exists'
+                        reason: existing.deleted_at ? 'In trash' : 'Already exists'
                     });
                     continue;
                 }
@@ -180,6 +184,7 @@ class ImportService {
                 // Extract content if missing
                 let articleData = { ...article };
                 if (!articleData.content || !articleData.excerpt) {
+                    fetched++;
                     try {
                         const extracted = await this.extractor.extractFromUrl(article.url);
                         articleData = {
@@ -190,6 +195,7 @@ class ImportService {
                             domain: extracted.domain,
                             word_count: extracted.word_count,
                             reading_time: extracted.reading_time,
+                            canonical_url: articleData.canonical_url || extracted.canonical_url,
                             tags: [...(articleData.tags || []), ...(extracted.tags || [])]
                         };
                     } catch (extractError) {
@@ -199,8 +205,21 @@ class ImportService {
                     }
                 }
 
+                // The page may declare a canonical URL that is already saved
+                const canonical = articleData.canonical_url &&
+                    this.db.getArticleByUrl(resolveCanonicalUrl(article.url, articleData.canonical_url), { includeTrashed: true });
+                if (canonical) {
+                    results.skipped++;
+                    results.details.push({
+                        url: article.url,
+                        status: 'skipped',
+                        reason: canonical.deleted_at ? 'In trash' : 'Already exists'
+                    });
+                    continue;
+                }
+
                 // Import article
-                const savedArticle = this.db.createArticle(articleData);
+                const savedArticle = this.db.createArticle(articleData, { source: 'import' });
                 results.imported++;
                 results.details.push({
                     url: article.url,
@@ -218,8 +237,9 @@ class ImportService {
                 console.error(`Error importing article ${article.url}:`, error);
             }
 
-            // Add small delay to avoid overwhelming the system
-            if (results.imported % 10 === 0) {
+            // Add small delay between batches of fetches to avoid overwhelming the sites we extract from
+            if (fetched > 0 && fetched % 10 === 0) {
+                fetched = 0;
                 await new Promise(resolve => setTimeout(resolve, 100));
             }
         }
@@ -231,6 +251,7 @@ class ImportService {
     async exportToJSON() {
         try {
             const articles = this.db.getAllArticles();
+            const collections = this.db.getAllCollections();
             const exportData = {
                 export_date: new Date().toISOString(),
                 export_type: 'read_later_full',
@@ -240,6 +261,11 @@ class ImportService {
                     ...article,
                     tags: this.parseArticleTags(article),
                     highlights: this.db.getArticleHighlights(article.id)
+                })),
+                // Each collection lists its exported articles in order
+                collections: collections.map(({ article_count, ...collection }) => ({
+                    ...collection,
+                    article_ids: this.db.getCollectionArticles(collection.id).map(article => article.id)
                 }))
             };
 
@@ -255,7 +281,7 @@ class ImportService {
             const csvHeaders = [
                 'id', 'url', 'title', 'author', 'domain', 'excerpt', 
                 'word_count', 'reading_time', 'created_at', 'updated_at',
-                'is_read', 'is_favorite', 'is_archived', 'reading_progress', 'tags'
+                'is_read', 'is_favorite', 'is_archived', 'reading_progress', 'tags', 'notes'
             ];
 
             let csvContent = csvHeaders.join(',') + '\n';
@@ -277,7 +303,8 @@ class ImportService {
                     article.is_favorite ? 'true' : 'false',
                     article.is_archived ? 'true' : 'false',
                     article.reading_progress || 0,
-                    `"${tags.join(', ')}"`
+                    `"${tags.join(', ')}"`,
+                    `"${(article.notes || '').replace(/"/g, '""')}"`
                 ];
 
                 csvContent += row.join(',') + '\n';
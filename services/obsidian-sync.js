@@ -1,9 +1,53 @@
 const fs = require('fs').promises;
 const path = require('path');
 
+const DEFAULT_VAULTS_DIR = path.join(__dirname, '..', 'vaults');
+
+// A sync configuration pointing outside where the user may write
+class VaultPathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VaultPathError';
+    this.status = 400;
+  }
+}
+
+// Whether `target` is `dir` or inside it
+function isInside(dir, target) {
+  const relative = path.relative(dir, target);
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+/**
+ * `config` with its vault path resolved for `user`. Sync writes, reads and
+ * deletes files in the vault, so a user's vault must be inside their own
+ * directory, OBSIDIAN_VAULTS_DIR/<user id>, and a relative vaultPath is taken
+ * from there. Only the admin, signed in or with an admin-scoped token, may
+ * point sync anywhere on the server. folderPath and collectionsFolder must
+ * stay inside the vault. Throws a VaultPathError otherwise.
+ */
+function resolveVaultConfig(config, user, { unrestricted = false, vaultsDir } = {}) {
+  const root = path.resolve(vaultsDir || process.env.OBSIDIAN_VAULTS_DIR || DEFAULT_VAULTS_DIR, String(user.id));
+  const vaultPath = unrestricted ? path.resolve(config.vaultPath) : path.resolve(root, config.vaultPath);
+  if (!unrestricted && !isInside(root, vaultPath)) {
+    throw new VaultPathError(`vaultPath must be inside your vaults directory, ${root}`);
+  }
+
+  const folder = path.resolve(vaultPath, config.folderPath || 'Reading List');
+  if (!isInside(vaultPath, folder)) {
+    throw new VaultPathError('folderPath must be inside the vault');
+  }
+  if (config.collectionsFolder && !isInside(folder, path.resolve(folder, config.collectionsFolder))) {
+    throw new VaultPathError('collectionsFolder must be inside folderPath');
+  }
+  return { ...config, vaultPath };
+}
+
 class ObsidianSync {
-  constructor(database, config = {}) {
+  // `backups` is the BackupService that snapshots the store before a full sync
+  constructor(database, config = {}, backups = null) {
     this.db = database;
+    this.backups = backups;
     this.config = {
       enabled: true,
       vaultPath: config.vaultPath || '',
@@ -14,6 +58,8 @@ class ObsidianSync {
       syncDirection: config.syncDirection || 'both', // import, export, both
       conflictResolution: config.conflictResolution || 'obsidian_wins', // obsidian_wins, app_wins, merge, ask
       backupBeforeSync: config.backupBeforeSync || true,
+      collectionNotes: config.collectionNotes || false, // write an index note per collection
+      collectionsFolder: config.collectionsFolder || 'Collections', // inside folderPath
       ...config
     };
     this.conflicts = [];
@@ -80,7 +126,7 @@ class ObsidianSync {
           this.db.updateArticle(article.id, { 
             obsidian_path: filePath,
             obsidian_synced_at: new Date().toISOString()
-          });
+          }, { source: 'obsidian' });
           
           results.push({
             success: true,
@@ -98,10 +144,14 @@ class ObsidianSync {
         }
       }
 
+      // Written after the articles so the index notes can link their new files
+      const collections = this.config.collectionNotes ? await this.syncCollectionsToObsidian() : null;
+
       return {
         synced: results.filter(r => r.success).length,
         failed: results.filter(r => !r.success).length,
-        details: results
+        details: results,
+        ...(collections && { collections })
       };
 
     } catch (error) {
@@ -153,6 +203,67 @@ class ObsidianSync {
     return filePath;
   }
 
+  // One index note per collection, linking its articles in order; notes of
+  // collections that no longer exist are removed
+  async syncCollectionsToObsidian() {
+    const folder = path.join(this.config.vaultPath, this.config.folderPath, this.config.collectionsFolder);
+    await fs.mkdir(folder, { recursive: true });
+
+    const written = new Set();
+    for (const collection of this.db.getAllCollections()) {
+      const fileName = (this.sanitizeFileName(collection.name) || `collection-${collection.id}`) + '.md';
+      const filePath = path.join(folder, fileName);
+      await fs.writeFile(filePath, this.generateCollectionNote(collection), 'utf8');
+      written.add(filePath);
+    }
+
+    let removed = 0;
+    for (const item of await fs.readdir(folder)) {
+      const filePath = path.join(folder, item);
+      if (!item.endsWith('.md') || written.has(filePath)) continue;
+
+      const metadata = this.extractMetadataFromMarkdown(await fs.readFile(filePath, 'utf8'));
+      if (metadata.read_later_collection_id !== undefined) {
+        await fs.unlink(filePath);
+        removed++;
+      }
+    }
+
+    return { written: written.size, removed };
+  }
+
+  generateCollectionNote(collection) {
+    const links = this.db.getCollectionArticles(collection.id)
+      .map((article, index) => `${index + 1}. ${this.getArticleLink(article)}`);
+
+    return [
+      '---',
+      `read_later_collection_id: ${collection.id}`,
+      `updated: ${collection.updated_at}`,
+      '---',
+      '',
+      `# ${collection.name}`,
+      '',
+      ...(collection.description ? [collection.description, ''] : []),
+      ...(links.length > 0 ? links : ['_No articles yet._']),
+      ''
+    ].join('\n');
+  }
+
+  // A wikilink to the article's note once it has been exported, its URL otherwise
+  getArticleLink(article) {
+    const title = article.title || 'Untitled';
+    if (!article.obsidian_path) {
+      return `[${title.replace(/[[\]]/g, '')}](${article.url})`;
+    }
+
+    const notePath = path.isAbsolute(article.obsidian_path)
+      ? path.relative(this.config.vaultPath, article.obsidian_path)
+      : article.obsidian_path;
+    const target = notePath.replace(/\.md$/, '').split(path.sep).join('/');
+    return `[[${target}|${title.replace(/[[\]|]/g, '')}]]`;
+  }
+
   getFolderPath(article) {
     let folderPath = this.config.folderPath;
 
@@ -178,7 +289,7 @@ class ObsidianSync {
 
   generateMarkdownContent(article) {
     const template = this.getTemplate();
-    const tags = JSON.parse(article.tags || '[]');
+    const tags = this.getArticleTagNames(article);
     
     const data = {
       title: article.title || 'Untitled',
@@ -191,12 +302,26 @@ class ObsidianSync {
       content: this.htmlToMarkdown(article.content || ''),
       excerpt: article.excerpt || '',
       is_read: article.is_read ? '✅' : '⬜',
-      is_favorite: article.is_favorite ? '⭐' : ''
+      is_favorite: article.is_favorite ? '⭐' : '',
+      // Read back by extractUpdatesFromObsidian, so edits made in the vault return to the app
+      notes: (article.notes || '').trim()
     };
 
     return this.fillTemplate(template, data);
   }
 
+  // Linked tags plus any left in the legacy `tags` column
+  getArticleTagNames(article) {
+    const linked = this.db.getArticleTags(article.id).map(tag => tag.name);
+    let legacy;
+    try {
+      legacy = Array.isArray(article.tags) ? article.tags : JSON.parse(article.tags || '[]');
+    } catch {
+      legacy = [];
+    }
+    return [...new Set([...linked, ...legacy])];
+  }
+
   getTemplate() {
     switch (this.config.template) {
       case 'minimal':
@@ -209,8 +334,9 @@ class ObsidianSync {
 {{content}}
 
 ---
-## Notes
+## My Notes
 
+{{notes}}
 `;
 
       case 'detailed':
@@ -236,6 +362,7 @@ class ObsidianSync {
 
 ## My Notes
 
+{{notes}}
 
 ## Related Articles
 
@@ -263,6 +390,7 @@ class ObsidianSync {
 
 ## My Notes
 
+{{notes}}
 
 ## Related Articles
 
@@ -274,7 +402,8 @@ class ObsidianSync {
     let content = template;
     Object.entries(data).forEach(([key, value]) => {
       const placeholder = new RegExp(`{{${key}}}`, 'g');
-      content = content.replace(placeholder, value || '');
+      // A function, so `$&` and friends in article text are not treated as patterns
+      content = content.replace(placeholder, () => value || '');
     });
     return content;
   }
@@ -384,6 +513,16 @@ class ObsidianSync {
       const existingArticle = this.db.getArticleById(articleId);
 
       if (!existingArticle) {
+        // Trashed articles stay untouched until they are restored
+        if (this.db.getArticleById(articleId, { includeTrashed: true })) {
+          return {
+            success: false,
+            file: file.relativePath,
+            reason: 'Article is in the trash',
+            action: 'skipped'
+          };
+        }
+
         // Article doesn't exist in database, might have been deleted
         return {
           success: false,
@@ -423,7 +562,7 @@ class ObsidianSync {
       // Update article from Obsidian
       const updates = this.extractUpdatesFromObsidian(metadata, file.content);
       if (Object.keys(updates).length > 0) {
-        this.db.updateArticle(articleId, updates);
+        this.db.updateArticle(articleId, updates, { source: 'obsidian' });
         
         return {
           success: true,
@@ -572,7 +711,7 @@ class ObsidianSync {
       const metadata = this.extractMetadataFromMarkdown(obsidianFile);
       const updates = this.extractUpdatesFromObsidian(metadata, obsidianFile);
       
-      this.db.updateArticle(conflict.articleId, updates);
+      this.db.updateArticle(conflict.articleId, updates, { source: 'obsidian' });
       
       return {
         success: true,
@@ -626,7 +765,7 @@ class ObsidianSync {
       if (metadata.read || article.is_read) updates.is_read = true;
       if (metadata.favorite || article.is_favorite) updates.is_favorite = true;
       
-      this.db.updateArticle(conflict.articleId, updates);
+      this.db.updateArticle(conflict.articleId, updates, { source: 'obsidian' });
       
       return {
         success: true,
@@ -639,21 +778,11 @@ class ObsidianSync {
     }
   }
 
+  // A snapshot of the whole store, kept under the BackupService's retention rather than in the vault
   async createBackup() {
+    if (!this.backups) return null;
     try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = path.join(this.config.vaultPath, `read-later-backup-${timestamp}.json`);
-      
-      const articles = this.db.getAllArticles();
-      const backupData = {
-        created_at: new Date().toISOString(),
-        total_articles: articles.length,
-        articles: articles
-      };
-      
-      await fs.writeFile(backupPath, JSON.stringify(backupData, null, 2));
-      
-      return backupPath;
+      return this.backups.createSnapshot('pre-sync');
     } catch (error) {
       throw new Error(`Failed to create backup: ${error.message}`);
     }
@@ -689,4 +818,7 @@ class ObsidianSync {
   }
 }
 
+ObsidianSync.resolveVaultConfig = resolveVaultConfig;
+ObsidianSync.VaultPathError = VaultPathError;
+
 module.exports = ObsidianSync;
\ No newline at end of file
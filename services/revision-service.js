@@ -0,0 +1,108 @@
+const { REVISION_FIELDS } = require('../storage');
+
+// Revisions hold empty values as null (see revisionValue in storage.js); a revert writes
+// these back instead, or '' for the text fields, so the article reads as it did
+const EMPTY_VALUES = { publish_date: null, word_count: 0, reading_time: 0 };
+
+function toArticleUpdates(snapshot) {
+    const updates = {};
+    for (const [field, value] of Object.entries(snapshot)) {
+        updates[field] = value !== null ? value : (field in EMPTY_VALUES ? EMPTY_VALUES[field] : '');
+    }
+    return updates;
+}
+
+/**
+ * Reads an article's revision history. Backends store each revision as the
+ * fields it changed, so full versions are rebuilt by replaying revisions
+ * 1..n in order.
+ */
+class RevisionService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    listRevisions(articleId) {
+        return this.db.getArticleRevisions(articleId).map(({ changes, ...revision }) => ({
+            ...revision,
+            changed_fields: Object.keys(changes)
+        }));
+    }
+
+    // The article's revision fields as they were right after `revision`, or null if there is no such revision
+    getSnapshot(articleId, revision) {
+        const revisions = this.db.getArticleRevisions(articleId);
+        if (!revisions.some(r => r.revision === revision)) {
+            return null;
+        }
+
+        const snapshot = {};
+        for (const entry of revisions) {
+            if (entry.revision > revision) break;
+            Object.assign(snapshot, entry.changes);
+        }
+        return snapshot;
+    }
+
+    getRevision(articleId, revision) {
+        const entry = this.db.getArticleRevisions(articleId).find(r => r.revision === revision);
+        if (!entry) {
+            return null;
+        }
+        return {
+            ...entry,
+            snapshot: this.getSnapshot(articleId, revision)
+        };
+    }
+
+    getLatestRevision(articleId) {
+        const revisions = this.db.getArticleRevisions(articleId);
+        return revisions.length > 0 ? revisions[revisions.length - 1].revision : null;
+    }
+
+    /**
+     * Field-level diff between two revisions. Returns null if either revision
+     * does not exist.
+     */
+    diff(articleId, fromRevision, toRevision) {
+        const from = this.getSnapshot(articleId, fromRevision);
+        const to = this.getSnapshot(articleId, toRevision);
+        if (!from || !to) {
+            return null;
+        }
+
+        const changes = REVISION_FIELDS
+            .filter(field => from[field] !== to[field])
+            .map(field => ({ field, from: from[field], to: to[field] }));
+
+        return {
+            from: fromRevision,
+            to: toRevision,
+            changes
+        };
+    }
+
+    /**
+     * Put the article's revision fields back the way they were at `revision`.
+     * The revert itself is recorded as a new revision. Returns null if the
+     * revision does not exist.
+     */
+    revert(articleId, revision) {
+        const snapshot = this.getSnapshot(articleId, revision);
+        if (!snapshot) {
+            return null;
+        }
+
+        const before = this.getLatestRevision(articleId);
+        this.db.updateArticle(articleId, toArticleUpdates(snapshot), { source: 'revert' });
+        const after = this.getLatestRevision(articleId);
+
+        return {
+            reverted_to: revision,
+            revision: after,
+            changed: after !== before
+        };
+    }
+}
+
+module.exports = RevisionService;
@@ -0,0 +1,176 @@
+const logger = require('../logger');
+const { normalizeArticleQuery, QueryError } = require('../storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RECORD_INTERVAL_MS = 60 * 60 * 1000; // hourly
+const DEFAULT_TREND_DAYS = 30;
+
+// List parameters a saved search holds (see normalizeArticleQuery)
+const QUERY_PARAMS = [
+    'q', 'is_read', 'is_favorite', 'is_archived', 'domain', 'tag', 'collection',
+    'created_after', 'created_before', 'updated_after', 'updated_before',
+    'min_reading_time', 'max_reading_time', 'sort', 'order'
+];
+// ...and the ones each request for its results chooses itself
+const PAGE_PARAMS = ['limit', 'cursor', 'fields', 'sort', 'order'];
+
+/**
+ * Saved searches ("smart lists"): named list parameters that are run again
+ * whenever they are read, so their results and counts are always current.
+ * Each search's size is recorded once a day (updated on every read and by an
+ * hourly timer) so the dashboard can show how it changes over time.
+ */
+class SavedSearchService {
+    constructor(db, config = {}) {
+        this.db = db;
+        this.recordIntervalMs = config.recordIntervalMs || DEFAULT_RECORD_INTERVAL_MS;
+        this.timer = null;
+    }
+
+    /**
+     * The list parameters to store for `query`, empty values dropped. Throws
+     * QueryError (SearchSyntaxError for a bad q) for anything listArticles
+     * would refuse.
+     */
+    checkQuery(query) {
+        const unknown = Object.keys(query).filter(param => !QUERY_PARAMS.includes(param));
+        if (unknown.length > 0) {
+            throw new QueryError(`Unknown parameter(s): ${unknown.join(', ')}. Use: ${QUERY_PARAMS.join(', ')}`, unknown[0]);
+        }
+
+        const cleaned = Object.fromEntries(
+            Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        normalizeArticleQuery(cleaned);
+        return cleaned;
+    }
+
+    // Among the owner's articles, also when the timer records every user's searches
+    count(search) {
+        return this.db.listArticles({ ...search.query, user_id: search.user_id ?? undefined, limit: 1, fields: 'id' }).total;
+    }
+
+    // Stores `count` as the size of `search` today, unless that is already recorded
+    recordCount(search, count, now = new Date()) {
+        const date = now.toISOString().slice(0, 10);
+        const last = this.db.getSavedSearchCounts(search.id).pop();
+        if (!last || last.date !== date || last.count !== count) {
+            this.db.recordSavedSearchCount(search.id, date, count);
+        }
+    }
+
+    // The search with its live count and where to fetch its results
+    withCount(search, now = new Date()) {
+        const count = this.count(search);
+        this.recordCount(search, count, now);
+        return { ...search, count, results_url: `/api/articles?saved_search=${search.id}` };
+    }
+
+    list(now = new Date()) {
+        return this.db.getAllSavedSearches().map(search => this.withCount(search, now));
+    }
+
+    get(id, now = new Date()) {
+        const search = this.db.getSavedSearchById(id);
+        return search && this.withCount(search, now);
+    }
+
+    /**
+     * Size of `search` on each of the last `days` days (UTC), oldest first:
+     * the latest count recorded on or before that day, null before the first.
+     */
+    getTrend(search, days = DEFAULT_TREND_DAYS, now = new Date()) {
+        const counts = this.db.getSavedSearchCounts(search.id);
+        const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+        const trend = [];
+        let next = 0;
+        let count = null;
+
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date(today - i * DAY_MS).toISOString().slice(0, 10);
+            while (next < counts.length && counts[next].date <= date) {
+                count = counts[next++].count;
+            }
+            trend.push({ date, count });
+        }
+        return trend;
+    }
+
+    // Every saved search with its size, the change over the last `days` days and the daily trend
+    getDashboard(days = DEFAULT_TREND_DAYS, now = new Date()) {
+        return this.list(now).map(search => {
+            const trend = this.getTrend(search, days, now);
+            const first = trend.find(point => point.count !== null);
+            return {
+                id: search.id,
+                name: search.name,
+                count: search.count,
+                change: first ? search.count - first.count : 0,
+                trend
+            };
+        });
+    }
+
+    /**
+     * listArticles parameters for a list request. With ?saved_search=<id> the
+     * saved filters replace the request's; limit, cursor, fields, sort and
+     * order still come from the request. Returns null if there is no such
+     * saved search.
+     */
+    resolveListParams(request) {
+        if (request.saved_search === undefined) {
+            return request;
+        }
+
+        const id = Number(request.saved_search);
+        if (!Number.isInteger(id) || id < 1) {
+            throw new QueryError('saved_search must be the id of a saved search', 'saved_search');
+        }
+        const search = this.db.getSavedSearchById(id);
+        if (!search) {
+            return null;
+        }
+
+        const params = { ...search.query };
+        // A different sort starts from its own default order
+        if (request.sort !== undefined && request.order === undefined) {
+            delete params.order;
+        }
+        for (const param of PAGE_PARAMS) {
+            if (request[param] !== undefined) params[param] = request[param];
+        }
+        return params;
+    }
+
+    recordAll(now = new Date()) {
+        for (const search of this.db.getAllSavedSearches()) {
+            this.recordCount(search, this.count(search), now);
+        }
+    }
+
+    start() {
+        this.stop();
+        const run = () => {
+            try {
+                this.recordAll();
+            } catch (error) {
+                logger.error('Recording saved search counts failed:', error);
+            }
+        };
+
+        run();
+        this.timer = setInterval(run, this.recordIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+SavedSearchService.QUERY_PARAMS = QUERY_PARAMS;
+
+module.exports = SavedSearchService;
@@ -1,84 +1,133 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { extractMainContent } = require('./content-scorer');
+const SiteRuleRegistry = require('./site-rules');
 
 class SimpleExtractor {
-    constructor() {
+    // `siteRules` is a SiteRuleRegistry; without one every site gets the generic extraction
+    constructor(options = {}) {
         this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+        this.siteRules = options.siteRules || null;
     }
 
     async extractFromUrl(url) {
         try {
-            const response = await axios.get(url, {
-                headers: {
-                    'User-Agent': this.userAgent
-                },
-                timeout: 10000
-            });
-
-            const $ = cheerio.load(response.data);
-            const domain = new URL(url).hostname;
-
-            // Extract title
-            let title = $('title').text().trim() ||
-                       $('h1').first().text().trim() ||
-                       'Untitled Article';
-
-            // Extract author
-            let author = $('meta[name="author"]').attr('content') ||
-                        $('[rel="author"]').text().trim() ||
-                        $('.author').first().text().trim() ||
-                        '';
-
-            // Extract content - try multiple selectors
-            let content = '';
-            const contentSelectors = [
-                'article',
-                '.content',
-                '.post-content',
-                '.entry-content',
-                '.article-content',
-                'main',
-                '[role="main"]'
-            ];
-
-            for (const selector of contentSelectors) {
-                const element = $(selector);
-                if (element.length > 0 && element.text().trim().length > content.length) {
-                    content = element.html();
-                }
-            }
+            const rule = this.matchRule(url);
+            const page = await this.fetchPage(url, rule);
+            return this.extractFromHtml(page.html, url, { finalUrl: page.finalUrl, rule });
+        } catch (error) {
+            throw new Error(`Failed to extract content: ${error.message}`);
+        }
+    }
 
-            // Fallback to body if no content found
-            if (!content) {
-                content = $('body').html();
-            }
+    matchRule(url) {
+        return this.siteRules ? this.siteRules.match(url) : null;
+    }
 
-            // Clean up content
-            content = this.cleanContent(content);
-
-            // Generate excerpt
-            const textContent = cheerio.load(content).text();
-            const excerpt = textContent.substring(0, 200).trim() + (textContent.length > 200 ? '...' : '');
-
-            // Calculate reading time (average 200 words per minute)
-            const wordCount = textContent.split(/\s+/).length;
-            const readingTime = Math.ceil(wordCount / 200);
-
-            return {
-                url,
-                title: this.cleanText(title),
-                content,
-                excerpt,
-                author: this.cleanText(author),
-                domain,
-                word_count: wordCount,
-                reading_time: readingTime,
-                publish_date: this.extractPublishDate($) || ''
-            };
+    /**
+     * Fetches `url`, or what the rule's rewrites turn it into. Returns
+     * { html, fetchedUrl, finalUrl }; finalUrl is where redirects ended, or
+     * `url` itself for a rewritten one, so a print view isn't taken for the
+     * article's address.
+     */
+    async fetchPage(url, rule = null) {
+        const fetchedUrl = SiteRuleRegistry.rewriteUrl(rule, url);
+        const response = await axios.get(fetchedUrl, {
+            headers: {
+                'User-Agent': this.userAgent
+            },
+            timeout: 10000
+        });
+
+        return {
+            html: response.data,
+            fetchedUrl,
+            finalUrl: fetchedUrl === url ? response.request?.res?.responseUrl || url : url
+        };
+    }
 
-        } catch (error) {
-            throw new Error(`Failed to extract content: ${error.message}`);
+    /**
+     * The article in a page already fetched from `url`. Options: `finalUrl`,
+     * where redirects ended, and `rule`, the site rule to apply (by default
+     * the one matching `url`; null for none).
+     */
+    extractFromHtml(html, url, options = {}) {
+        const { finalUrl = url, rule = this.matchRule(url) } = options;
+        const $ = cheerio.load(html);
+        const domain = new URL(url).hostname;
+
+        if (rule && rule.strip) {
+            $(rule.strip.join(', ')).remove();
         }
+
+        // Extract title
+        let title = this.selectRuleValue($, rule, 'title') ||
+                   $('title').text().trim() ||
+                   $('h1').first().text().trim() ||
+                   'Untitled Article';
+
+        // Extract author
+        let author = this.selectRuleValue($, rule, 'author') ||
+                    $('meta[name="author"]').attr('content') ||
+                    $('[rel="author"]').text().trim() ||
+                    $('.author').first().text().trim() ||
+                    '';
+
+        // The site rule's content, else the main content by Readability-style scoring,
+        // or the whole body for a page without text
+        let content = this.selectRuleContent($, rule) ||
+                     extractMainContent($.html()).content ||
+                     $('body').html() || '';
+
+        // Clean up content
+        content = this.cleanContent(content);
+
+        // Generate excerpt
+        const textContent = cheerio.load(content).text();
+        const excerpt = textContent.substring(0, 200).trim() + (textContent.length > 200 ? '...' : '');
+
+        // Calculate reading time (average 200 words per minute)
+        const wordCount = textContent.split(/\s+/).length;
+        const readingTime = Math.ceil(wordCount / 200);
+
+        return {
+            url,
+            title: this.cleanText(title),
+            content,
+            excerpt,
+            author: this.cleanText(author),
+            domain,
+            word_count: wordCount,
+            reading_time: readingTime,
+            publish_date: this.parseDate(this.selectRuleValue($, rule, 'date')) || this.extractPublishDate($) || '',
+            canonical_url: this.extractCanonicalUrl($, finalUrl)
+        };
+    }
+
+    // The inside of every element the rule's content selector matches, leaving out ones nested in another match
+    selectRuleContent($, rule) {
+        if (!rule || !rule.content) return '';
+        const matches = $(rule.content).toArray();
+        return matches
+            .filter(element => !matches.some(other => other !== element && cheerio.contains(other, element)))
+            .map(element => $(element).html())
+            .join('\n');
+    }
+
+    // What the rule's `field` selector points at: a meta tag's content, a time's datetime, or the text
+    selectRuleValue($, rule, field) {
+        if (!rule || !rule[field]) return '';
+        const element = $(rule[field]).first();
+        if (element.length === 0) return '';
+        if (element.is('meta')) return (element.attr('content') || '').trim();
+        if (element.is('time') && element.attr('datetime')) return element.attr('datetime').trim();
+        return element.text().trim();
+    }
+
+    parseDate(dateStr) {
+        if (!dateStr) return '';
+        const date = new Date(dateStr);
+        return isNaN(date.getTime()) ? '' : date.toISOString();
     }
 
     cleanContent(html) {
@@ -96,6 +145,17 @@ class SimpleExtractor {
         return text ? text.replace(/\s+/g, ' ').trim() : '';
     }
 
+    // The URL the page declares as its own, or the one redirects ended on
+    extractCanonicalUrl($, finalUrl) {
+        const declared = $('link[rel="canonical"]').attr('href') ||
+                        $('meta[property="og:url"]').attr('content');
+        try {
+            return new URL((declared || '').trim() || finalUrl, finalUrl).toString();
+        } catch {
+            return '';
+        }
+    }
+
     extractPublishDate($) {
         // Try various meta tags and selectors for publish date
         const dateSelectors = [
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const logger = require('../logger');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'site-rules');
+
+// What a rule may say about a site; every field but `domain` is optional
+const SELECTOR_FIELDS = ['content', 'title', 'author', 'date'];
+const RULE_FIELDS = ['domain', 'path', ...SELECTOR_FIELDS, 'strip', 'rewrites'];
+
+const DOMAIN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+
+// Sites saved often enough that the generic detection isn't good enough; a rule
+// for the same domain in the rules directory replaces these
+const BUILT_IN_RULES = [
+    {
+        domain: 'substack.com',
+        content: '.available-content .body',
+        strip: ['.subscription-widget-wrap', '.subscribe-widget', '.captioned-button-wrap', '.button-wrapper'],
+        title: 'h1.post-title'
+    },
+    {
+        domain: 'medium.com',
+        content: 'article',
+        strip: ['.speechify-ignore', '[data-testid="headerClapButton"]', '[data-testid="storyReadTime"]'],
+        title: 'h1[data-testid="storyTitle"]',
+        author: '[data-testid="authorName"]'
+    },
+    {
+        // Repository front pages: the README
+        domain: 'github.com',
+        path: '^/[^/]+/[^/]+/?$',
+        content: 'article.markdown-body',
+        strip: ['a.anchor']
+    },
+    {
+        domain: 'dev.to',
+        content: '#article-body',
+        strip: ['.highlight__panel'],
+        title: 'article header h1',
+        author: '.crayons-article__subheader a'
+    },
+    {
+        // Articles are saved from the printable view, without the site's navigation and comments
+        domain: 'lwn.net',
+        path: '^/Articles/\\d+/?$',
+        content: '.ArticleText',
+        strip: ['.CommentBox', 'form'],
+        title: '.PageHeadline h1',
+        author: '.FeatureByline b',
+        rewrites: [{ pattern: '^https?://lwn\\.net/Articles/(\\d+)/?(\\?.*)?$', replace: 'https://lwn.net/Articles/$1/?format=printable' }]
+    }
+];
+
+class SiteRuleError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SiteRuleError';
+        this.status = status;
+    }
+}
+
+function normalizeDomain(domain) {
+    return String(domain).trim().toLowerCase().replace(/^www\./, '');
+}
+
+function checkSelector(field, selector) {
+    if (typeof selector !== 'string' || !selector.trim()) {
+        throw new SiteRuleError(`${field} must be a CSS selector`);
+    }
+    try {
+        cheerio.load('')(selector);
+    } catch (error) {
+        throw new SiteRuleError(`${field} is not a valid CSS selector: ${selector}`);
+    }
+    return selector.trim();
+}
+
+function checkPattern(field, pattern) {
+    if (typeof pattern !== 'string' || !pattern) {
+        throw new SiteRuleError(`${field} must be a regular expression`);
+    }
+    try {
+        new RegExp(pattern);
+    } catch (error) {
+        throw new SiteRuleError(`${field} is not a valid regular expression: ${error.message}`);
+    }
+    return pattern;
+}
+
+/**
+ * A checked copy of `input` with only the fields a rule may have:
+ *
+ *   domain    the site, matching its subdomains too (www. is ignored)
+ *   path      regular expression the URL path must match, e.g. for article pages only
+ *   content   selector of the article; every match is kept, in page order
+ *   strip     selectors of elements removed before anything is extracted
+ *   title, author, date
+ *             selectors read before the generic meta tags; a meta element gives its
+ *             content, a time element its datetime, anything else its text
+ *   rewrites  [{ pattern, replace }]: the first pattern matching the URL turns it into
+ *             the one fetched, e.g. a print view; replace may use $1...
+ *
+ * Throws a SiteRuleError saying what is wrong.
+ */
+function normalizeRule(input) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        throw new SiteRuleError('A site rule must be an object');
+    }
+    const unknown = Object.keys(input).filter(field => !RULE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new SiteRuleError(`Unknown site rule field(s): ${unknown.join(', ')}. Use: ${RULE_FIELDS.join(', ')}`);
+    }
+
+    const domain = normalizeDomain(input.domain || '');
+    if (!DOMAIN.test(domain)) {
+        throw new SiteRuleError(`domain must be a host name like example.com, got "${input.domain || ''}"`);
+    }
+
+    const rule = { domain };
+    if (input.path !== undefined) rule.path = checkPattern('path', input.path);
+    for (const field of SELECTOR_FIELDS) {
+        if (input[field] !== undefined) rule[field] = checkSelector(field, input[field]);
+    }
+    if (input.strip !== undefined) {
+        if (!Array.isArray(input.strip)) throw new SiteRuleError('strip must be a list of CSS selectors');
+        rule.strip = input.strip.map((selector, i) => checkSelector(`strip[${i}]`, selector));
+    }
+    if (input.rewrites !== undefined) {
+        if (!Array.isArray(input.rewrites)) throw new SiteRuleError('rewrites must be a list of { pattern, replace }');
+        rule.rewrites = input.rewrites.map((rewrite, i) => {
+            if (rewrite === null || typeof rewrite !== 'object' || typeof rewrite.replace !== 'string') {
+                throw new SiteRuleError(`rewrites[${i}] must be { pattern, replace }`);
+            }
+            return { pattern: checkPattern(`rewrites[${i}].pattern`, rewrite.pattern), replace: rewrite.replace };
+        });
+    }
+    return rule;
+}
+
+// The URL to fetch for `url`: the first matching rewrite applied, or `url` itself
+function rewriteUrl(rule, url) {
+    for (const rewrite of (rule && rule.rewrites) || []) {
+        const pattern = new RegExp(rewrite.pattern);
+        if (pattern.test(url)) return url.replace(pattern, rewrite.replace);
+    }
+    return url;
+}
+
+// How many elements each of the rule's selectors matches in `html`, to see why a rule misses
+function countMatches(rule, html) {
+    const $ = cheerio.load(html);
+    const counts = {};
+    for (const field of SELECTOR_FIELDS) {
+        if (rule[field]) counts[field] = $(rule[field]).length;
+    }
+    if (rule.strip) {
+        counts.strip = rule.strip.map(selector => $(selector).length);
+    }
+    return counts;
+}
+
+/**
+ * Per-site extraction rules: the built-in ones, replaced or added to by JSON
+ * files in SITE_RULES_DIR (each holding one rule or a list of them, read in
+ * name order). A URL gets the rule of its most specific matching domain.
+ * Rules set through the API are written to <dir>/<domain>.json, which wins
+ * over the same domain in any other file, so they survive a restart;
+ * removing one falls back to the built-in rule, if there is one.
+ */
+class SiteRuleRegistry {
+    constructor(config = {}) {
+        this.dir = config.dir || process.env.SITE_RULES_DIR || DEFAULT_DIR;
+        this.builtIn = (config.builtIn || BUILT_IN_RULES).map(normalizeRule);
+        // domain -> { rule, source: 'built-in' | 'config', file }
+        this.rules = new Map();
+        this.errors = [];
+        this.load();
+    }
+
+    // Re-reads the rules directory; a file that can't be used is skipped and reported in `errors`
+    load() {
+        const rules = new Map(this.builtIn.map(rule => [rule.domain, { rule, source: 'built-in', file: null }]));
+        const errors = [];
+
+        const files = fs.existsSync(this.dir)
+            ? fs.readdirSync(this.dir).filter(name => name.endsWith('.json')).sort()
+            : [];
+        for (const file of files) {
+            try {
+                const parsed = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+                for (const rule of (Array.isArray(parsed) ? parsed : [parsed]).map(normalizeRule)) {
+                    const existing = rules.get(rule.domain);
+                    if (existing && existing.file === `${rule.domain}.json`) continue;
+                    rules.set(rule.domain, { rule, source: 'config', file });
+                }
+            } catch (error) {
+                errors.push({ file, error: error.message });
+                logger.warn(`Site rules in ${file} skipped: ${error.message}`);
+            }
+        }
+
+        this.rules = rules;
+        this.errors = errors;
+        return { count: rules.size, errors };
+    }
+
+    // Every rule in effect, by domain, with where it comes from
+    list() {
+        return [...this.rules.values()]
+            .map(({ rule, source, file }) => ({ ...rule, source, file }))
+            .sort((a, b) => a.domain.localeCompare(b.domain));
+    }
+
+    get(domain) {
+        const entry = this.rules.get(normalizeDomain(domain));
+        return entry ? { ...entry.rule, source: entry.source, file: entry.file } : null;
+    }
+
+    // The rule for `url`: the longest domain that is its host or a parent of it, whose path matches
+    match(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return null;
+        }
+        const host = normalizeDomain(parsed.hostname);
+
+        let best = null;
+        for (const { rule } of this.rules.values()) {
+            if (host !== rule.domain && !host.endsWith(`.${rule.domain}`)) continue;
+            if (rule.path && !new RegExp(rule.path).test(parsed.pathname)) continue;
+            if (!best || rule.domain.length > best.domain.length) best = rule;
+        }
+        return best;
+    }
+
+    // Adds or replaces the rule for `domain`, persisted to <dir>/<domain>.json
+    set(domain, input) {
+        const rule = normalizeRule({ ...input, domain });
+        const file = `${rule.domain}.json`;
+        const target = path.join(this.dir, file);
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.writeFileSync(`${target}.tmp`, JSON.stringify(rule, null, 2) + '\n');
+            fs.renameSync(`${target}.tmp`, target);
+        } catch (error) {
+            throw new SiteRuleError(`Failed to write ${file}: ${error.message}`, 500);
+        }
+        this.rules.set(rule.domain, { rule, source: 'config', file });
+        logger.info(`Site rule for ${rule.domain} saved to ${file}`);
+        return this.get(rule.domain);
+    }
+
+    // Removes the rule set for `domain` through the API; returns the rule now in effect, if any
+    remove(domain) {
+        const entry = this.rules.get(normalizeDomain(domain));
+        if (!entry || entry.source !== 'config') {
+            throw new SiteRuleError(`No configured site rule for ${domain}${entry ? ' (only the built-in one)' : ''}`, 404);
+        }
+        if (entry.file !== `${entry.rule.domain}.json`) {
+            throw new SiteRuleError(`The rule for ${domain} comes from ${entry.file}; edit that file instead`, 409);
+        }
+
+        try {
+            fs.rmSync(path.join(this.dir, entry.file), { force: true });
+        } catch (error) {
+            throw new SiteRuleError(`Failed to remove ${entry.file}: ${error.message}`, 500);
+        }
+        this.load();
+        logger.info(`Site rule for ${entry.rule.domain} removed`);
+        return this.get(entry.rule.domain);
+    }
+
+    getConfig() {
+        return {
+            dir: this.dir,
+            errors: this.errors
+        };
+    }
+}
+
+SiteRuleRegistry.SiteRuleError = SiteRuleError;
+SiteRuleRegistry.BUILT_IN_RULES = BUILT_IN_RULES;
+SiteRuleRegistry.normalizeRule = normalizeRule;
+SiteRuleRegistry.rewriteUrl = rewriteUrl;
+SiteRuleRegistry.countMatches = countMatches;
+
+module.exports = SiteRuleRegistry;
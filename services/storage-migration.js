@@ -0,0 +1,579 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDatabase, ARTICLE_FIELDS } = require('../storage');
+const { normalizeUrl } = require('../url-normalizer');
+
+// ARTICLE_FIELDS are carried between backends and covered by the checksums
+const BOOLEAN_FIELDS = ['is_read', 'is_favorite', 'is_archived'];
+const NUMERIC_FIELDS = ['id', 'word_count', 'reading_time', 'reading_progress', 'notes_version'];
+const HIGHLIGHT_FIELDS = ['id', 'text', 'context', 'position_start', 'position_end', 'note', 'created_at', 'user_id'];
+const REVISION_FIELDS = ['article_id', 'revision', 'source', 'changes', 'created_at'];
+const COLLECTION_FIELDS = ['id', 'name', 'description', 'created_at', 'updated_at', 'user_id'];
+const COLLECTION_LINK_FIELDS = ['collection_id', 'article_id', 'position', 'added_at'];
+const SAVED_SEARCH_FIELDS = ['id', 'name', 'query', 'created_at', 'updated_at', 'user_id'];
+const SAVED_SEARCH_COUNT_FIELDS = ['saved_search_id', 'date', 'count'];
+const USER_FIELDS = ['id', 'username', 'password_hash', 'is_admin', 'created_at'];
+const API_TOKEN_FIELDS = ['id', 'user_id', 'name', 'scope', 'token_hash', 'created_at', 'last_used_at'];
+const ACTIVITY_FIELDS = ['id', 'user_id', 'type', 'source', 'article_id', 'details', 'created_at'];
+
+const DIRECTIONS = {
+    'json-to-sqlite': { from: 'json', to: 'sqlite' },
+    'sqlite-to-json': { from: 'sqlite', to: 'json' }
+};
+
+/**
+ * Copies a whole library from one storage backend into the other, keeping
+ * user, article, highlight, collection and saved search ids and every owner,
+ * and verifies the result with per-article checksums. The activity log and
+ * API tokens are copied too, so bookmarklets keep working; sessions are not,
+ * so users sign in again afterwards. 'sqlite-to-json' is the rollback for
+ * 'json-to-sqlite'.
+ */
+class StorageMigration {
+    constructor(options = {}) {
+        // Backend currently serving requests; never used as a migration target
+        this.activeDb = options.activeDb || null;
+        this.paths = options.paths || {};
+    }
+
+    async migrate(direction, options = {}) {
+        const route = DIRECTIONS[direction];
+        if (!route) {
+            throw new Error(`Unknown migration direction "${direction}". Use one of: ${Object.keys(DIRECTIONS).join(', ')}`);
+        }
+
+        const { dryRun = false, overwrite = false } = options;
+        if (this.activeDb && this.activeDb.backend === route.to && !dryRun) {
+            throw new Error(`Cannot migrate into the ${route.to} backend while the server is running on it`);
+        }
+
+        const opened = [];
+        let dryRunDir = null;
+        try {
+            const source = await this.openBackend(route.from, this.paths[route.from], opened);
+
+            let targetPath = this.paths[route.to];
+            if (dryRun) {
+                dryRunDir = fs.mkdtempSync(path.join(os.tmpdir(), 'read-later-migration-'));
+                targetPath = path.join(dryRunDir, route.to === 'sqlite' ? 'articles.db' : 'articles.json');
+            }
+            const target = await this.openBackend(route.to, targetPath, opened, true);
+
+            const data = this.read(source);
+            const existing = this.read(target).articles.length;
+            if (existing > 0) {
+                if (!overwrite) {
+                    throw new Error(`Target ${route.to} storage already contains ${existing} articles. Pass overwrite to replace them`);
+                }
+                this.clear(target);
+            }
+
+            const failed = this.write(target, data);
+            const report = this.verify(data, this.read(target), failed);
+
+            return {
+                direction,
+                dry_run: dryRun,
+                source: { backend: route.from, path: this.describePath(source) },
+                target: { backend: route.to, path: dryRun ? null : this.describePath(target) },
+                ...report
+            };
+        } finally {
+            for (const db of opened) {
+                db.close();
+            }
+            if (dryRunDir) {
+                fs.rmSync(dryRunDir, { recursive: true, force: true });
+            }
+        }
+    }
+
+    async openBackend(backend, dataPath, opened, isTarget = false) {
+        if (!isTarget && this.activeDb && this.activeDb.backend === backend) {
+            return this.activeDb;
+        }
+
+        const db = createDatabase({ backend, path: dataPath });
+        await db.init();
+        opened.push(db);
+        return db;
+    }
+
+    describePath(db) {
+        return db.backend === 'sqlite' ? db.dbPath : db.dataFile;
+    }
+
+    // Snapshot of a backend in a backend-neutral shape
+    read(db) {
+        return db.backend === 'sqlite' ? this.readSqlite(db) : this.readJson(db);
+    }
+
+    readJson(db) {
+        const tagsById = new Map(db.tags.map(tag => [tag.id, tag]));
+        const linkedTags = new Map();
+        for (const link of db.articleTags) {
+            const tag = tagsById.get(link.tag_id);
+            if (!tag) continue;
+            if (!linkedTags.has(link.article_id)) linkedTags.set(link.article_id, []);
+            linkedTags.get(link.article_id).push(tag.name);
+        }
+
+        return {
+            nextId: db.nextId,
+            users: db.getAllUsers().map(user => this.pick(user, USER_FIELDS)),
+            tags: db.tags.map(tag => ({
+                name: tag.name, color: tag.color ?? null, created_at: tag.created_at, user_id: tag.user_id ?? null
+            })),
+            articles: [...db.articles].sort((a, b) => a.id - b.id).map(article => ({
+                ...this.pick(article, ARTICLE_FIELDS),
+                // Older records carry tags as a stringified array on the article itself
+                tags: this.uniqueTags([...(linkedTags.get(article.id) || []), ...this.parseTagField(article.tags)])
+            })),
+            highlights: [...db.highlights].sort((a, b) => a.id - b.id).map(highlight => ({
+                ...this.pick(highlight, HIGHLIGHT_FIELDS),
+                article_id: highlight.article_id
+            })),
+            revisions: [...db.revisions].sort((a, b) => a.id - b.id).map(revision => this.pick(revision, REVISION_FIELDS)),
+            collections: [...db.collections].sort((a, b) => a.id - b.id).map(collection => this.pick(collection, COLLECTION_FIELDS)),
+            collectionArticles: db.collectionArticles.map(link => this.pick(link, COLLECTION_LINK_FIELDS)),
+            savedSearches: [...db.savedSearches].sort((a, b) => a.id - b.id).map(search => this.pick(search, SAVED_SEARCH_FIELDS)),
+            savedSearchCounts: db.savedSearchCounts.map(entry => this.pick(entry, SAVED_SEARCH_COUNT_FIELDS)),
+            apiTokens: [...db.apiTokens].sort((a, b) => a.id - b.id).map(token => this.pick(token, API_TOKEN_FIELDS)),
+            activity: db.getActivity().reverse().map(entry => this.pick(entry, ACTIVITY_FIELDS))
+        };
+    }
+
+    readSqlite(db) {
+        const sequence = db.db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'articles'").get();
+        const tagRows = db.db.prepare(`
+            SELECT at.article_id, t.name FROM article_tags at
+            JOIN tags t ON t.id = at.tag_id
+        `).all();
+        const linkedTags = new Map();
+        for (const row of tagRows) {
+            if (!linkedTags.has(row.article_id)) linkedTags.set(row.article_id, []);
+            linkedTags.get(row.article_id).push(row.name);
+        }
+
+        return {
+            nextId: (sequence ? sequence.seq : 0) + 1,
+            users: db.getAllUsers().map(user => this.pick(user, USER_FIELDS)),
+            tags: db.db.prepare('SELECT name, color, created_at, user_id FROM tags ORDER BY id').all(),
+            articles: db.db.prepare('SELECT * FROM articles ORDER BY id').all().map(article => ({
+                ...this.pick(article, ARTICLE_FIELDS),
+                tags: this.uniqueTags([...(linkedTags.get(article.id) || []), ...this.parseTagField(article.tags)])
+            })),
+            highlights: db.db.prepare('SELECT * FROM highlights ORDER BY id').all().map(highlight => ({
+                ...this.pick(highlight, HIGHLIGHT_FIELDS),
+                article_id: highlight.article_id
+            })),
+            revisions: db.db.prepare('SELECT * FROM article_revisions ORDER BY id').all().map(revision => ({
+                ...this.pick(revision, REVISION_FIELDS),
+                changes: JSON.parse(revision.changes)
+            })),
+            collections: db.db.prepare('SELECT * FROM collections ORDER BY id').all()
+                .map(collection => this.pick(collection, COLLECTION_FIELDS)),
+            collectionArticles: db.db.prepare('SELECT * FROM collection_articles').all()
+                .map(link => this.pick(link, COLLECTION_LINK_FIELDS)),
+            savedSearches: db.getAllSavedSearches().sort((a, b) => a.id - b.id)
+                .map(search => this.pick(search, SAVED_SEARCH_FIELDS)),
+            savedSearchCounts: db.db.prepare('SELECT * FROM saved_search_counts').all()
+                .map(entry => this.pick(entry, SAVED_SEARCH_COUNT_FIELDS)),
+            apiTokens: db.db.prepare('SELECT * FROM api_tokens ORDER BY id').all()
+                .map(token => this.pick(token, API_TOKEN_FIELDS)),
+            activity: db.getActivity().reverse().map(entry => this.pick(entry, ACTIVITY_FIELDS))
+        };
+    }
+
+    clear(db) {
+        if (db.backend === 'sqlite') {
+            db.db.transaction(() => {
+                db.db.exec(`
+                    DELETE FROM saved_search_counts;
+                    DELETE FROM saved_searches;
+                    DELETE FROM collection_articles;
+                    DELETE FROM collections;
+                    DELETE FROM article_revisions;
+                    DELETE FROM highlights;
+                    DELETE FROM article_tags;
+                    DELETE FROM tags;
+                    DELETE FROM articles;
+                    DELETE FROM sessions;
+                    DELETE FROM api_tokens;
+                    DELETE FROM activity;
+                    DELETE FROM users;
+                    INSERT INTO articles_fts (articles_fts) VALUES ('delete-all');
+                    DELETE FROM sqlite_sequence WHERE name IN (
+                        'articles', 'tags', 'highlights', 'article_revisions', 'collections', 'saved_searches', 'users', 'sessions',
+                        'api_tokens', 'activity'
+                    );
+                `);
+            })();
+        } else {
+            db.reset();
+            db.checkpoint();
+        }
+    }
+
+    // Writes everything it can and returns the rows that failed
+    write(db, data) {
+        return db.backend === 'sqlite' ? this.writeSqlite(db, data) : this.writeJson(db, data);
+    }
+
+    writeSqlite(db, data) {
+        const failed = [];
+        const columns = [...ARTICLE_FIELDS, 'url_key'].join(', ');
+        const insertArticle = db.db.prepare(
+            `INSERT INTO articles (${columns}) VALUES (${ARTICLE_FIELDS.map(() => '?').join(', ')}, ?)`
+        );
+        const insertUser = db.db.prepare(`INSERT INTO users (${USER_FIELDS.join(', ')}) VALUES (${USER_FIELDS.map(() => '?').join(', ')})`);
+        const insertTag = db.db.prepare('INSERT OR IGNORE INTO tags (name, color, created_at, user_id) VALUES (?, ?, ?, ?)');
+        const insertHighlight = db.db.prepare(`
+            INSERT INTO highlights (id, article_id, text, context, position_start, position_end, note, created_at, user_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const toSql = (field, value) => {
+            if (BOOLEAN_FIELDS.includes(field)) return value ? 1 : 0;
+            // Articles saved before notes were versioned have none
+            if (field === 'notes_version') return value || 0;
+            return value === undefined ? null : value;
+        };
+
+        const migrateArticle = db.db.transaction((article) => {
+            insertArticle.run(...ARTICLE_FIELDS.map(field => toSql(field, article[field])), normalizeUrl(article.canonical_url || article.url));
+            if (article.tags.length > 0) {
+                db.addTagsToArticle(article.id, article.tags);
+            }
+        });
+        const insertRevision = db.db.prepare(`
+            INSERT INTO article_revisions (article_id, revision, source, changes, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        const insertCollection = db.db.prepare(`
+            INSERT INTO collections (${COLLECTION_FIELDS.join(', ')}) VALUES (${COLLECTION_FIELDS.map(() => '?').join(', ')})
+        `);
+        const insertCollectionLink = db.db.prepare(`
+            INSERT INTO collection_articles (collection_id, article_id, position, added_at) VALUES (?, ?, ?, ?)
+        `);
+        const insertSavedSearch = db.db.prepare(`
+            INSERT INTO saved_searches (id, name, query, created_at, updated_at, user_id) VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        const insertSavedSearchCount = db.db.prepare(`
+            INSERT INTO saved_search_counts (saved_search_id, date, count) VALUES (?, ?, ?)
+        `);
+        const insertApiToken = db.db.prepare(`
+            INSERT INTO api_tokens (${API_TOKEN_FIELDS.join(', ')}) VALUES (${API_TOKEN_FIELDS.map(() => '?').join(', ')})
+        `);
+        const insertActivity = db.db.prepare(`
+            INSERT INTO activity (${ACTIVITY_FIELDS.join(', ')}) VALUES (${ACTIVITY_FIELDS.map(() => '?').join(', ')})
+        `);
+        const migrateHighlight = db.db.transaction((highlight) => {
+            insertHighlight.run(...['id', 'article_id', 'text', 'context', 'position_start', 'position_end', 'note', 'created_at', 'user_id']
+                .map(field => highlight[field] ?? null));
+        });
+
+        db.db.transaction(() => {
+            // Owners first, for the foreign keys
+            for (const user of data.users) {
+                insertUser.run(...USER_FIELDS.map(field => (field === 'is_admin' ? (user.is_admin ? 1 : 0) : user[field])));
+            }
+            for (const token of data.apiTokens) {
+                insertApiToken.run(...API_TOKEN_FIELDS.map(field => token[field] ?? null));
+            }
+            for (const tag of data.tags) {
+                insertTag.run(tag.name, tag.color ?? null, tag.created_at || new Date().toISOString(), tag.user_id ?? null);
+            }
+
+            const migratedIds = new Set();
+            for (const article of data.articles) {
+                try {
+                    migrateArticle(article);
+                    migratedIds.add(article.id);
+                } catch (error) {
+                    failed.push({ type: 'article', id: article.id, url: article.url, error: error.message });
+                }
+            }
+
+            for (const highlight of data.highlights) {
+                if (!migratedIds.has(highlight.article_id)) {
+                    failed.push({ type: 'highlight', id: highlight.id, article_id: highlight.article_id, error: 'Article was not migrated' });
+                    continue;
+                }
+                try {
+                    migrateHighlight(highlight);
+                } catch (error) {
+                    failed.push({ type: 'highlight', id: highlight.id, article_id: highlight.article_id, error: error.message });
+                }
+            }
+
+            for (const revision of data.revisions) {
+                if (!migratedIds.has(revision.article_id)) {
+                    failed.push({ type: 'revision', id: revision.revision, article_id: revision.article_id, error: 'Article was not migrated' });
+                    continue;
+                }
+                insertRevision.run(revision.article_id, revision.revision, revision.source,
+                    JSON.stringify(revision.changes), revision.created_at);
+            }
+
+            for (const collection of data.collections) {
+                insertCollection.run(...COLLECTION_FIELDS.map(field => collection[field] ?? null));
+            }
+            for (const link of this.migratedLinks(data, migratedIds, failed)) {
+                insertCollectionLink.run(...COLLECTION_LINK_FIELDS.map(field => link[field]));
+            }
+
+            for (const search of data.savedSearches) {
+                insertSavedSearch.run(
+                    search.id, search.name, JSON.stringify(search.query), search.created_at, search.updated_at, search.user_id ?? null
+                );
+            }
+            for (const entry of data.savedSearchCounts) {
+                insertSavedSearchCount.run(...SAVED_SEARCH_COUNT_FIELDS.map(field => entry[field]));
+            }
+            for (const entry of data.activity) {
+                insertActivity.run(...ACTIVITY_FIELDS.map(field => (field === 'details'
+                    ? (entry.details ? JSON.stringify(entry.details) : null)
+                    : entry[field] ?? null)));
+            }
+
+            // Keep handing out ids after the source's nextId, even if its newest articles were deleted
+            const maxId = data.articles.reduce((max, article) => Math.max(max, article.id), 0);
+            const seq = Math.max(maxId, data.nextId - 1);
+            const updated = db.db.prepare("UPDATE sqlite_sequence SET seq = ? WHERE name = 'articles'").run(seq);
+            if (updated.changes === 0 && seq > 0) {
+                db.db.prepare("INSERT INTO sqlite_sequence (name, seq) VALUES ('articles', ?)").run(seq);
+            }
+        })();
+
+        return failed;
+    }
+
+    writeJson(db, data) {
+        const failed = [];
+        const seenUrls = new Set();
+
+        // Written through applyChanges so the database's indexes stay in step
+        const put = (collection, record) => db.applyChanges([{ collection, action: 'put', record }]);
+
+        for (const user of data.users) {
+            put('users', { ...user, is_admin: !!user.is_admin });
+        }
+        for (const token of data.apiTokens) {
+            put('apiTokens', { ...token, last_used_at: token.last_used_at ?? null });
+        }
+
+        for (const tag of data.tags) {
+            const userId = tag.user_id ?? null;
+            if (!db.lookup('tagsByName', tag.name).some(existing => (existing.user_id ?? null) === userId)) {
+                put('tags', { id: db.nextTagId++, name: tag.name, color: tag.color ?? null, created_at: tag.created_at, user_id: userId });
+            }
+        }
+
+        for (const article of data.articles) {
+            // URLs are unique per owner
+            const urlKey = `${article.user_id ?? ''}:${article.url}`;
+            if (!article.url || seenUrls.has(urlKey)) {
+                failed.push({ type: 'article', id: article.id, url: article.url, error: 'Missing or duplicate URL' });
+                continue;
+            }
+            seenUrls.add(urlKey);
+
+            const record = {};
+            for (const field of ARTICLE_FIELDS) {
+                const value = article[field];
+                if (BOOLEAN_FIELDS.includes(field)) record[field] = !!value;
+                else if (field === 'user_id') record[field] = value ?? null;
+                else record[field] = value ?? (NUMERIC_FIELDS.includes(field) ? 0 : '');
+            }
+            put('articles', record);
+            db.applyChanges(db.linkTags(record.id, article.tags, record.user_id));
+        }
+
+        const migratedIds = new Set(db.articles.map(article => article.id));
+        for (const highlight of data.highlights) {
+            if (!migratedIds.has(highlight.article_id)) {
+                failed.push({ type: 'highlight', id: highlight.id, article_id: highlight.article_id, error: 'Article was not migrated' });
+                continue;
+            }
+            put('highlights', {
+                id: highlight.id,
+                article_id: highlight.article_id,
+                text: highlight.text,
+                context: highlight.context ?? null,
+                position_start: highlight.position_start ?? null,
+                position_end: highlight.position_end ?? null,
+                note: highlight.note ?? null,
+                created_at: highlight.created_at,
+                user_id: highlight.user_id ?? null
+            });
+        }
+
+        for (const revision of data.revisions) {
+            if (!migratedIds.has(revision.article_id)) {
+                failed.push({ type: 'revision', id: revision.revision, article_id: revision.article_id, error: 'Article was not migrated' });
+                continue;
+            }
+            put('revisions', { id: db.nextRevisionId++, ...revision });
+        }
+
+        for (const collection of data.collections) {
+            put('collections', { ...collection, description: collection.description ?? null, user_id: collection.user_id ?? null });
+        }
+        for (const link of this.migratedLinks(data, migratedIds, failed)) {
+            put('collectionArticles', link);
+        }
+
+        for (const search of data.savedSearches) {
+            put('savedSearches', { ...search, user_id: search.user_id ?? null });
+        }
+        for (const entry of data.savedSearchCounts) {
+            put('savedSearchCounts', entry);
+        }
+        for (const entry of data.activity) {
+            put('activity', entry);
+        }
+
+        const maxId = db.articles.reduce((max, article) => Math.max(max, article.id), 0);
+        const maxHighlightId = db.highlights.reduce((max, highlight) => Math.max(max, highlight.id), 0);
+        db.nextId = Math.max(maxId + 1, data.nextId);
+        db.nextHighlightId = maxHighlightId + 1;
+        db.nextCollectionId = db.collections.reduce((max, collection) => Math.max(max, collection.id), 0) + 1;
+        db.nextSavedSearchId = db.savedSearches.reduce((max, search) => Math.max(max, search.id), 0) + 1;
+        db.nextUserId = db.users.reduce((max, user) => Math.max(max, user.id), 0) + 1;
+        db.nextApiTokenId = db.apiTokens.reduce((max, token) => Math.max(max, token.id), 0) + 1;
+        db.nextActivityId = db.activity.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+        db.checkpoint();
+
+        return failed;
+    }
+
+    verify(source, target, failed) {
+        const failedArticleIds = new Set(failed.filter(f => f.type === 'article').map(f => f.id));
+        const targetById = new Map(target.articles.map(article => [article.id, article]));
+        const highlightsOf = (data) => {
+            const byArticle = new Map();
+            for (const highlight of data.highlights) {
+                if (!byArticle.has(highlight.article_id)) byArticle.set(highlight.article_id, []);
+                byArticle.get(highlight.article_id).push(highlight);
+            }
+            return byArticle;
+        };
+        const sourceHighlights = highlightsOf(source);
+        const targetHighlights = highlightsOf(target);
+
+        const mismatches = [];
+        const sourceSums = [];
+        const targetSums = [];
+
+        for (const article of source.articles) {
+            if (failedArticleIds.has(article.id)) continue;
+
+            const sourceSum = this.checksumArticle(article, sourceHighlights.get(article.id));
+            sourceSums.push(sourceSum);
+
+            const migrated = targetById.get(article.id);
+            if (!migrated) {
+                mismatches.push({ id: article.id, url: article.url, reason: 'Missing in target' });
+                continue;
+            }
+
+            const targetSum = this.checksumArticle(migrated, targetHighlights.get(article.id));
+            targetSums.push(targetSum);
+            if (sourceSum !== targetSum) {
+                mismatches.push({ id: article.id, url: article.url, reason: 'Checksum mismatch' });
+            }
+        }
+
+        const sourceChecksum = this.hash(sourceSums.join(''));
+        const targetChecksum = this.hash(targetSums.join(''));
+
+        return {
+            success: failed.length === 0 && mismatches.length === 0,
+            counts: {
+                source: this.count(source),
+                target: this.count(target),
+                next_id: { source: source.nextId, target: target.nextId }
+            },
+            checksums: {
+                source: sourceChecksum,
+                target: targetChecksum,
+                match: sourceChecksum === targetChecksum
+            },
+            failed,
+            mismatches
+        };
+    }
+
+    count(data) {
+        return {
+            users: data.users.length,
+            api_tokens: data.apiTokens.length,
+            articles: data.articles.length,
+            tags: new Set([
+                ...data.tags.map(tag => `${tag.user_id ?? ''}:${tag.name}`),
+                ...data.articles.flatMap(article => article.tags.map(tag => `${article.user_id ?? ''}:${tag}`))
+            ]).size,
+            article_tags: data.articles.reduce((sum, article) => sum + article.tags.length, 0),
+            highlights: data.highlights.length,
+            revisions: data.revisions.length,
+            collections: data.collections.length,
+            collection_articles: data.collectionArticles.length,
+            saved_searches: data.savedSearches.length,
+            activity: data.activity.length
+        };
+    }
+
+    // Collection links whose article made it across; the rest are reported as failed
+    migratedLinks(data, migratedIds, failed) {
+        return data.collectionArticles.filter(link => {
+            if (migratedIds.has(link.article_id)) return true;
+            failed.push({ type: 'collection_article', id: link.collection_id, article_id: link.article_id, error: 'Article was not migrated' });
+            return false;
+        });
+    }
+
+    checksumArticle(article, highlights = []) {
+        const normalized = ARTICLE_FIELDS.map(field => {
+            const value = article[field];
+            if (BOOLEAN_FIELDS.includes(field)) return !!value;
+            if (NUMERIC_FIELDS.includes(field)) return Number(value) || 0;
+            return value === null || value === undefined || value === '' ? null : value;
+        });
+        normalized.push([...article.tags].sort());
+        normalized.push(highlights.map(highlight => HIGHLIGHT_FIELDS.map(field => highlight[field] ?? null)));
+        return this.hash(JSON.stringify(normalized));
+    }
+
+    hash(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+
+    pick(record, fields) {
+        const picked = {};
+        for (const field of fields) {
+            picked[field] = record[field];
+        }
+        return picked;
+    }
+
+    parseTagField(tags) {
+        if (!tags) return [];
+        if (Array.isArray(tags)) return tags;
+        try {
+            const parsed = JSON.parse(tags);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            return String(tags).split(',');
+        }
+    }
+
+    uniqueTags(tags) {
+        return [...new Set(tags.map(tag => String(tag).trim()).filter(tag => tag))];
+    }
+}
+
+StorageMigration.DIRECTIONS = DIRECTIONS;
+
+module.exports = StorageMigration;
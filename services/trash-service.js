@@ -0,0 +1,101 @@
+const logger = require('../logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+/**
+ * Permanently removes trashed articles once they have been in the trash
+ * longer than the retention window. A retention of 0 keeps them until the
+ * trash is emptied by hand. Given an ActivityService as `config.activity`,
+ * each purge is logged to the owner's activity.
+ */
+class TrashService {
+    constructor(db, config = {}) {
+        this.db = db;
+        this.retentionDays = TrashService.parseRetentionDays(
+            config.retentionDays ?? process.env.TRASH_RETENTION_DAYS
+        );
+        this.purgeIntervalMs = config.purgeIntervalMs || DEFAULT_PURGE_INTERVAL_MS;
+        this.activity = config.activity || null;
+        this.timer = null;
+        this.lastPurge = null;
+    }
+
+    static parseRetentionDays(value) {
+        if (value === undefined || value === null || value === '') return DEFAULT_RETENTION_DAYS;
+        const days = Number(value);
+        if (!Number.isFinite(days) || days < 0) {
+            throw new Error(`Invalid trash retention "${value}": use a number of days (0 keeps trash forever)`);
+        }
+        return days;
+    }
+
+    // When a trashed article will be purged, or null if it never will
+    getPurgeDate(article) {
+        if (!article.deleted_at || this.retentionDays === 0) return null;
+        return new Date(new Date(article.deleted_at).getTime() + this.retentionDays * DAY_MS).toISOString();
+    }
+
+    // `db` is the request's UserStorage when listing one user's trash
+    getTrash(db = this.db) {
+        return db.getTrashedArticles().map(article => ({
+            ...article,
+            purge_at: this.getPurgeDate(article)
+        }));
+    }
+
+    purgeExpired(now = new Date()) {
+        if (this.retentionDays === 0) {
+            return { changes: 0, ids: [] };
+        }
+
+        const cutoff = new Date(now.getTime() - this.retentionDays * DAY_MS).toISOString();
+        // Looked up first, as the activity entries need each article's owner
+        const trashed = this.activity ? this.db.getTrashedArticles() : [];
+        const result = this.db.purgeTrash(cutoff);
+        const purged = new Set(result.ids);
+        for (const article of trashed.filter(article => purged.has(article.id))) {
+            this.activity.record(article.user_id ?? null, {
+                type: 'deleted', source: 'system', article_id: article.id, details: { title: article.title, permanent: true }
+            });
+        }
+        this.lastPurge = { at: now.toISOString(), purged: result.changes };
+        if (result.changes > 0) {
+            logger.info(`🗑️  Purged ${result.changes} article(s) trashed before ${cutoff}`);
+        }
+        return result;
+    }
+
+    start() {
+        this.stop();
+        const run = () => {
+            try {
+                this.purgeExpired();
+            } catch (error) {
+                logger.error('Trash purge failed:', error);
+            }
+        };
+
+        run();
+        this.timer = setInterval(run, this.purgeIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getConfig() {
+        return {
+            retention_days: this.retentionDays,
+            purge_interval_ms: this.purgeIntervalMs,
+            last_purge: this.lastPurge
+        };
+    }
+}
+
+module.exports = TrashService;
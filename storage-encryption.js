@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const { createDatabase, resolveBackend, getBackendLabel } = require('./storage');
+const { DataCipher, isEncrypted, loadCipher, unseal, seal, generateKey } = require('./encryption');
+const { SNAPSHOT_FILE } = require('./services/backup-service');
+
+const USAGE = `Usage: node storage-encryption.js <command> [options]
+
+Commands:
+  keygen <file>      Write a new random key for ENCRYPTION_KEY_FILE
+  status             Show whether the data files are encrypted and the current key opens them
+  rotate             Re-encrypt the store, its snapshots (and backups) with a new key, or decrypt it for good
+  decrypt <file>     Print the decrypted contents of a data file, journal, snapshot or backup
+
+Key options (default: $ENCRYPTION_PASSPHRASE or $ENCRYPTION_KEY_FILE):
+  --key-file <path>          Current key file
+  --passphrase-env <name>    Environment variable holding the current passphrase
+
+Rotate options (one is required):
+  --new-key-file <path>          Encrypt with this key file
+  --new-passphrase-env <name>    Encrypt with the passphrase in this environment variable
+  --plaintext                    Store the data unencrypted
+
+Other options:
+  --backend <name>   json or sqlite (default: $STORAGE_BACKEND or json)
+  --json <path>      JSON data file (default: $JSON_DB_PATH or articles.json)
+  --sqlite <path>    SQLite database (default: $SQLITE_DB_PATH or articles.db)
+  --snapshots <dir>  Snapshot directory (default: $BACKUP_DIR or backups), re-encrypted by rotate
+  --backups <dir>    Also re-encrypt the read-later-backup-* files older versions wrote to a vault (rotate)
+  --out <path>       Write decrypted data to a file instead of printing it (required for SQLite)
+
+Stop the server before rotating: it keeps the data open with the old key.`;
+
+const VALUE_OPTIONS = {
+  '--key-file': 'keyFile',
+  '--passphrase-env': 'passphraseEnv',
+  '--new-key-file': 'newKeyFile',
+  '--new-passphrase-env': 'newPassphraseEnv',
+  '--backend': 'backend',
+  '--json': 'json',
+  '--sqlite': 'sqlite',
+  '--snapshots': 'snapshots',
+  '--backups': 'backups',
+  '--out': 'out'
+};
+
+const BACKUP_PATTERN = /^read-later-backup-.+\.json(\.enc)?$/;
+const SQLITE_HEADER = 'SQLite format 3\0';
+
+function parseArgs(argv) {
+  const args = { command: null, file: null, plaintext: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_OPTIONS[arg]) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      args[VALUE_OPTIONS[arg]] = argv[++i];
+    } else if (arg === '--plaintext') {
+      args.plaintext = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else if (!args.file && (args.command === 'keygen' || args.command === 'decrypt')) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!['keygen', 'status', 'rotate', 'decrypt'].includes(args.command)) {
+    throw new Error(args.command ? `Unknown command: ${args.command}` : 'A command is required');
+  }
+  if ((args.command === 'keygen' || args.command === 'decrypt') && !args.file) {
+    throw new Error(`${args.command} needs a file`);
+  }
+  if (args.command === 'rotate' && [args.newKeyFile, args.newPassphraseEnv, args.plaintext].filter(Boolean).length !== 1) {
+    throw new Error('rotate needs exactly one of --new-key-file, --new-passphrase-env or --plaintext');
+  }
+  return args;
+}
+
+function passphraseFromEnv(name) {
+  if (!process.env[name]) {
+    throw new Error(`Environment variable ${name} is not set`);
+  }
+  return DataCipher.fromPassphrase(process.env[name]);
+}
+
+// The key the data is encrypted with now, or null if none is given
+function currentCipher(args) {
+  if (args.passphraseEnv) return passphraseFromEnv(args.passphraseEnv);
+  if (args.keyFile) return DataCipher.fromKeyFile(args.keyFile);
+  return loadCipher();
+}
+
+function newCipher(args) {
+  if (args.newPassphraseEnv) return passphraseFromEnv(args.newPassphraseEnv);
+  if (args.newKeyFile) return DataCipher.fromKeyFile(args.newKeyFile);
+  return null;
+}
+
+function dataPath(args, backend) {
+  return args[backend] || process.env[backend === 'sqlite' ? 'SQLITE_DB_PATH' : 'JSON_DB_PATH'] ||
+    path.join(__dirname, backend === 'sqlite' ? 'articles.db' : 'articles.json');
+}
+
+function keygen(args) {
+  fs.writeFileSync(args.file, generateKey(), { mode: 0o600, flag: 'wx' });
+  console.log(`✅ Wrote a new key to ${args.file}`);
+  console.log(`   Start the server with ENCRYPTION_KEY_FILE=${path.resolve(args.file)} and keep a copy somewhere safe:`);
+  console.log('   without it the data cannot be recovered.');
+}
+
+function status(args) {
+  const backend = resolveBackend(args.backend);
+  const file = dataPath(args, backend);
+  const cipher = currentCipher(args);
+  const files = backend === 'sqlite' ? [file] : [file, `${file}.bak`, `${file}.journal`];
+
+  console.log(`📚 ${getBackendLabel(backend)} storage`);
+  for (const name of files.filter(candidate => fs.existsSync(candidate))) {
+    const contents = fs.readFileSync(name);
+    const firstLine = contents.toString('utf8', 0, Math.min(contents.length, 4096)).split('\n')[0];
+    if (contents.length === 0) {
+      console.log(`   ∅  ${name}: empty`);
+      continue;
+    }
+    if (!isEncrypted(contents) && !(name.endsWith('.journal') && isEncrypted(firstLine))) {
+      console.log(`   🔓 ${name}: not encrypted`);
+      continue;
+    }
+    try {
+      unseal(name.endsWith('.journal') ? firstLine : contents, cipher, name);
+      console.log(`   🔒 ${name}: encrypted, the current key opens it`);
+    } catch (error) {
+      console.log(`   ⚠️  ${name}: ${error.message}`);
+    }
+  }
+  console.log(`\nEncryption ${cipher ? `key: ${cipher.source}` : 'is off: no key is configured'}`);
+}
+
+// Seals or unseals every file in `dir` matching `pattern` with `next`, adding or dropping .enc to match
+function rotateBackups(dir, pattern, cipher, next) {
+  let count = 0;
+  for (const name of fs.readdirSync(dir).filter(entry => pattern.test(entry))) {
+    const file = path.join(dir, name);
+    const data = unseal(fs.readFileSync(file), cipher, file);
+    const target = path.join(dir, name.replace(/(\.enc)?$/, next ? '.enc' : ''));
+
+    fs.writeFileSync(`${target}.tmp`, seal(data, next));
+    fs.renameSync(`${target}.tmp`, target);
+    if (target !== file) {
+      fs.rmSync(file);
+    }
+    count++;
+  }
+  return count;
+}
+
+async function rotate(args) {
+  const backend = resolveBackend(args.backend);
+  const cipher = currentCipher(args);
+  const next = newCipher(args);
+  const file = dataPath(args, backend);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No ${getBackendLabel(backend)} data at ${file}`);
+  }
+
+  const db = createDatabase({ backend, path: file, cipher });
+  await db.init();
+  try {
+    db.reencrypt(next);
+  } finally {
+    db.close();
+  }
+  console.log(`✅ ${getBackendLabel(backend)} storage is now ${next ? `encrypted with the new ${next.source}` : 'unencrypted'}`);
+
+  const snapshots = args.snapshots || process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+  if (fs.existsSync(snapshots)) {
+    const count = rotateBackups(snapshots, SNAPSHOT_FILE, cipher, next);
+    console.log(`✅ ${count} snapshot(s) in ${snapshots} ${next ? 're-encrypted' : 'decrypted'}`);
+  }
+  if (args.backups) {
+    const count = rotateBackups(args.backups, BACKUP_PATTERN, cipher, next);
+    console.log(`✅ ${count} backup(s) in ${args.backups} ${next ? 're-encrypted' : 'decrypted'}`);
+  }
+  console.log(next
+    ? `\nStart the server with the new ${next.source} (ENCRYPTION_${next.source === 'passphrase' ? 'PASSPHRASE' : 'KEY_FILE'}).`
+    : '\nUnset ENCRYPTION_PASSPHRASE and ENCRYPTION_KEY_FILE before starting the server.');
+}
+
+// Journals hold one sealed entry per line; everything else is sealed as a whole
+function decrypt(args) {
+  const cipher = currentCipher(args);
+  const contents = fs.readFileSync(args.file);
+
+  let data;
+  if (args.file.endsWith('.journal')) {
+    const lines = contents.toString('utf8').split('\n').filter(line => line.trim());
+    data = Buffer.from(lines.map(line => unseal(line, cipher, args.file).toString('utf8') + '\n').join(''));
+  } else {
+    data = unseal(contents, cipher, args.file);
+  }
+
+  if (args.out) {
+    fs.writeFileSync(args.out, data, { mode: 0o600 });
+    console.error(`✅ Decrypted ${args.file} to ${args.out}`);
+  } else if (data.subarray(0, SQLITE_HEADER.length).toString('latin1') === SQLITE_HEADER) {
+    throw new Error('This is a SQLite database: pass --out <path> to write it to a file');
+  } else {
+    process.stdout.write(data);
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  switch (args.command) {
+    case 'keygen':
+      return keygen(args);
+    case 'status':
+      return status(args);
+    case 'rotate':
+      return rotate(args);
+    case 'decrypt':
+      return decrypt(args);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Encryption command failed:', error.message);
+  process.exit(1);
+});
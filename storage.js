@@ -0,0 +1,532 @@
+const path = require('path');
+const { parseSearchQuery } = require('./search-query');
+const { loadCipher } = require('./encryption');
+
+/**
+ * The storage contract. Routes and services only talk to `req.db` through
+ * these methods, so every backend has to implement all of them with the
+ * same return shapes. test-storage.js checks this against each backend.
+ *
+ * Records carry the id of the user who owns them (`user_id`, null for data
+ * saved before accounts existed). The backends keep names and URLs unique
+ * per owner and filter by owner where a method takes a `userId`; requests
+ * only ever see one owner's records through UserStorage (user-storage.js).
+ */
+const STORAGE_METHODS = [
+  'init',
+  'getAllArticles',
+  'listArticles',
+  'getArticleById',
+  'getArticleByUrl',
+  'createArticle',
+  'updateArticle',
+  'deleteArticle',
+  'mergeArticles',
+  'trashArticle',
+  'restoreArticle',
+  'getTrashedArticles',
+  'purgeTrash',
+  'searchArticles',
+  'rebuildSearchIndex',
+  'getUnsyncedArticles',
+  'markAsSynced',
+  'getAllTags',
+  'getTagById',
+  'getArticleTags',
+  'addTagsToArticle',
+  'removeTagsFromArticle',
+  'updateTag',
+  'deleteTag',
+  'getArticleHighlights',
+  'getHighlightById',
+  'addHighlight',
+  'deleteHighlight',
+  'updateReadingProgress',
+  'getArticleRevisions',
+  'getAllCollections',
+  'getCollectionById',
+  'createCollection',
+  'updateCollection',
+  'deleteCollection',
+  'getCollectionArticles',
+  'getArticleCollections',
+  'addArticlesToCollection',
+  'removeArticlesFromCollection',
+  'reorderCollection',
+  'getAllSavedSearches',
+  'getSavedSearchById',
+  'createSavedSearch',
+  'updateSavedSearch',
+  'deleteSavedSearch',
+  'getSavedSearchCounts',
+  'recordSavedSearchCount',
+  'recordActivity',
+  'getActivity',
+  'purgeActivity',
+  'createUser',
+  'getUserById',
+  'getUserByUsername',
+  'getAllUsers',
+  'claimUnownedRecords',
+  'createSession',
+  'getSessionByTokenHash',
+  'deleteSession',
+  'purgeExpiredSessions',
+  'createApiToken',
+  'getApiTokens',
+  'getApiTokenByHash',
+  'touchApiToken',
+  'deleteApiToken',
+  'exportSnapshot',
+  'importSnapshot',
+  'isHealthy',
+  'checkWritable',
+  'flush',
+  'close'
+];
+
+/**
+ * Raised when a change could not be made durable. Routes report it to the
+ * caller (503) instead of pretending the write succeeded.
+ */
+class StorageError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'StorageError';
+    this.cause = cause;
+  }
+}
+
+// Owner ids compare equal when both are missing; see the contract above
+function sameOwner(a, b) {
+  return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Tags can be given as plain names or as { name, color } objects.
+ * Returns trimmed, de-duplicated { name, color } entries; color is only
+ * applied when a tag is first created.
+ */
+function toTagEntries(tags) {
+  const entries = new Map();
+  for (const tag of tags) {
+    const name = String(typeof tag === 'object' && tag !== null ? tag.name ?? '' : tag).trim();
+    if (!name || entries.has(name)) continue;
+    entries.set(name, { name, color: (tag && tag.color) || null });
+  }
+  return [...entries.values()];
+}
+
+/**
+ * The article order of a collection after inserting `articleIds` at
+ * `position` (0 is the front, null or past the end appends). Ids already in
+ * `order` stay where they are.
+ */
+function insertIntoOrder(order, articleIds, position = null) {
+  const added = [...new Set(articleIds)].filter(id => !order.includes(id));
+  const at = position === null ? order.length : Math.min(position, order.length);
+  return [...order.slice(0, at), ...added, ...order.slice(at)];
+}
+
+/**
+ * The article order of a collection with `articleIds` moved to the front in
+ * the given order; the rest follow in their current order. Ids that are not
+ * in `order` are ignored.
+ */
+function moveToFront(order, articleIds) {
+  const first = [...new Set(articleIds)].filter(id => order.includes(id));
+  return [...first, ...order.filter(id => !first.includes(id))];
+}
+
+/**
+ * Article fields covered by revision history. Reading state, sync bookkeeping
+ * and the URL are left out: they change often and are never worth reverting.
+ */
+const REVISION_FIELDS = [
+  'title', 'content', 'excerpt', 'author', 'domain',
+  'publish_date', 'word_count', 'reading_time', 'notes'
+];
+
+// What made a change: the HTTP API, Obsidian sync, an import, a revert, a
+// duplicate merge, or 'baseline' for the state of an article saved before
+// history was kept
+const REVISION_SOURCES = ['api', 'obsidian', 'import', 'revert', 'merge', 'baseline'];
+
+// Backends store empty values as '', null or 0 interchangeably
+function revisionValue(value) {
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * The revision fields that differ between two versions of an article, as
+ * { field: valueInAfter }, or null when nothing tracked changed. With no
+ * `before`, every tracked field of `after` is returned.
+ */
+function getRevisionChanges(before, after) {
+  const changes = {};
+  for (const field of REVISION_FIELDS) {
+    const value = revisionValue(after[field]);
+    if (!before || value !== revisionValue(before[field])) {
+      changes[field] = value;
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+function resolveRevisionSource(source = 'api') {
+  if (!REVISION_SOURCES.includes(source)) {
+    throw new Error(`Unknown revision source "${source}". Use one of: ${REVISION_SOURCES.join(', ')}`);
+  }
+  return source;
+}
+
+// Article fields common to both backends
+const ARTICLE_FIELDS = [
+  'id', 'url', 'canonical_url', 'title', 'content', 'excerpt', 'author', 'domain',
+  'word_count', 'reading_time', 'publish_date',
+  'is_read', 'is_favorite', 'is_archived', 'reading_progress',
+  'created_at', 'updated_at', 'last_read_at',
+  'obsidian_path', 'obsidian_synced_at', 'notes', 'notes_version', 'notes_updated_at', 'deleted_at', 'user_id'
+];
+
+// What updateArticle may change. The backends set timestamps and the notes
+// version themselves and trash through trashArticle/restoreArticle; the owner
+// never changes. Any other key is refused rather than turned into a column
+// name or a stray property.
+const UPDATABLE_ARTICLE_FIELDS = ARTICLE_FIELDS.filter(
+  field => !['id', 'created_at', 'updated_at', 'notes_version', 'notes_updated_at', 'deleted_at', 'user_id'].includes(field)
+);
+
+// `id` is ignored, as both backends always have
+function checkArticleUpdates(updates) {
+  const unknown = Object.keys(updates).filter(field => field !== 'id' && !UPDATABLE_ARTICLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Cannot update article field(s): ${unknown.join(', ')}`);
+  }
+}
+
+/**
+ * Raised by updateArticle when it is given the notes version a client last
+ * read (options.notesVersion) and the notes have been saved since. Routes
+ * answer it with a 409.
+ */
+class NotesConflictError extends Error {
+  constructor(article) {
+    super(`The notes of article ${article.id} were changed by someone else`);
+    this.name = 'NotesConflictError';
+    this.version = article.notes_version || 0;
+  }
+}
+
+/**
+ * Notes bookkeeping for updating `article` with `updates`: a change to the
+ * notes bumps notes_version and sets notes_updated_at to `now`. Both
+ * backends call this inside their update so the version check and the write
+ * can't be interleaved with another update.
+ */
+function getNotesChanges(article, updates, expectedVersion, now) {
+  const version = article.notes_version || 0;
+  if (expectedVersion !== undefined && expectedVersion !== version) {
+    throw new NotesConflictError(article);
+  }
+  if (updates.notes === undefined || revisionValue(updates.notes) === revisionValue(article.notes)) {
+    return {};
+  }
+  return { notes_version: version + 1, notes_updated_at: now };
+}
+
+// Sort orders accepted by listArticles and their default direction. Ties are
+// broken by id in the same direction, so every article has a unique position.
+const ARTICLE_SORTS = {
+  created_at: 'desc',
+  updated_at: 'desc',
+  reading_time: 'desc',
+  title: 'asc'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Raised for list parameters that can't be used (unknown sort, bad date,
+ * stale cursor...). Routes answer it with a 400.
+ */
+class QueryError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = 'QueryError';
+    this.field = field;
+  }
+}
+
+// Lowercases A-Z only, like SQLite's LOWER(), so both backends order titles the same way
+function asciiLower(value) {
+  return String(value ?? '').replace(/[A-Z]/g, c => c.toLowerCase());
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function parseBooleanParam(value, field) {
+  if (isMissing(value)) return null;
+  if (value === true || value === 'true' || value === '1' || value === 1) return true;
+  if (value === false || value === 'false' || value === '0' || value === 0) return false;
+  throw new QueryError(`${field} must be true or false`, field);
+}
+
+function parseNumberParam(value, field) {
+  if (isMissing(value)) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new QueryError(`${field} must be a non-negative number`, field);
+  }
+  return number;
+}
+
+function parseDateParam(value, field) {
+  if (isMissing(value)) return null;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new QueryError(`${field} must be an ISO date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z`, field);
+  }
+  return date.toISOString();
+}
+
+function parseIdParam(value, field) {
+  if (isMissing(value)) return null;
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new QueryError(`${field} must be a positive whole number`, field);
+  }
+  return id;
+}
+
+function parseLimitParam(value) {
+  if (isMissing(value)) return DEFAULT_PAGE_SIZE;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new QueryError(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`, 'limit');
+  }
+  return limit;
+}
+
+// Repeated query parameters arrive as arrays, single ones as strings
+function toParamList(value) {
+  if (isMissing(value)) return [];
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * `fields=id,title,url` keeps only those fields, `fields=-content` drops the
+ * listed ones. id is always kept. Returns null for "all fields".
+ */
+function parseFieldsParam(value) {
+  const entries = toParamList(value).flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+  if (entries.length === 0) return null;
+
+  const excluded = entries.filter(entry => entry.startsWith('-'));
+  if (excluded.length > 0 && excluded.length < entries.length) {
+    throw new QueryError('fields must either list fields to include or fields to leave out (-field), not both', 'fields');
+  }
+
+  const names = entries.map(entry => entry.replace(/^-/, ''));
+  const unknown = names.filter(name => !ARTICLE_FIELDS.includes(name));
+  if (unknown.length > 0) {
+    throw new QueryError(`Unknown field(s): ${unknown.join(', ')}`, 'fields');
+  }
+
+  if (excluded.length > 0) {
+    return ARTICLE_FIELDS.filter(field => field === 'id' || !names.includes(field));
+  }
+  return ['id', ...new Set(names.filter(name => name !== 'id'))];
+}
+
+// The value an article is ordered by; SQLite computes the same thing in SQL
+function articleSortKey(article, sort) {
+  switch (sort) {
+    case 'reading_time':
+      return Number(article.reading_time) || 0;
+    case 'title':
+      return asciiLower(article.title);
+    default:
+      return article[sort] || '';
+  }
+}
+
+function compareSortKeys(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Cursors are opaque to clients: the sort key and id of the last article on the page
+function encodeCursor(query, article) {
+  const cursor = { sort: query.sort, order: query.order, key: articleSortKey(article, query.sort), id: article.id };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value, sort, order) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch {
+    throw new QueryError('cursor is not valid', 'cursor');
+  }
+  if (!cursor || typeof cursor !== 'object' || !Number.isInteger(cursor.id) ||
+      !['string', 'number'].includes(typeof cursor.key)) {
+    throw new QueryError('cursor is not valid', 'cursor');
+  }
+  if (cursor.sort !== sort || cursor.order !== order) {
+    throw new QueryError('cursor belongs to a different sort order; start again without a cursor', 'cursor');
+  }
+  return { key: cursor.key, id: cursor.id };
+}
+
+/**
+ * Turns listArticles parameters (usually req.query, so strings) into a query
+ * both backends can run. Throws QueryError for anything unusable.
+ *
+ * Filters: q (a search query, see search-query.js), is_read, is_favorite,
+ * is_archived, domain, tag (repeat for several, all must match),
+ * collection (a collection id), created_after/created_before, updated_after/updated_before (after is
+ * inclusive, before exclusive), min_reading_time/max_reading_time
+ * (minutes, inclusive) and user_id (the owner). A malformed q throws
+ * SearchSyntaxError.
+ */
+function normalizeArticleQuery(params = {}) {
+  const sort = isMissing(params.sort) ? 'created_at' : String(params.sort);
+  if (!ARTICLE_SORTS[sort]) {
+    throw new QueryError(`Unknown sort "${sort}". Use one of: ${Object.keys(ARTICLE_SORTS).join(', ')}`, 'sort');
+  }
+  const order = isMissing(params.order) ? ARTICLE_SORTS[sort] : String(params.order).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new QueryError('order must be asc or desc', 'order');
+  }
+
+  return {
+    sort,
+    order,
+    limit: parseLimitParam(params.limit),
+    cursor: isMissing(params.cursor) ? null : decodeCursor(params.cursor, sort, order),
+    fields: parseFieldsParam(params.fields),
+    filters: {
+      search: isMissing(params.q) ? null : parseSearchQuery(params.q),
+      is_read: parseBooleanParam(params.is_read, 'is_read'),
+      is_favorite: parseBooleanParam(params.is_favorite, 'is_favorite'),
+      is_archived: parseBooleanParam(params.is_archived, 'is_archived'),
+      domain: isMissing(params.domain) ? null : asciiLower(String(params.domain).trim()),
+      tags: toParamList(params.tag),
+      collection: parseIdParam(params.collection, 'collection'),
+      created_after: parseDateParam(params.created_after, 'created_after'),
+      created_before: parseDateParam(params.created_before, 'created_before'),
+      updated_after: parseDateParam(params.updated_after, 'updated_after'),
+      updated_before: parseDateParam(params.updated_before, 'updated_before'),
+      min_reading_time: parseNumberParam(params.min_reading_time, 'min_reading_time'),
+      max_reading_time: parseNumberParam(params.max_reading_time, 'max_reading_time'),
+      // UserStorage always sets this, whatever the request asked for
+      user_id: parseIdParam(params.user_id, 'user_id')
+    }
+  };
+}
+
+// Applies a `fields` projection; missing fields come back as null
+function projectArticle(article, fields) {
+  if (!fields) return article;
+  return Object.fromEntries(fields.map(field => [field, article[field] ?? null]));
+}
+
+const BACKENDS = {
+  json: {
+    label: 'JSON file',
+    // Loaded lazily so the JSON backend works without the native sqlite module
+    create: (options) => {
+      const JsonDatabase = require('./database-json');
+      return new JsonDatabase({
+        dataFile: options.path || process.env.JSON_DB_PATH,
+        cipher: options.cipher
+      });
+    }
+  },
+  sqlite: {
+    label: 'SQLite',
+    create: (options) => {
+      const DatabaseService = require('./database');
+      return new DatabaseService({
+        dbPath: options.path || process.env.SQLITE_DB_PATH,
+        cipher: options.cipher,
+        beforeSchemaMigration: options.beforeSchemaMigration
+      });
+    }
+  }
+};
+
+function resolveBackend(name) {
+  const backend = (name || process.env.STORAGE_BACKEND || 'json').toLowerCase();
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown storage backend "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return backend;
+}
+
+function assertStorageContract(db, backend) {
+  const missing = STORAGE_METHODS.filter(method => typeof db[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage backend "${backend}" is missing: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Create (but do not initialise) a storage backend.
+ * Call `await db.init()` before using it.
+ *
+ * @param {object} [options]
+ * @param {string} [options.backend] - 'json' or 'sqlite', defaults to $STORAGE_BACKEND or 'json'
+ * @param {string} [options.path] - data file for the backend, defaults to the backend's own location
+ * @param {DataCipher|null} [options.cipher] - encrypts the data at rest, defaults to the key in the
+ *   environment (see encryption.js); null turns encryption off
+ */
+function createDatabase(options = {}) {
+  const backend = resolveBackend(options.backend);
+  const cipher = options.cipher === undefined ? loadCipher() : options.cipher;
+  const db = BACKENDS[backend].create({
+    ...options,
+    cipher,
+    path: options.path && path.resolve(options.path)
+  });
+
+  assertStorageContract(db, backend);
+  db.backend = backend;
+  return db;
+}
+
+function getBackendLabel(backend) {
+  return BACKENDS[resolveBackend(backend)].label;
+}
+
+module.exports = {
+  STORAGE_METHODS,
+  StorageError,
+  sameOwner,
+  BACKENDS,
+  toTagEntries,
+  insertIntoOrder,
+  moveToFront,
+  ARTICLE_FIELDS,
+  UPDATABLE_ARTICLE_FIELDS,
+  checkArticleUpdates,
+  NotesConflictError,
+  getNotesChanges,
+  QueryError,
+  asciiLower,
+  normalizeArticleQuery,
+  articleSortKey,
+  compareSortKeys,
+  encodeCursor,
+  projectArticle,
+  REVISION_FIELDS,
+  REVISION_SOURCES,
+  getRevisionChanges,
+  resolveRevisionSource,
+  createDatabase,
+  resolveBackend,
+  getBackendLabel
+};
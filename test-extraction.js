@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const SimpleExtractor = require('./services/simple-extractor');
+const SiteRuleRegistry = require('./services/site-rules');
+
+// Extraction regression suite: every saved page in test-fixtures/extraction
+// (<name>.html) is run through SimpleExtractor, with the built-in site rules
+// and those in test-fixtures/site-rules, and checked against what its
+// <name>.json says the result must hold:
+//   url                                     where the page was saved from
+//   title, author, publish_date             exact values, when given
+//   includes / excludes                     snippets the article text must (not) contain
+//   elements                                selectors that must match inside the content
+
+const FIXTURES_DIR = path.join(__dirname, 'test-fixtures', 'extraction');
+const SITE_RULES_DIR = path.join(__dirname, 'test-fixtures', 'site-rules');
+
+function loadFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(name => name.endsWith('.html'))
+    .sort()
+    .map(name => {
+      const base = name.slice(0, -'.html'.length);
+      return {
+        name: base,
+        html: fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'),
+        expected: JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${base}.json`), 'utf8'))
+      };
+    });
+}
+
+function checkFixture(extractor, { html, expected }) {
+  const result = extractor.extractFromHtml(html, expected.url);
+  const $ = cheerio.load(result.content);
+  const text = $.text().replace(/\s+/g, ' ');
+
+  for (const field of ['title', 'author', 'publish_date']) {
+    if (field in expected) {
+      assert.strictEqual(result[field], expected[field], `${field}`);
+    }
+  }
+  for (const snippet of expected.includes || []) {
+    assert.ok(text.includes(snippet), `missing "${snippet}"`);
+  }
+  for (const snippet of expected.excludes || []) {
+    assert.ok(!text.includes(snippet), `should not contain "${snippet}"`);
+  }
+  for (const selector of expected.elements || []) {
+    assert.ok($(selector).length > 0, `no ${selector} in the content`);
+  }
+}
+
+function testExtraction() {
+  console.log('🧪 Running extraction fixtures...\n');
+
+  const siteRules = new SiteRuleRegistry({ dir: SITE_RULES_DIR });
+  assert.deepStrictEqual(siteRules.errors, [], 'site rules in test-fixtures/site-rules failed to load');
+  const extractor = new SimpleExtractor({ siteRules });
+  let passed = 0;
+  let failed = 0;
+
+  for (const fixture of loadFixtures()) {
+    try {
+      checkFixture(extractor, fixture);
+      console.log(`  ✅ ${fixture.name}`);
+      passed++;
+    } catch (error) {
+      console.log(`  ❌ ${fixture.name}`);
+      console.log(`     ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n📊 Test Results:');
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+testExtraction();
@@ -0,0 +1,248 @@
+const assert = require('assert');
+const { RateLimiter, parseBudget, rateLimitBudget, rateLimitKey } = require('./rate-limit');
+
+// Rate limiter suite: budgets, windows, the middleware's answers and how
+// requests are classified and keyed, without a server.
+
+// Just enough of an Express request for the limiter
+const request = (overrides = {}) => ({
+  method: 'GET',
+  baseUrl: '/api',
+  path: '/articles',
+  ip: '203.0.113.7',
+  user: null,
+  apiToken: null,
+  ...overrides
+});
+
+// Records what the middleware answers; `finish` runs the listeners limitFailures() adds
+function response() {
+  const listeners = [];
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(headers, value) {
+      Object.assign(this.headers, typeof headers === 'string' ? { [headers]: value } : headers);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    on(event, listener) {
+      if (event === 'finish') listeners.push(listener);
+    },
+    finish(statusCode) {
+      this.statusCode = statusCode;
+      listeners.forEach(listener => listener());
+    }
+  };
+}
+
+// Runs `middleware` on a request; returns the response and whether it called next()
+function run(middleware, req) {
+  const res = response();
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { res, passed };
+}
+
+const scenarios = [
+  {
+    name: 'parses budgets and refuses malformed ones',
+    run() {
+      assert.deepStrictEqual(parseBudget('read', '300/60'), { limit: 300, windowMs: 60000 });
+      assert.deepStrictEqual(parseBudget('read', ' 5/1 '), { limit: 5, windowMs: 1000 });
+      assert.strictEqual(parseBudget('read', 'off'), null);
+      for (const value of ['300', '300/', '/60', '0/60', '10/0', 'ten/60', '-1/60', '1.5/60', '']) {
+        assert.throws(() => parseBudget('read', value), /Invalid rate limit for "read"/, value);
+      }
+    }
+  },
+  {
+    name: 'reads budgets from config, then RATE_LIMIT_* and refuses a bad environment value',
+    run() {
+      const saved = process.env.RATE_LIMIT_IMPORT;
+      try {
+        process.env.RATE_LIMIT_IMPORT = '2/30';
+        const limiter = new RateLimiter({ read: 'off' });
+        assert.strictEqual(limiter.budgets.read, null);
+        assert.deepStrictEqual(limiter.budgets.import, { limit: 2, windowMs: 30000 });
+        assert.deepStrictEqual(limiter.budgets.auth, { limit: 10, windowMs: 60000 });
+
+        process.env.RATE_LIMIT_IMPORT = 'lots';
+        assert.throws(() => new RateLimiter(), /Invalid rate limit for "import": "lots"/);
+      } finally {
+        if (saved === undefined) delete process.env.RATE_LIMIT_IMPORT;
+        else process.env.RATE_LIMIT_IMPORT = saved;
+      }
+    }
+  },
+  {
+    name: 'counts requests per key and starts a new window once the old one ends',
+    run() {
+      const limiter = new RateLimiter({ read: '2/10' });
+      const start = 1000000;
+
+      assert.deepStrictEqual(limiter.consume('read', 'user:1', start),
+        { allowed: true, limit: 2, remaining: 1, resetAt: start + 10000 });
+      assert.strictEqual(limiter.consume('read', 'user:1', start + 1).remaining, 0);
+      const refused = limiter.consume('read', 'user:1', start + 2);
+      assert.strictEqual(refused.allowed, false);
+      assert.strictEqual(refused.resetAt, start + 10000);
+      assert.strictEqual(limiter.consume('read', 'user:2', start + 3).allowed, true, 'keys have windows of their own');
+
+      const next = limiter.consume('read', 'user:1', start + 10000);
+      assert.deepStrictEqual(next, { allowed: true, limit: 2, remaining: 1, resetAt: start + 20000 });
+    }
+  },
+  {
+    name: 'lets everything through a budget that is off and refuses unknown budgets',
+    run() {
+      const limiter = new RateLimiter({ read: 'off' });
+      assert.strictEqual(limiter.consume('read', 'user:1'), null);
+      assert.throws(() => limiter.consume('uploads', 'user:1'), /Unknown rate limit budget "uploads"/);
+
+      const { res, passed } = run(limiter.limit('read'), request({ user: { id: 1 } }));
+      assert.ok(passed);
+      assert.deepStrictEqual(res.headers, {});
+    }
+  },
+  {
+    name: 'answers over-budget requests with 429, Retry-After and RateLimit headers',
+    run() {
+      const limiter = new RateLimiter({ extract: '1/60' });
+      const req = request({ method: 'POST', user: { id: 1 } });
+
+      const first = run(limiter.limit('extract'), req);
+      assert.ok(first.passed);
+      assert.strictEqual(first.res.headers['RateLimit-Limit'], '1');
+      assert.strictEqual(first.res.headers['RateLimit-Remaining'], '0');
+      assert.strictEqual(first.res.headers['RateLimit-Policy'], '1;w=60');
+      assert.ok(Number(first.res.headers['RateLimit-Reset']) > 0);
+      assert.strictEqual(first.res.headers['Retry-After'], undefined);
+
+      const second = run(limiter.limit('extract'), req);
+      assert.ok(!second.passed);
+      assert.strictEqual(second.res.statusCode, 429);
+      assert.strictEqual(second.res.body.success, false);
+      assert.strictEqual(second.res.body.budget, 'extract');
+      assert.match(second.res.body.error, /^Too many requests, try again in \d+ seconds$/);
+      assert.strictEqual(second.res.headers['Retry-After'], second.res.headers['RateLimit-Reset']);
+      assert.ok(Number(second.res.headers['Retry-After']) <= 60);
+    }
+  },
+  {
+    name: 'picks the budget with a function of the request',
+    run() {
+      const limiter = new RateLimiter({ read: '5/60', import: '1/60' });
+      const upload = request({ method: 'POST', path: '/import-export/preview', user: { id: 1 } });
+
+      assert.ok(run(limiter.limit(rateLimitBudget), upload).passed);
+      assert.strictEqual(run(limiter.limit(rateLimitBudget), upload).res.statusCode, 429);
+      assert.ok(run(limiter.limit(rateLimitBudget), request({ user: { id: 1 } })).passed, 'reads have their own budget');
+    }
+  },
+  {
+    name: 'refuses a client whose requests keep failing authentication before its token is checked',
+    run() {
+      const limiter = new RateLimiter({ auth: '2/60' });
+      const middleware = limiter.limitFailures('auth');
+
+      for (let i = 0; i < 2; i++) {
+        const { res, passed } = run(middleware, request());
+        assert.ok(passed);
+        res.finish(401);
+      }
+      // Requests that authenticate aren't counted
+      const signedIn = run(middleware, request({ ip: '198.51.100.1' }));
+      signedIn.res.finish(200);
+      assert.ok(run(middleware, request({ ip: '198.51.100.1' })).passed);
+
+      const { res, passed } = run(middleware, request());
+      assert.ok(!passed);
+      assert.strictEqual(res.statusCode, 429);
+      assert.strictEqual(res.body.budget, 'auth');
+      assert.ok(Number(res.headers['Retry-After']) > 0);
+      assert.strictEqual(limiter.check('auth', 'ip:203.0.113.7').remaining, 0);
+    }
+  },
+  {
+    name: 'classifies saves and extraction, imports and everything else',
+    run() {
+      const budget = (method, path) => rateLimitBudget(request({ method, path }));
+
+      assert.strictEqual(budget('POST', '/articles'), 'extract');
+      assert.strictEqual(budget('POST', '/articles/'), 'extract');
+      assert.strictEqual(budget('POST', '/articles/extract'), 'extract');
+      assert.strictEqual(budget('POST', '/site-rules/test'), 'extract');
+      assert.strictEqual(budget('POST', '/import-export/import'), 'import');
+      assert.strictEqual(budget('POST', '/import-export/preview'), 'import');
+
+      assert.strictEqual(budget('GET', '/articles'), 'read');
+      assert.strictEqual(budget('PUT', '/articles/5'), 'read');
+      assert.strictEqual(budget('POST', '/articles/5/highlights'), 'read');
+      assert.strictEqual(budget('GET', '/import-export/formats'), 'read');
+      assert.strictEqual(budget('GET', '/import-export/export'), 'read');
+    }
+  },
+  {
+    name: 'keys requests by API token, then user, then client IP',
+    run() {
+      const user = { id: 4 };
+      const apiToken = { id: 9 };
+      assert.strictEqual(rateLimitKey(request({ user, apiToken })), 'token:9');
+      assert.strictEqual(rateLimitKey(request({ user })), 'user:4');
+      assert.strictEqual(rateLimitKey(request()), 'ip:203.0.113.7');
+    }
+  },
+  {
+    name: 'reports each budget with its requests allowed and refused and the clients counted now',
+    run() {
+      const limiter = new RateLimiter({ read: '1/60', import: 'off' });
+      const now = 5000000;
+      limiter.consume('read', 'user:1', now);
+      limiter.consume('read', 'user:1', now);
+      limiter.consume('read', 'user:2', now);
+
+      const stats = limiter.getStats(now + 1);
+      assert.deepStrictEqual(stats.read, { limit: 1, window_seconds: 60, allowed: 2, limited: 1, active_clients: 2 });
+      assert.deepStrictEqual(stats.import, { limit: null, window_seconds: null, allowed: 0, limited: 0, active_clients: 0 });
+      assert.strictEqual(limiter.getStats(now + 60000).read.active_clients, 0, 'ended windows are not counted');
+    }
+  }
+];
+
+function testRateLimit() {
+  console.log('🧪 Running rate limit suite...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    try {
+      scenario.run();
+      console.log(`  ✅ ${scenario.name}`);
+      passed++;
+    } catch (error) {
+      console.log(`  ❌ ${scenario.name}`);
+      console.log(`     ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n📊 Test Results:');
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+testRateLimit();
@@ -1,10 +1,34 @@
 const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3000';
+const USERNAME = process.env.TEST_USERNAME;
+const PASSWORD = process.env.TEST_PASSWORD;
+
+// Signs in to an existing account; returns a session token. The suite never
+// registers one: on a server without users that account would become the admin
+// and take over the library saved before accounts existed
+async function signIn() {
+  const credentials = { username: USERNAME, password: PASSWORD };
+  try {
+    const response = await axios.post(`${BASE_URL}/api/auth/login`, credentials, { timeout: 5000 });
+    return response.data.data.token;
+  } catch (error) {
+    if (!error.response) throw error;
+    throw new Error(`Signing in as ${USERNAME} failed: ${error.response.data.error || error.message}`);
+  }
+}
 
 async function testServer() {
   console.log('🧪 Testing Read Later API Server...\n');
 
+  if (!USERNAME || !PASSWORD) {
+    console.error('❌ Set TEST_USERNAME and TEST_PASSWORD to an account on the server to test with');
+    process.exit(1);
+  }
+
+  const token = await signIn();
+  console.log(`🔑 Signed in as ${USERNAME}\n`);
+
   const tests = [
     {
       name: 'Health Check',
@@ -49,6 +73,7 @@ async function testServer() {
         method: test.method,
         url: test.url,
         timeout: 5000,
+        headers: { Authorization: `Bearer ${token}` },
         ...(test.data && { data: test.data })
       };
 
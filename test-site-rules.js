@@ -0,0 +1,215 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SiteRuleRegistry = require('./services/site-rules');
+
+const { SiteRuleError, normalizeRule, rewriteUrl } = SiteRuleRegistry;
+
+// Site rule suite: checking rules, picking the one for a URL, rules set and
+// removed through the registry and reloading the rules directory. Each
+// scenario gets a rules directory of its own.
+
+function withRulesDir(files, run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-rules-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Asserts that `fn` throws a SiteRuleError with `status` whose message matches `message`
+function assertRuleError(fn, message, status = 400) {
+  assert.throws(fn, error => {
+    assert.ok(error instanceof SiteRuleError, `expected a SiteRuleError, got ${error}`);
+    assert.match(error.message, message);
+    assert.strictEqual(error.status, status);
+    return true;
+  });
+}
+
+const scenarios = [
+  {
+    name: 'normalizes a rule and keeps only the fields a rule may have',
+    run() {
+      assert.deepStrictEqual(normalizeRule({
+        domain: ' WWW.Example.COM ',
+        path: '^/posts/',
+        content: ' article ',
+        strip: ['.ad'],
+        rewrites: [{ pattern: '^http:', replace: 'https:' }]
+      }), {
+        domain: 'example.com',
+        path: '^/posts/',
+        content: 'article',
+        strip: ['.ad'],
+        rewrites: [{ pattern: '^http:', replace: 'https:' }]
+      });
+    }
+  },
+  {
+    name: 'refuses rules that are malformed, saying what is wrong',
+    run() {
+      assertRuleError(() => normalizeRule(null), /must be an object/);
+      assertRuleError(() => normalizeRule(['example.com']), /must be an object/);
+      assertRuleError(() => normalizeRule({ domain: 'example.com', body: 'main' }), /Unknown site rule field\(s\): body/);
+      assertRuleError(() => normalizeRule({ content: 'main' }), /domain must be a host name/);
+      assertRuleError(() => normalizeRule({ domain: 'localhost' }), /domain must be a host name like example.com, got "localhost"/);
+      assertRuleError(() => normalizeRule({ domain: 'example.com', content: '' }), /content must be a CSS selector/);
+      assertRuleError(() => normalizeRule({ domain: 'example.com', title: 'h1[' }), /title is not a valid CSS selector: h1\[/);
+      assertRuleError(() => normalizeRule({ domain: 'example.com', path: '(' }), /path is not a valid regular expression/);
+      assertRuleError(() => normalizeRule({ domain: 'example.com', strip: '.ad' }), /strip must be a list/);
+      assertRuleError(() => normalizeRule({ domain: 'example.com', strip: ['.ad', 5] }), /strip\[1\] must be a CSS selector/);
+      assertRuleError(() => normalizeRule({ domain: 'example.com', rewrites: {} }), /rewrites must be a list/);
+      assertRuleError(() => normalizeRule({ domain: 'example.com', rewrites: [{ pattern: 'x' }] }), /rewrites\[0\] must be \{ pattern, replace \}/);
+      assertRuleError(() => normalizeRule({ domain: 'example.com', rewrites: [{ pattern: '[', replace: '' }] }),
+        /rewrites\[0\]\.pattern is not a valid regular expression/);
+    }
+  },
+  {
+    name: 'matches the longest domain of the URL whose path matches',
+    run() {
+      const registry = new SiteRuleRegistry({
+        dir: path.join(os.tmpdir(), 'site-rules-none'),
+        builtIn: [
+          { domain: 'example.com', content: '.any' },
+          { domain: 'blog.example.com', content: '.blog' },
+          { domain: 'blog.example.com.au', content: '.au' },
+          { domain: 'docs.example.com', path: '^/guide/', content: '.guide' }
+        ]
+      });
+      const contentFor = url => (registry.match(url) || {}).content;
+
+      assert.strictEqual(contentFor('https://example.com/a'), '.any');
+      assert.strictEqual(contentFor('https://www.example.com/a'), '.any', 'www. is ignored');
+      assert.strictEqual(contentFor('https://blog.example.com/a'), '.blog');
+      assert.strictEqual(contentFor('https://eu.blog.example.com/a'), '.blog', 'subdomains get their parent\'s rule');
+      assert.strictEqual(contentFor('https://docs.example.com/guide/setup'), '.guide');
+      assert.strictEqual(contentFor('https://docs.example.com/api'), '.any', 'a rule whose path misses falls back to a parent');
+      assert.strictEqual(registry.match('https://notexample.com/a'), null);
+      assert.strictEqual(registry.match('not a url'), null);
+    }
+  },
+  {
+    name: 'lets files in the rules directory replace built-in rules, <domain>.json winning over other files',
+    run() {
+      withRulesDir({
+        '00-sites.json': [{ domain: 'medium.com', content: '.from-list' }, { domain: 'example.org', content: '.list' }],
+        'medium.com.json': { domain: 'medium.com', content: '.own-file' },
+        'zz-late.json': { domain: 'medium.com', content: '.late' }
+      }, dir => {
+        const registry = new SiteRuleRegistry({ dir });
+        assert.deepStrictEqual(registry.errors, []);
+        assert.deepStrictEqual(registry.get('medium.com'), { domain: 'medium.com', content: '.own-file', source: 'config', file: 'medium.com.json' });
+        assert.strictEqual(registry.get('example.org').file, '00-sites.json');
+        assert.strictEqual(registry.get('dev.to').source, 'built-in');
+      });
+    }
+  },
+  {
+    name: 'persists rules set through the registry and falls back to the built-in rule once removed',
+    run() {
+      withRulesDir({}, dir => {
+        const registry = new SiteRuleRegistry({ dir });
+        const saved = registry.set('WWW.Dev.to', { content: 'main' });
+        assert.deepStrictEqual(saved, { domain: 'dev.to', content: 'main', source: 'config', file: 'dev.to.json' });
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'dev.to.json'), 'utf8')), { domain: 'dev.to', content: 'main' });
+        assert.deepStrictEqual(fs.readdirSync(dir), ['dev.to.json'], 'no temporary file is left behind');
+
+        assert.strictEqual(new SiteRuleRegistry({ dir }).get('dev.to').content, 'main', 'the rule survives a restart');
+        assertRuleError(() => registry.set('dev.to', { content: 'h1[' }), /content is not a valid CSS selector/);
+
+        const restored = registry.remove('dev.to');
+        assert.strictEqual(restored.source, 'built-in');
+        assert.strictEqual(restored.content, '#article-body');
+        assert.deepStrictEqual(fs.readdirSync(dir), []);
+
+        registry.set('example.net', { content: 'main' });
+        assert.strictEqual(registry.remove('example.net'), null, 'nothing applies without a built-in rule');
+      });
+    }
+  },
+  {
+    name: 'refuses to remove built-in rules and rules that come from another file',
+    run() {
+      withRulesDir({ 'sites.json': [{ domain: 'example.org', content: 'main' }] }, dir => {
+        const registry = new SiteRuleRegistry({ dir });
+        assertRuleError(() => registry.remove('medium.com'), /No configured site rule for medium.com \(only the built-in one\)/, 404);
+        assertRuleError(() => registry.remove('example.net'), /No configured site rule for example.net$/, 404);
+        assertRuleError(() => registry.remove('example.org'), /comes from sites.json; edit that file instead/, 409);
+        assert.ok(fs.existsSync(path.join(dir, 'sites.json')));
+      });
+    }
+  },
+  {
+    name: 'skips files that are malformed on reload and reports them',
+    run() {
+      withRulesDir({ 'good.json': { domain: 'example.org', content: 'main' } }, dir => {
+        const registry = new SiteRuleRegistry({ dir });
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{ "domain": ');
+        fs.writeFileSync(path.join(dir, 'invalid.json'), JSON.stringify({ domain: 'example.com', colour: 'red' }));
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a rule');
+
+        const { count, errors } = registry.load();
+        assert.strictEqual(count, SiteRuleRegistry.BUILT_IN_RULES.length + 1);
+        assert.deepStrictEqual(errors.map(error => error.file), ['broken.json', 'invalid.json']);
+        assert.match(errors[1].error, /Unknown site rule field\(s\): colour/);
+        assert.deepStrictEqual(registry.getConfig(), { dir, errors });
+        assert.strictEqual(registry.get('example.org').content, 'main', 'the files that can be used still are');
+        assert.strictEqual(registry.get('example.com'), null);
+      });
+    }
+  },
+  {
+    name: 'rewrites URLs with the first matching pattern, e.g. LWN articles to their printable view',
+    run() {
+      const lwn = SiteRuleRegistry.BUILT_IN_RULES.find(rule => rule.domain === 'lwn.net');
+      assert.strictEqual(rewriteUrl(lwn, 'https://lwn.net/Articles/975000/'), 'https://lwn.net/Articles/975000/?format=printable');
+      assert.strictEqual(rewriteUrl(lwn, 'http://lwn.net/Articles/975000'), 'https://lwn.net/Articles/975000/?format=printable');
+      assert.strictEqual(rewriteUrl(lwn, 'https://lwn.net/Articles/975000/?format=printable'),
+        'https://lwn.net/Articles/975000/?format=printable');
+      assert.strictEqual(rewriteUrl(lwn, 'https://lwn.net/Kernel/'), 'https://lwn.net/Kernel/');
+
+      const rule = normalizeRule({
+        domain: 'example.com',
+        rewrites: [{ pattern: '/amp/', replace: '/' }, { pattern: 'example', replace: 'never' }]
+      });
+      assert.strictEqual(rewriteUrl(rule, 'https://example.com/amp/post'), 'https://example.com/post');
+      assert.strictEqual(rewriteUrl(null, 'https://example.com/a'), 'https://example.com/a');
+      assert.strictEqual(rewriteUrl({ domain: 'example.com' }, 'https://example.com/a'), 'https://example.com/a');
+    }
+  }
+];
+
+function testSiteRules() {
+  console.log('🧪 Running site rule suite...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    try {
+      scenario.run();
+      console.log(`  ✅ ${scenario.name}`);
+      passed++;
+    } catch (error) {
+      console.log(`  ❌ ${scenario.name}`);
+      console.log(`     ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n📊 Test Results:');
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+testSiteRules();
@@ -0,0 +1,1682 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BACKENDS, createDatabase, StorageError, QueryError, NotesConflictError } = require('./storage');
+const { SearchSyntaxError } = require('./search-query');
+const { DataCipher, EncryptionKeyError, isEncrypted } = require('./encryption');
+const StorageMigration = require('./services/storage-migration');
+const TrashService = require('./services/trash-service');
+const SavedSearchService = require('./services/saved-search-service');
+const RevisionService = require('./services/revision-service');
+const AuthService = require('./services/auth-service');
+const ActivityService = require('./services/activity-service');
+const BackupService = require('./services/backup-service');
+const UserStorage = require('./user-storage');
+const { checkRequest } = require('./validation');
+const schemas = require('./schemas');
+
+// Storage conformance suite: every scenario runs against every backend on a
+// fresh, throwaway data file so the backends can't drift apart again.
+
+const sampleArticle = (overrides = {}) => ({
+  url: 'https://example.com/rust-ownership',
+  title: 'Understanding Rust Ownership',
+  content: '<p>Ownership is the most distinctive feature of Rust.</p>',
+  excerpt: 'A tour of ownership and borrowing.',
+  author: 'Jane Doe',
+  domain: 'example.com',
+  word_count: 1200,
+  reading_time: 6,
+  ...overrides
+});
+
+// Simulate an article saved before revision history existed
+function dropRevisions(db, articleId) {
+  if (db.backend === 'sqlite') {
+    db.db.prepare('DELETE FROM article_revisions WHERE article_id = ?').run(articleId);
+  } else {
+    db.applyChanges(db.getArticleRevisions(articleId)
+      .map(revision => ({ collection: 'revisions', action: 'delete', record: revision })));
+  }
+}
+
+const scenarios = [
+  {
+    name: 'creates and reads back an article',
+    run: (db) => {
+      const created = db.createArticle(sampleArticle());
+      assert.ok(created.id, 'createArticle returns the stored article with an id');
+      assert.strictEqual(created.title, 'Understanding Rust Ownership');
+      assert.strictEqual(created.is_read, false);
+      assert.strictEqual(created.is_favorite, false);
+      assert.strictEqual(created.is_archived, false);
+      assert.strictEqual(created.reading_progress, 0);
+      assert.ok(created.created_at);
+
+      assert.strictEqual(db.getArticleById(created.id).url, created.url);
+      assert.strictEqual(db.getArticleById(String(created.id)).id, created.id);
+      assert.strictEqual(db.getArticleByUrl(created.url).id, created.id);
+      assert.ok(!db.getArticleById(9999));
+      assert.ok(!db.getArticleByUrl('https://example.com/missing'));
+    }
+  },
+  {
+    name: 'defaults a missing title',
+    run: (db) => {
+      const created = db.createArticle({ url: 'https://example.com/untitled' });
+      assert.strictEqual(created.title, 'Untitled');
+    }
+  },
+  {
+    name: 'lists articles newest first',
+    run: (db) => {
+      const first = db.createArticle(sampleArticle({ url: 'https://example.com/1' }));
+      const second = db.createArticle(sampleArticle({ url: 'https://example.com/2' }));
+      const ids = db.getAllArticles().map(a => a.id);
+      assert.deepStrictEqual(ids, [second.id, first.id]);
+    }
+  },
+  {
+    name: 'updates fields and reports changes',
+    run: (db) => {
+      const created = db.createArticle(sampleArticle());
+      const result = db.updateArticle(created.id, { title: 'Renamed', is_favorite: true });
+      assert.strictEqual(result.changes, 1);
+
+      const updated = db.getArticleById(created.id);
+      assert.strictEqual(updated.title, 'Renamed');
+      assert.strictEqual(updated.is_favorite, true);
+      assert.ok(updated.updated_at >= created.updated_at);
+
+      assert.strictEqual(db.updateArticle(9999, { title: 'Nope' }).changes, 0);
+
+      assert.throws(() => db.updateArticle(created.id, { title: 'Sneaky', created_at: '2000-01-01' }), /Cannot update article field\(s\): created_at/);
+      assert.throws(() => db.updateArticle(created.id, { bogus: 1 }), /bogus/);
+      assert.strictEqual(db.getArticleById(created.id).title, 'Renamed');
+    }
+  },
+  {
+    name: 'deletes articles',
+    run: (db) => {
+      const created = db.createArticle(sampleArticle());
+      assert.strictEqual(db.deleteArticle(created.id).changes, 1);
+      assert.ok(!db.getArticleById(created.id));
+      assert.strictEqual(db.deleteArticle(created.id).changes, 0);
+    }
+  },
+  {
+    name: 'records a revision with its source for each content change',
+    run: async (db, reopen) => {
+      const article = db.createArticle(sampleArticle(), { source: 'import' });
+      db.updateArticle(article.id, { title: 'Ownership, revisited' });
+      db.updateArticle(article.id, { is_read: true });
+      db.updateReadingProgress(article.id, 0.5);
+      db.updateArticle(article.id, { notes: 'Re-read chapter 4', title: 'Ownership, revisited' }, { source: 'obsidian' });
+      assert.throws(() => db.updateArticle(article.id, { title: 'x' }, { source: 'robot' }), /Unknown revision source/);
+
+      db = await reopen();
+      const revisions = db.getArticleRevisions(String(article.id));
+      assert.deepStrictEqual(revisions.map(r => [r.revision, r.source]), [[1, 'import'], [2, 'api'], [3, 'obsidian']]);
+      assert.strictEqual(revisions[0].changes.title, 'Understanding Rust Ownership');
+      assert.deepStrictEqual(revisions[1].changes, { title: 'Ownership, revisited' });
+      assert.deepStrictEqual(revisions[2].changes, { notes: 'Re-read chapter 4' });
+      assert.ok(revisions.every(r => r.article_id === article.id && r.created_at));
+
+      db.deleteArticle(article.id);
+      assert.deepStrictEqual(db.getArticleRevisions(article.id), []);
+    }
+  },
+  {
+    name: 'diffs and reverts revisions',
+    run: (db) => {
+      const article = db.createArticle(sampleArticle());
+      db.updateArticle(article.id, { title: 'Clobbered', content: '<p>Oops</p>' });
+      db.updateArticle(article.id, { notes: 'keep me' });
+
+      const revisions = new RevisionService(db);
+      assert.deepStrictEqual(revisions.diff(article.id, 1, 3).changes, [
+        { field: 'title', from: 'Understanding Rust Ownership', to: 'Clobbered' },
+        { field: 'content', from: sampleArticle().content, to: '<p>Oops</p>' },
+        { field: 'notes', from: null, to: 'keep me' }
+      ]);
+      assert.strictEqual(revisions.diff(article.id, 1, 9), null);
+      assert.strictEqual(revisions.getRevision(article.id, 2).snapshot.title, 'Clobbered');
+
+      assert.deepStrictEqual(revisions.revert(article.id, 1), { reverted_to: 1, revision: 4, changed: true });
+      const reverted = db.getArticleById(article.id);
+      assert.strictEqual(reverted.title, 'Understanding Rust Ownership');
+      assert.strictEqual(reverted.content, sampleArticle().content);
+      assert.ok(!reverted.notes);
+      assert.strictEqual(db.getArticleRevisions(article.id)[3].source, 'revert');
+
+      assert.strictEqual(revisions.revert(article.id, 1).changed, false, 'already at revision 1');
+      assert.strictEqual(revisions.revert(article.id, 42), null);
+    }
+  },
+  {
+    name: 'reverts empty fields to empty values, so the article can be edited after a revert',
+    run: (db) => {
+      const article = db.createArticle(sampleArticle({ excerpt: '', author: '', domain: '' }));
+      db.updateArticle(article.id, { excerpt: 'Added', author: 'Someone', publish_date: '2025-01-31T00:00:00.000Z', word_count: 5 });
+      new RevisionService(db).revert(article.id, 1);
+
+      const reverted = db.getArticleById(article.id);
+      assert.deepStrictEqual([reverted.excerpt, reverted.author, reverted.domain], ['', '', '']);
+      assert.ok(!reverted.publish_date);
+      assert.strictEqual(reverted.word_count, 1200);
+
+      // As a client would send it back through PUT /api/articles/:id
+      const { values, errors } = checkRequest(schemas.updateArticle, {
+        params: { id: String(article.id) },
+        body: { ...JSON.parse(JSON.stringify(reverted)), title: 'Edited after revert' }
+      });
+      assert.deepStrictEqual(errors, []);
+      const { notes_version, ...updates } = values.body;
+      assert.strictEqual(db.updateArticle(article.id, updates).changes, 1);
+      assert.strictEqual(db.getArticleById(article.id).title, 'Edited after revert');
+    }
+  },
+  {
+    name: 'keeps a baseline when an article without history is first changed',
+    run: (db) => {
+      const article = db.createArticle(sampleArticle());
+      dropRevisions(db, article.id);
+
+      db.updateArticle(article.id, { title: 'Changed' });
+      const revisions = db.getArticleRevisions(article.id);
+      assert.deepStrictEqual(revisions.map(r => [r.revision, r.source]), [[1, 'baseline'], [2, 'api']]);
+      assert.strictEqual(new RevisionService(db).getSnapshot(article.id, 1).title, 'Understanding Rust Ownership');
+    }
+  },
+  {
+    name: 'moves articles to the trash and restores them',
+    run: async (db, reopen) => {
+      const article = db.createArticle(sampleArticle({ tags: ['rust'] }));
+      db.addHighlight(article.id, { text: 'Ownership' });
+      const other = db.createArticle(sampleArticle({ url: 'https://example.com/other', title: 'Other Ownership' }));
+
+      assert.strictEqual(db.trashArticle(article.id).changes, 1);
+      assert.strictEqual(db.trashArticle(article.id).changes, 0, 'already in the trash');
+
+      // Hidden from everything except explicit trash lookups
+      assert.deepStrictEqual(db.getAllArticles().map(a => a.id), [other.id]);
+      assert.deepStrictEqual(db.searchArticles('Ownership').map(a => a.id), [other.id]);
+      assert.deepStrictEqual(db.getUnsyncedArticles().map(a => a.id), [other.id]);
+      assert.ok(!db.getArticleById(article.id));
+      assert.ok(!db.getArticleByUrl(article.url));
+      assert.strictEqual(db.updateArticle(article.id, { is_read: true }).changes, 0);
+
+      db = await reopen();
+      const trashed = db.getArticleByUrl(article.url, { includeTrashed: true });
+      assert.ok(trashed.deleted_at);
+      assert.deepStrictEqual(db.getTrashedArticles().map(a => a.id), [article.id]);
+
+      assert.strictEqual(db.restoreArticle(article.id).changes, 1);
+      assert.strictEqual(db.restoreArticle(article.id).changes, 0, 'not in the trash');
+      const restored = db.getArticleById(article.id);
+      assert.strictEqual(restored.deleted_at, null);
+      assert.deepStrictEqual(db.getArticleTags(article.id).map(t => t.name), ['rust']);
+      assert.strictEqual(db.getArticleHighlights(article.id).length, 1);
+      assert.deepStrictEqual(db.getTrashedArticles(), []);
+    }
+  },
+  {
+    name: 'purges trashed articles older than the retention window',
+    run: (db) => {
+      const DAY_MS = 24 * 60 * 60 * 1000;
+      const old = db.createArticle(sampleArticle({ url: 'https://example.com/old' }));
+      const recent = db.createArticle(sampleArticle({ url: 'https://example.com/recent' }));
+      const kept = db.createArticle(sampleArticle({ url: 'https://example.com/kept' }));
+      db.addHighlight(old.id, { text: 'gone' });
+      db.trashArticle(old.id);
+      db.trashArticle(recent.id);
+
+      assert.deepStrictEqual(db.purgeTrash(new Date(0).toISOString()), { changes: 0, ids: [] });
+
+      const trash = new TrashService(db, { retentionDays: 1 });
+      assert.strictEqual(trash.purgeExpired().changes, 0, 'still inside the window');
+      const result = trash.purgeExpired(new Date(Date.now() + 2 * DAY_MS));
+      assert.deepStrictEqual(result, { changes: 2, ids: [recent.id, old.id] });
+      assert.ok(!db.getArticleById(old.id, { includeTrashed: true }));
+      assert.deepStrictEqual(db.getArticleHighlights(old.id), []);
+
+      db.trashArticle(kept.id);
+      const forever = new TrashService(db, { retentionDays: 0 });
+      assert.strictEqual(forever.purgeExpired(new Date(Date.now() + 365 * DAY_MS)).changes, 0);
+      assert.strictEqual(forever.getPurgeDate(db.getTrashedArticles()[0]), null);
+
+      assert.strictEqual(db.purgeTrash().changes, 1, 'emptying the trash ignores the window');
+      assert.deepStrictEqual(db.getTrashedArticles(), []);
+    }
+  },
+  {
+    name: 'finds articles by normalized URL',
+    run: (db) => {
+      const article = db.createArticle(sampleArticle({ url: 'https://Example.com/posts/rust/' }));
+      for (const variant of [
+        'https://example.com/posts/rust',
+        'HTTPS://EXAMPLE.COM/posts/rust/',
+        'https://example.com:443/posts/rust#comments',
+        '  https://example.com/posts/rust  '
+      ]) {
+        assert.strictEqual((db.getArticleByUrl(variant) || {}).id, article.id, variant);
+      }
+      assert.strictEqual(db.getArticleByUrl('https://Example.com/posts/rust/').url, 'https://Example.com/posts/rust/');
+      assert.ok(!db.getArticleByUrl('https://example.com/posts/Rust'), 'paths stay case sensitive');
+      assert.ok(!db.getArticleByUrl('https://example.com/posts/rust?page=2'), 'queries still count');
+
+      db.updateArticle(article.id, { url: 'https://example.com/rust' });
+      assert.ok(!db.getArticleByUrl('https://example.com/posts/rust'));
+      assert.strictEqual(db.getArticleByUrl('https://example.com/rust/').id, article.id);
+    }
+  },
+  {
+    name: 'recognises tracking, AMP and mobile variants of a canonical URL',
+    run: (db) => {
+      const article = db.createArticle(sampleArticle({
+        url: 'http://www.example.com/posts/rust/?utm_source=newsletter&fbclid=abc#intro'
+      }));
+      assert.strictEqual(article.url, 'http://www.example.com/posts/rust/?utm_source=newsletter&fbclid=abc#intro',
+        'the original URL is kept');
+      assert.strictEqual(db.getArticleById(article.id).canonical_url, 'http://www.example.com/posts/rust');
+
+      for (const variant of [
+        'https://example.com/posts/rust',
+        'https://m.example.com/posts/rust?utm_medium=email',
+        'https://example.com/posts/rust/amp',
+        'https://example.com/amp/posts/rust?amp=1',
+        'https://example-com.cdn.ampproject.org/c/s/example.com/posts/rust',
+        'https://www.google.com/amp/s/www.example.com/posts/rust'
+      ]) {
+        assert.strictEqual((db.getArticleByUrl(variant) || {}).id, article.id, variant);
+      }
+      assert.ok(!db.getArticleByUrl('https://example.com/posts/rust?page=2'), 'other parameters still count');
+
+      // A declared canonical URL is preferred, unless it is just the home page
+      const syndicated = db.createArticle(sampleArticle({
+        url: 'https://mirror.example.org/p/123',
+        canonical_url: '/posts/go'
+      }));
+      assert.strictEqual(syndicated.canonical_url, 'https://mirror.example.org/posts/go');
+      assert.strictEqual(db.getArticleByUrl('https://mirror.example.org/posts/go').id, syndicated.id);
+      const homepage = db.createArticle(sampleArticle({ url: 'https://blog.example.net/post', canonical_url: 'https://blog.example.net/' }));
+      assert.strictEqual(homepage.canonical_url, 'https://blog.example.net/post');
+
+      db.updateArticle(syndicated.id, { url: 'https://example.com/go?utm_campaign=x' });
+      assert.strictEqual(db.getArticleById(syndicated.id).canonical_url, 'https://example.com/go',
+        'a new URL brings a new canonical URL');
+    }
+  },
+  {
+    name: 'merges duplicate articles into the oldest one',
+    run: (db) => {
+      const DuplicateService = require('./services/duplicate-service');
+      const keep = db.createArticle(sampleArticle({ tags: ['rust'] }));
+      // Saved before canonicalization caught these spellings
+      const copies = [
+        db.createArticle(sampleArticle({ url: 'https://example.com/copy-1', title: 'Copy', tags: ['beginner'] })),
+        db.createArticle(sampleArticle({ url: 'https://example.com/copy-2', author: '', tags: ['rust', 'ownership'] }))
+      ];
+      db.updateArticle(keep.id, { author: '' });
+      db.updateArticle(copies[0].id, { url: 'https://example.com/rust-ownership?utm_source=rss', canonical_url: null });
+      db.updateArticle(copies[1].id, { url: 'https://m.example.com/rust-ownership', author: 'Jane Doe', is_favorite: true });
+      db.updateReadingProgress(copies[0].id, 0.75);
+      db.addHighlight(copies[1].id, { text: 'Ownership' });
+      const other = db.createArticle(sampleArticle({ url: 'https://example.com/other' }));
+      const list = db.createCollection({ name: 'Rust' });
+      db.addArticlesToCollection(list.id, [other.id, copies[1].id]);
+
+      const service = new DuplicateService(db);
+      const [group] = service.findDuplicates();
+      assert.strictEqual(service.findDuplicates().length, 1);
+      assert.strictEqual(group.keep.id, keep.id);
+      assert.deepStrictEqual(group.duplicates.map(a => a.id), copies.map(a => a.id));
+
+      const dryRun = service.merge({ dryRun: true });
+      assert.strictEqual(dryRun.merged, 2);
+      assert.strictEqual(db.getAllArticles().length, 4, 'a dry run changes nothing');
+
+      const report = service.merge();
+      assert.deepStrictEqual(report.details[0].merged_ids, copies.map(a => a.id));
+      assert.deepStrictEqual(db.getAllArticles().map(a => a.id).sort(), [keep.id, other.id].sort());
+
+      const merged = db.getArticleById(keep.id);
+      assert.strictEqual(merged.title, 'Understanding Rust Ownership', 'the kept article wins');
+      assert.strictEqual(merged.author, 'Jane Doe', 'empty fields are filled from duplicates');
+      assert.strictEqual(merged.is_favorite, true);
+      assert.strictEqual(merged.reading_progress, 0.75);
+      assert.deepStrictEqual(db.getArticleTags(keep.id).map(t => t.name), ['beginner', 'ownership', 'rust']);
+      assert.deepStrictEqual(db.getArticleHighlights(keep.id).map(h => h.text), ['Ownership']);
+      assert.deepStrictEqual(db.getCollectionArticles(list.id).map(a => a.id), [other.id, keep.id], 'takes the duplicate\'s place');
+      assert.strictEqual(db.getArticleRevisions(keep.id).pop().source, 'merge');
+      assert.deepStrictEqual(service.findDuplicates(), []);
+    }
+  },
+  {
+    name: 'stores tags passed to createArticle',
+    run: (db) => {
+      const created = db.createArticle(sampleArticle({ tags: ['rust', 'programming'] }));
+      const names = db.getArticleTags(created.id).map(t => t.name);
+      assert.deepStrictEqual(names, ['programming', 'rust']);
+    }
+  },
+  {
+    name: 'adds, lists and removes tags',
+    run: (db) => {
+      const a = db.createArticle(sampleArticle({ url: 'https://example.com/a' }));
+      const b = db.createArticle(sampleArticle({ url: 'https://example.com/b' }));
+
+      db.addTagsToArticle(a.id, ['rust', 'systems']);
+      db.addTagsToArticle(a.id, ['rust']);
+      db.addTagsToArticle(String(b.id), ['rust']);
+
+      const tags = db.getAllTags();
+      assert.deepStrictEqual(tags.map(t => t.name), ['rust', 'systems']);
+      for (const tag of tags) {
+        assert.ok(tag.id);
+        assert.ok('color' in tag);
+        assert.ok(tag.created_at);
+      }
+
+      assert.deepStrictEqual(db.getArticleTags(a.id).map(t => t.name), ['rust', 'systems']);
+      assert.deepStrictEqual(db.getArticleTags(b.id).map(t => t.name), ['rust']);
+
+      assert.strictEqual(db.removeTagsFromArticle(a.id, ['systems']).changes, 1);
+      assert.deepStrictEqual(db.getArticleTags(a.id).map(t => t.name), ['rust']);
+
+      db.removeTagsFromArticle(b.id);
+      assert.deepStrictEqual(db.getArticleTags(b.id), []);
+    }
+  },
+  {
+    name: 'stores tag colors and renames, recolors and deletes tags',
+    run: (db) => {
+      const article = db.createArticle(sampleArticle());
+      db.addTagsToArticle(article.id, [{ name: 'rust', color: '#dea584' }, ' go ', 'go']);
+      db.addTagsToArticle(article.id, [{ name: 'rust', color: '#000000' }]);
+
+      const [go, rust] = db.getAllTags();
+      assert.deepStrictEqual([go.name, go.color], ['go', null]);
+      assert.deepStrictEqual([rust.name, rust.color], ['rust', '#dea584'], 'color only set on creation');
+
+      assert.strictEqual(db.updateTag(rust.id, { name: 'rustlang', color: '#ff0000' }).changes, 1);
+      assert.strictEqual(db.updateTag(go.id, { color: '#00add8' }).changes, 1);
+      assert.strictEqual(db.updateTag(9999, { color: '#fff' }).changes, 0);
+      assert.deepStrictEqual(
+        db.getArticleTags(article.id).map(t => [t.name, t.color]),
+        [['go', '#00add8'], ['rustlang', '#ff0000']]
+      );
+
+      assert.strictEqual(db.deleteTag(go.id).changes, 1);
+      assert.strictEqual(db.deleteTag(go.id).changes, 0);
+      assert.deepStrictEqual(db.getAllTags().map(t => t.name), ['rustlang']);
+      assert.deepStrictEqual(db.getArticleTags(article.id).map(t => t.name), ['rustlang']);
+    }
+  },
+  {
+    name: 'deleting an article removes its tag links and highlights',
+    run: async (db, reopen) => {
+      const doomed = db.createArticle(sampleArticle({ url: 'https://example.com/doomed', tags: ['rust'] }));
+      const kept = db.createArticle(sampleArticle({ url: 'https://example.com/kept', tags: ['rust'] }));
+      db.addHighlight(doomed.id, { text: 'gone' });
+      const keptHighlight = db.addHighlight(kept.id, { text: 'stays' });
+
+      assert.strictEqual(db.deleteArticle(doomed.id).changes, 1);
+      assert.deepStrictEqual(db.getArticleTags(doomed.id), []);
+      assert.deepStrictEqual(db.getArticleHighlights(doomed.id), []);
+
+      // The tag itself and other articles' data stay
+      db = await reopen();
+      assert.deepStrictEqual(db.getAllTags().map(t => t.name), ['rust']);
+      assert.deepStrictEqual(db.getArticleTags(kept.id).map(t => t.name), ['rust']);
+      assert.deepStrictEqual(db.getArticleHighlights(kept.id).map(h => h.id), [keptHighlight.id]);
+    }
+  },
+  {
+    name: 'keeps ordered collections of articles',
+    run: async (db, reopen) => {
+      const [a, b, c, d] = ['a', 'b', 'c', 'd']
+        .map(slug => db.createArticle(sampleArticle({ url: `https://example.com/${slug}`, title: slug })));
+      const weekend = db.createCollection({ name: ' Weekend longreads ', description: 'Slow Sundays' });
+      const onboarding = db.createCollection({ name: 'Team onboarding' });
+      assert.strictEqual(weekend.name, 'Weekend longreads');
+      assert.strictEqual(weekend.article_count, 0);
+      assert.throws(() => db.createCollection({ name: 'Weekend longreads' }), /already exists/);
+
+      const order = id => db.getCollectionArticles(id).map(article => article.title);
+      assert.strictEqual(db.addArticlesToCollection(weekend.id, [a.id, b.id]).changes, 2);
+      assert.strictEqual(db.addArticlesToCollection(weekend.id, [c.id, a.id, 9999], 1).changes, 1);
+      assert.deepStrictEqual(order(weekend.id), ['a', 'c', 'b']);
+      assert.ok(db.getCollectionArticles(weekend.id)[0].added_at);
+
+      db.reorderCollection(weekend.id, [b.id, a.id]);
+      assert.deepStrictEqual(order(weekend.id), ['b', 'a', 'c']);
+      assert.strictEqual(db.removeArticlesFromCollection(weekend.id, [a.id, d.id]).changes, 1);
+      assert.deepStrictEqual(order(weekend.id), ['b', 'c']);
+
+      // An article can be in several collections
+      db.addArticlesToCollection(onboarding.id, [c.id, d.id]);
+      assert.deepStrictEqual(db.getArticleCollections(c.id).map(collection => collection.name),
+        ['Team onboarding', 'Weekend longreads']);
+      assert.deepStrictEqual(db.listArticles({ collection: String(weekend.id) }).articles.map(article => article.title), ['c', 'b']);
+      assert.deepStrictEqual(db.listArticles({ collection: 9999 }).articles, []);
+      assert.throws(() => db.listArticles({ collection: 'weekend' }), QueryError);
+
+      // Trashed articles are hidden but keep their place; deleted ones leave
+      db.trashArticle(b.id);
+      assert.deepStrictEqual(order(weekend.id), ['c']);
+      assert.strictEqual(db.getCollectionById(weekend.id).article_count, 1);
+      db.restoreArticle(b.id);
+      assert.deepStrictEqual(order(weekend.id), ['b', 'c']);
+      db.deleteArticle(c.id);
+      assert.deepStrictEqual(order(onboarding.id), ['d']);
+
+      assert.strictEqual(db.updateCollection(onboarding.id, { name: 'Onboarding', description: 'Read in week one' }).changes, 1);
+      assert.throws(() => db.updateCollection(onboarding.id, { name: 'Weekend longreads' }), /already exists/);
+      assert.strictEqual(db.updateCollection(9999, { name: 'Nope' }).changes, 0);
+
+      db = await reopen();
+      assert.deepStrictEqual(db.getAllCollections().map(collection => [collection.name, collection.article_count]),
+        [['Onboarding', 1], ['Weekend longreads', 1]]);
+      assert.deepStrictEqual(order(weekend.id), ['b']);
+
+      assert.strictEqual(db.deleteCollection(weekend.id).changes, 1);
+      assert.strictEqual(db.deleteCollection(weekend.id).changes, 0);
+      assert.ok(!db.getCollectionById(weekend.id));
+      assert.ok(db.getArticleById(b.id));
+      assert.deepStrictEqual(db.getArticleCollections(b.id), []);
+    }
+  },
+  {
+    name: 'keeps saved searches with live counts and daily trends',
+    run: async (db, reopen) => {
+      const rust = db.createArticle(sampleArticle({ tags: ['rust'] }));
+      const go = db.createArticle(sampleArticle({ url: 'https://example.com/go', title: 'Go', tags: ['go'] }));
+      let searches = new SavedSearchService(db);
+
+      const query = searches.checkQuery({ q: 'is:unread', sort: 'title', order: 'asc', domain: '' });
+      assert.deepStrictEqual(query, { q: 'is:unread', sort: 'title', order: 'asc' }, 'empty parameters are dropped');
+      assert.throws(() => searches.checkQuery({ q: 'is:unread', limit: 5 }), error => error instanceof QueryError && error.field === 'limit');
+      assert.throws(() => searches.checkQuery({ is_read: 'maybe' }), QueryError);
+      assert.throws(() => searches.checkQuery({ q: 'is:maybe' }), SearchSyntaxError);
+
+      const unread = db.createSavedSearch({ name: ' Unread ', query });
+      assert.strictEqual(unread.name, 'Unread');
+      assert.deepStrictEqual(unread.query, query);
+      assert.throws(() => db.createSavedSearch({ name: 'Unread', query: {} }), /already exists/);
+      const gophers = db.createSavedSearch({ name: 'Gophers', query: { tag: 'go' } });
+
+      // Counts follow the articles
+      assert.deepStrictEqual(searches.list().map(search => [search.name, search.count]), [['Gophers', 1], ['Unread', 2]]);
+      db.updateArticle(rust.id, { is_read: true });
+      assert.strictEqual(searches.get(unread.id).count, 1);
+      assert.strictEqual(searches.get(9999), undefined);
+
+      // Results come from the list, with the request's paging and projection
+      const params = searches.resolveListParams({ saved_search: String(unread.id), is_read: 'true', limit: '1', fields: 'title' });
+      assert.deepStrictEqual(db.listArticles(params).articles, [{ id: go.id, title: 'Go' }]);
+      assert.strictEqual(searches.resolveListParams({ saved_search: '9999' }), null);
+      assert.throws(() => searches.resolveListParams({ saved_search: 'unread' }), QueryError);
+
+      // One count per day, the latest one winning
+      const day = date => new Date(`${date}T12:00:00Z`);
+      db.trashArticle(go.id);
+      searches.recordAll(day('2025-03-01'));
+      db.restoreArticle(go.id);
+      searches.recordAll(day('2025-03-03'));
+      db.updateArticle(rust.id, { is_read: false });
+      searches.recordAll(day('2025-03-03'));
+      assert.deepStrictEqual(db.getSavedSearchCounts(unread.id).slice(0, 2), [
+        { date: '2025-03-01', count: 0 },
+        { date: '2025-03-03', count: 2 }
+      ]);
+      assert.deepStrictEqual(searches.getTrend(unread, 4, day('2025-03-03')).map(point => point.count), [null, 0, 0, 2]);
+      const [, dashboard] = searches.getDashboard(3, day('2025-03-03'));
+      assert.deepStrictEqual([dashboard.name, dashboard.count, dashboard.change], ['Unread', 2, 2]);
+      assert.strictEqual(db.recordSavedSearchCount(9999, '2025-03-03', 1).changes, 0);
+
+      assert.strictEqual(db.updateSavedSearch(gophers.id, { name: 'Go', query: { tag: 'go', is_read: 'false' } }).changes, 1);
+      assert.throws(() => db.updateSavedSearch(gophers.id, { name: 'Unread' }), /already exists/);
+      assert.strictEqual(db.updateSavedSearch(9999, { name: 'Nope' }).changes, 0);
+
+      db = await reopen();
+      searches = new SavedSearchService(db);
+      assert.deepStrictEqual(db.getSavedSearchById(gophers.id).query, { tag: 'go', is_read: 'false' });
+      assert.deepStrictEqual(searches.list().map(search => [search.name, search.count]), [['Go', 1], ['Unread', 2]]);
+
+      assert.strictEqual(db.deleteSavedSearch(unread.id).changes, 1);
+      assert.strictEqual(db.deleteSavedSearch(unread.id).changes, 0);
+      assert.deepStrictEqual(db.getSavedSearchCounts(unread.id), []);
+      assert.deepStrictEqual(db.getAllSavedSearches().map(search => search.name), ['Go']);
+    }
+  },
+  {
+    name: 'adds, lists and deletes highlights',
+    run: (db) => {
+      const article = db.createArticle(sampleArticle());
+      const later = db.addHighlight(article.id, { text: 'borrowing', position_start: 40, position_end: 49 });
+      const earlier = db.addHighlight(String(article.id), {
+        text: 'Ownership', position_start: 3, position_end: 12, note: 'key idea'
+      });
+
+      assert.ok(earlier.id);
+      assert.strictEqual(earlier.article_id, article.id);
+      assert.strictEqual(earlier.text, 'Ownership');
+      assert.strictEqual(earlier.note, 'key idea');
+      assert.strictEqual(later.context, null);
+      assert.ok(earlier.created_at);
+
+      const highlights = db.getArticleHighlights(article.id);
+      assert.deepStrictEqual(highlights.map(h => h.id), [earlier.id, later.id]);
+
+      assert.strictEqual(db.deleteHighlight(earlier.id).changes, 1);
+      assert.strictEqual(db.deleteHighlight(earlier.id).changes, 0);
+      assert.deepStrictEqual(db.getArticleHighlights(article.id).map(h => h.id), [later.id]);
+    }
+  },
+  {
+    name: 'searches title, author, excerpt and content',
+    run: (db) => {
+      const rust = db.createArticle(sampleArticle());
+      db.createArticle(sampleArticle({
+        url: 'https://example.com/go',
+        title: 'Goroutines in practice',
+        content: '<p>Channels and goroutines.</p>',
+        excerpt: 'Concurrency the Go way.',
+        author: 'John Smith'
+      }));
+
+      assert.deepStrictEqual(db.searchArticles('ownership').map(a => a.id), [rust.id]);
+      assert.deepStrictEqual(db.searchArticles('Jane').map(a => a.id), [rust.id]);
+      assert.strictEqual(db.searchArticles('channels').length, 1);
+      assert.strictEqual(db.searchArticles('concurrency').length, 1);
+      assert.deepStrictEqual(db.searchArticles('kubernetes'), []);
+    }
+  },
+  {
+    name: 'searches with the query language',
+    run: (db) => {
+      const rust = db.createArticle(sampleArticle({ tags: ['rust', 'Deep Learning'] }));
+      const lwn = db.createArticle(sampleArticle({
+        url: 'https://www.lwn.net/kernel',
+        title: 'The kernel borrow checker',
+        content: '<p>Rust in the Linux kernel: ownership at the lowest level.</p>',
+        domain: 'www.lwn.net',
+        reading_time: 15,
+        tags: ['rust', 'linux']
+      }));
+      db.updateArticle(lwn.id, { is_read: true, is_favorite: true });
+
+      const ids = query => db.searchArticles(query).map(a => a.id).sort((a, b) => a - b);
+      assert.deepStrictEqual(ids('own'), [rust.id, lwn.id], 'words match as prefixes');
+      assert.deepStrictEqual(ids('"linux kernel"'), [lwn.id]);
+      assert.deepStrictEqual(ids('"kernel linux"'), []);
+      assert.deepStrictEqual(ids('ownership -kernel'), [rust.id]);
+      assert.deepStrictEqual(ids('tag:linux'), [lwn.id]);
+      assert.deepStrictEqual(ids('tag:"deep learning"'), [rust.id], 'tag names match case-insensitively');
+      assert.deepStrictEqual(ids('tag:rust -tag:linux'), [rust.id]);
+      assert.deepStrictEqual(ids('domain:lwn.net'), [lwn.id], 'subdomains match');
+      assert.deepStrictEqual(ids('domain:net'), [lwn.id]);
+      assert.deepStrictEqual(ids('domain:wn.net'), []);
+      assert.deepStrictEqual(ids('is:unread'), [rust.id]);
+      assert.deepStrictEqual(ids('is:read is:favorite'), [lwn.id]);
+      assert.deepStrictEqual(ids('-is:unread'), [lwn.id]);
+      assert.deepStrictEqual(ids('time:<10'), [rust.id]);
+      assert.deepStrictEqual(ids('time:>=15'), [lwn.id]);
+      assert.deepStrictEqual(ids('time:6'), [rust.id]);
+      assert.deepStrictEqual(ids('added:>2000-01-01 added:<2999'), [rust.id, lwn.id]);
+      assert.deepStrictEqual(ids('added:2000'), []);
+      assert.deepStrictEqual(ids('added:today added:>=7d'), [rust.id, lwn.id], 'periods are relative to now');
+      assert.deepStrictEqual(ids('added:last-year'), []);
+      assert.deepStrictEqual(ids('rust domain:lwn.net is:read time:<20 added:>=2020-06'), [lwn.id]);
+
+      const page = db.listArticles({ q: 'tag:rust -is:read', fields: 'title' });
+      assert.deepStrictEqual(page.articles.map(a => a.id), [rust.id], 'the list endpoint takes the same queries');
+
+      for (const [query, position] of [['rust "unterminated', 5], ['is:maybe', 3], ['time:long', 5], ['added:2025-02-30', 6], ['added:someday', 6], ['tag:', 0], ['!!!', 0]]) {
+        assert.throws(() => db.searchArticles(query), error => error instanceof SearchSyntaxError && error.position === position, query);
+      }
+      assert.throws(() => db.listArticles({ q: 'foo "bar' }), SearchSyntaxError);
+    }
+  },
+  {
+    name: 'versions notes and searches them',
+    run: async (db, reopen) => {
+      const article = db.createArticle(sampleArticle({ notes: 'Compare with **lifetimes** in chapter 10' }));
+      const other = db.createArticle(sampleArticle({ url: 'https://example.com/other', title: 'Other' }));
+      assert.strictEqual(article.notes, 'Compare with **lifetimes** in chapter 10');
+      assert.strictEqual(article.notes_version, 0);
+      assert.ok(article.notes_updated_at);
+
+      const ids = query => db.searchArticles(query).map(a => a.id);
+      assert.deepStrictEqual(ids('lifetimes'), [article.id]);
+      assert.match(db.searchArticles('lifetimes')[0].snippet, /<mark>lifetimes<\/mark>/);
+      assert.deepStrictEqual(db.listArticles({ q: 'chapter -rust' }).articles, []);
+
+      // Every change to the notes moves the version on, whatever made it
+      db.updateArticle(article.id, { notes: 'Lifetimes: see chapter 10' }, { notesVersion: 0 });
+      db.updateArticle(article.id, { is_read: true });
+      db.updateArticle(article.id, { notes: 'Lifetimes: see chapter 10' }, { notesVersion: 1 });
+      assert.strictEqual(db.getArticleById(article.id).notes_version, 1, 'unchanged notes keep their version');
+      db.updateArticle(article.id, { notes: 'Lifetimes and borrowing' }, { source: 'obsidian' });
+      assert.strictEqual(db.getArticleById(article.id).notes_version, 2);
+      assert.throws(() => db.updateArticle(article.id, { notes: 'Stale edit' }, { notesVersion: 1 }),
+        error => error instanceof NotesConflictError && error.version === 2);
+      assert.strictEqual(db.getArticleById(article.id).notes, 'Lifetimes and borrowing');
+      assert.strictEqual(db.updateArticle(9999, { notes: 'x' }, { notesVersion: 0 }).changes, 0);
+      assert.deepStrictEqual(ids('lifetimes'), [article.id]);
+      assert.deepStrictEqual(ids('chapter'), [], 'old notes leave the index');
+      assert.throws(() => db.updateArticle(article.id, { notes_version: 7 }), /Cannot update article field\(s\): notes_version/);
+
+      db = await reopen();
+      assert.deepStrictEqual(ids('"lifetimes and borrowing"'), [article.id]);
+      assert.strictEqual(db.getArticleById(article.id).notes_version, 2);
+      assert.strictEqual(db.getArticleById(other.id).notes_version, 0);
+      assert.deepStrictEqual(db.getArticleRevisions(article.id).map(r => r.changes.notes).filter(Boolean),
+        ['Compare with **lifetimes** in chapter 10', 'Lifetimes: see chapter 10', 'Lifetimes and borrowing']);
+    }
+  },
+  {
+    name: 'tracks reading progress',
+    run: (db) => {
+      const article = db.createArticle(sampleArticle());
+      assert.strictEqual(db.updateReadingProgress(article.id, 0.5).changes, 1);
+
+      const updated = db.getArticleById(article.id);
+      assert.strictEqual(updated.reading_progress, 0.5);
+      assert.ok(updated.last_read_at);
+      assert.strictEqual(db.updateReadingProgress(9999, 0.5).changes, 0);
+    }
+  },
+  {
+    name: 'tracks Obsidian sync state',
+    run: (db) => {
+      const first = db.createArticle(sampleArticle({ url: 'https://example.com/1' }));
+      const second = db.createArticle(sampleArticle({ url: 'https://example.com/2' }));
+      assert.deepStrictEqual(db.getUnsyncedArticles().map(a => a.id), [first.id, second.id]);
+
+      db.markAsSynced(first.id);
+      assert.deepStrictEqual(db.getUnsyncedArticles().map(a => a.id), [second.id]);
+      assert.ok(db.getArticleById(first.id).obsidian_synced_at);
+    }
+  },
+  {
+    name: 'pages through articles with a cursor',
+    run: (db) => {
+      const created = [1, 2, 3, 4, 5].map(n => db.createArticle(sampleArticle({ url: `https://example.com/${n}` })));
+      db.trashArticle(created[0].id);
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const page = db.listArticles({ limit: 2, cursor });
+        assert.strictEqual(page.total, 4);
+        assert.ok(page.articles.length <= 2);
+        seen.push(...page.articles.map(a => a.id));
+        cursor = page.next_cursor;
+      } while (cursor);
+
+      assert.deepStrictEqual(seen, created.slice(1).map(a => a.id).reverse());
+      assert.deepStrictEqual(db.listArticles().articles.map(a => a.id), seen, 'defaults match getAllArticles order');
+    }
+  },
+  {
+    name: 'sorts articles by title and reading time',
+    run: (db) => {
+      const banana = db.createArticle(sampleArticle({ url: 'https://example.com/b', title: 'banana', reading_time: 3 }));
+      const apple = db.createArticle(sampleArticle({ url: 'https://example.com/a', title: 'Apple', reading_time: 10 }));
+      const cherry = db.createArticle(sampleArticle({ url: 'https://example.com/c', title: 'Cherry', reading_time: 3 }));
+
+      const ids = query => db.listArticles(query).articles.map(a => a.id);
+      assert.deepStrictEqual(ids({ sort: 'title' }), [apple.id, banana.id, cherry.id], 'titles sort case-insensitively');
+      assert.deepStrictEqual(ids({ sort: 'title', order: 'desc' }), [cherry.id, banana.id, apple.id]);
+      assert.deepStrictEqual(ids({ sort: 'reading_time' }), [apple.id, cherry.id, banana.id], 'ties fall back to id');
+
+      const first = db.listArticles({ sort: 'reading_time', order: 'asc', limit: 1 });
+      const second = db.listArticles({ sort: 'reading_time', order: 'asc', limit: 1, cursor: first.next_cursor });
+      assert.deepStrictEqual([first.articles[0].id, second.articles[0].id], [banana.id, cherry.id]);
+      assert.throws(() => db.listArticles({ sort: 'title', cursor: first.next_cursor }), QueryError);
+    }
+  },
+  {
+    name: 'filters listed articles',
+    run: (db) => {
+      const quick = db.createArticle(sampleArticle({ url: 'https://example.com/quick', reading_time: 2, tags: ['rust', 'short'] }));
+      const long = db.createArticle(sampleArticle({ url: 'https://blog.dev/long', domain: 'Blog.dev', reading_time: 25, tags: ['rust'] }));
+      db.updateArticle(long.id, { is_read: true, is_favorite: true });
+
+      const ids = query => db.listArticles(query).articles.map(a => a.id);
+      assert.deepStrictEqual(ids({ is_read: 'true' }), [long.id]);
+      assert.deepStrictEqual(ids({ is_read: 'false', is_archived: 'false' }), [quick.id]);
+      assert.deepStrictEqual(ids({ is_favorite: true }), [long.id]);
+      assert.deepStrictEqual(ids({ domain: 'blog.dev' }), [long.id]);
+      assert.deepStrictEqual(ids({ tag: 'rust' }), [long.id, quick.id]);
+      assert.deepStrictEqual(ids({ tag: ['rust', 'short'] }), [quick.id]);
+      assert.deepStrictEqual(ids({ tag: 'missing' }), []);
+      assert.deepStrictEqual(ids({ min_reading_time: '10' }), [long.id]);
+      assert.deepStrictEqual(ids({ max_reading_time: '2' }), [quick.id]);
+      assert.deepStrictEqual(ids({ created_after: '2000-01-01', created_before: '2999-01-01' }), [long.id, quick.id]);
+      assert.deepStrictEqual(ids({ created_after: '2999-01-01' }), []);
+      assert.deepStrictEqual(ids({ updated_before: '2000-01-01' }), []);
+
+      assert.throws(() => db.listArticles({ is_read: 'maybe' }), QueryError);
+      assert.throws(() => db.listArticles({ created_after: 'yesterday' }), QueryError);
+      assert.throws(() => db.listArticles({ limit: 0 }), QueryError);
+      assert.throws(() => db.listArticles({ sort: 'url' }), QueryError);
+      assert.throws(() => db.listArticles({ cursor: 'not-a-cursor' }), QueryError);
+    }
+  },
+  {
+    name: 'projects listed fields',
+    run: (db) => {
+      db.createArticle(sampleArticle());
+
+      const [brief] = db.listArticles({ fields: 'title,url', sort: 'title' }).articles;
+      assert.deepStrictEqual(Object.keys(brief), ['id', 'title', 'url']);
+
+      const [withoutContent] = db.listArticles({ fields: '-content' }).articles;
+      assert.ok(!('content' in withoutContent));
+      assert.strictEqual(withoutContent.title, 'Understanding Rust Ownership');
+      assert.strictEqual(withoutContent.is_read, false);
+
+      assert.throws(() => db.listArticles({ fields: 'title,password' }), QueryError);
+      assert.throws(() => db.listArticles({ fields: 'title,-content' }), QueryError);
+    }
+  },
+  {
+    name: 'persists data across reopen',
+    run: async (db, reopen) => {
+      const article = db.createArticle(sampleArticle({ tags: ['rust'] }));
+      db.addHighlight(article.id, { text: 'Ownership', position_start: 3, position_end: 12 });
+
+      const reopened = await reopen();
+      assert.strictEqual(reopened.getArticleById(article.id).title, article.title);
+      assert.deepStrictEqual(reopened.getArticleTags(article.id).map(t => t.name), ['rust']);
+      assert.strictEqual(reopened.getArticleHighlights(article.id).length, 1);
+
+      const next = reopened.createArticle(sampleArticle({ url: 'https://example.com/next' }));
+      assert.ok(next.id > article.id, 'ids keep increasing after reopen');
+    }
+  },
+  {
+    name: 'encrypts data at rest and refuses a wrong or missing key',
+    run: async (db, reopen, dataPath) => {
+      const plain = db.createArticle(sampleArticle());
+      db.close();
+
+      const open = async (cipher) => {
+        const opened = createDatabase({ backend: db.backend, path: dataPath, cipher });
+        await opened.init();
+        return opened;
+      };
+
+      // An existing plaintext store is sealed when it is opened with a key
+      const sealed = await open(DataCipher.fromPassphrase('correct horse'));
+      const added = sealed.createArticle(sampleArticle({ url: 'https://example.com/sealed', title: 'Sealed away' }));
+      sealed.close();
+
+      const files = db.backend === 'json' ? [dataPath, `${dataPath}.bak`] : [dataPath];
+      for (const file of files) {
+        const contents = fs.readFileSync(file);
+        assert.ok(isEncrypted(contents), `${path.basename(file)} is encrypted`);
+        assert.ok(!contents.includes('Ownership'), `${path.basename(file)} has no plaintext`);
+      }
+      if (db.backend === 'json') {
+        const entries = fs.readFileSync(`${dataPath}.journal`, 'utf8').split('\n').filter(Boolean);
+        assert.ok(entries.length > 0 && entries.every(isEncrypted), 'journal entries are encrypted');
+      }
+
+      await assert.rejects(open(DataCipher.fromPassphrase('wrong horse')),
+        error => error instanceof EncryptionKeyError && /different key/.test(error.message));
+      await assert.rejects(open(null), /is encrypted: set ENCRYPTION_PASSPHRASE or ENCRYPTION_KEY_FILE/);
+
+      const reopened = await open(DataCipher.fromPassphrase('correct horse'));
+      assert.deepStrictEqual(reopened.getAllArticles().map(a => a.id), [added.id, plain.id]);
+      assert.deepStrictEqual(reopened.searchArticles('sealed').map(a => a.id), [added.id]);
+
+      // Rotating to no key leaves a store the backend opens without one
+      reopened.reencrypt(null);
+      reopened.close();
+      assert.ok(!isEncrypted(fs.readFileSync(dataPath)), 'data file is decrypted');
+      const decrypted = await open(null);
+      assert.strictEqual(decrypted.getArticleById(added.id).title, 'Sealed away');
+      decrypted.close();
+    }
+  },
+  {
+    name: 'keeps search results in step with edits and deletes',
+    run: (db) => {
+      const article = db.createArticle(sampleArticle({ tags: ['rust', 'beginner'] }));
+      const other = db.createArticle(sampleArticle({
+        url: 'https://example.com/lifetimes',
+        title: 'Lifetimes in depth',
+        content: '<p>Every reference has a lifetime.</p>'
+      }));
+      // A third article, so a word in just one of them carries weight in ranking
+      db.createArticle(sampleArticle({ url: 'https://example.com/macros', title: 'Macros', content: '<p>Code that writes code.</p>' }));
+
+      db.updateArticle(article.id, { title: 'Fearless concurrency' });
+      assert.deepStrictEqual(db.searchArticles('fearless').map(a => a.id), [article.id], 'edited titles are searchable');
+      assert.deepStrictEqual(db.searchArticles('understanding'), [], 'old titles no longer match');
+
+      const [hit] = db.searchArticles('distinctive');
+      assert.deepStrictEqual(hit.tag_names, ['beginner', 'rust']);
+      assert.ok(hit.score > 0);
+      assert.strictEqual(hit.snippet, 'Ownership is the most <mark>distinctive</mark> feature of Rust.');
+
+      const [listed] = db.searchArticles('tag:rust');
+      assert.strictEqual(listed.score, 0);
+      assert.strictEqual(listed.snippet, null);
+
+      db.trashArticle(other.id);
+      assert.deepStrictEqual(db.searchArticles('lifetimes'), []);
+      db.deleteArticle(other.id);
+      assert.deepStrictEqual(db.searchArticles('lifetimes'), [], 'deleted articles no longer match');
+      assert.strictEqual(db.searchArticles('ownership').length, 2);
+
+      assert.deepStrictEqual(db.rebuildSearchIndex(), { indexed: 2 });
+      assert.deepStrictEqual(db.searchArticles('fearless').map(a => a.id), [article.id]);
+    }
+  },
+  {
+    name: 'stores users and sessions',
+    run: async (db, reopen) => {
+      const admin = db.createUser({ username: ' Ada ', password_hash: 'hash-a', is_admin: true });
+      const grace = db.createUser({ username: 'grace', password_hash: 'hash-g' });
+      assert.deepStrictEqual([admin.username, admin.is_admin, grace.is_admin], ['Ada', true, false]);
+      assert.throws(() => db.createUser({ username: 'ADA', password_hash: 'x' }), /already exists/);
+      assert.strictEqual(db.getUserByUsername('aDa').id, admin.id, 'usernames ignore case');
+      assert.strictEqual(db.getUserByUsername('nobody'), undefined);
+
+      const now = Date.now();
+      const expired = new Date(now - 1000).toISOString();
+      const later = new Date(now + 60000).toISOString();
+      db.createSession({ user_id: admin.id, token_hash: 'old', expires_at: expired });
+      db.createSession({ user_id: grace.id, token_hash: 'current', expires_at: later });
+      assert.strictEqual(db.getSessionByTokenHash('current').user_id, grace.id);
+
+      db = await reopen();
+      assert.deepStrictEqual(db.getAllUsers().map(user => [user.username, user.is_admin]), [['Ada', true], ['grace', false]]);
+      assert.strictEqual(db.getUserById(grace.id).password_hash, 'hash-g');
+      assert.strictEqual(db.purgeExpiredSessions(new Date(now).toISOString()).changes, 1);
+      assert.strictEqual(db.getSessionByTokenHash('old'), undefined);
+      assert.strictEqual(db.deleteSession('current').changes, 1);
+      assert.strictEqual(db.deleteSession('current').changes, 0);
+
+      // Hashed passwords and hashed session tokens
+      const auth = new AuthService(db, { allowRegistration: false });
+      const hash = await auth.hashPassword('correct horse');
+      assert.ok(hash.startsWith('scrypt$') && !hash.includes('correct horse'));
+      assert.strictEqual(await auth.verifyPassword('correct horse', hash), true);
+      assert.strictEqual(await auth.verifyPassword('wrong horse', hash), false);
+      await assert.rejects(auth.register({ username: 'linus', password: 'password1' }), /Registration is closed/);
+      const { token } = auth.createSession(grace);
+      assert.ok(!db.getSessionByTokenHash(token), 'only a hash of the token is stored');
+      assert.strictEqual(auth.authenticate(token).user.id, grace.id);
+      assert.strictEqual(auth.authenticate(token, new Date(now + 31 * 24 * 60 * 60 * 1000)), null, 'sessions expire');
+      assert.strictEqual(auth.authenticate(token), null, 'an expired session is removed');
+    }
+  },
+  {
+    name: 'stores API tokens by hash, with a scope and when they were last used',
+    run: async (db, reopen) => {
+      const ada = db.createUser({ username: 'ada', password_hash: 'hash-a' });
+      const grace = db.createUser({ username: 'grace', password_hash: 'hash-g' });
+      let auth = new AuthService(db);
+      const saver = auth.createApiToken(ada, { name: 'Bookmarklet', scope: 'save-only' });
+      const reader = auth.createApiToken(ada, { name: 'Extension', scope: 'read' });
+      assert.ok(saver.token.startsWith('rl_') && AuthService.isApiToken(saver.token));
+      assert.ok(!db.getApiTokenByHash(saver.token), 'only a hash of the token is stored');
+      assert.throws(() => auth.createApiToken(ada, { name: 'Root', scope: 'root' }), /Unknown scope "root"/);
+
+      const now = new Date();
+      const signedIn = auth.authenticate(saver.token, now);
+      assert.strictEqual(signedIn.user.id, ada.id);
+      assert.strictEqual(signedIn.session, undefined);
+      assert.deepStrictEqual(signedIn.permissions, ['save']);
+      assert.deepStrictEqual(auth.authenticate(reader.token, now).permissions, ['read']);
+      assert.deepStrictEqual(auth.authenticate(auth.createSession(ada).token).permissions, AuthService.SCOPES.admin,
+        'a session may do everything');
+      assert.strictEqual(auth.authenticate('rl_unknown'), null);
+
+      db = await reopen();
+      auth = new AuthService(db);
+      assert.deepStrictEqual(auth.listApiTokens(ada).map(t => [t.name, t.scope, t.last_used_at]),
+        [['Bookmarklet', 'save-only', now.toISOString()], ['Extension', 'read', now.toISOString()]]);
+      assert.ok(!('token' in auth.listApiTokens(ada)[0]) && !('token_hash' in auth.listApiTokens(ada)[0]));
+      auth.authenticate(saver.token, new Date(now.getTime() + 1000));
+      assert.strictEqual(auth.listApiTokens(ada)[0].last_used_at, now.toISOString(), 'not written on every request');
+      const later = new Date(now.getTime() + 120000);
+      auth.authenticate(saver.token, later);
+      assert.strictEqual(auth.listApiTokens(ada)[0].last_used_at, later.toISOString());
+
+      assert.deepStrictEqual(auth.listApiTokens(grace), []);
+      assert.strictEqual(auth.revokeApiToken(grace, saver.id), false, "another user's token can't be revoked");
+      assert.strictEqual(auth.revokeApiToken(ada, saver.id), true);
+      assert.strictEqual(auth.authenticate(saver.token), null, 'a revoked token signs nobody in');
+      assert.deepStrictEqual(auth.listApiTokens(ada).map(t => t.id), [reader.id]);
+    }
+  },
+  {
+    name: "keeps each user's library apart",
+    run: async (db, reopen) => {
+      const legacy = db.createArticle(sampleArticle({ tags: ['rust'] }));
+      const auth = new AuthService(db);
+      const first = await auth.register({ username: 'ada', password: 'password1' });
+      const second = await auth.register({ username: 'grace', password: 'password2' });
+      assert.deepStrictEqual([first.user.is_admin, second.user.is_admin], [true, false]);
+      assert.strictEqual(db.getArticleById(legacy.id).user_id, first.user.id, 'the first account owns the existing library');
+      assert.strictEqual(db.getAllTags()[0].user_id, first.user.id);
+
+      const ada = new UserStorage(db, db.getUserById(first.user.id));
+      let grace = new UserStorage(db, db.getUserById(second.user.id));
+
+      // The same URL, tag and names for both
+      const mine = grace.createArticle(sampleArticle({ title: 'Grace on Rust', tags: ['rust'] }));
+      assert.notStrictEqual(mine.id, legacy.id);
+      assert.strictEqual(ada.getArticleByUrl(legacy.url).id, legacy.id);
+      assert.strictEqual(grace.getArticleByUrl(legacy.url).id, mine.id);
+      assert.deepStrictEqual(grace.getAllTags().map(tag => [tag.name, tag.user_id]), [['rust', second.user.id]]);
+      assert.strictEqual(db.getAllTags().length, 2);
+      const adaList = ada.createCollection({ name: 'Later' });
+      const graceList = grace.createCollection({ name: 'Later' });
+      assert.throws(() => grace.createCollection({ name: 'Later' }), /already exists/);
+      ada.createSavedSearch({ name: 'Rust', query: { tag: 'rust' } });
+      grace.createSavedSearch({ name: 'Rust', query: { tag: 'rust' } });
+
+      // Lists and searches only see the user's own records
+      assert.deepStrictEqual(grace.getAllArticles().map(a => a.id), [mine.id]);
+      assert.deepStrictEqual(grace.listArticles({ tag: 'rust', user_id: String(first.user.id) }).articles.map(a => a.id), [mine.id]);
+      assert.deepStrictEqual(ada.searchArticles('ownership').map(a => a.id), [legacy.id]);
+      assert.deepStrictEqual(grace.getAllCollections().map(c => c.id), [graceList.id]);
+      assert.deepStrictEqual(new SavedSearchService(grace).list().map(search => search.count), [1]);
+      assert.deepStrictEqual(new SavedSearchService(db).getDashboard().map(search => search.count), [1, 1], 'counted per owner');
+
+      // Someone else's records look like missing ones
+      assert.strictEqual(grace.getArticleById(legacy.id), undefined);
+      assert.strictEqual(grace.updateArticle(legacy.id, { title: 'Mine now' }).changes, 0);
+      assert.strictEqual(grace.trashArticle(legacy.id).changes, 0);
+      assert.strictEqual(grace.deleteArticle(legacy.id).changes, 0);
+      assert.deepStrictEqual(grace.getArticleTags(legacy.id), []);
+      assert.strictEqual(grace.addHighlight(legacy.id, { text: 'Ownership' }), undefined);
+      const highlight = ada.addHighlight(legacy.id, { text: 'Ownership' });
+      assert.strictEqual(highlight.user_id, first.user.id);
+      assert.strictEqual(grace.deleteHighlight(highlight.id).changes, 0);
+      assert.strictEqual(grace.deleteTag(ada.getAllTags()[0].id).changes, 0);
+      assert.strictEqual(grace.getCollectionById(adaList.id), undefined);
+      assert.strictEqual(grace.addArticlesToCollection(graceList.id, [legacy.id, mine.id]).changes, 1);
+      assert.strictEqual(grace.addArticlesToCollection(adaList.id, [mine.id]).changes, 0);
+      assert.strictEqual(grace.mergeArticles(mine.id, [legacy.id]).changes, 0);
+      assert.strictEqual(ada.getArticleById(legacy.id).title, legacy.title);
+
+      grace.trashArticle(mine.id);
+      ada.trashArticle(legacy.id);
+      assert.deepStrictEqual(grace.purgeTrash().ids, [mine.id]);
+      assert.deepStrictEqual(ada.getTrashedArticles().map(a => a.id), [legacy.id]);
+
+      db = await reopen();
+      grace = new UserStorage(db, db.getUserById(second.user.id));
+      assert.deepStrictEqual(grace.getAllCollections().map(c => [c.name, c.article_count]), [['Later', 0]]);
+      assert.strictEqual(db.getArticleById(legacy.id, { includeTrashed: true }).user_id, first.user.id);
+    }
+  },
+  {
+    name: 'logs library changes to the activity log',
+    run: async (db, reopen) => {
+      const ada = db.createUser({ username: 'ada', password_hash: 'hash-a' });
+      const grace = db.createUser({ username: 'grace', password_hash: 'hash-g' });
+      let activity = new ActivityService(db);
+      const app = new UserStorage(db, ada, { activity });
+      const bookmarklet = new UserStorage(db, ada, { activity, source: 'api-token', sourceDetails: { api_token: 'Bookmarklet' } });
+
+      const article = bookmarklet.createArticle(sampleArticle());
+      app.addTagsToArticle(article.id, ['rust', { name: 'systems', color: '#3b82f6' }]);
+      app.addHighlight(article.id, { text: 'Ownership' });
+      app.updateArticle(article.id, { is_read: true, is_favorite: true, reading_progress: 1 });
+      app.updateArticle(article.id, { is_read: true });
+      app.updateArticle(article.id, { obsidian_path: 'Read Later/rust.md' }, { source: 'obsidian' });
+      app.withSource('import').updateArticle(article.id, { is_archived: true });
+      app.trashArticle(article.id);
+      app.restoreArticle(article.id);
+      new UserStorage(db, grace, { activity }).createArticle(sampleArticle());
+
+      const types = entries => entries.map(entry => [entry.type, entry.source]);
+      assert.deepStrictEqual(types(app.getActivity().reverse()), [
+        ['saved', 'api-token'], ['tagged', 'app'], ['highlighted', 'app'], ['read', 'app'], ['updated', 'app'],
+        ['archived', 'import'], ['deleted', 'app'], ['restored', 'app']
+      ], 'unchanged values and bookkeeping fields are not logged');
+      const [saved, tagged, , read, updated] = app.getActivity().reverse();
+      assert.deepStrictEqual(saved.details, { title: article.title, url: article.url, api_token: 'Bookmarklet' });
+      assert.deepStrictEqual([tagged.article_id, tagged.details], [article.id, { tags: ['rust', 'systems'] }]);
+      assert.deepStrictEqual([read.details, updated.details], [{ is_read: true }, { fields: ['is_favorite'] }]);
+      assert.strictEqual(db.getActivity().length, 9);
+      assert.throws(() => activity.record(ada.id, { type: 'hacked', source: 'app' }), /Unknown activity type/);
+
+      db = await reopen();
+      activity = new ActivityService(db, { retentionDays: 30 });
+      const firstPage = activity.list(ada.id, { limit: 3 });
+      assert.deepStrictEqual(firstPage.entries.map(entry => entry.type), ['restored', 'deleted', 'archived']);
+      const secondPage = activity.list(ada.id, { limit: 3, cursor: firstPage.next_cursor });
+      assert.deepStrictEqual(secondPage.entries.map(entry => entry.type), ['updated', 'read', 'highlighted']);
+      assert.strictEqual(activity.list(ada.id, { limit: 8 }).next_cursor, null);
+      assert.deepStrictEqual(activity.list(ada.id, { type: ['deleted', 'restored'] }).entries.length, 2);
+      assert.deepStrictEqual(activity.list(ada.id, { source: ['api-token'] }).entries.map(entry => entry.type), ['saved']);
+      assert.strictEqual(activity.list(ada.id, { article_id: article.id, until: saved.created_at }).entries.length, 0);
+      assert.strictEqual(activity.list(grace.id).entries.length, 1);
+
+      // Retention, and trash purges logged for the owner
+      const old = db.recordActivity({ user_id: ada.id, type: 'read', source: 'app', created_at: '2020-01-01T00:00:00.000Z' });
+      assert.strictEqual(activity.purgeExpired().changes, 1);
+      assert.strictEqual(db.getActivity({ before: old.id + 1, types: ['read'] }).length, 1);
+      db.trashArticle(article.id);
+      const trash = new TrashService(db, { retentionDays: 1, activity });
+      trash.purgeExpired(new Date(Date.now() + 2 * 24 * 60 * 60 * 1000));
+      const [purged] = activity.list(ada.id, { source: ['system'] }).entries;
+      assert.deepStrictEqual([purged.type, purged.article_id, purged.details.permanent], ['deleted', article.id, true]);
+    }
+  },
+  {
+    name: 'restores a snapshot of the whole store after taking a pre-restore snapshot',
+    run: async (db, reopen, dataPath) => {
+      const dir = path.join(path.dirname(dataPath), 'backups');
+      let backups = new BackupService(db, { dir, intervalMinutes: 0 });
+      const kept = db.createArticle(sampleArticle({ tags: ['rust'] }));
+      const before = backups.createSnapshot('pre-import');
+      assert.deepStrictEqual([before.backend, before.reason, before.encrypted], [db.backend, 'pre-import', false]);
+      assert.throws(() => backups.createSnapshot('whim'), /Unknown snapshot reason "whim"/);
+
+      db.updateArticle(kept.id, { title: 'Clobbered' });
+      const added = db.createArticle(sampleArticle({ url: 'https://example.com/imported' }));
+      assert.throws(() => backups.restoreSnapshot('2020-01-01T00-00-00-000Z-manual'), /not found/);
+
+      const { restored, pre_restore } = backups.restoreSnapshot(before.id);
+      assert.strictEqual(restored.id, before.id);
+      assert.strictEqual(pre_restore.reason, 'pre-restore');
+      assert.strictEqual(db.getArticleById(kept.id).title, 'Understanding Rust Ownership');
+      assert.ok(!db.getArticleById(added.id));
+      assert.deepStrictEqual(db.getArticleTags(kept.id).map(tag => tag.name), ['rust']);
+      assert.deepStrictEqual(db.searchArticles('clobbered'), []);
+
+      db = await reopen();
+      assert.strictEqual(db.getArticleById(kept.id).title, 'Understanding Rust Ownership', 'the journal is not replayed over a restore');
+      assert.ok(!db.getArticleById(added.id));
+
+      // Undo the restore
+      backups = new BackupService(db, { dir, intervalMinutes: 0 });
+      backups.restoreSnapshot(pre_restore.id);
+      assert.strictEqual(db.getArticleById(kept.id).title, 'Clobbered');
+      assert.strictEqual(db.createArticle(sampleArticle({ url: 'https://example.com/next' })).id, added.id + 1);
+
+      // A damaged snapshot is refused and changes nothing
+      const damaged = `2020-01-01T00-00-00-000Z-manual.${db.backend === 'sqlite' ? 'db' : 'json'}`;
+      fs.writeFileSync(path.join(dir, damaged), 'not a snapshot');
+      assert.throws(() => backups.restoreSnapshot('2020-01-01T00-00-00-000Z-manual'), /Not a usable/);
+      assert.strictEqual(db.getArticleById(kept.id).title, 'Clobbered');
+    }
+  },
+  {
+    name: 'keeps the newest snapshots and the newest of each of the last hours, days and weeks',
+    run: (db, reopen, dataPath) => {
+      const dir = path.join(path.dirname(dataPath), 'backups');
+      const backups = new BackupService(db, { dir, intervalMinutes: 60, keep: { latest: 1, hourly: 2, daily: 2, weekly: 2 } });
+      const times = [
+        '2025-02-20T08:00:00.000Z', '2025-03-02T08:00:00.000Z', '2025-03-09T08:00:00.000Z',
+        '2025-03-10T09:00:00.000Z', '2025-03-10T10:10:00.000Z', '2025-03-10T10:30:00.000Z'
+      ];
+      for (const at of times) {
+        backups.createSnapshot('scheduled', new Date(at));
+      }
+
+      // The newest, hours 10 and 9 of Monday the 10th, that day and Sunday, and the weeks starting March 10 and 3
+      assert.deepStrictEqual(backups.listSnapshots().map(snapshot => snapshot.created_at),
+        ['2025-03-10T10:30:00.000Z', '2025-03-10T09:00:00.000Z', '2025-03-09T08:00:00.000Z']);
+      assert.strictEqual(backups.isDue(new Date('2025-03-10T11:00:00.000Z')), false);
+      assert.strictEqual(backups.isDue(new Date('2025-03-10T11:30:00.000Z')), true);
+      assert.strictEqual(backups.createSnapshotIfDue('pre-import', new Date('2025-03-10T11:00:00.000Z')), null);
+      assert.strictEqual(backups.createSnapshotIfDue('pre-import', new Date('2025-03-10T11:30:00.000Z')).reason, 'pre-import');
+      assert.strictEqual(backups.createSnapshotIfDue('pre-import', new Date('2025-03-10T11:45:00.000Z')), null,
+        'at most one per interval');
+      assert.throws(() => new BackupService(db, { dir, keep: { daily: -1 } }), /Invalid daily backup retention "-1"/);
+    }
+  },
+  {
+    name: 'reports healthy',
+    run: (db) => {
+      assert.strictEqual(db.isHealthy(), true);
+    }
+  }
+];
+
+// Scenarios for behaviour only one backend has
+const backendScenarios = {
+  json: [
+    {
+      name: 'ranks stemmed full-text matches over plain text',
+      run: (db) => {
+        const body = db.createArticle(sampleArticle({
+          url: 'https://example.com/body',
+          title: 'Notes from the week',
+          content: '<div class="running-notes"><p>We went running twice. The runner&apos;s guide helped.</p></div>',
+          excerpt: ''
+        }));
+        const title = db.createArticle(sampleArticle({
+          url: 'https://example.com/title',
+          title: 'Running a marathon',
+          content: '<p>Training plans and pacing.</p>',
+          excerpt: ''
+        }));
+        db.createArticle(sampleArticle({ url: 'https://example.com/other', title: 'Baking bread', excerpt: '' }));
+
+        const search = query => db.searchArticles(query);
+        assert.deepStrictEqual(search('runs').map(a => a.id), [title.id, body.id], 'stemmed, title matches rank first');
+        assert.ok(search('runs')[0].score > search('runs')[1].score);
+        assert.deepStrictEqual(search('class'), [], 'markup is not indexed');
+        assert.deepStrictEqual(search('div'), []);
+        assert.deepStrictEqual(search('"went running"').map(a => a.id), [body.id]);
+        assert.deepStrictEqual(search('"the runner"').map(a => a.id), [body.id], 'stop words keep their place in phrases');
+        assert.deepStrictEqual(search('the marathon').map(a => a.id), [title.id], 'stop words are ignored');
+
+        const [hit] = search('twice');
+        assert.strictEqual(hit.snippet, 'We went running <mark>twice</mark>. The runner&#39;s guide helped.');
+        assert.strictEqual(search('is:unread')[0].snippet, null, 'no words, no snippet');
+      }
+    },
+    {
+      name: 'keeps the search index in step with changes',
+      run: async (db, reopen) => {
+        const article = db.createArticle(sampleArticle({ content: '<p>Traits and generics.</p>' }));
+        assert.strictEqual(db.searchArticles('generic').length, 1);
+
+        db.updateArticle(article.id, { content: '<p>Lifetimes explained.</p>' });
+        assert.deepStrictEqual(db.searchArticles('generic'), []);
+        assert.strictEqual(db.searchArticles('lifetime').length, 1);
+
+        db.updateReadingProgress(article.id, 0.5);
+        assert.strictEqual(db.searchArticles('lifetime').length, 1);
+
+        const later = db.createArticle(sampleArticle({ url: 'https://example.com/later', content: '<p>More lifetimes.</p>' }));
+        assert.strictEqual(db.searchArticles('lifetime').length, 2);
+
+        db.trashArticle(later.id);
+        assert.strictEqual(db.searchArticles('lifetime').length, 1);
+        db.deleteArticle(later.id);
+        assert.ok(!db.getSearchIndex().docs.has(later.id));
+
+        const reopened = await reopen();
+        assert.deepStrictEqual(reopened.searchArticles('lifetimes').map(a => a.id), [article.id]);
+      }
+    },
+    {
+      name: 'recovers from a corrupt data file using the backup and journal',
+      run: async (db, reopen, dataPath) => {
+        const first = db.createArticle(sampleArticle({ url: 'https://example.com/1' }));
+        const second = db.createArticle(sampleArticle({ url: 'https://example.com/2' }));
+        db.updateArticle(second.id, { title: 'Latest title' });
+
+        db.close();
+        fs.writeFileSync(dataPath, '{"articles": [ {"id": 1, "tit');
+
+        const recovered = await reopen();
+        assert.deepStrictEqual(recovered.getAllArticles().map(a => a.id), [second.id, first.id]);
+        assert.strictEqual(recovered.getArticleById(second.id).title, 'Latest title');
+        assert.ok(fs.readdirSync(path.dirname(dataPath)).some(f => f.includes('.corrupt-')),
+          'keeps a copy of the corrupt file');
+      }
+    },
+    {
+      name: 'replays journaled changes that never reached the data file',
+      run: async (db, reopen, dataPath) => {
+        const article = db.createArticle(sampleArticle());
+        db.updateArticle(article.id, { is_read: true });
+        db.flush();
+        const snapshot = fs.readFileSync(dataPath, 'utf8');
+        db.addHighlight(article.id, { text: 'Ownership' });
+
+        // Simulate a crash right after the journal append: the snapshot write is lost
+        // and the next append was torn halfway through
+        db.close();
+        fs.writeFileSync(dataPath, snapshot);
+        fs.appendFileSync(`${dataPath}.journal`, '{"seq": 99, "changes": [');
+
+        const recovered = await reopen();
+        assert.strictEqual(recovered.getArticleById(article.id).is_read, true);
+        assert.strictEqual(recovered.getArticleHighlights(article.id).length, 1);
+        assert.strictEqual(recovered.createArticle(sampleArticle({ url: 'https://example.com/next' })).id, article.id + 1);
+      }
+    },
+    {
+      name: 'coalesces snapshot writes until the delay passes or flush is called',
+      run: async (db, reopen, dataPath) => {
+        db.close();
+        const slow = createDatabase({ backend: 'json', path: dataPath });
+        slow.saveDelayMs = 60 * 1000;
+
+        const article = slow.createArticle(sampleArticle());
+        slow.updateArticle(article.id, { title: 'Edited' });
+        assert.ok(!fs.existsSync(dataPath), 'no snapshot written yet');
+        assert.strictEqual(fs.readFileSync(`${dataPath}.journal`, 'utf8').trim().split('\n').length, 2);
+
+        slow.flush();
+        assert.strictEqual(JSON.parse(fs.readFileSync(dataPath, 'utf8')).articles[0].title, 'Edited');
+        assert.strictEqual(slow.saveTimer, null);
+
+        slow.addHighlight(article.id, { text: 'Ownership' });
+        slow.close();
+        db = await reopen();
+        assert.strictEqual(db.getArticleHighlights(article.id).length, 1, 'close flushes pending changes');
+
+        db.saveDelayMs = 20;
+        db.updateArticle(article.id, { title: 'Later' });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.strictEqual(JSON.parse(fs.readFileSync(dataPath, 'utf8')).articles[0].title, 'Later');
+      }
+    },
+    {
+      name: 'keeps lookup indexes in step with deletes and updates',
+      run: async (db, reopen) => {
+        const ids = ['a', 'b', 'c', 'd'].map(slug =>
+          db.createArticle(sampleArticle({ url: `https://example.com/${slug}`, tags: [slug] })).id);
+        db.addHighlight(ids[3], { text: 'd' });
+
+        db.deleteArticle(ids[0]);
+        db.updateArticle(ids[3], { url: 'https://example.com/moved' });
+
+        const check = () => {
+          assert.ok(!db.getArticleByUrl('https://example.com/a'));
+          assert.ok(!db.getArticleByUrl('https://example.com/d'));
+          assert.strictEqual(db.getArticleByUrl('https://example.com/moved').id, ids[3]);
+          assert.strictEqual(db.getArticleById(ids[2]).url, 'https://example.com/c');
+          assert.deepStrictEqual(db.getArticleTags(ids[3]).map(t => t.name), ['d']);
+          assert.strictEqual(db.getArticleHighlights(ids[3]).length, 1);
+          assert.deepStrictEqual(db.getArticleTags(ids[0]), []);
+        };
+        check();
+        db = await reopen();
+        check();
+      }
+    },
+    {
+      name: 'throws and changes nothing when the journal cannot be written',
+      run: (db) => {
+        const article = db.createArticle(sampleArticle());
+        db.closeJournal();
+        db.journalFd = fs.openSync(os.devNull, 'r');
+
+        assert.throws(() => db.updateArticle(article.id, { title: 'Lost' }), StorageError);
+        assert.throws(() => db.createArticle(sampleArticle({ url: 'https://example.com/lost' })), StorageError);
+        assert.strictEqual(db.getArticleById(article.id).title, article.title);
+        assert.strictEqual(db.getAllArticles().length, 1);
+        assert.strictEqual(db.nextId, article.id + 1);
+      }
+    }
+  ],
+  sqlite: [
+    {
+      name: 'rebuilds a full-text index that drifted from the articles',
+      run: async (db, reopen) => {
+        const article = db.createArticle(sampleArticle());
+
+        // What databases from before the FTS triggers look like: stale and incomplete
+        db.db.exec(`
+          DROP TRIGGER articles_fts_insert;
+          DROP TRIGGER articles_fts_update;
+          DROP TRIGGER articles_fts_delete;
+          INSERT INTO articles_fts (articles_fts) VALUES ('delete-all');
+          DELETE FROM schema_version WHERE version >= 7;
+        `);
+        db.updateArticle(article.id, { title: 'Borrow checker basics' });
+        assert.deepStrictEqual(db.searchArticles('borrow'), []);
+
+        db = await reopen();
+        assert.deepStrictEqual(db.searchArticles('checker').map(a => a.id), [article.id], 'the migration rebuilds the index');
+
+        db.db.exec("INSERT INTO articles_fts (articles_fts) VALUES ('delete-all')");
+        assert.deepStrictEqual(db.searchArticles('checker'), []);
+        assert.deepStrictEqual(db.rebuildSearchIndex(), { indexed: 1 });
+        assert.deepStrictEqual(db.searchArticles('checker').map(a => a.id), [article.id]);
+      }
+    },
+    {
+      name: 'brings the schema up to date and refuses newer databases',
+      run: async (db, reopen) => {
+        const status = db.migrator.getStatus();
+        assert.strictEqual(status.current_version, status.latest_version);
+        assert.deepStrictEqual(status.pending, []);
+
+        // A dry run of an already migrated database applies nothing
+        assert.deepStrictEqual(db.migrateSchema({ dryRun: true }).applied, []);
+
+        db.db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(status.latest_version + 1, '999-from-the-future', new Date().toISOString());
+        await assert.rejects(reopen(), /newer than this code supports/);
+      }
+    },
+    {
+      name: 'rolls back a failing migration step',
+      run: (db) => {
+        const { SchemaMigrator } = require('./migrations');
+        const version = db.migrator.getLatestVersion() + 1;
+        const migrator = new SchemaMigrator(db.db, [...db.migrator.migrations, {
+          version,
+          name: `${version}-broken`,
+          up: (conn) => {
+            conn.exec('ALTER TABLE articles ADD COLUMN half_done TEXT');
+            conn.exec('SELECT * FROM missing_table');
+          }
+        }]);
+
+        assert.throws(() => migrator.migrate({ dryRun: true }), /broken failed/);
+        assert.throws(() => migrator.migrate(), /broken failed/);
+        assert.strictEqual(migrator.getCurrentVersion(), version - 1);
+        assert.ok(!db.db.prepare('PRAGMA table_info(articles)').all().some(c => c.name === 'half_done'));
+      }
+    },
+    {
+      name: 'snapshots a database from before schema versions before migrating it',
+      run: async (db, reopen, dataPath) => {
+        db.close();
+        const Database = require('better-sqlite3');
+        const dir = path.dirname(dataPath);
+        const open = async (file) => {
+          const opened = createDatabase({
+            backend: 'sqlite',
+            path: path.join(dir, file),
+            beforeSchemaMigration: () => backups.createSnapshot('pre-schema-migration')
+          });
+          const backups = new BackupService(opened, { dir: path.join(dir, `${file}-backups`), intervalMinutes: 0 });
+          await opened.init();
+          opened.close();
+          return backups.listSnapshots();
+        };
+
+        // Tables as the code before schema versions created them, with no schema_version
+        const legacy = new Database(path.join(dir, 'legacy.db'));
+        require('./migrations/001-initial-schema').up(legacy);
+        legacy.prepare("INSERT INTO articles (url, title, created_at, updated_at) VALUES (?, ?, '2024-05-01 09:30:00', '2024-05-01 09:30:00')")
+          .run('https://example.com/legacy', 'Legacy');
+        legacy.close();
+
+        const [snapshot, ...others] = await open('legacy.db');
+        assert.strictEqual(snapshot.reason, 'pre-schema-migration');
+        assert.deepStrictEqual(others, []);
+        const saved = new Database(path.join(dir, 'legacy.db-backups', snapshot.file), { readonly: true });
+        try {
+          assert.ok(!saved.prepare("SELECT 1 FROM sqlite_master WHERE name = 'schema_version'").get(), 'taken before migrating');
+          assert.strictEqual(saved.prepare('SELECT title FROM articles').get().title, 'Legacy');
+        } finally {
+          saved.close();
+        }
+
+        assert.deepStrictEqual(await open('new.db'), [], 'a new database has nothing to snapshot');
+      }
+    },
+    {
+      name: 'filters and pages articles whose timestamps predate the app setting them',
+      run: async (db, reopen, dataPath) => {
+        db.close();
+        const Database = require('better-sqlite3');
+        const legacyPath = path.join(path.dirname(dataPath), 'legacy.db');
+
+        // SQLite's CURRENT_TIMESTAMP format, as the code before schema versions left it
+        const legacy = new Database(legacyPath);
+        require('./migrations/001-initial-schema').up(legacy);
+        const insert = legacy.prepare('INSERT INTO articles (url, title, created_at, updated_at) VALUES (?, ?, ?, ?)');
+        const morning = insert.run('https://example.com/morning', 'Morning', '2024-05-01 09:30:00', '2024-05-01 09:30:00');
+        const evening = insert.run('https://example.com/evening', 'Evening', '2024-05-01 18:00:00', '2024-05-01 18:00:00');
+        legacy.close();
+
+        const upgraded = createDatabase({ backend: 'sqlite', path: legacyPath });
+        await upgraded.init();
+        try {
+          const added = upgraded.createArticle(sampleArticle());
+          const ids = [Number(morning.lastInsertRowid), Number(evening.lastInsertRowid), added.id];
+          assert.strictEqual(upgraded.getArticleById(ids[0]).created_at, '2024-05-01T09:30:00.000Z');
+
+          const titles = params => upgraded.listArticles(params).articles.map(article => article.title);
+          assert.deepStrictEqual(titles({ created_after: '2024-05-01T09:00:00Z', created_before: '2024-05-02', sort: 'created_at', order: 'asc' }),
+            ['Morning', 'Evening']);
+          assert.deepStrictEqual(titles({ created_after: '2024-05-01T12:00:00Z', created_before: '2024-05-02' }), ['Evening']);
+          assert.deepStrictEqual(titles({ updated_before: '2024-05-01T12:00:00Z' }), ['Morning']);
+
+          const paged = [];
+          let cursor;
+          do {
+            const page = upgraded.listArticles({ sort: 'created_at', order: 'asc', limit: 1, cursor });
+            paged.push(...page.articles.map(article => article.id));
+            cursor = page.next_cursor;
+          } while (cursor);
+          assert.deepStrictEqual(paged, ids);
+        } finally {
+          upgraded.close();
+        }
+      }
+    },
+    {
+      name: 'refuses changes while an encrypted database cannot be saved',
+      run: async (db, reopen, dataPath) => {
+        db.close();
+        const cipher = DataCipher.fromPassphrase('correct horse');
+        const open = async () => {
+          const opened = createDatabase({ backend: 'sqlite', path: dataPath, cipher });
+          await opened.init();
+          return opened;
+        };
+
+        const sealed = await open();
+        let article;
+        try {
+          sealed.checkWritable();
+          article = sealed.createArticle(sampleArticle());
+
+          // As when the disk is full
+          sealed.dbPath = path.join(path.dirname(dataPath), 'missing', 'articles.db');
+          sealed.flush();
+          assert.strictEqual(sealed.isHealthy(), false);
+          assert.throws(() => sealed.checkWritable(),
+            error => error instanceof StorageError && /^Failed to save database: ENOENT/.test(error.message));
+
+          // The next check saves what was held back once the disk can be written again
+          sealed.dbPath = dataPath;
+          sealed.checkWritable();
+          assert.strictEqual(sealed.isHealthy(), true);
+        } finally {
+          sealed.close();
+        }
+
+        const reopened = await open();
+        assert.strictEqual(reopened.getArticleById(article.id).title, article.title);
+        reopened.close();
+      }
+    }
+  ]
+};
+
+function backendAvailable(backend) {
+  if (backend !== 'sqlite') return true;
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function runBackend(backend) {
+  let passed = 0;
+  let failed = 0;
+
+  for (const scenario of [...scenarios, ...(backendScenarios[backend] || [])]) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `read-later-${backend}-`));
+    const dataPath = path.join(dir, backend === 'sqlite' ? 'articles.db' : 'articles.json');
+    const open = async () => {
+      const db = createDatabase({ backend, path: dataPath });
+      await db.init();
+      return db;
+    };
+
+    let db = await open();
+    const reopen = async () => {
+      db.close();
+      db = await open();
+      return db;
+    };
+
+    try {
+      await scenario.run(db, reopen, dataPath);
+      console.log(`  ✅ ${scenario.name}`);
+      passed++;
+    } catch (error) {
+      console.log(`  ❌ ${scenario.name}`);
+      console.log(`     ${error.message}`);
+      failed++;
+    } finally {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  return { passed, failed };
+}
+
+// Round trip json -> sqlite -> json must keep ids, tags, highlights and nextId
+async function testMigration() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'read-later-migration-test-'));
+  const paths = {
+    json: path.join(dir, 'articles.json'),
+    sqlite: path.join(dir, 'articles.db')
+  };
+
+  try {
+    const source = createDatabase({ backend: 'json', path: paths.json });
+    const kept = source.createArticle(sampleArticle({ tags: ['rust'], notes: 'Reread the drop section' }));
+    const removed = source.createArticle(sampleArticle({ url: 'https://example.com/removed' }));
+    const trashed = source.createArticle(sampleArticle({ url: 'https://example.com/trashed' }));
+    // Older records carry tags as a stringified array on the article itself
+    source.mutate('legacyTags', () => [{
+      collection: 'articles',
+      action: 'put',
+      record: { ...source.getArticleById(kept.id), tags: JSON.stringify(['legacy']) }
+    }]);
+    source.addHighlight(kept.id, { text: 'Ownership', position_start: 3, position_end: 12 });
+    source.updateArticle(kept.id, { title: 'Ownership, revisited', notes: 'Reread the drop and move sections' });
+    source.deleteArticle(removed.id);
+    const reading = source.createCollection({ name: 'Reading list', description: 'Soon' });
+    source.addArticlesToCollection(reading.id, [trashed.id, kept.id]);
+    source.trashArticle(trashed.id);
+    const unread = source.createSavedSearch({ name: 'Unread rust', query: { q: 'tag:rust is:unread' } });
+    source.recordSavedSearchCount(unread.id, '2025-03-01', 1);
+    const owner = source.createUser({ username: 'reader', password_hash: 'scrypt$hash', is_admin: true });
+    source.claimUnownedRecords(owner.id);
+    const bookmarklet = source.createApiToken({ user_id: owner.id, name: 'Bookmarklet', scope: 'save-only', token_hash: 'token-hash' });
+    source.recordActivity({ user_id: owner.id, type: 'tagged', source: 'app', article_id: kept.id, details: { tags: ['rust'] } });
+
+    const forward = await new StorageMigration({ paths }).migrate('json-to-sqlite');
+    assert.strictEqual(forward.success, true, JSON.stringify(forward.failed));
+    assert.strictEqual(forward.checksums.match, true);
+    assert.strictEqual(forward.counts.target.articles, 2);
+
+    const sqlite = createDatabase({ backend: 'sqlite', path: paths.sqlite });
+    await sqlite.init();
+    try {
+      assert.deepStrictEqual(sqlite.getArticleTags(kept.id).map(t => t.name), ['legacy', 'rust']);
+      assert.strictEqual(sqlite.getArticleHighlights(kept.id).length, 1);
+      assert.deepStrictEqual(sqlite.getTrashedArticles().map(a => a.id), [trashed.id]);
+      assert.deepStrictEqual(sqlite.getArticleRevisions(kept.id).map(r => r.changes.title),
+        ['Understanding Rust Ownership', 'Ownership, revisited']);
+      assert.deepStrictEqual(sqlite.searchArticles('ownership').map(a => a.id), [kept.id]);
+      assert.deepStrictEqual(sqlite.searchArticles('reread').map(a => a.id), [kept.id]);
+      assert.strictEqual(sqlite.getArticleById(kept.id).notes_version, 1);
+      assert.strictEqual(sqlite.getArticleById(trashed.id, { includeTrashed: true }).notes_version, 0);
+      assert.deepStrictEqual(sqlite.getCollectionArticles(reading.id).map(a => a.id), [kept.id]);
+      sqlite.restoreArticle(trashed.id);
+      assert.deepStrictEqual(sqlite.getCollectionArticles(reading.id).map(a => a.id), [trashed.id, kept.id]);
+      sqlite.trashArticle(trashed.id);
+      assert.deepStrictEqual(sqlite.getSavedSearchById(unread.id).query, { q: 'tag:rust is:unread' });
+      assert.deepStrictEqual(sqlite.getSavedSearchCounts(unread.id), [{ date: '2025-03-01', count: 1 }]);
+      assert.strictEqual(sqlite.getUserByUsername('reader').password_hash, 'scrypt$hash');
+      assert.strictEqual(sqlite.getApiTokenByHash('token-hash').id, bookmarklet.id, 'API tokens keep working');
+      assert.deepStrictEqual(sqlite.getActivity({}, owner.id).map(entry => [entry.type, entry.article_id, entry.details]),
+        [['tagged', kept.id, { tags: ['rust'] }]]);
+      assert.strictEqual(sqlite.getArticleById(kept.id).user_id, owner.id);
+      assert.deepStrictEqual(sqlite.getAllTags(owner.id).map(t => t.name), ['legacy', 'rust']);
+      assert.strictEqual(sqlite.getArticleHighlights(kept.id)[0].user_id, owner.id);
+      assert.deepStrictEqual(sqlite.getAllCollections(owner.id).map(c => c.id), [reading.id]);
+      assert.strictEqual(sqlite.createArticle(sampleArticle({ url: 'https://example.com/new' })).id, trashed.id + 1);
+    } finally {
+      sqlite.close();
+    }
+
+    paths.json = path.join(dir, 'rollback.json');
+    const back = await new StorageMigration({ paths }).migrate('sqlite-to-json');
+    assert.strictEqual(back.success, true, JSON.stringify(back.failed));
+    assert.strictEqual(back.counts.target.articles, 3);
+    assert.strictEqual(back.counts.next_id.target, trashed.id + 2);
+
+    const rollback = createDatabase({ backend: 'json', path: paths.json });
+    await rollback.init();
+    assert.deepStrictEqual(rollback.getTrashedArticles().map(a => a.id), [trashed.id]);
+    assert.strictEqual(rollback.getArticleRevisions(kept.id).length, 2);
+    assert.strictEqual(rollback.getArticleById(kept.id).notes, 'Reread the drop and move sections');
+    assert.deepStrictEqual(rollback.getAllCollections().map(c => [c.id, c.name, c.description]), [[reading.id, 'Reading list', 'Soon']]);
+    assert.strictEqual(rollback.createCollection({ name: 'Next' }).id, reading.id + 1);
+    assert.deepStrictEqual(rollback.getSavedSearchCounts(unread.id), [{ date: '2025-03-01', count: 1 }]);
+    assert.strictEqual(rollback.createSavedSearch({ name: 'Next', query: {} }).id, unread.id + 1);
+    assert.deepStrictEqual(rollback.getAllUsers().map(u => [u.id, u.username, u.is_admin]), [[owner.id, 'reader', true]]);
+    assert.deepStrictEqual(rollback.getAllSavedSearches(owner.id).map(s => s.id), [unread.id]);
+    assert.strictEqual(rollback.createUser({ username: 'next', password_hash: 'x' }).id, owner.id + 1);
+    assert.deepStrictEqual(rollback.getApiTokens(owner.id).map(t => [t.id, t.name, t.scope]), [[bookmarklet.id, 'Bookmarklet', 'save-only']]);
+    assert.deepStrictEqual(rollback.getActivity().map(entry => entry.details), [{ tags: ['rust'] }]);
+    rollback.close();
+
+    console.log('  ✅ round trip keeps ids, owners, tags, highlights, trash, revisions, collections, saved searches and nextId');
+    return { passed: 1, failed: 0 };
+  } catch (error) {
+    console.log('  ❌ round trip keeps ids, owners, tags, highlights, trash, revisions, collections, saved searches and nextId');
+    console.log(`     ${error.message}`);
+    return { passed: 0, failed: 1 };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testStorage() {
+  console.log('🧪 Running storage conformance suite...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const backend of Object.keys(BACKENDS)) {
+    console.log(`📦 ${backend}`);
+    if (!backendAvailable(backend)) {
+      console.log('  ⚠️  skipped: better-sqlite3 is not installed\n');
+      continue;
+    }
+
+    const result = await runBackend(backend);
+    passed += result.passed;
+    failed += result.failed;
+    console.log('');
+  }
+
+  if (backendAvailable('sqlite')) {
+    console.log('🔄 migration');
+    const result = await testMigration();
+    passed += result.passed;
+    failed += result.failed;
+    console.log('');
+  }
+
+  console.log('📊 Test Results:');
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+testStorage().catch(error => {
+  console.error('❌ Test runner failed:', error);
+  process.exit(1);
+});
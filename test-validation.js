@@ -0,0 +1,292 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkRequest, validate } = require('./validation');
+const schemas = require('./schemas');
+const { BACKENDS, createDatabase } = require('./storage');
+const UserStorage = require('./user-storage');
+
+// Request validation suite: the rule types, part options and the 400 answer
+// of validation.js, and a few of the route schemas in schemas.js.
+
+// Runs validate(schema) on a request; returns the request, the response and whether next() was called
+function run(schema, req) {
+  const request = { params: {}, query: {}, body: {}, ...req };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  validate(schema)(request, res, () => { passed = true; });
+  return { req: request, res, passed };
+}
+
+const fieldsOf = errors => errors.map(error => error.field);
+
+// Runs `run(db)` with a user's view of a new store of each backend; a JSON round trip stands in for HTTP
+async function withEachBackend(run) {
+  for (const backend of Object.keys(BACKENDS)) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `read-later-validation-${backend}-`));
+    const db = createDatabase({ backend, path: path.join(dir, `articles.${backend === 'sqlite' ? 'db' : 'json'}`), cipher: null });
+    try {
+      await db.init();
+      const user = db.createUser({ username: 'ada', password_hash: 'hash' });
+      await run(new UserStorage(db, user), backend);
+    } finally {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+const asFetched = record => JSON.parse(JSON.stringify(record));
+
+const scenarios = [
+  {
+    name: 'coerces strings to numbers, booleans, dates, enums and lists',
+    run() {
+      const schema = {
+        query: {
+          fields: {
+            page: { type: 'integer', min: 1 },
+            ratio: { type: 'number', max: 1 },
+            unread: { type: 'boolean' },
+            since: { type: 'date' },
+            format: { type: 'enum', values: ['json', 'csv'] },
+            tag: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      };
+      const { values, errors } = checkRequest(schema, {
+        query: { page: '5', ratio: '0.25', unread: 'yes', since: '2025-01-31', format: ' CSV ', tag: 'rust' }
+      });
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(values.query, {
+        page: 5, ratio: 0.25, unread: true, since: '2025-01-31T00:00:00.000Z', format: 'csv', tag: ['rust']
+      });
+    }
+  },
+  {
+    name: 'refuses values that are not their type or out of range',
+    run() {
+      const schema = {
+        body: {
+          fields: {
+            page: { type: 'integer', min: 1 },
+            size: { type: 'integer' },
+            flag: { type: 'boolean' },
+            link: { type: 'url' },
+            tags: { type: 'array', items: { type: 'tag' }, max: 2 },
+            name: { type: 'string', max: 3 }
+          }
+        }
+      };
+      const { errors } = checkRequest(schema, {
+        body: { page: '0', size: '1.5', flag: 'maybe', link: 'ftp://example.com', tags: ['a', 'b', 'c'], name: 'long' }
+      });
+      assert.deepStrictEqual(errors.map(error => error.message), [
+        'page must be at least 1',
+        'size must be a whole number',
+        'flag must be true or false',
+        'link must be an http or https URL',
+        'tags must have at most 2 items',
+        'name must be at most 3 characters'
+      ]);
+      // A list in the body must be one; only the query turns a single value into a list
+      assert.deepStrictEqual(checkRequest(schema, { body: { tags: 'rust' } }).errors.map(error => error.message),
+        ['tags must be a list']);
+      assert.deepStrictEqual(checkRequest(schema, { body: { tags: ['ok', 7] } }).errors.map(error => error.field),
+        ['tags[1]']);
+    }
+  },
+  {
+    name: 'rejects unknown body fields, strips unknown params and query, and drops ignored fields',
+    run() {
+      const schema = {
+        params: { fields: { id: { type: 'integer', required: true } } },
+        query: { fields: { page: { type: 'integer' } } },
+        body: { fields: { title: { type: 'string' } }, ignore: ['id', 'created_at'] }
+      };
+      const accepted = checkRequest(schema, {
+        params: { id: '7', extra: 'x' },
+        query: { page: '2', utm_source: 'mail' },
+        body: { title: 'Hello', id: 7, created_at: '2025-01-01' }
+      });
+      assert.deepStrictEqual(accepted.errors, []);
+      assert.deepStrictEqual(accepted.values, { params: { id: 7 }, query: { page: 2 }, body: { title: 'Hello' } });
+
+      const refused = checkRequest(schema, { params: { id: '7' }, body: { title: 'Hello', colour: 'red' } });
+      assert.deepStrictEqual(refused.errors, [
+        { field: 'colour', location: 'body', message: 'colour is not an accepted field' }
+      ]);
+
+      const stripped = checkRequest({ body: { fields: { a: { type: 'string' } }, unknown: 'strip' } }, { body: { a: 'x', b: 'y' } });
+      assert.deepStrictEqual(stripped, { values: { body: { a: 'x' } }, errors: [] });
+    }
+  },
+  {
+    name: 'requires minFields fields once every field is valid',
+    run() {
+      const schema = { body: { fields: { title: { type: 'string' }, author: { type: 'string' } }, minFields: 1 } };
+      assert.deepStrictEqual(checkRequest(schema, { body: {} }).errors, [
+        { field: 'body', location: 'body', message: 'body needs at least 1 of: title, author' }
+      ]);
+      assert.deepStrictEqual(checkRequest(schema, { body: { author: 'Jane' } }).errors, []);
+      // The field's own error is the one reported
+      assert.deepStrictEqual(fieldsOf(checkRequest(schema, { body: { title: 5 } }).errors), ['title']);
+    }
+  },
+  {
+    name: 'applies defaults, required, nullable and trimming',
+    run() {
+      const schema = {
+        body: {
+          fields: {
+            format: { type: 'enum', values: ['json', 'csv'], default: 'json' },
+            name: { type: 'string', nonEmpty: true, trim: true, required: true },
+            date: { type: 'date', nullable: true },
+            note: { type: 'string', nullable: true },
+            count: { type: 'integer', nullable: true }
+          }
+        }
+      };
+      const { values, errors } = checkRequest(schema, { body: { name: '  Reading  ', date: '', note: '', count: null } });
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(values.body, { format: 'json', name: 'Reading', date: null, note: '', count: null });
+
+      assert.deepStrictEqual(checkRequest(schema, { body: {} }).errors.map(error => error.message), ['name is required']);
+      assert.deepStrictEqual(checkRequest(schema, { body: { name: '   ' } }).errors.map(error => error.message),
+        ['name must not be empty']);
+      assert.deepStrictEqual(checkRequest(schema, { body: { name: 'x', count: '' } }).values.body.count, null);
+      assert.deepStrictEqual(fieldsOf(checkRequest({ body: { fields: { n: { type: 'integer' } } } }, { body: { n: null } }).errors),
+        ['n'], 'null is only accepted when nullable');
+    }
+  },
+  {
+    name: 'runs check() only once the fields are valid',
+    run() {
+      const schema = {
+        query: {
+          fields: { from: { type: 'integer' }, to: { type: 'integer' } },
+          check: ({ from, to }) => (from > to ? [{ field: 'to', message: 'must not be before from' }] : [])
+        }
+      };
+      assert.deepStrictEqual(checkRequest(schema, { query: { from: '5', to: '2' } }).errors,
+        [{ field: 'to', location: 'query', message: 'to must not be before from' }]);
+      assert.deepStrictEqual(fieldsOf(checkRequest(schema, { query: { from: 'x', to: '2' } }).errors), ['from']);
+    }
+  },
+  {
+    name: 'answers every problem in one 400 and replaces the request parts with the cleaned values',
+    run() {
+      const schema = {
+        params: { fields: { id: { type: 'integer', min: 1, required: true } } },
+        body: { fields: { title: { type: 'string', nonEmpty: true } } }
+      };
+      const refused = run(schema, { params: { id: '0' }, body: { title: '', extra: true } });
+      assert.ok(!refused.passed);
+      assert.strictEqual(refused.res.statusCode, 400);
+      assert.deepStrictEqual(refused.res.body, {
+        success: false,
+        error: 'Invalid request: id must be at least 1; title must not be empty; extra is not an accepted field',
+        errors: [
+          { field: 'id', location: 'params', message: 'id must be at least 1' },
+          { field: 'title', location: 'body', message: 'title must not be empty' },
+          { field: 'extra', location: 'body', message: 'extra is not an accepted field' }
+        ]
+      });
+
+      const accepted = run(schema, { params: { id: '3', other: 'x' }, query: { q: 'kept' }, body: { title: 'Hi' } });
+      assert.ok(accepted.passed);
+      assert.deepStrictEqual(accepted.req.params, { id: 3 });
+      assert.deepStrictEqual(accepted.req.query, { q: 'kept' }, 'parts without a schema are left alone');
+      assert.deepStrictEqual(accepted.req.body, { title: 'Hi' });
+    }
+  },
+  {
+    name: 'lets a fetched article be sent back as an update, with notes only alongside notes_version',
+    run() {
+      const fetched = {
+        id: 4, title: 'Rust', notes: 'Mine', notes_version: 2, created_at: '2025-01-01T00:00:00Z', tags: ['rust'], score: 1
+      };
+      const { values, errors } = checkRequest(schemas.updateArticle, { params: { id: '4' }, body: fetched });
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(values.body, { title: 'Rust', notes: 'Mine', notes_version: 2 });
+
+      const { notes_version, ...withoutVersion } = fetched;
+      assert.deepStrictEqual(fieldsOf(checkRequest(schemas.updateArticle, { params: { id: '4' }, body: withoutVersion }).errors),
+        ['notes_version']);
+      assert.deepStrictEqual(checkRequest(schemas.updateArticle, { params: { id: '4' }, body: { title: 'Go' } }).errors, []);
+    }
+  },
+  {
+    name: 'accepts an article sent back exactly as it was fetched, on every backend',
+    run: () => withEachBackend((db, backend) => {
+      // Saved without the optional fields, which some backends then give as null
+      const created = db.createArticle({
+        url: 'https://example.com/rust', title: 'Rust', content: '<p>Ownership</p>', tags: ['rust']
+      });
+      db.updateArticle(created.id, { notes: 'Mine' });
+      const fetched = asFetched(db.getArticleById(created.id));
+      assert.ok('user_id' in fetched, `${backend} articles carry their owner`);
+
+      const { values, errors } = checkRequest(schemas.updateArticle, { params: { id: String(created.id) }, body: fetched });
+      assert.deepStrictEqual(errors, [], backend);
+      assert.ok(!('user_id' in values.body) && !('id' in values.body), `${backend}: read-only fields are dropped`);
+      // As PUT /api/articles/:id saves it
+      const { notes_version, ...updates } = values.body;
+      assert.strictEqual(db.updateArticle(created.id, updates, { notesVersion: notes_version }).changes, 1, backend);
+      assert.strictEqual(db.getArticleById(created.id).notes, 'Mine');
+    })
+  },
+  {
+    name: 'checks route parameters such as snapshot ids and site rule domains',
+    run() {
+      assert.deepStrictEqual(
+        checkRequest(schemas.snapshotId, { params: { id: '2025-01-31T09-00-00-000Z-scheduled' } }).errors, []);
+      assert.deepStrictEqual(fieldsOf(checkRequest(schemas.snapshotId, { params: { id: '../articles' } }).errors), ['id']);
+      assert.deepStrictEqual(checkRequest(schemas.siteRuleDomain, { params: { domain: 'LWN.net' } }).values.params,
+        { domain: 'lwn.net' });
+      assert.deepStrictEqual(fieldsOf(checkRequest(schemas.siteRuleDomain, { params: { domain: 'localhost' } }).errors),
+        ['domain']);
+    }
+  }
+];
+
+async function testValidation() {
+  console.log('🧪 Running validation suite...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    try {
+      await scenario.run();
+      console.log(`  ✅ ${scenario.name}`);
+      passed++;
+    } catch (error) {
+      console.log(`  ❌ ${scenario.name}`);
+      console.log(`     ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('\n📊 Test Results:');
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+testValidation();
@@ -0,0 +1,167 @@
+/**
+ * URL canonicalization, so the same article saved from a newsletter link, an
+ * AMP page or a mobile site is recognised as one article.
+ *
+ *   canonicalizeUrl()      a clean URL to store and link to: tracking
+ *                          parameters, AMP and mobile variants, the fragment
+ *                          and trailing slashes removed
+ *   resolveCanonicalUrl()  the same, preferring the URL the page declares
+ *                          (<link rel="canonical"> or og:url)
+ *   normalizeUrl()         the duplicate key, a canonical URL that also
+ *                          ignores http vs https, www. and parameter order
+ *
+ * Strings that don't parse as http(s) URLs are only trimmed.
+ */
+
+// Query parameters that only say how a link was shared
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id',
+  'vero_id', 'wickedid', 'ck_subscriber_id', 'ref_src', 'ref_url', '_ga', '_gl'
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hsa_'];
+
+// Query parameters that ask for the AMP version of a page
+const AMP_PARAMS = { amp: ['', '1', 'true'], _amp: ['1', 'true'], outputtype: ['amp'] };
+
+function parseHttpUrl(url) {
+  try {
+    const parsed = new URL(String(url ?? '').trim());
+    return /^https?:$/.test(parsed.protocol) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+function isAmpParam(name, value) {
+  return (AMP_PARAMS[name.toLowerCase()] || []).includes(value.toLowerCase());
+}
+
+// Google's AMP cache and viewer wrap the original URL in their own:
+// https://example-com.cdn.ampproject.org/c/s/example.com/post
+// https://www.google.com/amp/s/example.com/post
+function unwrapAmpCache(parsed) {
+  const segments = parsed.pathname.split('/').slice(1);
+  let rest = null;
+  if (parsed.hostname.endsWith('.cdn.ampproject.org') && ['c', 'v'].includes(segments[0])) {
+    rest = segments.slice(1);
+  } else if (/^(www\.)?google\.[a-z.]+$/.test(parsed.hostname) && segments[0] === 'amp') {
+    rest = segments.slice(1);
+  }
+  if (!rest || rest.length === 0) return parsed;
+
+  const secure = rest[0] === 's';
+  if (secure) rest = rest.slice(1);
+  return parseHttpUrl(`${secure ? 'https' : 'http'}://${rest.join('/')}${parsed.search}`) || parsed;
+}
+
+// amp.example.com, m.example.com, mobile.example.com and en.m.wikipedia.org
+function desktopHost(hostname) {
+  const labels = hostname.split('.');
+  if (labels.length >= 3 && ['amp', 'm', 'mobile'].includes(labels[0])) {
+    return labels.slice(1).join('.');
+  }
+  if (labels.length >= 4 && labels[1] === 'm') {
+    return [labels[0], ...labels.slice(2)].join('.');
+  }
+  return hostname;
+}
+
+// /amp/post, /post/amp, /post.amp and /post.amp.html
+function desktopPath(pathname) {
+  return pathname
+    .replace(/^\/amp(?=\/.)/i, '')
+    .replace(/\/amp\/?$/i, '/')
+    .replace(/\.amp(?=\.html?$|$)/i, '');
+}
+
+/**
+ * A clean version of `url` that still points at the same page. Scheme, www.
+ * and parameter order are kept; normalizeUrl() is the looser comparison key.
+ */
+function canonicalizeUrl(url) {
+  let parsed = parseHttpUrl(url);
+  if (!parsed) return String(url ?? '').trim();
+
+  parsed = unwrapAmpCache(parsed);
+  parsed.hash = '';
+  parsed.hostname = desktopHost(parsed.hostname);
+  parsed.pathname = desktopPath(parsed.pathname);
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  for (const [name, value] of [...parsed.searchParams]) {
+    if (isTrackingParam(name) || isAmpParam(name, value)) {
+      parsed.searchParams.delete(name);
+    }
+  }
+  // An emptied query string leaves a bare "?" behind
+  if (![...parsed.searchParams].length) parsed.search = '';
+
+  return parsed.toString();
+}
+
+/**
+ * The canonical URL of an article saved from `url`: the URL the page itself
+ * declares when it has a usable one, otherwise canonicalizeUrl(url).
+ * Relative declarations are resolved against `url`.
+ */
+function resolveCanonicalUrl(url, declared) {
+  const canonical = canonicalizeUrl(url);
+  if (!declared) return canonical;
+
+  let target;
+  try {
+    target = new URL(String(declared).trim(), canonical);
+  } catch {
+    return canonical;
+  }
+  if (!/^https?:$/.test(target.protocol)) return canonical;
+
+  // Some sites declare their home page as the canonical URL of every page
+  const original = parseHttpUrl(canonical);
+  if (target.pathname === '/' && !target.search && original && original.pathname !== '/') {
+    return canonical;
+  }
+  return canonicalizeUrl(target.toString());
+}
+
+/**
+ * The canonical_url of `article` once `updates` are applied: a new url comes
+ * with a new canonical URL unless one is given alongside it.
+ */
+function updatedCanonicalUrl(article, updates) {
+  const url = updates.url ?? article.url;
+  let declared = updates.canonical_url;
+  if (declared === undefined) {
+    declared = updates.url === undefined ? article.canonical_url : null;
+  }
+  return resolveCanonicalUrl(url, declared);
+}
+
+/**
+ * Key used to decide whether two URLs are the same article. Two URLs with
+ * the same key are duplicates.
+ */
+function normalizeUrl(url) {
+  const parsed = parseHttpUrl(canonicalizeUrl(url));
+  if (!parsed) return String(url ?? '').trim();
+
+  parsed.protocol = 'https:';
+  parsed.hostname = parsed.hostname.replace(/^www\./, '');
+  parsed.searchParams.sort();
+  return parsed.toString();
+}
+
+module.exports = {
+  canonicalizeUrl,
+  resolveCanonicalUrl,
+  updatedCanonicalUrl,
+  normalizeUrl
+};
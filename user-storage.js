@@ -0,0 +1,406 @@
+// Article fields whose changes are bookkeeping rather than activity
+const QUIET_FIELDS = ['reading_progress', 'last_read_at', 'obsidian_path', 'obsidian_synced_at'];
+// Changes to these get an activity type of their own
+const FLAG_ACTIVITY = { is_read: 'read', is_archived: 'archived' };
+const ACTIVITY_REVISION_SOURCES = ['import', 'obsidian'];
+
+function sameValue(a, b) {
+  if (typeof a === 'boolean' || typeof b === 'boolean') return !!a === !!b;
+  return String(a ?? '') === String(b ?? '');
+}
+
+function tagNamesOf(tags) {
+  return tags.map(tag => (typeof tag === 'string' ? tag : tag.name));
+}
+
+/**
+ * One user's view of a storage backend. It has the same methods as the
+ * storage contract (see STORAGE_METHODS in storage.js), minus the ones that
+ * manage the database itself or other users, and every one of them only
+ * reads and changes records owned by `user`: lists are filtered by owner,
+ * anything created is owned by the user, and someone else's record is
+ * treated exactly like one that doesn't exist. Requests get one of these as
+ * `req.db`.
+ *
+ * Given an ActivityService as `options.activity`, every change is also
+ * written to the user's activity log, attributed to `options.source` (see
+ * ActivityService.SOURCES). Calls that pass a revision source of 'import' or
+ * 'obsidian' are attributed to that instead.
+ */
+class UserStorage {
+  constructor(db, user, options = {}) {
+    this.db = db;
+    this.user = user;
+    this.userId = user.id;
+    this.activity = options.activity || null;
+    this.source = options.source || 'app';
+    // Added to the details of every entry, e.g. the name of the API token
+    this.sourceDetails = options.sourceDetails || null;
+  }
+
+  // The same view, with its changes attributed to `source`
+  withSource(source) {
+    return new UserStorage(this.db, this.user, { activity: this.activity, source });
+  }
+
+  logActivity(type, articleId = null, details = null, source = this.source) {
+    if (!this.activity) return null;
+    return this.activity.record(this.userId, {
+      type,
+      source,
+      article_id: articleId,
+      details: this.sourceDetails ? { ...details, ...this.sourceDetails } : details
+    });
+  }
+
+  activitySource(options = {}) {
+    return ACTIVITY_REVISION_SOURCES.includes(options.source) ? options.source : this.source;
+  }
+
+  // A read or archive change gets an entry of its own; the other fields changed share one
+  logArticleUpdate(before, updates, source) {
+    const changed = Object.keys(updates)
+      .filter(field => !QUIET_FIELDS.includes(field) && !sameValue(before[field], updates[field]));
+    const fields = changed.filter(field => !FLAG_ACTIVITY[field]);
+    for (const field of changed.filter(field => FLAG_ACTIVITY[field])) {
+      this.logActivity(FLAG_ACTIVITY[field], before.id, { [field]: !!updates[field] }, source);
+    }
+    if (fields.length > 0) {
+      this.logActivity('updated', before.id, { fields }, source);
+    }
+  }
+
+  get backend() {
+    return this.db.backend;
+  }
+
+  get cipher() {
+    return this.db.cipher;
+  }
+
+  owns(record) {
+    return !!record && record.user_id === this.userId;
+  }
+
+  ownsArticle(id) {
+    return this.owns(this.db.getArticleById(id, { includeTrashed: true }));
+  }
+
+  ownsCollection(id) {
+    return this.owns(this.db.getCollectionById(id));
+  }
+
+  ownsSavedSearch(id) {
+    return this.owns(this.db.getSavedSearchById(id));
+  }
+
+  ownedOrUndefined(record) {
+    return this.owns(record) ? record : undefined;
+  }
+
+  // Articles
+  getAllArticles() {
+    return this.db.getAllArticles(this.userId);
+  }
+
+  listArticles(params = {}) {
+    return this.db.listArticles({ ...params, user_id: this.userId });
+  }
+
+  getArticleById(id, options = {}) {
+    return this.ownedOrUndefined(this.db.getArticleById(id, options));
+  }
+
+  getArticleByUrl(url, options = {}) {
+    return this.db.getArticleByUrl(url, { ...options, userId: this.userId });
+  }
+
+  createArticle(article, options = {}) {
+    const created = this.db.createArticle({ ...article, user_id: this.userId }, options);
+    this.logActivity('saved', created.id, { title: created.title, url: created.url }, this.activitySource(options));
+    return created;
+  }
+
+  updateArticle(id, updates, options = {}) {
+    const before = this.getArticleById(id, { includeTrashed: true });
+    if (!before) return { changes: 0 };
+    const result = this.db.updateArticle(id, updates, options);
+    if (result.changes > 0) {
+      this.logArticleUpdate(before, updates, this.activitySource(options));
+    }
+    return result;
+  }
+
+  deleteArticle(id) {
+    const article = this.getArticleById(id, { includeTrashed: true });
+    if (!article) return { changes: 0 };
+    const result = this.db.deleteArticle(id);
+    if (result.changes > 0) {
+      this.logActivity('deleted', article.id, { title: article.title, permanent: true });
+    }
+    return result;
+  }
+
+  mergeArticles(keepId, duplicateIds, updates = {}) {
+    if (!this.ownsArticle(keepId)) return { changes: 0 };
+    const merged = duplicateIds.filter(id => this.ownsArticle(id));
+    const result = this.db.mergeArticles(keepId, merged, updates);
+    if (result.changes > 0) {
+      this.logActivity('updated', Number(keepId), { merged });
+    }
+    return result;
+  }
+
+  trashArticle(id) {
+    const article = this.getArticleById(id);
+    if (!article) return { changes: 0 };
+    const result = this.db.trashArticle(id);
+    if (result.changes > 0) {
+      this.logActivity('deleted', article.id, { title: article.title, trashed: true });
+    }
+    return result;
+  }
+
+  restoreArticle(id) {
+    if (!this.ownsArticle(id)) return { changes: 0 };
+    const result = this.db.restoreArticle(id);
+    if (result.changes > 0) {
+      this.logActivity('restored', Number(id));
+    }
+    return result;
+  }
+
+  getTrashedArticles() {
+    return this.db.getTrashedArticles(this.userId);
+  }
+
+  purgeTrash(before = null) {
+    const result = this.db.purgeTrash(before, this.userId);
+    for (const id of result.ids) {
+      this.logActivity('deleted', id, { permanent: true });
+    }
+    return result;
+  }
+
+  searchArticles(query) {
+    return this.db.searchArticles(query, this.userId);
+  }
+
+  getUnsyncedArticles() {
+    return this.db.getUnsyncedArticles(this.userId);
+  }
+
+  markAsSynced(id) {
+    return this.ownsArticle(id) ? this.db.markAsSynced(id) : { changes: 0 };
+  }
+
+  updateReadingProgress(articleId, progress) {
+    return this.ownsArticle(articleId) ? this.db.updateReadingProgress(articleId, progress) : { changes: 0 };
+  }
+
+  getArticleRevisions(articleId) {
+    return this.ownsArticle(articleId) ? this.db.getArticleRevisions(articleId) : [];
+  }
+
+  // Tags
+  getAllTags() {
+    return this.db.getAllTags(this.userId);
+  }
+
+  getTagById(id) {
+    return this.ownedOrUndefined(this.db.getTagById(id));
+  }
+
+  getArticleTags(articleId) {
+    return this.ownsArticle(articleId) ? this.db.getArticleTags(articleId) : [];
+  }
+
+  addTagsToArticle(articleId, tagNames) {
+    if (this.ownsArticle(articleId)) {
+      this.db.addTagsToArticle(articleId, tagNames);
+      if (tagNames.length > 0) {
+        this.logActivity('tagged', Number(articleId), { tags: tagNamesOf(tagNames) });
+      }
+    }
+  }
+
+  removeTagsFromArticle(articleId, tagNames = null) {
+    if (!this.ownsArticle(articleId)) return { changes: 0 };
+    const result = this.db.removeTagsFromArticle(articleId, tagNames);
+    if (result.changes > 0) {
+      this.logActivity('untagged', Number(articleId), { tags: tagNames === null ? 'all' : tagNamesOf(tagNames) });
+    }
+    return result;
+  }
+
+  updateTag(id, updates) {
+    const tag = this.getTagById(id);
+    if (!tag) return { changes: 0 };
+    const result = this.db.updateTag(id, updates);
+    if (result.changes > 0) {
+      this.logActivity('updated', null, { tag_id: tag.id, tag: tag.name, ...updates });
+    }
+    return result;
+  }
+
+  deleteTag(id) {
+    const tag = this.getTagById(id);
+    if (!tag) return { changes: 0 };
+    const result = this.db.deleteTag(id);
+    if (result.changes > 0) {
+      this.logActivity('deleted', null, { tag_id: tag.id, tag: tag.name });
+    }
+    return result;
+  }
+
+  // Highlights
+  getArticleHighlights(articleId) {
+    return this.ownsArticle(articleId) ? this.db.getArticleHighlights(articleId) : [];
+  }
+
+  getHighlightById(id) {
+    return this.ownedOrUndefined(this.db.getHighlightById(id));
+  }
+
+  addHighlight(articleId, highlight) {
+    if (!this.ownsArticle(articleId)) return undefined;
+    const created = this.db.addHighlight(articleId, highlight);
+    if (created) {
+      this.logActivity('highlighted', Number(articleId), { highlight_id: created.id, text: String(created.text).slice(0, 200) });
+    }
+    return created;
+  }
+
+  deleteHighlight(highlightId) {
+    const highlight = this.getHighlightById(highlightId);
+    if (!highlight) return { changes: 0 };
+    const result = this.db.deleteHighlight(highlightId);
+    if (result.changes > 0) {
+      this.logActivity('deleted', highlight.article_id, { highlight_id: highlight.id });
+    }
+    return result;
+  }
+
+  // Collections
+  getAllCollections() {
+    return this.db.getAllCollections(this.userId);
+  }
+
+  getCollectionById(id) {
+    return this.ownedOrUndefined(this.db.getCollectionById(id));
+  }
+
+  createCollection(collection) {
+    const created = this.db.createCollection({ ...collection, user_id: this.userId });
+    this.logActivity('created', null, { collection_id: created.id, collection: created.name });
+    return created;
+  }
+
+  // Logs a change to `collection` if `result` changed anything
+  logCollectionChange(type, collection, result, details = {}) {
+    if (result.changes > 0) {
+      this.logActivity(type, null, { collection_id: collection.id, collection: collection.name, ...details });
+    }
+    return result;
+  }
+
+  updateCollection(id, updates) {
+    const collection = this.getCollectionById(id);
+    if (!collection) return { changes: 0 };
+    return this.logCollectionChange('updated', collection, this.db.updateCollection(id, updates), { fields: Object.keys(updates) });
+  }
+
+  deleteCollection(id) {
+    const collection = this.getCollectionById(id);
+    if (!collection) return { changes: 0 };
+    return this.logCollectionChange('deleted', collection, this.db.deleteCollection(id));
+  }
+
+  getCollectionArticles(collectionId) {
+    return this.ownsCollection(collectionId) ? this.db.getCollectionArticles(collectionId) : [];
+  }
+
+  getArticleCollections(articleId) {
+    return this.ownsArticle(articleId) ? this.db.getArticleCollections(articleId) : [];
+  }
+
+  // Someone else's articles are skipped like unknown ones
+  addArticlesToCollection(collectionId, articleIds, position = null) {
+    const collection = this.getCollectionById(collectionId);
+    if (!collection) return { changes: 0 };
+    const owned = articleIds.filter(id => this.ownsArticle(id));
+    return this.logCollectionChange('updated', collection, this.db.addArticlesToCollection(collectionId, owned, position), { added: owned });
+  }
+
+  removeArticlesFromCollection(collectionId, articleIds) {
+    const collection = this.getCollectionById(collectionId);
+    if (!collection) return { changes: 0 };
+    return this.logCollectionChange('updated', collection, this.db.removeArticlesFromCollection(collectionId, articleIds), {
+      removed: articleIds
+    });
+  }
+
+  reorderCollection(collectionId, articleIds) {
+    const collection = this.getCollectionById(collectionId);
+    if (!collection) return { changes: 0 };
+    return this.logCollectionChange('updated', collection, this.db.reorderCollection(collectionId, articleIds), { reordered: true });
+  }
+
+  // Saved searches
+  getAllSavedSearches() {
+    return this.db.getAllSavedSearches(this.userId);
+  }
+
+  getSavedSearchById(id) {
+    return this.ownedOrUndefined(this.db.getSavedSearchById(id));
+  }
+
+  createSavedSearch(search) {
+    const created = this.db.createSavedSearch({ ...search, user_id: this.userId });
+    this.logActivity('created', null, { saved_search_id: created.id, saved_search: created.name });
+    return created;
+  }
+
+  updateSavedSearch(id, updates) {
+    const search = this.getSavedSearchById(id);
+    if (!search) return { changes: 0 };
+    const result = this.db.updateSavedSearch(id, updates);
+    if (result.changes > 0) {
+      this.logActivity('updated', null, { saved_search_id: search.id, saved_search: search.name, fields: Object.keys(updates) });
+    }
+    return result;
+  }
+
+  deleteSavedSearch(id) {
+    const search = this.getSavedSearchById(id);
+    if (!search) return { changes: 0 };
+    const result = this.db.deleteSavedSearch(id);
+    if (result.changes > 0) {
+      this.logActivity('deleted', null, { saved_search_id: search.id, saved_search: search.name });
+    }
+    return result;
+  }
+
+  // Activity log
+  getActivity(filters = {}) {
+    return this.db.getActivity(filters, this.userId);
+  }
+
+  getSavedSearchCounts(id) {
+    return this.ownsSavedSearch(id) ? this.db.getSavedSearchCounts(id) : [];
+  }
+
+  recordSavedSearchCount(id, date, count) {
+    return this.ownsSavedSearch(id) ? this.db.recordSavedSearchCount(id, date, count) : { changes: 0 };
+  }
+
+  isHealthy() {
+    return this.db.isHealthy();
+  }
+
+  flush() {
+    return this.db.flush();
+  }
+}
+
+module.exports = UserStorage;
@@ -0,0 +1,253 @@
+/**
+ * Declarative request validation. A schema describes each part of a request
+ * (params, query, body) as the fields it accepts and a rule per field:
+ *
+ *   { type: 'integer', min: 1, required: true }
+ *   { type: 'enum', values: ['json', 'csv'], default: 'json' }
+ *   { type: 'array', items: { type: 'tag' }, max: 100 }
+ *
+ * validate(schema) is Express middleware. Values are coerced to their type
+ * ("5" -> 5, "true" -> true) and the request part is replaced by the cleaned
+ * copy, so handlers only see declared fields. Every problem is collected and
+ * answered with a single 400 (see sendValidationError). The route schemas
+ * themselves live in schemas.js.
+ *
+ * Rule options: required, nullable (null or '' become null), default, and
+ * per type: min/max (numbers, string length, array size), nonEmpty and trim
+ * (strings), values (enum), items (array).
+ *
+ * Part options, next to `fields`:
+ *   unknown    'reject' (default for body) or 'strip' (default for params and query)
+ *   ignore     fields dropped without complaint, e.g. read-only article fields
+ *   minFields  how many fields must be present, e.g. 1 for an update
+ *   check      (values) => [{ field, message }] for rules spanning fields
+ *
+ * Error messages start with the field name: "title must be a string".
+ */
+
+const PARTS = ['params', 'query', 'body'];
+const DEFAULT_UNKNOWN = { params: 'strip', query: 'strip', body: 'reject' };
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+// A value breaks its rule; caught per field and collected
+class RuleError extends Error {}
+
+function fail(message) {
+  throw new RuleError(message);
+}
+
+function toNumber(value) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) fail('must be a number');
+  return number;
+}
+
+function checkRange(number, rule) {
+  if (rule.min !== undefined && number < rule.min) fail(`must be at least ${rule.min}`);
+  if (rule.max !== undefined && number > rule.max) fail(`must be at most ${rule.max}`);
+  return number;
+}
+
+// Each type returns the coerced value or calls fail()
+const TYPES = {
+  string(value, rule) {
+    if (typeof value !== 'string') fail('must be a string');
+    const text = rule.trim ? value.trim() : value;
+    if (rule.nonEmpty && !text.trim()) fail('must not be empty');
+    if (rule.min !== undefined && text.length < rule.min) fail(`must be at least ${rule.min} characters`);
+    if (rule.max !== undefined && text.length > rule.max) fail(`must be at most ${rule.max} characters`);
+    return text;
+  },
+
+  number(value, rule) {
+    return checkRange(toNumber(value), rule);
+  },
+
+  integer(value, rule) {
+    const number = toNumber(value);
+    if (!Number.isInteger(number)) fail('must be a whole number');
+    return checkRange(number, rule);
+  },
+
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    const parsed = BOOLEANS[String(value).trim().toLowerCase()];
+    if (parsed === undefined) fail('must be true or false');
+    return parsed;
+  },
+
+  enum(value, rule) {
+    const match = typeof value === 'string' && rule.values.find(option => option === value.trim().toLowerCase());
+    if (!match) fail(`must be one of: ${rule.values.join(', ')}`);
+    return match;
+  },
+
+  url(value) {
+    if (typeof value !== 'string' || !value.trim()) fail('must be a URL');
+    try {
+      const parsed = new URL(value.trim());
+      if (!/^https?:$/.test(parsed.protocol)) fail('must be an http or https URL');
+    } catch (error) {
+      if (error instanceof RuleError) throw error;
+      fail('must be a URL');
+    }
+    return value.trim();
+  },
+
+  date(value) {
+    const date = typeof value === 'string' ? new Date(value.trim()) : null;
+    if (!date || Number.isNaN(date.getTime())) fail('must be a date, e.g. 2025-01-31 or 2025-01-31T09:00:00Z');
+    return date.toISOString();
+  },
+
+  color(value) {
+    if (typeof value !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+      fail('must be a hex color like #3b82f6');
+    }
+    return value;
+  },
+
+  username(value) {
+    if (typeof value !== 'string' || !/^[A-Za-z0-9_.-]{3,32}$/.test(value.trim())) {
+      fail('must be 3-32 letters, digits, dots, dashes or underscores');
+    }
+    return value.trim();
+  },
+
+  // A snapshot id from GET /api/backups, e.g. 2025-01-31T09-00-00-000Z-scheduled
+  snapshotId(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[a-z-]+$/.test(value)) {
+      fail('must be a snapshot id from GET /api/backups');
+    }
+    return value;
+  },
+
+  // A host name a site rule applies to, e.g. lwn.net
+  domain(value) {
+    const domain = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/.test(domain)) {
+      fail('must be a host name like example.com');
+    }
+    return domain;
+  },
+
+  // A tag name, or { name, color }
+  tag(value) {
+    if (typeof value === 'string' && value.trim()) return value;
+    if (value !== null && typeof value === 'object' && typeof value.name === 'string' && value.name.trim()) {
+      if (value.color !== undefined && value.color !== null) TYPES.color(value.color);
+      return { name: value.name, color: value.color ?? null };
+    }
+    fail('must be a tag name or { name, color }');
+  },
+
+  array(value, rule, field, errors, location) {
+    // A single query parameter is a one-item list
+    const list = Array.isArray(value) ? value : location === 'query' ? [value] : fail('must be a list');
+    if (rule.min !== undefined && list.length < rule.min) fail(`must have at least ${rule.min} item(s)`);
+    if (rule.max !== undefined && list.length > rule.max) fail(`must have at most ${rule.max} items`);
+    return list.map((item, i) => checkValue(item, rule.items, `${field}[${i}]`, errors, location));
+  },
+
+  // A plain object whose contents the handler checks, e.g. saved search parameters
+  object(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) fail('must be an object');
+    return value;
+  }
+};
+
+function addError(errors, field, location, message) {
+  errors.push({ field, location, message: `${field} ${message}` });
+}
+
+// The coerced value, or undefined after recording why it is invalid
+function checkValue(value, rule, field, errors, location) {
+  if (rule.nullable && (value === null || (value === '' && rule.type !== 'string'))) {
+    return null;
+  }
+  try {
+    return TYPES[rule.type](value, rule, field, errors, location);
+  } catch (error) {
+    if (!(error instanceof RuleError)) throw error;
+    addError(errors, field, location, error.message);
+    return undefined;
+  }
+}
+
+function checkPart(part, input, location, errors) {
+  const source = input && typeof input === 'object' ? input : {};
+  const unknown = part.unknown || DEFAULT_UNKNOWN[location];
+  const ignore = part.ignore || [];
+  const values = {};
+
+  for (const [field, rule] of Object.entries(part.fields)) {
+    let value = source[field];
+    if (value === undefined && rule.default !== undefined) value = rule.default;
+    if (value === undefined) {
+      if (rule.required) addError(errors, field, location, 'is required');
+      continue;
+    }
+
+    const before = errors.length;
+    const checked = checkValue(value, rule, field, errors, location);
+    if (errors.length === before) values[field] = checked;
+  }
+
+  for (const field of Object.keys(source)) {
+    if (field in part.fields || ignore.includes(field) || unknown === 'strip') continue;
+    addError(errors, field, location, 'is not an accepted field');
+  }
+
+  if (part.minFields && Object.keys(values).length < part.minFields && errors.length === 0) {
+    addError(errors, location, location, `needs at least ${part.minFields} of: ${Object.keys(part.fields).join(', ')}`);
+  }
+  if (part.check && errors.length === 0) {
+    for (const { field, message } of part.check(values)) {
+      addError(errors, field, location, message);
+    }
+  }
+  return values;
+}
+
+/**
+ * Check `req` against `schema`. Returns { values, errors } where values has
+ * the cleaned params, query and body.
+ */
+function checkRequest(schema, req) {
+  const errors = [];
+  const values = {};
+  for (const location of PARTS) {
+    if (schema[location]) {
+      values[location] = checkPart(schema[location], req[location], location, errors);
+    }
+  }
+  return { values, errors };
+}
+
+// The one shape of a 400 for bad input: a summary plus { field, location, message } per problem
+function sendValidationError(res, errors) {
+  res.status(400).json({
+    success: false,
+    error: `Invalid request: ${errors.map(error => error.message).join('; ')}`,
+    errors
+  });
+}
+
+function validate(schema) {
+  return (req, res, next) => {
+    const { values, errors } = checkRequest(schema, req);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    for (const [location, cleaned] of Object.entries(values)) {
+      req[location] = cleaned;
+    }
+    next();
+  };
+}
+
+module.exports = {
+  checkRequest,
+  sendValidationError,
+  validate
+};